@@ -0,0 +1,331 @@
+/**
+ * Mobile Money Simulator for Taxi-Express
+ * Local stand-in for the Orange Money, Airtel Money, Africell Money and M-Pesa APIs,
+ * so the push-to-pay flow can be run end to end without the real networks.
+ *
+ * Point the adapters at it:
+ *   ORANGE_MONEY_API_URL=http://localhost:4010/orange
+ *   AIRTEL_MONEY_API_URL=http://localhost:4010/airtel
+ *   AFRICELL_MONEY_API_URL=http://localhost:4010/africell
+ *   MPESA_API_URL=http://localhost:4010/mpesa
+ *
+ * Each payment is confirmed by an asynchronous callback after MOBILE_MONEY_SIMULATOR_DELAY_MS,
+ * signed the way the backend expects with the same *_WEBHOOK_SECRET values.
+ * The last digit of the customer's number picks the outcome:
+ *   1 - the customer declines, and a failure callback is sent
+ *   2 - no callback is ever sent and the payment stays pending (exercises polling and timeouts)
+ *   anything else - the payment succeeds
+ *
+ * Usage: node backend/scripts/mobileMoneySimulator.js
+ */
+
+require('dotenv').config();
+const express = require('express');
+const axios = require('axios');
+const crypto = require('crypto');
+
+const PORT = parseInt(process.env.MOBILE_MONEY_SIMULATOR_PORT, 10) || 4010;
+
+// Time between a push-to-pay request and the operator's callback
+const CALLBACK_DELAY_MS = parseInt(process.env.MOBILE_MONEY_SIMULATOR_DELAY_MS, 10) || 3000;
+
+// Where operators without a per-request callback URL send their notifications; the provider is appended
+const CALLBACK_URL = process.env.MOBILE_MONEY_CALLBACK_URL ||
+  'http://localhost:5000/api/payments/mobile-money/callback';
+
+// Secrets the callbacks are signed with, shared with the backend
+const WEBHOOK_SECRETS = {
+  orange: process.env.ORANGE_MONEY_WEBHOOK_SECRET,
+  airtel: process.env.AIRTEL_MONEY_WEBHOOK_SECRET,
+  africell: process.env.AFRICELL_MONEY_WEBHOOK_SECRET,
+  mpesa: process.env.MPESA_WEBHOOK_SECRET
+};
+
+// Simulated transactions by provider and operator reference
+const transactions = new Map();
+
+const app = express();
+app.use(express.json());
+app.use(express.urlencoded({ extended: true }));
+
+/**
+ * Record a push-to-pay request and schedule its outcome
+ * @param {string} provider - Simulated operator
+ * @param {Object} details - reference, amount, currency, msisdn and callback of the request
+ * @returns {Object} Simulated transaction
+ */
+function createTransaction(provider, details) {
+  const lastDigit = String(details.msisdn).slice(-1);
+  const transaction = {
+    ...details,
+    provider,
+    providerReference: `${provider.toUpperCase()}-${crypto.randomBytes(5).toString('hex').toUpperCase()}`,
+    status: 'pending',
+    outcome: lastDigit === '1' ? 'failed' : lastDigit === '2' ? 'silent' : 'completed',
+    refundedAmount: 0
+  };
+
+  transactions.set(`${provider}:${transaction.providerReference}`, transaction);
+  transactions.set(`${provider}:ref:${transaction.reference}`, transaction);
+
+  console.log(`[${provider}] push-to-pay ${transaction.reference}: ${transaction.amount} ${transaction.currency} from ${transaction.msisdn} -> ${transaction.outcome}`);
+
+  if (transaction.outcome !== 'silent') {
+    setTimeout(() => {
+      transaction.status = transaction.outcome;
+      sendCallback(transaction).catch(error => {
+        console.error(`[${provider}] callback for ${transaction.reference} failed: ${error.message}`);
+      });
+    }, CALLBACK_DELAY_MS);
+  }
+
+  return transaction;
+}
+
+/**
+ * Find a simulated transaction by the operator's reference or ours
+ * @param {string} provider - Simulated operator
+ * @param {string} reference - Operator reference or merchant reference
+ * @returns {Object|undefined} Simulated transaction
+ */
+function findTransaction(provider, reference) {
+  return transactions.get(`${provider}:${reference}`) || transactions.get(`${provider}:ref:${reference}`);
+}
+
+/**
+ * Sign a callback body the way the backend verifies it
+ * M-Pesa sends its shared secret as a token with the send time; the other operators sign "<timestamp>.<body>" with HMAC-SHA256
+ * @param {string} provider - Operator sending the callback
+ * @param {string} body - Serialized callback body
+ * @returns {Object} Headers to send
+ */
+function signatureHeaders(provider, body) {
+  const secret = WEBHOOK_SECRETS[provider];
+  if (!secret) {
+    console.warn(`[${provider}] no webhook secret configured; the callback will be rejected`);
+    return {};
+  }
+
+  const timestamp = Math.floor(Date.now() / 1000);
+
+  if (provider === 'mpesa') {
+    return { 'X-Mpesa-Token': secret, 'X-Mpesa-Timestamp': String(timestamp) };
+  }
+
+  return {
+    [`X-${provider[0].toUpperCase()}${provider.slice(1)}-Timestamp`]: String(timestamp),
+    [`X-${provider[0].toUpperCase()}${provider.slice(1)}-Signature`]: crypto
+      .createHmac('sha256', secret)
+      .update(`${timestamp}.${body}`)
+      .digest('hex')
+  };
+}
+
+/**
+ * Notify the platform of a transaction's outcome in the operator's format
+ * @param {Object} transaction - Simulated transaction
+ * @returns {Promise<void>}
+ */
+async function sendCallback(transaction) {
+  const succeeded = transaction.status === 'completed';
+  const payloads = {
+    orange: {
+      status: succeeded ? 'SUCCESS' : 'FAILED',
+      order_id: transaction.reference,
+      pay_token: transaction.providerReference,
+      amount: transaction.amount,
+      currency: transaction.currency,
+      message: succeeded ? 'Payment successful' : 'Customer declined the payment'
+    },
+    airtel: {
+      transaction: {
+        id: transaction.reference,
+        airtel_money_id: transaction.providerReference,
+        status_code: succeeded ? 'TS' : 'TF',
+        message: succeeded ? 'Paid successfully' : 'Transaction failed: insufficient funds'
+      }
+    },
+    africell: {
+      transactionId: transaction.providerReference,
+      externalId: transaction.reference,
+      status: succeeded ? 'SUCCESSFUL' : 'FAILED',
+      amount: transaction.amount,
+      currency: transaction.currency,
+      reason: succeeded ? null : 'Payer rejected the request'
+    },
+    mpesa: {
+      input_TransactionReference: transaction.reference,
+      input_TransactionID: transaction.providerReference,
+      input_Amount: Number(transaction.amount).toFixed(2),
+      input_Currency: transaction.currency,
+      input_ResultCode: succeeded ? 'INS-0' : 'INS-2006',
+      input_ResultDesc: succeeded ? 'Request processed successfully' : 'Insufficient balance'
+    }
+  };
+
+  const url = transaction.callbackUrl || `${CALLBACK_URL}/${transaction.provider}`;
+  const body = JSON.stringify(payloads[transaction.provider]);
+  await axios.post(url, body, {
+    headers: { 'Content-Type': 'application/json', ...signatureHeaders(transaction.provider, body) }
+  });
+  console.log(`[${transaction.provider}] callback for ${transaction.reference} sent: ${transaction.status}`);
+}
+
+// Orange Money
+
+app.post('/orange/oauth/v3/token', (req, res) => {
+  res.json({ token_type: 'Bearer', access_token: crypto.randomBytes(16).toString('hex'), expires_in: 3600 });
+});
+
+app.post('/orange/omcd/v1/payments', (req, res) => {
+  const transaction = createTransaction('orange', {
+    reference: req.body.order_id,
+    amount: req.body.amount,
+    currency: req.body.currency,
+    msisdn: req.body.subscriber_msisdn,
+    callbackUrl: req.body.notif_url
+  });
+  res.status(201).json({ status: 'PENDING', pay_token: transaction.providerReference, message: 'Payment request sent' });
+});
+
+app.get('/orange/omcd/v1/payments/:payToken', (req, res) => {
+  const transaction = findTransaction('orange', req.params.payToken);
+  if (!transaction) {
+    return res.status(404).json({ message: 'Unknown pay_token' });
+  }
+  const statuses = { pending: 'PENDING', completed: 'SUCCESS', failed: 'FAILED' };
+  res.json({ status: statuses[transaction.status], pay_token: transaction.providerReference, order_id: transaction.reference });
+});
+
+app.post('/orange/omcd/v1/refunds', (req, res) => {
+  const transaction = findTransaction('orange', req.body.pay_token);
+  if (!transaction || transaction.status !== 'completed') {
+    return res.status(400).json({ status: 'FAILED', message: 'Payment cannot be refunded' });
+  }
+  transaction.refundedAmount += Number(req.body.amount);
+  res.json({ status: 'SUCCESS', refund_id: `OR-${crypto.randomBytes(4).toString('hex')}`, message: 'Refunded' });
+});
+
+// Airtel Money
+
+app.post('/airtel/auth/oauth2/token', (req, res) => {
+  res.json({ token_type: 'bearer', access_token: crypto.randomBytes(16).toString('hex'), expires_in: 180 });
+});
+
+app.post('/airtel/merchant/v1/payments/', (req, res) => {
+  createTransaction('airtel', {
+    reference: req.body.transaction.id,
+    amount: req.body.transaction.amount,
+    currency: req.body.transaction.currency,
+    msisdn: req.body.subscriber.msisdn
+  });
+  res.json({
+    data: { transaction: { id: req.body.transaction.id, status: 'Success.' } },
+    status: { code: '200', message: 'Success.', success: true }
+  });
+});
+
+app.get('/airtel/standard/v1/payments/:id', (req, res) => {
+  const transaction = findTransaction('airtel', req.params.id);
+  if (!transaction) {
+    return res.status(404).json({ status: { code: '404', message: 'Transaction not found', success: false } });
+  }
+  const statuses = { pending: 'TIP', completed: 'TS', failed: 'TF' };
+  res.json({
+    data: { transaction: { id: transaction.reference, airtel_money_id: transaction.providerReference, status: statuses[transaction.status] } },
+    status: { code: '200', message: 'Success.', success: true }
+  });
+});
+
+app.post('/airtel/standard/v1/payments/refund', (req, res) => {
+  const transaction = findTransaction('airtel', req.body.transaction.airtel_money_id);
+  if (!transaction || transaction.status !== 'completed') {
+    return res.json({ status: { code: '400', message: 'Transaction cannot be refunded', success: false } });
+  }
+  transaction.refundedAmount = transaction.amount;
+  res.json({
+    data: { transaction: { airtel_money_id: `AR-${crypto.randomBytes(4).toString('hex')}`, status: 'SUCCESS' } },
+    status: { code: '200', message: 'Success.', success: true }
+  });
+});
+
+// Africell Money
+
+app.post('/africell/api/v1/collections', (req, res) => {
+  const transaction = createTransaction('africell', {
+    reference: req.body.externalId,
+    amount: req.body.amount,
+    currency: req.body.currency,
+    msisdn: req.body.payer.msisdn,
+    callbackUrl: req.body.callbackUrl
+  });
+  res.status(202).json({ transactionId: transaction.providerReference, externalId: transaction.reference, status: 'PENDING' });
+});
+
+app.get('/africell/api/v1/collections/:transactionId', (req, res) => {
+  const transaction = findTransaction('africell', req.params.transactionId);
+  if (!transaction) {
+    return res.status(404).json({ reason: 'Unknown transaction' });
+  }
+  const statuses = { pending: 'PENDING', completed: 'SUCCESSFUL', failed: 'FAILED' };
+  res.json({ transactionId: transaction.providerReference, externalId: transaction.reference, status: statuses[transaction.status] });
+});
+
+app.post('/africell/api/v1/collections/:transactionId/refund', (req, res) => {
+  const transaction = findTransaction('africell', req.params.transactionId);
+  if (!transaction || transaction.status !== 'completed') {
+    return res.status(400).json({ status: 'FAILED', reason: 'Collection cannot be refunded' });
+  }
+  transaction.refundedAmount += Number(req.body.amount);
+  res.json({ status: 'SUCCESSFUL', refundId: `AF-${crypto.randomBytes(4).toString('hex')}` });
+});
+
+// M-Pesa
+
+app.post('/mpesa/ipg/v2/vodacomDRC/c2bPayment/singleStage/', (req, res) => {
+  const transaction = createTransaction('mpesa', {
+    reference: req.body.input_TransactionReference,
+    amount: Number(req.body.input_Amount),
+    currency: req.body.input_Currency,
+    msisdn: req.body.input_CustomerMSISDN
+  });
+  res.status(201).json({
+    output_ResponseCode: 'INS-0',
+    output_ResponseDesc: 'Request processed successfully',
+    output_TransactionID: transaction.providerReference,
+    output_ConversationID: crypto.randomBytes(16).toString('hex'),
+    output_ThirdPartyConversationID: req.body.input_ThirdPartyConversationID
+  });
+});
+
+app.get('/mpesa/ipg/v2/vodacomDRC/queryTransactionStatus/', (req, res) => {
+  const transaction = findTransaction('mpesa', req.query.input_QueryReference);
+  if (!transaction) {
+    return res.status(404).json({ output_ResponseCode: 'INS-2051', output_ResponseDesc: 'Transaction not found' });
+  }
+  const statuses = { pending: 'Pending', completed: 'Completed', failed: 'Failed' };
+  res.json({
+    output_ResponseCode: 'INS-0',
+    output_ResponseDesc: 'Request processed successfully',
+    output_ResponseTransactionStatus: statuses[transaction.status],
+    output_TransactionID: transaction.providerReference
+  });
+});
+
+app.post('/mpesa/ipg/v2/vodacomDRC/reversal/', (req, res) => {
+  const transaction = findTransaction('mpesa', req.body.input_TransactionID);
+  if (!transaction || transaction.status !== 'completed') {
+    return res.status(400).json({ output_ResponseCode: 'INS-2001', output_ResponseDesc: 'Transaction cannot be reversed' });
+  }
+  transaction.refundedAmount += Number(req.body.input_ReversalAmount);
+  res.json({
+    output_ResponseCode: 'INS-0',
+    output_ResponseDesc: 'Request processed successfully',
+    output_TransactionID: `MR-${crypto.randomBytes(4).toString('hex')}`
+  });
+});
+
+app.listen(PORT, () => {
+  console.log(`Mobile money simulator listening on port ${PORT}`);
+  console.log(`Callbacks go to ${CALLBACK_URL}/<provider> unless a request names its own URL`);
+});
@@ -3,8 +3,13 @@
  * Handles core administrative functions
  */
 
-const { User, Driver, Trip, Payment, Notification, FraudLog, AdminLog } = require('../models');
+const { User, Driver, Trip, Payment, Notification, FraudLog, AdminLog, WebhookEvent, Withdrawal, PayoutBatch } = require('../models');
 const { createAdminLog } = require('../services/admin.service');
+const referralService = require('../services/referral.service');
+const { checkConsistency } = require('../services/ledger.service');
+const { replayWebhook, REPLAYABLE_REASONS } = require('../services/webhook.service');
+const payoutService = require('../services/payout.service');
+const { BASE_CURRENCY, toMinor, fromMinor, formatMoney } = require('../utils/money');
 const { Op } = require('sequelize');
 const bcrypt = require('bcryptjs');
 const sequelize = require('sequelize');
@@ -72,18 +77,27 @@ exports.getDashboardStats = async (req, res) => {
       group: ['status']
     });
 
-    // Payment statistics
-    const totalRevenue = await Payment.sum('platformFee', {
-      where: { status: 'completed' }
+    // Payment statistics, normalised to the base currency
+    // Payments from before multi-currency only carry the decimal fee, which was in the base currency
+    const baseFeeMinor = sequelize.literal(
+      `COALESCE("basePlatformFeeMinor", ROUND("platformFee" * ${toMinor(1, BASE_CURRENCY)}))`
+    );
+
+    const totalRevenue = await Payment.findOne({
+      attributes: [[sequelize.fn('SUM', baseFeeMinor), 'revenueMinor']],
+      where: { status: 'completed' },
+      raw: true
     });
 
-    const recentRevenue = await Payment.sum('platformFee', {
+    const recentRevenue = await Payment.findOne({
+      attributes: [[sequelize.fn('SUM', baseFeeMinor), 'revenueMinor']],
       where: {
         status: 'completed',
         createdAt: {
           [Op.between]: [startDate, endDate]
         }
-      }
+      },
+      raw: true
     });
 
     const pendingPayments = await Payment.count({
@@ -114,7 +128,7 @@ exports.getDashboardStats = async (req, res) => {
     const dailyRevenue = await Payment.findAll({
       attributes: [
         [sequelize.fn('date_trunc', 'day', sequelize.col('createdAt')), 'date'],
-        [sequelize.fn('SUM', sequelize.col('platformFee')), 'revenue']
+        [sequelize.fn('SUM', baseFeeMinor), 'revenueMinor']
       ],
       where: {
         status: 'completed',
@@ -123,7 +137,8 @@ exports.getDashboardStats = async (req, res) => {
         }
       },
       group: [sequelize.fn('date_trunc', 'day', sequelize.col('createdAt'))],
-      order: [[sequelize.fn('date_trunc', 'day', sequelize.col('createdAt')), 'ASC']]
+      order: [[sequelize.fn('date_trunc', 'day', sequelize.col('createdAt')), 'ASC']],
+      raw: true
     });
 
     res.status(200).json({
@@ -144,8 +159,9 @@ exports.getDashboardStats = async (req, res) => {
           byStatus: tripsByStatus
         },
         payments: {
-          totalRevenue: totalRevenue || 0,
-          recentRevenue: recentRevenue || 0,
+          currency: BASE_CURRENCY,
+          totalRevenue: fromMinor(totalRevenue.revenueMinor, BASE_CURRENCY),
+          recentRevenue: fromMinor(recentRevenue.revenueMinor, BASE_CURRENCY),
           pendingPayments
         },
         fraud: {
@@ -153,7 +169,10 @@ exports.getDashboardStats = async (req, res) => {
         },
         charts: {
           dailyTrips,
-          dailyRevenue
+          dailyRevenue: dailyRevenue.map(day => ({
+            date: day.date,
+            revenue: fromMinor(day.revenueMinor, BASE_CURRENCY)
+          }))
         }
       }
     });
@@ -859,3 +878,481 @@ exports.reviewFraudLog = async (req, res) => {
     });
   }
 };
+
+/**
+ * Get referral sign-ups, conversions, rejections and rewards paid
+ * @route GET /api/admin/referrals
+ */
+exports.getReferralReport = async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+
+    const report = await referralService.getReferralReport({ startDate, endDate });
+
+    res.status(200).json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    console.error('Admin get referral report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error generating referral report',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Check that the ledger balances and that cached wallet balances match it
+ * @route GET /api/admin/ledger/consistency
+ */
+exports.checkLedgerConsistency = async (req, res) => {
+  try {
+    const report = await checkConsistency();
+
+    if (!report.consistent) {
+      console.error('Ledger inconsistency found:', JSON.stringify(report));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    console.error('Admin ledger consistency check error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error checking ledger consistency',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Get driver withdrawals, filtered by status, driver, method or payout batch
+ * @route GET /api/admin/withdrawals
+ */
+exports.getWithdrawalRequests = async (req, res) => {
+  try {
+    const {
+      status, driverId, method, currency, batchId,
+      page = 1, limit = 20
+    } = req.query;
+
+    const where = {};
+    if (status) where.status = status;
+    if (driverId) where.driverId = driverId;
+    if (method) where.method = method;
+    if (currency) where.currency = currency;
+    if (batchId) where.payoutBatchId = batchId;
+
+    const offset = (page - 1) * limit;
+
+    const { count, rows: withdrawals } = await Withdrawal.findAndCountAll({
+      where,
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      order: [['createdAt', 'DESC']],
+      include: [
+        {
+          model: User,
+          as: 'user',
+          attributes: ['id', 'firstName', 'lastName', 'email', 'phoneNumber']
+        },
+        {
+          model: PayoutBatch,
+          as: 'batch',
+          attributes: ['id', 'reference', 'status']
+        }
+      ]
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        withdrawals,
+        pagination: {
+          total: count,
+          page: parseInt(page),
+          limit: parseInt(limit),
+          pages: Math.ceil(count / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Admin get withdrawals error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching withdrawals',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Build a payout batch from approved withdrawals of one method and currency
+ * @route POST /api/admin/payouts/batches
+ */
+exports.createPayoutBatch = async (req, res) => {
+  try {
+    const { method, currency, cutoffAt } = req.body;
+
+    const result = await payoutService.createPayoutBatch({
+      method,
+      currency,
+      cutoffAt,
+      adminId: req.user.id
+    });
+
+    if (!result.success) {
+      return res.status(400).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    const { batch } = result;
+
+    await createAdminLog({
+      adminId: req.user.id,
+      action: 'payout_batch',
+      targetType: 'payout_batch',
+      targetId: batch.id,
+      details: `Admin built payout batch ${batch.reference}: ${batch.withdrawalCount} withdrawals, ${formatMoney(batch.totalAmountMinor, batch.currency)}`,
+      newData: batch.toJSON(),
+      ipAddress: req.ip,
+      userAgent: req.headers['user-agent']
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Payout batch created successfully',
+      data: batch
+    });
+  } catch (error) {
+    console.error('Admin create payout batch error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating payout batch',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Get payout batches
+ * @route GET /api/admin/payouts/batches
+ */
+exports.getPayoutBatches = async (req, res) => {
+  try {
+    const { status, method, currency, page = 1, limit = 20 } = req.query;
+
+    const where = {};
+    if (status) where.status = status;
+    if (method) where.method = method;
+    if (currency) where.currency = currency;
+
+    const offset = (page - 1) * limit;
+
+    const { count, rows: batches } = await PayoutBatch.findAndCountAll({
+      where,
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      order: [['createdAt', 'DESC']]
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        batches,
+        pagination: {
+          total: count,
+          page: parseInt(page),
+          limit: parseInt(limit),
+          pages: Math.ceil(count / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Admin get payout batches error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching payout batches',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Get a payout batch with its withdrawals
+ * @route GET /api/admin/payouts/batches/:batchId
+ */
+exports.getPayoutBatch = async (req, res) => {
+  try {
+    const batch = await PayoutBatch.findByPk(req.params.batchId, {
+      include: [
+        {
+          model: Withdrawal,
+          as: 'withdrawals'
+        },
+        {
+          model: User,
+          as: 'creator',
+          attributes: ['id', 'firstName', 'lastName', 'email']
+        }
+      ]
+    });
+
+    if (!batch) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payout batch not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: batch
+    });
+  } catch (error) {
+    console.error('Admin get payout batch error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching payout batch',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Download a payout batch as a bank or mobile money disbursement file
+ * The first download marks its withdrawals as sent
+ * @route GET /api/admin/payouts/batches/:batchId/export
+ */
+exports.exportPayoutBatch = async (req, res) => {
+  try {
+    const previous = await PayoutBatch.findByPk(req.params.batchId);
+    const file = await payoutService.exportPayoutBatch(req.params.batchId);
+
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payout batch not found'
+      });
+    }
+
+    if (previous.status === 'open') {
+      await createAdminLog({
+        adminId: req.user.id,
+        action: 'payout_batch',
+        targetType: 'payout_batch',
+        targetId: file.batch.id,
+        details: `Admin exported payout batch ${file.batch.reference} for disbursement`,
+        previousData: previous.toJSON(),
+        newData: file.batch.toJSON(),
+        ipAddress: req.ip,
+        userAgent: req.headers['user-agent']
+      });
+    }
+
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${file.filename}"`);
+    res.status(200).send(file.content);
+  } catch (error) {
+    console.error('Admin export payout batch error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error exporting payout batch',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Import the settlement results of an exported payout batch, as a CSV file (content) or as rows (results)
+ * @route POST /api/admin/payouts/batches/:batchId/settlements
+ */
+exports.importPayoutSettlements = async (req, res) => {
+  try {
+    const { content, results } = req.body;
+
+    const batch = await PayoutBatch.findByPk(req.params.batchId);
+
+    if (!batch) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payout batch not found'
+      });
+    }
+
+    if (batch.status === 'open') {
+      return res.status(400).json({
+        success: false,
+        message: 'Payout batch has not been exported yet'
+      });
+    }
+
+    const rows = content ? payoutService.parseSettlementFile(content) : results;
+    const summary = await payoutService.importSettlements(batch.id, rows, req.user.id);
+
+    await createAdminLog({
+      adminId: req.user.id,
+      action: 'payout_batch',
+      targetType: 'payout_batch',
+      targetId: batch.id,
+      details: `Admin imported settlements for payout batch ${batch.reference}: ${summary.settled} settled, ${summary.failed} failed, ${summary.skipped.length} skipped`,
+      previousData: batch.toJSON(),
+      newData: summary.batch.toJSON(),
+      ipAddress: req.ip,
+      userAgent: req.headers['user-agent']
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Settlement results imported',
+      data: summary
+    });
+  } catch (error) {
+    console.error('Admin import payout settlements error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error importing settlement results',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Get stored payment callbacks, by default those awaiting review
+ * @route GET /api/admin/webhooks
+ */
+exports.getWebhookEvents = async (req, res) => {
+  try {
+    const {
+      status = 'needs_review', channel, provider, reason,
+      page = 1, limit = 20
+    } = req.query;
+
+    const where = {};
+    if (status !== 'all') where.status = status;
+    if (channel) where.channel = channel;
+    if (provider) where.provider = provider;
+    if (reason) where.rejectionReason = reason;
+
+    const offset = (page - 1) * limit;
+
+    const { count, rows: events } = await WebhookEvent.findAndCountAll({
+      where,
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      order: [['createdAt', 'DESC']],
+      include: [
+        {
+          model: Payment,
+          as: 'payment',
+          attributes: ['id', 'transactionType', 'amount', 'currency', 'status', 'transactionReference', 'externalReference']
+        },
+        {
+          model: User,
+          as: 'reviewer',
+          attributes: ['id', 'firstName', 'lastName', 'email']
+        }
+      ]
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        events,
+        pagination: {
+          total: count,
+          page: parseInt(page),
+          limit: parseInt(limit),
+          pages: Math.ceil(count / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Admin get webhook events error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching webhook events',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Decide on a payment callback awaiting review: replay it, or close it as resolved or dismissed
+ * @route PUT /api/admin/webhooks/:eventId/review
+ */
+exports.reviewWebhookEvent = async (req, res) => {
+  try {
+    const { eventId } = req.params;
+    const { action, notes } = req.body;
+
+    const event = await WebhookEvent.findByPk(eventId);
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook event not found'
+      });
+    }
+
+    if (event.status !== 'needs_review') {
+      return res.status(400).json({
+        success: false,
+        message: `Webhook event is ${event.status}, not awaiting review`
+      });
+    }
+
+    // Callbacks that failed verification never reach a payment, even by hand
+    if (action === 'replay' && !REPLAYABLE_REASONS.includes(event.rejectionReason)) {
+      return res.status(400).json({
+        success: false,
+        message: `A callback held for ${event.rejectionReason} cannot be replayed`
+      });
+    }
+
+    const previousData = { ...event.toJSON() };
+    let outcome = null;
+
+    if (action === 'replay') {
+      // A replay that fails again leaves the callback in the queue
+      outcome = await replayWebhook(event);
+    } else {
+      event.status = action === 'dismiss' ? 'dismissed' : 'resolved';
+    }
+    event.reviewedBy = req.user.id;
+    event.reviewedAt = new Date();
+    event.reviewNotes = notes;
+    await event.save();
+
+    await createAdminLog({
+      adminId: req.user.id,
+      action: 'webhook_review',
+      targetType: 'webhook',
+      targetId: event.id,
+      details: `Admin chose to ${action} ${event.provider} callback; it is now ${event.status}. ${notes || ''}`.trim(),
+      previousData,
+      newData: event.toJSON(),
+      ipAddress: req.ip,
+      userAgent: req.headers['user-agent']
+    });
+
+    res.status(200).json({
+      success: true,
+      message: outcome ? outcome.message : `Webhook event ${event.status}`,
+      data: event
+    });
+  } catch (error) {
+    console.error('Admin review webhook event error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error reviewing webhook event',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
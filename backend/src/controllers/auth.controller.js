@@ -10,6 +10,8 @@ const { generateToken, verifyToken } = require('../utils/jwt');
 const { sendVerificationEmail, sendPasswordResetEmail } = require('../services/email.service');
 const { sendSMS } = require('../services/sms.service');
 const { createAdminLog } = require('../services/admin.service');
+const { resolveReferrer, recordReferral } = require('../services/referral.service');
+const { getBalances } = require('../services/wallet.service');
 const { validateRegistration, validateLogin } = require('../utils/validators');
 
 /**
@@ -31,9 +33,12 @@ exports.register = async (req, res) => {
       firstName, lastName, email, phoneNumber, password, role,
       vehicleType, vehicleMake, vehicleModel, vehicleYear, licensePlate,
       licenseNumber, licenseExpiry, insuranceNumber, insuranceExpiry,
-      preferredLanguage
+      preferredLanguage, referralCode
     } = req.body;
 
+    // The app sends a stable device identifier, used to spot repeat sign-ups
+    const deviceId = req.body.deviceId || req.headers['x-device-id'] || null;
+
     // Check if user already exists
     const existingUser = await User.findOne({ 
       where: { 
@@ -51,6 +56,25 @@ exports.register = async (req, res) => {
       });
     }
 
+    // Referral codes bring in new riders; they are checked before the account exists
+    let referrer = null;
+    if (referralCode) {
+      if (role === 'driver') {
+        return res.status(400).json({
+          success: false,
+          message: 'Referral codes can only be used when signing up as a rider'
+        });
+      }
+
+      referrer = await resolveReferrer(referralCode);
+      if (!referrer) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid referral code'
+        });
+      }
+    }
+
     // Create verification token
     const verificationToken = crypto.randomBytes(32).toString('hex');
 
@@ -64,9 +88,14 @@ exports.register = async (req, res) => {
       role: role || 'client',
       preferredLanguage: preferredLanguage || 'fr',
       verificationToken,
-      isVerified: false
+      isVerified: false,
+      registrationDeviceId: deviceId
     });
 
+    if (referrer) {
+      await recordReferral(referrer, user, { deviceId, ipAddress: req.ip });
+    }
+
     // If registering as a driver, create driver profile
     if (role === 'driver') {
       if (!vehicleType || !vehicleMake || !vehicleModel || !vehicleYear || 
@@ -119,7 +148,8 @@ exports.register = async (req, res) => {
           email: user.email,
           phoneNumber: user.phoneNumber,
           role: user.role,
-          isVerified: user.isVerified
+          isVerified: user.isVerified,
+          referralCode: user.referralCode
         },
         token
       }
@@ -226,7 +256,7 @@ exports.login = async (req, res) => {
           phoneNumber: user.phoneNumber,
           role: user.role,
           isVerified: user.isVerified,
-          walletBalance: user.walletBalance,
+          wallets: await getBalances(user.id),
           rating: user.rating,
           preferredLanguage: user.preferredLanguage,
           lastLogin: user.lastLogin
@@ -6,7 +6,12 @@
 const { Driver, User, Trip, Payment, Notification } = require('../models');
 const { createAdminLog } = require('../services/admin.service');
 const { checkFraudRisk } = require('../services/fraud.service');
+const { updateCaseLocation } = require('../services/safety.service');
+const { recordBreadcrumb } = require('../services/tracking.service');
 const { sendSMS } = require('../services/sms.service');
+const { getBalances } = require('../services/wallet.service');
+const { getDebtStatus, requestDebtSettlement } = require('../services/driverDebt.service');
+const { toMinor, fromMinor, formatMoney, BASE_CURRENCY } = require('../utils/money');
 const { Op } = require('sequelize');
 
 /**
@@ -91,7 +96,7 @@ exports.getAvailableDrivers = async (req, res) => {
 exports.updateLocation = async (req, res) => {
   try {
     const { id } = req.params;
-    const { latitude, longitude } = req.body;
+    const { latitude, longitude, accuracy } = req.body;
     
     // Validate request
     if (!latitude || !longitude) {
@@ -127,23 +132,29 @@ exports.updateLocation = async (req, res) => {
 
     // Check for potential GPS spoofing
     if (req.user.role !== 'admin') {
-      const activeTrip = await Trip.findOne({
+      // A driver serving a pool carries several riders' trips at once
+      const activeTrips = await Trip.findAll({
         where: {
-          driverId: id,
+          driverId: driver.id,
           status: {
             [Op.in]: ['assigned', 'active']
           }
         }
       });
 
-      if (activeTrip) {
-        // If there's an active trip, update its current location too
-        activeTrip.currentLocation = point;
-        await activeTrip.save();
+      for (const activeTrip of activeTrips) {
+        // Keep the trip's GPS trail and current location up to date
+        await recordBreadcrumb(activeTrip, driver, point, accuracy);
+
+        // Keep the live location link of an open SOS up to date
+        await updateCaseLocation(activeTrip.id, point);
+      }
 
+      if (activeTrips.length) {
         // Check for suspicious location changes (potential GPS spoofing)
         await checkFraudRisk(driver.userId, 'suspicious_location', {
-          tripId: activeTrip.id,
+          tripId: activeTrips[0].id,
+          tripIds: activeTrips.map(activeTrip => activeTrip.id),
           newLocation: point,
           timestamp: new Date()
         });
@@ -171,11 +182,11 @@ exports.updateLocation = async (req, res) => {
 
 /**
  * Update driver availability status
- * @route PATCH /api/drivers/:id/availability
+ * Drivers whose commission debt is over the limit cannot go online
+ * @route PUT /api/drivers/availability
  */
 exports.updateAvailability = async (req, res) => {
   try {
-    const { id } = req.params;
     const { isAvailable } = req.body;
     
     // Validate request
@@ -187,7 +198,9 @@ exports.updateAvailability = async (req, res) => {
     }
 
     // Check if user is the driver or admin
-    const driver = await Driver.findByPk(id);
+    const driver = req.params.id
+      ? await Driver.findByPk(req.params.id)
+      : await Driver.findOne({ where: { userId: req.user.id } });
     if (!driver) {
       return res.status(404).json({
         success: false,
@@ -210,11 +223,24 @@ exports.updateAvailability = async (req, res) => {
       });
     }
 
+    // Check the driver's commission debt from cash trips before going online
+    if (isAvailable) {
+      const debt = await getDebtStatus(driver.userId);
+
+      if (debt.overLimit) {
+        return res.status(403).json({
+          success: false,
+          message: `You owe ${formatMoney(debt.totalBaseMinor, debt.baseCurrency)} in commission, above the limit of ${formatMoney(debt.limitMinor, debt.baseCurrency)}. Settle your debt to go online.`,
+          data: { debt }
+        });
+      }
+    }
+
     // Check for active trips before going offline
     if (!isAvailable) {
       const activeTrip = await Trip.findOne({
         where: {
-          driverId: id,
+          driverId: driver.id,
           status: {
             [Op.in]: ['assigned', 'active']
           }
@@ -251,6 +277,88 @@ exports.updateAvailability = async (req, res) => {
   }
 };
 
+/**
+ * Get the commission the driver owes from cash trips
+ * @route GET /api/drivers/debt
+ */
+exports.getDriverDebt = async (req, res) => {
+  try {
+    const driver = await Driver.findOne({ where: { userId: req.user.id } });
+    if (!driver) {
+      return res.status(404).json({
+        success: false,
+        message: 'Driver not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: await getDebtStatus(driver.userId)
+    });
+  } catch (error) {
+    console.error('Get driver debt error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving driver debt',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Pay commission debt by mobile money; it is cleared once the operator confirms the payment
+ * @route POST /api/drivers/debt/settle
+ */
+exports.settleDriverDebt = async (req, res) => {
+  try {
+    const { amount, provider, phoneNumber, currency } = req.body;
+
+    const driver = await Driver.findOne({ where: { userId: req.user.id } });
+    if (!driver) {
+      return res.status(404).json({
+        success: false,
+        message: 'Driver not found'
+      });
+    }
+
+    const result = await requestDebtSettlement(driver, {
+      currency,
+      amountMinor: amount !== undefined ? toMinor(amount, currency) : undefined,
+      provider,
+      phoneNumber
+    });
+
+    if (!result.success) {
+      return res.status(result.code === 'provider_refused' ? 502 : 400).json({
+        success: false,
+        message: result.message,
+        data: result.payment ? { paymentId: result.payment.id, status: result.payment.status } : undefined
+      });
+    }
+
+    const { payment } = result;
+
+    res.status(200).json({
+      success: true,
+      message: 'Confirm the payment on your phone to settle your debt',
+      data: {
+        paymentId: payment.id,
+        reference: payment.transactionReference,
+        amount: payment.amount,
+        currency: payment.currency,
+        status: payment.status
+      }
+    });
+  } catch (error) {
+    console.error('Settle driver debt error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error settling driver debt',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
 /**
  * Get driver details
  * @route GET /api/drivers/:id
@@ -264,7 +372,7 @@ exports.getDriverById = async (req, res) => {
         {
           model: User,
           as: 'user',
-          attributes: ['id', 'firstName', 'lastName', 'email', 'phoneNumber', 'rating', 'walletBalance']
+          attributes: ['id', 'firstName', 'lastName', 'email', 'phoneNumber', 'rating']
         }
       ]
     });
@@ -298,7 +406,10 @@ exports.getDriverById = async (req, res) => {
     // Return full info for admin or the driver
     res.status(200).json({
       success: true,
-      data: driver
+      data: {
+        ...driver.toJSON(),
+        wallets: await getBalances(driver.userId)
+      }
     });
   } catch (error) {
     console.error('Get driver error:', error);
@@ -435,6 +546,58 @@ exports.updateVerificationStatus = async (req, res) => {
   }
 };
 
+/**
+ * Set the tier a driver's commission policies are chosen by (admin)
+ * @route PUT /api/drivers/tier/:driverId
+ */
+exports.updateDriverTier = async (req, res) => {
+  try {
+    const { driverId } = req.params;
+    const { tier } = req.body;
+
+    const driver = await Driver.findByPk(driverId);
+    if (!driver) {
+      return res.status(404).json({
+        success: false,
+        message: 'Driver not found'
+      });
+    }
+
+    const previousData = { tier: driver.tier };
+
+    driver.tier = tier;
+    await driver.save();
+
+    await createAdminLog({
+      adminId: req.user.id,
+      action: 'user_update',
+      targetType: 'driver',
+      targetId: driver.id,
+      details: `Admin moved driver from the ${previousData.tier} to the ${tier} tier`,
+      previousData,
+      newData: { tier: driver.tier },
+      ipAddress: req.ip,
+      userAgent: req.headers['user-agent']
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Driver tier updated',
+      data: {
+        id: driver.id,
+        tier: driver.tier
+      }
+    });
+  } catch (error) {
+    console.error('Update driver tier error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating driver tier',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
 /**
  * Get driver trip history
  * @route GET /api/drivers/:id/trips
@@ -554,11 +717,12 @@ exports.getDriverEarnings = async (req, res) => {
         startDate.setHours(0, 0, 0, 0);
     }
 
-    // Get payments for the period
+    // Get trip payments and tips for the period; refunded ones still count for what the driver kept
     const payments = await Payment.findAll({
       where: {
         driverId: id,
-        status: 'completed',
+        transactionType: { [Op.in]: ['trip_payment', 'tip'] },
+        status: { [Op.in]: ['completed', 'refunded'] },
         createdAt: {
           [Op.gte]: startDate
         }
@@ -572,28 +736,42 @@ exports.getDriverEarnings = async (req, res) => {
       ]
     });
 
-    // Calculate total earnings and stats
-    const totalEarnings = payments.reduce((sum, payment) => sum + parseFloat(payment.driverAmount), 0);
-    const totalTrips = payments.length;
-    const totalDistance = payments.reduce((sum, payment) => {
+    // Calculate total earnings and stats in the base currency; tips are reported apart from fares
+    const tripPayments = payments.filter(payment => payment.transactionType === 'trip_payment');
+    const tips = payments.filter(payment => payment.transactionType === 'tip');
+    const tripEarningsMinor = tripPayments.reduce((sum, payment) => sum + driverEarningsMinor(payment), 0);
+    const tipEarningsMinor = tips.reduce((sum, payment) => sum + driverEarningsMinor(payment), 0);
+    const tripEarnings = fromMinor(tripEarningsMinor, BASE_CURRENCY);
+    const tipEarnings = fromMinor(tipEarningsMinor, BASE_CURRENCY);
+    const totalEarnings = fromMinor(tripEarningsMinor + tipEarningsMinor, BASE_CURRENCY);
+    const totalTrips = tripPayments.length;
+    const totalDistance = tripPayments.reduce((sum, payment) => {
       return sum + (payment.trip.actualDistance || 0);
     }, 0);
 
     // Group earnings by day
-    const earningsByDay = {};
+    const earningsByDayMinor = {};
     payments.forEach(payment => {
       const date = payment.createdAt.toISOString().split('T')[0];
-      if (!earningsByDay[date]) {
-        earningsByDay[date] = 0;
+      if (!earningsByDayMinor[date]) {
+        earningsByDayMinor[date] = 0;
       }
-      earningsByDay[date] += parseFloat(payment.driverAmount);
+      earningsByDayMinor[date] += driverEarningsMinor(payment);
+    });
+    const earningsByDay = {};
+    Object.keys(earningsByDayMinor).forEach(date => {
+      earningsByDay[date] = fromMinor(earningsByDayMinor[date], BASE_CURRENCY);
     });
 
     res.status(200).json({
       success: true,
       data: {
         period,
+        currency: BASE_CURRENCY,
         totalEarnings,
+        tripEarnings,
+        tipEarnings,
+        totalTips: tips.length,
         totalTrips,
         totalDistance,
         earningsByDay,
@@ -716,3 +894,23 @@ exports.updateVehicleInfo = async (req, res) => {
     });
   }
 };
+
+/**
+ * What the driver kept of a trip payment or tip, in minor units of the base currency
+ * Refunds take back the driver's share in proportion to the amount refunded
+ * @param {Object} payment - Completed or refunded payment
+ * @returns {number} Driver's share net of refunds
+ */
+function driverEarningsMinor(payment) {
+  // Payments from before multi-currency only carry the decimal share, which was in the base currency
+  const shareMinor = payment.basePlatformFeeMinor !== null
+    ? Number(payment.baseAmountMinor) - Number(payment.basePlatformFeeMinor)
+    : toMinor(payment.driverAmount, BASE_CURRENCY);
+  const refundedMinor = Number(payment.refundedAmountMinor || 0);
+
+  if (refundedMinor <= 0) {
+    return shareMinor;
+  }
+
+  return shareMinor - Math.round(shareMinor * refundedMinor / Number(payment.amountMinor));
+}
@@ -3,10 +3,17 @@
  * Handles payment processing, wallet operations, and transaction management
  */
 
-const { Payment, User, Trip, Driver, Notification } = require('../models');
+const { Payment, User, Trip, Driver, Notification, Withdrawal, FareSplit } = require('../models');
 const { createAdminLog } = require('../services/admin.service');
 const { checkFraudRisk } = require('../services/fraud.service');
-const { sendSMS } = require('../services/sms.service');
+const { buildTripPaymentAmounts, completeTripPayment } = require('../services/payment.service');
+const { toBaseMinor } = require('../services/currency.service');
+const mobileMoneyService = require('../services/mobileMoney.service');
+const { requestCardPayment } = require('../services/cardPayment.service');
+const { receiveWebhook } = require('../services/webhook.service');
+const { getDebtStatus, warnOnDebtThresholds } = require('../services/driverDebt.service');
+const { payFareShare } = require('../services/fareSplit.service');
+const { BASE_CURRENCY, isSupportedCurrency, toMinor, fromMinor, formatMoney } = require('../utils/money');
 const { Op } = require('sequelize');
 const { io } = require('../server');
 
@@ -16,7 +23,7 @@ const { io } = require('../server');
  */
 exports.processPayment = async (req, res) => {
   try {
-    const { tripId, paymentMethod, transactionReference } = req.body;
+    const { tripId, paymentMethod, transactionReference, provider, phoneNumber } = req.body;
     
     if (!tripId || !paymentMethod) {
       return res.status(400).json({
@@ -60,23 +67,32 @@ exports.processPayment = async (req, res) => {
       });
     }
 
+    // A split fare is paid share by share; here the owner pays theirs and those left unpaid
+    const split = await FareSplit.findOne({ where: { tripId } });
+    if (split && split.status !== 'settled') {
+      return payOwnerShares(res, trip, split, { paymentMethod, provider, phoneNumber });
+    }
+
+    // Cash is settled between rider and driver; a rider cannot switch a trip booked otherwise to it
+    if (paymentMethod === 'cash' && trip.paymentMethod !== 'cash') {
+      return res.status(400).json({
+        success: false,
+        message: `This trip was booked to be paid by ${trip.paymentMethod}; it cannot be paid in cash`
+      });
+    }
+
     // Check if payment already exists
     let payment = await Payment.findOne({
-      where: { tripId }
+      where: { tripId, transactionType: 'trip_payment' }
     });
 
     if (!payment) {
-      // Create new payment record
-      const platformFee = parseFloat(trip.finalPrice) * 0.2; // 20% platform fee
-      const driverAmount = parseFloat(trip.finalPrice) - platformFee;
-      
+      // Create new payment record in the currency the trip was booked in
       payment = await Payment.create({
         tripId: trip.id,
         clientId: trip.clientId,
         driverId: trip.driverId,
-        amount: trip.finalPrice,
-        platformFee,
-        driverAmount,
+        ...(await buildTripPaymentAmounts(trip, trip.driver)),
         paymentMethod,
         status: 'pending',
         transactionReference,
@@ -88,65 +104,122 @@ exports.processPayment = async (req, res) => {
         message: 'Payment has already been processed for this trip'
       });
     } else {
-      // Update existing payment record
-      payment.paymentMethod = paymentMethod;
-      payment.transactionReference = transactionReference;
-      payment.status = 'pending';
-      payment.paymentInitiatedAt = new Date();
-      await payment.save();
+      // Update existing payment record; payments recorded before minor units get them now
+      const changes = {
+        paymentMethod,
+        transactionReference,
+        status: 'pending',
+        paymentInitiatedAt: new Date()
+      };
+      if (payment.amountMinor === null) {
+        Object.assign(changes, await buildTripPaymentAmounts(trip, trip.driver));
+      }
+
+      // Guarded on status so a payment another request has just started is not put back to pending
+      const [updated] = await Payment.update(changes, {
+        where: {
+          id: payment.id,
+          status: { [Op.in]: ['pending', 'failed'] }
+        }
+      });
+
+      if (!updated) {
+        return res.status(409).json({
+          success: false,
+          message: 'Payment is already being processed; wait for its confirmation'
+        });
+      }
+
+      await payment.reload();
     }
 
     // Process payment based on method
     switch (paymentMethod) {
-      case 'cash':
-        // Mark as completed immediately for cash payments
-        payment.status = 'completed';
-        payment.paymentCompletedAt = new Date();
-        await payment.save();
-        break;
-        
-      case 'wallet':
-        // Check wallet balance
-        const client = await User.findByPk(trip.clientId);
-        
-        if (parseFloat(client.walletBalance) < parseFloat(trip.finalPrice)) {
+      case 'cash': {
+        // Completed immediately; the platform fee the driver kept is charged to their wallet or owed as debt
+        const { totalBaseMinor } = await getDebtStatus(trip.driver.userId);
+        const cashResult = await completeTripPayment(payment, trip.driver.userId);
+
+        if (!cashResult.success) {
           return res.status(400).json({
             success: false,
-            message: 'Insufficient wallet balance'
+            message: cashResult.message
           });
         }
-        
-        // Process wallet payment
-        client.walletBalance = parseFloat(client.walletBalance) - parseFloat(trip.finalPrice);
-        await client.save();
-        
-        // Add to driver wallet
-        if (trip.driver && trip.driver.user) {
-          const driver = trip.driver.user;
-          driver.walletBalance = parseFloat(driver.walletBalance) + parseFloat(payment.driverAmount);
-          await driver.save();
-        }
-        
-        // Update payment status
-        payment.status = 'completed';
-        payment.paymentCompletedAt = new Date();
-        await payment.save();
+
+        await warnOnDebtThresholds(trip.driver.userId, totalBaseMinor);
         break;
+      }
         
       case 'mobile_money':
-      case 'card':
-        // For mobile money and card payments, we would integrate with payment gateway
-        // This is a placeholder for the actual implementation
-        
-        // In a real implementation, we would:
-        // 1. Call the payment gateway API
-        // 2. Process the payment
-        // 3. Update the payment status based on the response
-        
-        // For demo purposes, we'll simulate a successful payment
-        payment.status = 'completed';
-        payment.paymentCompletedAt = new Date();
-        await payment.save();
+        // Push the payment to the client's phone; it completes when the operator confirms it
+        const request = await mobileMoneyService.requestMobileMoneyPayment(payment, {
+          provider,
+          phoneNumber: phoneNumber || trip.client.phoneNumber
+        });
+
+        if (!request.success) {
+          return res.status(400).json({
+            success: false,
+            message: request.message
+          });
+        }
+
+        return res.status(202).json({
+          success: true,
+          message: 'Payment request sent to your phone. Confirm it to complete the payment.',
+          data: {
+            payment: {
+              id: payment.id,
+              tripId: payment.tripId,
+              amount: payment.amount,
+              currency: payment.currency,
+              status: payment.status,
+              method: payment.paymentMethod,
+              provider: payment.mobileMoneyProvider,
+              reference: payment.transactionReference
+            }
+          }
+        });
+
+      case 'card': {
+        // Open a payment intent; the payment completes when the card processor confirms the charge
+        const cardRequest = await requestCardPayment(payment);
+
+        if (!cardRequest.success) {
+          return res.status(400).json({
+            success: false,
+            message: cardRequest.message
+          });
+        }
+
+        return res.status(202).json({
+          success: true,
+          message: 'Card payment started. Confirm it with the card processor to complete the payment.',
+          data: {
+            payment: {
+              id: payment.id,
+              tripId: payment.tripId,
+              amount: payment.amount,
+              currency: payment.currency,
+              status: payment.status,
+              method: payment.paymentMethod
+            },
+            clientSecret: cardRequest.clientSecret
+          }
+        });
+      }
+
+      case 'wallet':
+        // Debit the client's wallet in the payment's currency and credit the driver's share
+        const result = await completeTripPayment(payment, trip.driver.user.id);
+
+        if (!result.success) {
+          return res.status(400).json({
+            success: false,
+            message: result.message
+          });
+        }
         break;
         
       default:
@@ -161,7 +234,7 @@ exports.processPayment = async (req, res) => {
       userId: trip.clientId,
       type: 'payment_processed',
       title: 'Payment Processed',
-      message: `Your payment of ${payment.amount} for the trip has been processed successfully.`,
+      message: `Your payment of ${formatMoney(payment.amountMinor, payment.currency)} for the trip has been processed successfully.`,
       data: { tripId: trip.id, paymentId: payment.id },
       channel: 'app',
       priority: 'medium'
@@ -172,7 +245,7 @@ exports.processPayment = async (req, res) => {
         userId: trip.driver.user.id,
         type: 'payment_received',
         title: 'Payment Received',
-        message: `You've received ${payment.driverAmount} for your trip.`,
+        message: `You've received ${formatMoney(payment.driverAmountMinor, payment.currency)} for your trip.`,
         data: { tripId: trip.id, paymentId: payment.id },
         channel: 'app',
         priority: 'medium'
@@ -206,6 +279,7 @@ exports.processPayment = async (req, res) => {
           amount: payment.amount,
           driverAmount: payment.driverAmount,
           platformFee: payment.platformFee,
+          currency: payment.currency,
           status: payment.status,
           method: payment.paymentMethod,
           completedAt: payment.paymentCompletedAt
@@ -228,7 +302,7 @@ exports.processPayment = async (req, res) => {
  */
 exports.addToWallet = async (req, res) => {
   try {
-    const { amount, paymentMethod, transactionReference } = req.body;
+    const { amount, paymentMethod, transactionReference, provider, phoneNumber, currency = BASE_CURRENCY } = req.body;
     
     if (!amount || amount <= 0) {
       return res.status(400).json({
@@ -237,6 +311,13 @@ exports.addToWallet = async (req, res) => {
       });
     }
 
+    if (!isSupportedCurrency(currency)) {
+      return res.status(400).json({
+        success: false,
+        message: `Unsupported currency: ${currency}`
+      });
+    }
+
     if (!paymentMethod) {
       return res.status(400).json({
         success: false,
@@ -254,9 +335,14 @@ exports.addToWallet = async (req, res) => {
     }
 
     // Create wallet transaction
+    const amountMinor = toMinor(amount, currency);
     const walletTransaction = await Payment.create({
       clientId: user.id,
-      amount,
+      amount: fromMinor(amountMinor, currency),
+      amountMinor,
+      currency,
+      baseCurrency: BASE_CURRENCY,
+      baseAmountMinor: await toBaseMinor(amountMinor, currency),
       paymentMethod,
       transactionReference,
       transactionType: 'wallet_deposit',
@@ -264,46 +350,6 @@ exports.addToWallet = async (req, res) => {
       paymentInitiatedAt: new Date()
     });
 
-    // Process payment based on method
-    switch (paymentMethod) {
-      case 'mobile_money':
-      case 'card':
-        // For mobile money and card payments, we would integrate with payment gateway
-        // This is a placeholder for the actual implementation
-        
-        // In a real implementation, we would:
-        // 1. Call the payment gateway API
-        // 2. Process the payment
-        // 3. Update the transaction status based on the response
-        
-        // For demo purposes, we'll simulate a successful payment
-        walletTransaction.status = 'completed';
-        walletTransaction.paymentCompletedAt = new Date();
-        await walletTransaction.save();
-        
-        // Update user wallet balance
-        user.walletBalance = parseFloat(user.walletBalance) + parseFloat(amount);
-        await user.save();
-        break;
-        
-      default:
-        return res.status(400).json({
-          success: false,
-          message: 'Unsupported payment method for wallet deposit'
-        });
-    }
-
-    // Create notification
-    await Notification.create({
-      userId: user.id,
-      type: 'wallet_update',
-      title: 'Wallet Deposit',
-      message: `${amount} has been added to your wallet.`,
-      data: { paymentId: walletTransaction.id },
-      channel: 'app',
-      priority: 'medium'
-    });
-
     // Check for potential fraud (unusual deposit patterns)
     const recentDeposits = await Payment.findAll({
       where: {
@@ -316,7 +362,11 @@ exports.addToWallet = async (req, res) => {
       }
     });
 
-    const totalRecentDeposits = recentDeposits.reduce((sum, deposit) => sum + parseFloat(deposit.amount), 0);
+    // Deposits in different currencies are compared in the base currency
+    const totalRecentDeposits = fromMinor(
+      recentDeposits.reduce((sum, deposit) => sum + Number(deposit.baseAmountMinor || 0), 0),
+      BASE_CURRENCY
+    );
     
     if (recentDeposits.length >= 5 || totalRecentDeposits > 1000) {
       await checkFraudRisk(user.id, 'unusual_wallet_activity', {
@@ -326,20 +376,71 @@ exports.addToWallet = async (req, res) => {
       });
     }
 
-    res.status(200).json({
-      success: true,
-      message: 'Funds added to wallet successfully',
-      data: {
-        transaction: {
-          id: walletTransaction.id,
-          amount: walletTransaction.amount,
-          status: walletTransaction.status,
-          method: walletTransaction.paymentMethod,
-          completedAt: walletTransaction.paymentCompletedAt
-        },
-        walletBalance: user.walletBalance
+    // Process payment based on method
+    switch (paymentMethod) {
+      case 'mobile_money':
+        // Push the deposit to the user's phone; the wallet is credited when the operator confirms it
+        const request = await mobileMoneyService.requestMobileMoneyPayment(walletTransaction, {
+          provider,
+          phoneNumber: phoneNumber || user.phoneNumber
+        });
+
+        if (!request.success) {
+          return res.status(400).json({
+            success: false,
+            message: request.message
+          });
+        }
+
+        return res.status(202).json({
+          success: true,
+          message: 'Deposit request sent to your phone. Confirm it to top up your wallet.',
+          data: {
+            transaction: {
+              id: walletTransaction.id,
+              amount: walletTransaction.amount,
+              currency,
+              status: walletTransaction.status,
+              method: walletTransaction.paymentMethod,
+              provider: walletTransaction.mobileMoneyProvider,
+              reference: walletTransaction.transactionReference
+            }
+          }
+        });
+
+      case 'card': {
+        // Open a payment intent; the wallet is credited when the card processor confirms the charge
+        const cardRequest = await requestCardPayment(walletTransaction);
+
+        if (!cardRequest.success) {
+          return res.status(400).json({
+            success: false,
+            message: cardRequest.message
+          });
+        }
+
+        return res.status(202).json({
+          success: true,
+          message: 'Card deposit started. Confirm it with the card processor to top up your wallet.',
+          data: {
+            transaction: {
+              id: walletTransaction.id,
+              amount: walletTransaction.amount,
+              currency,
+              status: walletTransaction.status,
+              method: walletTransaction.paymentMethod
+            },
+            clientSecret: cardRequest.clientSecret
+          }
+        });
       }
-    });
+
+      default:
+        return res.status(400).json({
+          success: false,
+          message: 'Unsupported payment method for wallet deposit'
+        });
+    }
   } catch (error) {
     console.error('Add to wallet error:', error);
     res.status(500).json({
@@ -356,19 +457,15 @@ exports.addToWallet = async (req, res) => {
  */
 exports.withdrawFromWallet = async (req, res) => {
   try {
-    const { amount, bankAccount, bankName } = req.body;
-    
-    if (!amount || amount <= 0) {
-      return res.status(400).json({
-        success: false,
-        message: 'Valid amount is required'
-      });
-    }
+    const {
+      amount, currency = BASE_CURRENCY, withdrawalMethod, accountName,
+      bankName, bankAccount, mobileMoneyProvider, mobileMoneyNumber
+    } = req.body;
 
-    if (!bankAccount || !bankName) {
+    if (!isSupportedCurrency(currency)) {
       return res.status(400).json({
         success: false,
-        message: 'Bank account and bank name are required'
+        message: `Unsupported currency: ${currency}`
       });
     }
 
@@ -393,46 +490,41 @@ exports.withdrawFromWallet = async (req, res) => {
       });
     }
 
-    // Check wallet balance
-    if (parseFloat(user.walletBalance) < parseFloat(amount)) {
+    // Record the withdrawal and hold the amount out of the wallet until it is paid out
+    const amountMinor = toMinor(amount, currency);
+    let withdrawal;
+    let balanceMinor;
+
+    try {
+      ({ withdrawal, balanceMinor } = await requestWithdrawal(driver, {
+        amountMinor,
+        currency,
+        method: withdrawalMethod,
+        accountName: accountName || `${user.firstName} ${user.lastName}`,
+        bankName,
+        bankAccount,
+        mobileMoneyProvider,
+        mobileMoneyNumber
+      }));
+    } catch (error) {
+      if (error.code !== 'insufficient_funds') {
+        throw error;
+      }
       return res.status(400).json({
         success: false,
-        message: 'Insufficient wallet balance'
+        message: error.message
       });
     }
 
-    // Create withdrawal transaction
-    const withdrawalTransaction = await Payment.create({
-      driverId: driver.id,
-      amount,
-      transactionType: 'wallet_withdrawal',
-      status: 'pending',
-      paymentInitiatedAt: new Date(),
-      paymentDetails: JSON.stringify({
-        bankName,
-        bankAccount,
-        requestedAt: new Date()
-      })
-    });
-
-    // In a real implementation, we would:
-    // 1. Initiate a bank transfer
-    // 2. Update the transaction status based on the response
-    
-    // For demo purposes, we'll simulate a pending withdrawal
-    // that will be processed by an admin
-    
-    // Deduct from user wallet balance
-    user.walletBalance = parseFloat(user.walletBalance) - parseFloat(amount);
-    await user.save();
+    const destination = withdrawalMethod === 'bank' ? bankName : `${mobileMoneyProvider} ${mobileMoneyNumber}`;
 
     // Create notification for user
     await Notification.create({
       userId: user.id,
-      type: 'wallet_update',
-      title: 'Withdrawal Initiated',
-      message: `Your withdrawal request for ${amount} has been initiated and is being processed.`,
-      data: { paymentId: withdrawalTransaction.id },
+      type: 'account_update',
+      title: 'Withdrawal Requested',
+      message: `Your withdrawal request for ${formatMoney(amountMinor, currency)} has been received and will be paid out once approved.`,
+      data: { withdrawalId: withdrawal.id, reference: withdrawal.reference },
       channel: 'app',
       priority: 'medium'
     });
@@ -447,8 +539,8 @@ exports.withdrawFromWallet = async (req, res) => {
         userId: admin.id,
         type: 'system_alert',
         title: 'Withdrawal Request',
-        message: `Driver ${driver.id} has requested a withdrawal of ${amount} to ${bankName}.`,
-        data: { paymentId: withdrawalTransaction.id, driverId: driver.id },
+        message: `Driver ${driver.id} has requested a withdrawal of ${formatMoney(amountMinor, currency)} to ${destination}.`,
+        data: { withdrawalId: withdrawal.id, driverId: driver.id },
         channel: 'app',
         priority: 'medium'
       });
@@ -458,13 +550,16 @@ exports.withdrawFromWallet = async (req, res) => {
       success: true,
       message: 'Withdrawal request submitted successfully',
       data: {
-        transaction: {
-          id: withdrawalTransaction.id,
-          amount: withdrawalTransaction.amount,
-          status: withdrawalTransaction.status,
-          initiatedAt: withdrawalTransaction.paymentInitiatedAt
+        withdrawal: {
+          id: withdrawal.id,
+          reference: withdrawal.reference,
+          amount: withdrawal.amount,
+          currency,
+          method: withdrawal.method,
+          status: withdrawal.status,
+          requestedAt: withdrawal.createdAt
         },
-        walletBalance: user.walletBalance
+        walletBalance: fromMinor(balanceMinor, currency)
       }
     });
   } catch (error) {
@@ -478,129 +573,135 @@ exports.withdrawFromWallet = async (req, res) => {
 };
 
 /**
- * Process withdrawal (admin only)
- * @route PATCH /api/payments/:id/process-withdrawal
+ * Approve a withdrawal for the next payout batch, or reject it and return the amount to the wallet (admin only)
+ * @route PUT /api/payments/withdrawals/:withdrawalId/process
  */
 exports.processWithdrawal = async (req, res) => {
   try {
-    const { id } = req.params;
-    const { status, notes } = req.body;
-    
-    if (!status || !['completed', 'rejected'].includes(status)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Valid status (completed or rejected) is required'
-      });
-    }
+    const { withdrawalId } = req.params;
+    const { status, notes, rejectionReason } = req.body;
 
-    // Check if user is admin
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({
-        success: false,
-        message: 'Only admins can process withdrawals'
-      });
-    }
+    const existing = await Withdrawal.findByPk(withdrawalId);
+    const previousData = existing ? { ...existing.toJSON() } : null;
 
-    // Find the withdrawal transaction
-    const withdrawal = await Payment.findByPk(id, {
-      include: [
-        { 
-          model: Driver, 
-          as: 'driver',
-          include: [{ model: User, as: 'user' }]
-        }
-      ]
+    const result = await reviewWithdrawal(withdrawalId, {
+      status,
+      notes,
+      rejectionReason,
+      adminId: req.user.id
     });
 
-    if (!withdrawal || withdrawal.transactionType !== 'wallet_withdrawal') {
-      return res.status(404).json({
+    if (!result.success) {
+      return res.status(result.code === 'not_found' ? 404 : 400).json({
         success: false,
-        message: 'Withdrawal transaction not found'
+        message: result.message
       });
     }
 
-    if (withdrawal.status !== 'pending') {
-      return res.status(400).json({
+    const { withdrawal } = result;
+
+    // Create admin log
+    await createAdminLog({
+      adminId: req.user.id,
+      action: 'withdrawal_review',
+      targetType: 'withdrawal',
+      targetId: withdrawal.id,
+      details: `Admin ${status} withdrawal ${withdrawal.reference}. ${status === 'rejected' ? `Reason: ${rejectionReason}` : ''}`.trim(),
+      previousData,
+      newData: withdrawal.toJSON(),
+      ipAddress: req.ip,
+      userAgent: req.headers['user-agent']
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Withdrawal ${status} successfully`,
+      data: {
+        id: withdrawal.id,
+        reference: withdrawal.reference,
+        amount: withdrawal.amount,
+        currency: withdrawal.currency,
+        status: withdrawal.status,
+        reviewedAt: withdrawal.reviewedAt
+      }
+    });
+  } catch (error) {
+    console.error('Process withdrawal error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error processing withdrawal',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Refund all or part of a completed trip payment (admin only)
+ * @route POST /api/payments/:paymentId/refund
+ */
+exports.refundPayment = async (req, res) => {
+  try {
+    const { paymentId } = req.params;
+    const { amount, destination, reason } = req.body;
+
+    const payment = await Payment.findByPk(paymentId);
+
+    if (!payment) {
+      return res.status(404).json({
         success: false,
-        message: `Withdrawal has already been ${withdrawal.status}`
+        message: 'Payment not found'
       });
     }
 
-    // Store previous data for admin log
-    const previousData = { ...withdrawal.toJSON() };
+    const previousData = { ...payment.toJSON() };
 
-    // Update withdrawal status
-    withdrawal.status = status;
-    withdrawal.paymentCompletedAt = status === 'completed' ? new Date() : null;
-    
-    // Update payment details
-    const paymentDetails = JSON.parse(withdrawal.paymentDetails || '{}');
-    paymentDetails.processedAt = new Date();
-    paymentDetails.processedBy = req.user.id;
-    paymentDetails.notes = notes;
-    withdrawal.paymentDetails = JSON.stringify(paymentDetails);
-    
-    await withdrawal.save();
-
-    // If rejected, refund the amount to the driver's wallet
-    if (status === 'rejected' && withdrawal.driver && withdrawal.driver.user) {
-      const driver = withdrawal.driver.user;
-      driver.walletBalance = parseFloat(driver.walletBalance) + parseFloat(withdrawal.amount);
-      await driver.save();
-    }
+    const result = await refundPayment(payment.id, {
+      amountMinor: amount !== undefined ? toMinor(amount, payment.currency) : undefined,
+      destination,
+      reason,
+      adminId: req.user.id
+    });
 
-    // Create notification for driver
-    if (withdrawal.driver && withdrawal.driver.user) {
-      await Notification.create({
-        userId: withdrawal.driver.user.id,
-        type: 'wallet_update',
-        title: status === 'completed' ? 'Withdrawal Completed' : 'Withdrawal Rejected',
-        message: status === 'completed' 
-          ? `Your withdrawal of ${withdrawal.amount} has been processed successfully.` 
-          : `Your withdrawal of ${withdrawal.amount} has been rejected. Reason: ${notes || 'Not specified'}. The amount has been refunded to your wallet.`,
-        data: { paymentId: withdrawal.id },
-        channel: 'app',
-        priority: 'high'
+    if (!result.success) {
+      return res.status(result.code === 'provider_refused' ? 502 : (result.code === 'insufficient_funds' ? 409 : 400)).json({
+        success: false,
+        message: result.message
       });
-
-      // Send SMS notification
-      await sendSMS(
-        withdrawal.driver.user.phoneNumber,
-        status === 'completed' 
-          ? `Votre retrait de ${withdrawal.amount} a été traité avec succès.` 
-          : `Votre retrait de ${withdrawal.amount} a été rejeté. Raison: ${notes || 'Non spécifiée'}. Le montant a été remboursé sur votre portefeuille.`,
-        withdrawal.driver.user.preferredLanguage || 'fr'
-      );
     }
 
-    // Create admin log
+    const { refund } = result;
+
     await createAdminLog({
       adminId: req.user.id,
-      action: status === 'completed' ? 'withdrawal_approve' : 'withdrawal_reject',
+      action: 'payment_refund',
       targetType: 'payment',
-      targetId: withdrawal.id,
-      details: `Admin ${status === 'completed' ? 'approved' : 'rejected'} withdrawal. ${notes ? `Notes: ${notes}` : ''}`,
+      targetId: payment.id,
+      details: `Admin refunded ${formatMoney(refund.amountMinor, refund.currency)} to ${refund.method}. Reason: ${reason}`,
       previousData,
-      newData: withdrawal.toJSON(),
+      newData: { ...result.payment.toJSON(), refund: refund.toJSON() },
       ipAddress: req.ip,
       userAgent: req.headers['user-agent']
     });
 
     res.status(200).json({
       success: true,
-      message: `Withdrawal ${status === 'completed' ? 'processed' : 'rejected'} successfully`,
+      message: 'Payment refunded successfully',
       data: {
-        id: withdrawal.id,
-        amount: withdrawal.amount,
-        status: withdrawal.status,
-        processedAt: withdrawal.paymentCompletedAt
+        refund,
+        payment: {
+          id: result.payment.id,
+          status: result.payment.status,
+          amount: result.payment.amount,
+          refundedAmount: result.payment.refundedAmount,
+          currency: result.payment.currency
+        }
       }
     });
   } catch (error) {
-    console.error('Process withdrawal error:', error);
+    console.error('Refund payment error:', error);
     res.status(500).json({
       success: false,
-      message: 'Error processing withdrawal',
+      message: 'Error refunding payment',
       error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
@@ -781,3 +882,362 @@ exports.getPaymentById = async (req, res) => {
     });
   }
 };
+
+/**
+ * Start a mobile money payment for a trip's pending payment, or a wallet top-up
+ * @route POST /api/payments/mobile-money/initialize
+ */
+exports.initializeMobileMoneyPayment = async (req, res) => {
+  try {
+    const { tripId, amount, phoneNumber, provider, currency = BASE_CURRENCY } = req.body;
+
+    let payment;
+    if (tripId) {
+      // Trip payments are recorded when the trip completes; this pays the one still due
+      payment = await Payment.findOne({
+        where: {
+          tripId,
+          clientId: req.user.id,
+          transactionType: 'trip_payment',
+          status: { [Op.in]: ['pending', 'failed'] }
+        }
+      });
+
+      if (!payment) {
+        return res.status(404).json({
+          success: false,
+          message: 'No payment is due for this trip'
+        });
+      }
+
+      const split = await FareSplit.findOne({ where: { tripId } });
+      if (split) {
+        return res.status(409).json({
+          success: false,
+          message: 'The fare of this trip is split; pay your share of it instead'
+        });
+      }
+    } else {
+      const amountMinor = toMinor(amount, currency);
+      payment = await Payment.create({
+        clientId: req.user.id,
+        amount: fromMinor(amountMinor, currency),
+        amountMinor,
+        currency,
+        baseCurrency: BASE_CURRENCY,
+        baseAmountMinor: await toBaseMinor(amountMinor, currency),
+        paymentMethod: 'mobile_money',
+        transactionType: 'wallet_deposit',
+        status: 'pending'
+      });
+    }
+
+    const request = await mobileMoneyService.requestMobileMoneyPayment(payment, { provider, phoneNumber });
+
+    if (!request.success) {
+      return res.status(400).json({
+        success: false,
+        message: request.message
+      });
+    }
+
+    res.status(202).json({
+      success: true,
+      message: 'Payment request sent. Confirm it on your phone to complete the payment.',
+      data: {
+        payment: {
+          id: payment.id,
+          tripId: payment.tripId,
+          type: payment.transactionType,
+          amount: payment.amount,
+          currency: payment.currency,
+          status: payment.status,
+          provider: payment.mobileMoneyProvider,
+          reference: payment.transactionReference
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Initialize mobile money payment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error initializing mobile money payment',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Receive an operator's notification about a mobile money payment
+ * @route POST /api/payments/mobile-money/callback/:provider
+ */
+exports.mobileMoneyCallback = async (req, res) => {
+  try {
+    const { provider } = req.params;
+
+    const result = await receiveWebhook('mobile_money', provider, {
+      headers: req.headers,
+      rawBody: req.rawBody,
+      body: req.body,
+      ipAddress: req.ip
+    });
+
+    res.status(result.httpStatus).json({
+      success: result.httpStatus < 300,
+      message: result.message,
+      data: {
+        eventId: result.event.id,
+        status: result.event.status
+      }
+    });
+  } catch (error) {
+    console.error('Mobile money callback error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error handling mobile money callback',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Start a card payment for a trip's pending payment, or a wallet top-up
+ * @route POST /api/payments/card/initialize
+ */
+exports.initializeCardPayment = async (req, res) => {
+  try {
+    const { tripId, amount, currency = BASE_CURRENCY } = req.body;
+
+    let payment;
+    if (tripId) {
+      // Trip payments are recorded when the trip completes; this pays the one still due
+      payment = await Payment.findOne({
+        where: {
+          tripId,
+          clientId: req.user.id,
+          transactionType: 'trip_payment',
+          status: { [Op.in]: ['pending', 'failed'] }
+        }
+      });
+
+      if (!payment) {
+        return res.status(404).json({
+          success: false,
+          message: 'No payment is due for this trip'
+        });
+      }
+
+      const split = await FareSplit.findOne({ where: { tripId } });
+      if (split) {
+        return res.status(409).json({
+          success: false,
+          message: 'The fare of this trip is split; pay your share of it instead'
+        });
+      }
+    } else {
+      const amountMinor = toMinor(amount, currency);
+      payment = await Payment.create({
+        clientId: req.user.id,
+        amount: fromMinor(amountMinor, currency),
+        amountMinor,
+        currency,
+        baseCurrency: BASE_CURRENCY,
+        baseAmountMinor: await toBaseMinor(amountMinor, currency),
+        paymentMethod: 'card',
+        transactionType: 'wallet_deposit',
+        status: 'pending'
+      });
+    }
+
+    const request = await requestCardPayment(payment);
+
+    if (!request.success) {
+      return res.status(400).json({
+        success: false,
+        message: request.message
+      });
+    }
+
+    res.status(202).json({
+      success: true,
+      message: 'Card payment started. Confirm it with the card processor to complete the payment.',
+      data: {
+        payment: {
+          id: payment.id,
+          tripId: payment.tripId,
+          type: payment.transactionType,
+          amount: payment.amount,
+          currency: payment.currency,
+          status: payment.status
+        },
+        clientSecret: request.clientSecret
+      }
+    });
+  } catch (error) {
+    console.error('Initialize card payment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error initializing card payment',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Receive the card processor's (Stripe) event about a card payment
+ * @route POST /api/payments/card/callback
+ */
+exports.cardPaymentCallback = async (req, res) => {
+  try {
+    const result = await receiveWebhook('card', 'stripe', {
+      headers: req.headers,
+      rawBody: req.rawBody,
+      body: req.body,
+      ipAddress: req.ip
+    });
+
+    res.status(result.httpStatus).json({
+      success: result.httpStatus < 300,
+      message: result.message,
+      data: {
+        eventId: result.event.id,
+        status: result.event.status
+      }
+    });
+  } catch (error) {
+    console.error('Card payment callback error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error handling card payment callback',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Get the status of a mobile money payment, checking with the operator if still unconfirmed
+ * @route GET /api/payments/mobile-money/:paymentId/status
+ */
+exports.getMobileMoneyStatus = async (req, res) => {
+  try {
+    const { paymentId } = req.params;
+
+    const payment = await Payment.findByPk(paymentId);
+
+    if (!payment || payment.paymentMethod !== 'mobile_money') {
+      return res.status(404).json({
+        success: false,
+        message: 'Mobile money payment not found'
+      });
+    }
+
+    if (req.user.role !== 'admin' && payment.clientId !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this payment'
+      });
+    }
+
+    await mobileMoneyService.refreshMobileMoneyPayment(payment);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        id: payment.id,
+        tripId: payment.tripId,
+        type: payment.transactionType,
+        amount: payment.amount,
+        currency: payment.currency,
+        status: payment.status,
+        provider: payment.mobileMoneyProvider,
+        reference: payment.transactionReference,
+        notes: payment.notes,
+        completedAt: payment.paymentCompletedAt
+      }
+    });
+  } catch (error) {
+    console.error('Get mobile money status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching mobile money payment status',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Pay the owner's shares of a split fare: their own and those other riders left unpaid past the deadline
+ * The trip payment completes once every share is collected
+ * @param {Object} res - Express response
+ * @param {Object} trip - Completed trip with its client
+ * @param {Object} split - Fare split still collecting
+ * @param {Object} method - paymentMethod, and provider and phoneNumber for mobile money
+ * @returns {Promise<Object>} Express response
+ */
+async function payOwnerShares(res, trip, split, { paymentMethod, provider, phoneNumber }) {
+  if (!['wallet', 'mobile_money'].includes(paymentMethod)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Shares of a split fare can only be paid by wallet or mobile money'
+    });
+  }
+
+  const result = await payFareShare(trip, split.ownerId, {
+    paymentMethod,
+    provider,
+    phoneNumber: phoneNumber || trip.client.phoneNumber
+  });
+
+  if (!result.success && result.code !== 'nothing_due') {
+    const status = {
+      payment_in_progress: 409,
+      provider_refused: 502
+    }[result.code] || 400;
+
+    return res.status(status).json({
+      success: false,
+      message: result.message
+    });
+  }
+
+  await split.reload();
+  const data = {
+    fareSplit: {
+      id: split.id,
+      status: split.status,
+      deadlineAt: split.deadlineAt
+    },
+    payment: result.payment ? {
+      id: result.payment.id,
+      tripId: result.payment.tripId,
+      amount: result.payment.amount,
+      currency: result.payment.currency,
+      status: result.payment.status,
+      method: result.payment.paymentMethod,
+      provider: result.payment.mobileMoneyProvider,
+      reference: result.payment.transactionReference
+    } : null
+  };
+
+  if (paymentMethod === 'mobile_money' && result.success) {
+    return res.status(202).json({
+      success: true,
+      message: 'Payment request for your share sent to your phone. Confirm it to complete the payment.',
+      data
+    });
+  }
+
+  if (split.status === 'settled') {
+    return res.status(200).json({
+      success: true,
+      message: 'Payment processed successfully',
+      data
+    });
+  }
+
+  return res.status(202).json({
+    success: true,
+    message: `Your share is paid. The trip is paid once every rider has paid theirs, or their shares are charged to you after ${split.deadlineAt.toISOString()}.`,
+    data
+  });
+}
@@ -0,0 +1,523 @@
+/**
+ * Pricing Controller for Taxi-Express
+ * Handles price estimates, locked fare quotes, surge pricing, rate cards and commission policies
+ */
+
+const pricingService = require('../services/pricing.service');
+const { issueQuote } = require('../services/quote.service');
+const { getSurgeHeatmap } = require('../services/surge.service');
+const { listRateCards, listRateCardHistory, publishRateCard } = require('../services/rateCard.service');
+const { listExchangeRates, publishExchangeRate } = require('../services/currency.service');
+const {
+  listCommissionPolicies,
+  createCommissionPolicy,
+  updateCommissionPolicy
+} = require('../services/commission.service');
+const { createAdminLog } = require('../services/admin.service');
+const { Trip, Driver } = require('../models');
+
+/**
+ * Calculate a trip price estimate and lock it in a signed quote token
+ * The token can be sent with the trip request to be charged the quoted fare
+ * @route POST /api/pricing/estimate
+ */
+exports.calculateTripPrice = async (req, res) => {
+  try {
+    const {
+      pickupLatitude, pickupLongitude, dropoffLatitude, dropoffLongitude,
+      estimatedDistance, estimatedDuration, vehicleType, city, promoCode,
+      stops = [], rideType, currency
+    } = req.body;
+
+    const itinerary = {
+      pickupLocation: { type: 'Point', coordinates: [pickupLongitude, pickupLatitude] },
+      dropoffLocation: { type: 'Point', coordinates: [dropoffLongitude, dropoffLatitude] },
+      estimatedDistance,
+      estimatedDuration,
+      vehicleType,
+      city,
+      rideType,
+      currency,
+      stops,
+      promoCode
+    };
+
+    // Signed-in clients get promotions applied and a quote reserved for their account
+    const clientId = req.user ? req.user.id : null;
+
+    const priceQuote = await pricingService.calculateTripPrice({
+      ...itinerary,
+      clientId
+    });
+
+    if (!priceQuote.success) {
+      return res.status(400).json({
+        success: false,
+        message: priceQuote.error || priceQuote.message
+      });
+    }
+
+    const quote = issueQuote(itinerary, priceQuote, clientId);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        totalPrice: priceQuote.charge.amount,
+        currency: priceQuote.charge.currency,
+        baseTotalPrice: priceQuote.totalPrice,
+        baseCurrency: priceQuote.currency,
+        exchangeRate: priceQuote.charge.exchangeRate,
+        surgeFactor: priceQuote.surgeFactor,
+        discountAmount: priceQuote.discountAmount,
+        appliedPromotion: priceQuote.appliedPromotion,
+        breakdown: priceQuote.breakdown,
+        quote
+      }
+    });
+  } catch (error) {
+    console.error('Calculate trip price error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error calculating trip price',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Get the surge heatmap: current multiplier per grid cell
+ * Accepts an optional bounding box to limit the cells returned
+ * @route GET /api/pricing/surge
+ */
+exports.getSurgePricing = async (req, res) => {
+  try {
+    const { minLat, minLng, maxLat, maxLng } = req.query;
+
+    let bounds = null;
+    if ([minLat, minLng, maxLat, maxLng].every(value => value !== undefined)) {
+      bounds = {
+        minLat: parseFloat(minLat),
+        minLng: parseFloat(minLng),
+        maxLat: parseFloat(maxLat),
+        maxLng: parseFloat(maxLng)
+      };
+
+      if (Object.values(bounds).some(isNaN)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid bounding box'
+        });
+      }
+    }
+
+    const heatmap = await getSurgeHeatmap(bounds);
+
+    res.status(200).json({
+      success: true,
+      data: heatmap
+    });
+  } catch (error) {
+    console.error('Get surge pricing error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching surge pricing',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Get the rate cards in force, and those scheduled to take over later
+ * @route GET /api/pricing/rates
+ */
+exports.getPricingRates = async (req, res) => {
+  try {
+    const { city } = req.query;
+
+    const rateCards = await listRateCards(city);
+
+    res.status(200).json({
+      success: true,
+      data: rateCards
+    });
+  } catch (error) {
+    console.error('Get pricing rates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching pricing rates',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Get every published rate card version, newest first (admin)
+ * @route GET /api/pricing/history
+ */
+exports.getPricingHistory = async (req, res) => {
+  try {
+    const { city, vehicleType } = req.query;
+
+    const rateCards = await listRateCardHistory({ city, vehicleType });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        rateCards
+      }
+    });
+  } catch (error) {
+    console.error('Get pricing history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching pricing history',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Publish a new rate card version for a city and vehicle class (admin)
+ * Trips already priced keep the version they were quoted with
+ * @route PUT /api/pricing/rates
+ */
+exports.updatePricingRates = async (req, res) => {
+  try {
+    const { effectiveFrom } = req.body;
+
+    // Past versions are the record of how existing trips were priced
+    if (effectiveFrom && new Date(effectiveFrom) < new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Rate cards cannot take effect in the past'
+      });
+    }
+
+    const result = await publishRateCard(req.body, req.user.id);
+
+    if (!result.success) {
+      return res.status(400).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    const { rateCard, previous } = result;
+
+    await createAdminLog({
+      adminId: req.user.id,
+      action: 'system_config',
+      targetType: 'system',
+      targetId: rateCard.id,
+      details: `Admin published rate card v${rateCard.version} for ${rateCard.vehicleType} in ${rateCard.city}`,
+      previousData: previous ? previous.toJSON() : null,
+      newData: rateCard.toJSON(),
+      ipAddress: req.ip,
+      userAgent: req.headers['user-agent']
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Rate card published',
+      data: {
+        rateCard
+      }
+    });
+  } catch (error) {
+    console.error('Update pricing rates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating pricing rates',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Get the exchange rates in force, and those scheduled to take over later
+ * @route GET /api/pricing/exchange-rates
+ */
+exports.getExchangeRates = async (req, res) => {
+  try {
+    const exchangeRates = await listExchangeRates();
+
+    res.status(200).json({
+      success: true,
+      data: exchangeRates
+    });
+  } catch (error) {
+    console.error('Get exchange rates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching exchange rates',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Publish a new exchange rate for a currency pair (admin)
+ * Trips already booked keep the rate they were quoted with
+ * @route PUT /api/pricing/exchange-rates
+ */
+exports.updateExchangeRate = async (req, res) => {
+  try {
+    const { effectiveFrom } = req.body;
+
+    // Past rates are the record of how existing trips and payments were converted
+    if (effectiveFrom && new Date(effectiveFrom) < new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Exchange rates cannot take effect in the past'
+      });
+    }
+
+    const result = await publishExchangeRate(req.body, req.user.id);
+
+    if (!result.success) {
+      return res.status(400).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    const { exchangeRate, previousRate } = result;
+
+    await createAdminLog({
+      adminId: req.user.id,
+      action: 'system_config',
+      targetType: 'system',
+      targetId: exchangeRate.id,
+      details: `Admin published exchange rate ${exchangeRate.baseCurrency}/${exchangeRate.quoteCurrency} at ${exchangeRate.rate}`,
+      previousData: previousRate !== null ? { rate: previousRate } : null,
+      newData: exchangeRate.toJSON(),
+      ipAddress: req.ip,
+      userAgent: req.headers['user-agent']
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Exchange rate published',
+      data: {
+        exchangeRate,
+        previousRate
+      }
+    });
+  } catch (error) {
+    console.error('Update exchange rate error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating exchange rate',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Get commission policies (admin)
+ * @route GET /api/pricing/commission-policies
+ */
+exports.getCommissionPolicies = async (req, res) => {
+  try {
+    const { city, includeInactive } = req.query;
+
+    const policies = await listCommissionPolicies({
+      city,
+      includeInactive: includeInactive === 'true'
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        policies
+      }
+    });
+  } catch (error) {
+    console.error('Get commission policies error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching commission policies',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Create a commission policy (admin)
+ * Applies to trips completed from then on; payments keep the snapshot of the policy they were made with
+ * @route POST /api/pricing/commission-policies
+ */
+exports.createCommissionPolicy = async (req, res) => {
+  try {
+    const result = await createCommissionPolicy(req.body, req.user.id);
+
+    if (!result.success) {
+      return res.status(400).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    const { policy } = result;
+
+    await createAdminLog({
+      adminId: req.user.id,
+      action: 'system_config',
+      targetType: 'system',
+      targetId: policy.id,
+      details: `Admin created commission policy "${policy.name}"`,
+      previousData: null,
+      newData: policy.toJSON(),
+      ipAddress: req.ip,
+      userAgent: req.headers['user-agent']
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Commission policy created',
+      data: {
+        policy
+      }
+    });
+  } catch (error) {
+    console.error('Create commission policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating commission policy',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Update or deactivate a commission policy (admin)
+ * @route PUT /api/pricing/commission-policies/:policyId
+ */
+exports.updateCommissionPolicy = async (req, res) => {
+  try {
+    const result = await updateCommissionPolicy(req.params.policyId, req.body);
+
+    if (!result.success) {
+      return res.status(result.code === 'not_found' ? 404 : 400).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    const { policy, previous } = result;
+
+    await createAdminLog({
+      adminId: req.user.id,
+      action: 'system_config',
+      targetType: 'system',
+      targetId: policy.id,
+      details: `Admin updated commission policy "${policy.name}"`,
+      previousData: previous,
+      newData: policy.toJSON(),
+      ipAddress: req.ip,
+      userAgent: req.headers['user-agent']
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Commission policy updated',
+      data: {
+        policy
+      }
+    });
+  } catch (error) {
+    console.error('Update commission policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating commission policy',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Get pricing statistics for completed trips over a period, the last 30 days by default (admin)
+ * @route GET /api/pricing/statistics
+ */
+exports.getPricingStatistics = async (req, res) => {
+  try {
+    const endDate = req.query.endDate ? new Date(req.query.endDate) : new Date();
+    const startDate = req.query.startDate
+      ? new Date(req.query.startDate)
+      : new Date(endDate.getTime() - 30 * 24 * 60 * 60 * 1000);
+
+    if (isNaN(startDate) || isNaN(endDate) || startDate > endDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'startDate and endDate must be dates, startDate first'
+      });
+    }
+
+    const statistics = await pricingService.getPricingStatistics(startDate, endDate);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        startDate,
+        endDate,
+        ...statistics
+      }
+    });
+  } catch (error) {
+    console.error('Get pricing statistics error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching pricing statistics',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Calculate the driver's earnings for a trip; only its driver and admins can see them
+ * @route POST /api/pricing/driver-earnings
+ */
+exports.calculateDriverEarnings = async (req, res) => {
+  try {
+    const { tripId } = req.body;
+
+    const trip = await Trip.findByPk(tripId, {
+      include: [{ model: Driver, as: 'driver' }]
+    });
+
+    if (!trip || !trip.driver) {
+      return res.status(404).json({
+        success: false,
+        message: 'Trip not found'
+      });
+    }
+
+    if (req.user.role !== 'admin' && trip.driver.userId !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view the earnings of this trip'
+      });
+    }
+
+    const earnings = await pricingService.calculateDriverEarnings(tripId);
+
+    if (!earnings.success) {
+      return res.status(400).json({
+        success: false,
+        message: earnings.message
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: earnings
+    });
+  } catch (error) {
+    console.error('Calculate driver earnings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error calculating driver earnings',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
@@ -0,0 +1,257 @@
+/**
+ * Promotion Controller for Taxi-Express
+ * Handles promo code checks for clients and promotion management for admins
+ */
+
+const { Promotion, UsedPromotion } = require('../models');
+const { evaluatePromotion, getAvailablePromotions, normalizeCode } = require('../services/promotion.service');
+const { createAdminLog } = require('../services/admin.service');
+
+/**
+ * Check a promo code against an amount without consuming it
+ * @route POST /api/pricing/validate-promo
+ */
+exports.validatePromoCode = async (req, res) => {
+  try {
+    const { promoCode, amount, city, vehicleType } = req.body;
+
+    const result = await evaluatePromotion(promoCode, {
+      clientId: req.user.id,
+      subtotal: amount,
+      city,
+      vehicleType
+    });
+
+    if (!result.eligible) {
+      return res.status(400).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: result.message,
+      data: {
+        code: result.promotion.code,
+        description: result.promotion.description,
+        discountAmount: result.discountAmount,
+        totalAfterDiscount: Math.round((amount - result.discountAmount) * 100) / 100,
+        endDate: result.promotion.endDate
+      }
+    });
+  } catch (error) {
+    console.error('Validate promo code error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error validating promo code',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Get the promotions the signed-in client can currently use
+ * @route GET /api/pricing/promotions
+ */
+exports.getAvailablePromotions = async (req, res) => {
+  try {
+    const { city, vehicleType } = req.query;
+
+    const promotions = await getAvailablePromotions(req.user.id, { city, vehicleType });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        promotions: promotions.map(promotion => ({
+          code: promotion.code,
+          description: promotion.description,
+          discountType: promotion.discountType,
+          discountValue: promotion.discountValue,
+          maxDiscount: promotion.maxDiscount,
+          minSubtotal: promotion.minSubtotal,
+          cities: promotion.cities,
+          vehicleTypes: promotion.vehicleTypes,
+          endDate: promotion.endDate
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Get available promotions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching promotions',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Create a promotion (admin)
+ * @route POST /api/pricing/promotions
+ */
+exports.createPromotion = async (req, res) => {
+  try {
+    const code = normalizeCode(req.body.code);
+
+    const existing = await Promotion.findOne({ where: { code } });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: 'A promotion with this code already exists'
+      });
+    }
+
+    const promotion = await Promotion.create({
+      ...req.body,
+      code,
+      createdBy: req.user.id
+    });
+
+    await createAdminLog({
+      adminId: req.user.id,
+      action: 'system_config',
+      targetType: 'system',
+      targetId: promotion.id,
+      details: `Admin created promotion ${promotion.code}`,
+      newData: promotion.toJSON(),
+      ipAddress: req.ip,
+      userAgent: req.headers['user-agent']
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Promotion created successfully',
+      data: {
+        promotion
+      }
+    });
+  } catch (error) {
+    console.error('Create promotion error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating promotion',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Update a promotion (admin)
+ * @route PUT /api/pricing/promotions/:promoId
+ */
+exports.updatePromotion = async (req, res) => {
+  try {
+    const { promoId } = req.params;
+
+    const promotion = await Promotion.findByPk(promoId);
+    if (!promotion) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promotion not found'
+      });
+    }
+
+    const startDate = req.body.startDate || promotion.startDate;
+    const endDate = req.body.endDate || promotion.endDate;
+    if (new Date(endDate) <= new Date(startDate)) {
+      return res.status(400).json({
+        success: false,
+        message: 'End date must be after start date'
+      });
+    }
+
+    // A cap below what has already been redeemed would never let the code be used again
+    if (req.body.usageLimit && req.body.usageLimit < promotion.usageCount) {
+      return res.status(400).json({
+        success: false,
+        message: `Promotion has already been redeemed ${promotion.usageCount} times`
+      });
+    }
+
+    const previousData = promotion.toJSON();
+    await promotion.update(req.body);
+
+    await createAdminLog({
+      adminId: req.user.id,
+      action: 'system_config',
+      targetType: 'system',
+      targetId: promotion.id,
+      details: `Admin updated promotion ${promotion.code}`,
+      previousData,
+      newData: promotion.toJSON(),
+      ipAddress: req.ip,
+      userAgent: req.headers['user-agent']
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Promotion updated successfully',
+      data: {
+        promotion
+      }
+    });
+  } catch (error) {
+    console.error('Update promotion error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating promotion',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Delete a promotion (admin)
+ * Promotions that have been redeemed are deactivated instead, to keep the redemption history
+ * @route DELETE /api/pricing/promotions/:promoId
+ */
+exports.deletePromotion = async (req, res) => {
+  try {
+    const { promoId } = req.params;
+
+    const promotion = await Promotion.findByPk(promoId);
+    if (!promotion) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promotion not found'
+      });
+    }
+
+    const previousData = promotion.toJSON();
+    const redemptions = await UsedPromotion.count({ where: { promotionId: promotion.id } });
+
+    if (redemptions > 0) {
+      await promotion.update({ isActive: false });
+    } else {
+      await promotion.destroy();
+    }
+
+    await createAdminLog({
+      adminId: req.user.id,
+      action: 'system_config',
+      targetType: 'system',
+      targetId: promotion.id,
+      details: redemptions > 0
+        ? `Admin deactivated promotion ${promotion.code}`
+        : `Admin deleted promotion ${promotion.code}`,
+      previousData,
+      ipAddress: req.ip,
+      userAgent: req.headers['user-agent']
+    });
+
+    res.status(200).json({
+      success: true,
+      message: redemptions > 0
+        ? 'Promotion has been redeemed and was deactivated instead of deleted'
+        : 'Promotion deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete promotion error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting promotion',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
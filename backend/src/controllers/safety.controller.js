@@ -0,0 +1,417 @@
+/**
+ * Safety Controller for Taxi-Express
+ * Handles emergency contacts, safety case follow-up, and public live location links
+ */
+
+const { User, Driver, Trip, EmergencyContact, SafetyCase } = require('../models');
+const { acknowledgeCase, resolveCase } = require('../services/safety.service');
+const { createAdminLog } = require('../services/admin.service');
+
+// Maximum number of emergency contacts per user
+const MAX_EMERGENCY_CONTACTS = 5;
+
+/**
+ * Get the current user's emergency contacts
+ * @route GET /api/safety/contacts
+ */
+exports.getEmergencyContacts = async (req, res) => {
+  try {
+    const contacts = await EmergencyContact.findAll({
+      where: { userId: req.user.id },
+      order: [['createdAt', 'ASC']]
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        contacts
+      }
+    });
+  } catch (error) {
+    console.error('Get emergency contacts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching emergency contacts',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Add an emergency contact for the current user
+ * @route POST /api/safety/contacts
+ */
+exports.addEmergencyContact = async (req, res) => {
+  try {
+    const { name, phoneNumber, relationship, preferredLanguage } = req.body;
+
+    const count = await EmergencyContact.count({
+      where: { userId: req.user.id }
+    });
+
+    if (count >= MAX_EMERGENCY_CONTACTS) {
+      return res.status(400).json({
+        success: false,
+        message: `You can register at most ${MAX_EMERGENCY_CONTACTS} emergency contacts`
+      });
+    }
+
+    const existing = await EmergencyContact.findOne({
+      where: { userId: req.user.id, phoneNumber }
+    });
+
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: 'This phone number is already an emergency contact'
+      });
+    }
+
+    const contact = await EmergencyContact.create({
+      userId: req.user.id,
+      name,
+      phoneNumber,
+      relationship,
+      preferredLanguage
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Emergency contact added',
+      data: {
+        contact
+      }
+    });
+  } catch (error) {
+    console.error('Add emergency contact error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error adding emergency contact',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Remove one of the current user's emergency contacts
+ * @route DELETE /api/safety/contacts/:contactId
+ */
+exports.deleteEmergencyContact = async (req, res) => {
+  try {
+    const { contactId } = req.params;
+
+    const contact = await EmergencyContact.findOne({
+      where: { id: contactId, userId: req.user.id }
+    });
+
+    if (!contact) {
+      return res.status(404).json({
+        success: false,
+        message: 'Emergency contact not found'
+      });
+    }
+
+    await contact.destroy();
+
+    res.status(200).json({
+      success: true,
+      message: 'Emergency contact removed'
+    });
+  } catch (error) {
+    console.error('Delete emergency contact error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error removing emergency contact',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Get safety cases (admin)
+ * @route GET /api/safety/cases
+ */
+exports.getSafetyCases = async (req, res) => {
+  try {
+    const { status, tripId, page = 1, limit = 20 } = req.query;
+
+    const where = {};
+    if (status) where.status = status;
+    if (tripId) where.tripId = tripId;
+
+    // Calculate pagination
+    const offset = (page - 1) * limit;
+
+    const { count, rows: cases } = await SafetyCase.findAndCountAll({
+      where,
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      order: [['createdAt', 'DESC']],
+      include: [
+        {
+          model: User,
+          as: 'reporter',
+          attributes: ['id', 'firstName', 'lastName', 'phoneNumber']
+        }
+      ]
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        cases,
+        pagination: {
+          total: count,
+          page: parseInt(page),
+          limit: parseInt(limit),
+          pages: Math.ceil(count / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get safety cases error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching safety cases',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Get a safety case with its trip and parties (admin)
+ * @route GET /api/safety/cases/:caseId
+ */
+exports.getSafetyCaseById = async (req, res) => {
+  try {
+    const { caseId } = req.params;
+
+    const safetyCase = await SafetyCase.findByPk(caseId, {
+      include: [
+        {
+          model: User,
+          as: 'reporter',
+          attributes: ['id', 'firstName', 'lastName', 'phoneNumber']
+        },
+        {
+          model: Trip,
+          as: 'trip',
+          include: [
+            {
+              model: User,
+              as: 'client',
+              attributes: ['id', 'firstName', 'lastName', 'phoneNumber']
+            },
+            {
+              model: Driver,
+              as: 'driver',
+              include: [{
+                model: User,
+                as: 'user',
+                attributes: ['id', 'firstName', 'lastName', 'phoneNumber']
+              }]
+            }
+          ]
+        }
+      ]
+    });
+
+    if (!safetyCase) {
+      return res.status(404).json({
+        success: false,
+        message: 'Safety case not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        safetyCase
+      }
+    });
+  } catch (error) {
+    console.error('Get safety case error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching safety case',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Take charge of an open safety case (admin)
+ * @route PUT /api/safety/cases/:caseId/acknowledge
+ */
+exports.acknowledgeSafetyCase = async (req, res) => {
+  try {
+    const { caseId } = req.params;
+
+    const safetyCase = await SafetyCase.findByPk(caseId);
+
+    if (!safetyCase) {
+      return res.status(404).json({
+        success: false,
+        message: 'Safety case not found'
+      });
+    }
+
+    if (safetyCase.status !== 'open') {
+      return res.status(400).json({
+        success: false,
+        message: `Safety case is already ${safetyCase.status}`
+      });
+    }
+
+    await acknowledgeCase(safetyCase, req.user.id);
+
+    await createAdminLog({
+      adminId: req.user.id,
+      action: 'trip_intervention',
+      targetType: 'trip',
+      targetId: safetyCase.tripId,
+      details: `Admin acknowledged safety case ${safetyCase.id}`,
+      previousData: { status: 'open' },
+      newData: { status: safetyCase.status },
+      ipAddress: req.ip,
+      userAgent: req.headers['user-agent']
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Safety case acknowledged',
+      data: {
+        safetyCase
+      }
+    });
+  } catch (error) {
+    console.error('Acknowledge safety case error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error acknowledging safety case',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Close a safety case (admin)
+ * @route PUT /api/safety/cases/:caseId/resolve
+ */
+exports.resolveSafetyCase = async (req, res) => {
+  try {
+    const { caseId } = req.params;
+    const { resolutionNotes } = req.body;
+
+    const safetyCase = await SafetyCase.findByPk(caseId);
+
+    if (!safetyCase) {
+      return res.status(404).json({
+        success: false,
+        message: 'Safety case not found'
+      });
+    }
+
+    if (safetyCase.status === 'resolved') {
+      return res.status(400).json({
+        success: false,
+        message: 'Safety case is already resolved'
+      });
+    }
+
+    const previousStatus = safetyCase.status;
+    await resolveCase(safetyCase, req.user.id, resolutionNotes);
+
+    await createAdminLog({
+      adminId: req.user.id,
+      action: 'trip_intervention',
+      targetType: 'trip',
+      targetId: safetyCase.tripId,
+      details: `Admin resolved safety case ${safetyCase.id}: ${resolutionNotes.substring(0, 100)}`,
+      previousData: { status: previousStatus },
+      newData: { status: 'resolved' },
+      ipAddress: req.ip,
+      userAgent: req.headers['user-agent']
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Safety case resolved',
+      data: {
+        safetyCase
+      }
+    });
+  } catch (error) {
+    console.error('Resolve safety case error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error resolving safety case',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Follow a safety case's live location through the link sent to emergency contacts
+ * The position is only shared while the case is open
+ * @route GET /api/safety/track/:token
+ */
+exports.trackSafetyCase = async (req, res) => {
+  try {
+    const { token } = req.params;
+
+    const safetyCase = await SafetyCase.findOne({
+      where: { trackingToken: token },
+      include: [{
+        model: Trip,
+        as: 'trip',
+        include: [{ model: Driver, as: 'driver' }]
+      }]
+    });
+
+    if (!safetyCase) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tracking link not found'
+      });
+    }
+
+    if (safetyCase.status === 'resolved') {
+      return res.status(410).json({
+        success: false,
+        message: 'This emergency has been resolved; live location is no longer shared',
+        data: {
+          status: safetyCase.status,
+          resolvedAt: safetyCase.resolvedAt
+        }
+      });
+    }
+
+    const { trip } = safetyCase;
+
+    res.status(200).json({
+      success: true,
+      data: {
+        status: safetyCase.status,
+        location: safetyCase.lastKnownLocation,
+        lastLocationAt: safetyCase.lastLocationAt,
+        trip: {
+          pickupAddress: trip.pickupAddress,
+          destinationAddress: trip.destinationAddress,
+          vehicle: trip.driver ? {
+            make: trip.driver.vehicleMake,
+            model: trip.driver.vehicleModel,
+            licensePlate: trip.driver.licensePlate
+          } : null
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Track safety case error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching live location',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
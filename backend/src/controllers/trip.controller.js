@@ -3,12 +3,23 @@
  * Handles trip requests, assignments, and management
  */
 
-const { Trip, User, Driver, Payment, Notification } = require('../models');
+const { Trip, TripStop, TripExtension, User, Driver, Payment, Notification } = require('../models');
 const { Op } = require('sequelize');
-const { findOptimalDriver } = require('../services/matching.service');
-const { calculatePrice } = require('../services/pricing.service');
-const { checkFraudRisk } = require('../services/fraud.service');
-const { sendSMS } = require('../services/sms.service');
+const { startDispatch, respondToOffer } = require('../services/dispatch.service');
+const { validatePickupTime, isModifiable } = require('../services/scheduling.service');
+const { joinOrCreatePool } = require('../services/pooling.service');
+const { transitionTrip, resolveActorRole, recordTripCreated, getTripHistory } = require('../services/tripState.service');
+const { calculateTripPrice, calculateWaitingCharge, getTripRates } = require('../services/pricing.service');
+const { triggerSOS, updateCaseLocation } = require('../services/safety.service');
+const { proposeExtension, respondToExtension } = require('../services/tripExtension.service');
+const { getTripTracking } = require('../services/tracking.service');
+const { meterTrip, checkReportedFare } = require('../services/metering.service');
+const { verifyQuote } = require('../services/quote.service');
+const { redeemPromotion } = require('../services/promotion.service');
+const { hasFunds } = require('../services/wallet.service');
+const { tipDriver, getTripTips } = require('../services/tip.service');
+const { createFareSplit, getFareSplit, payFareShare, declineFareShare } = require('../services/fareSplit.service');
+const { BASE_CURRENCY, toMinor, fromMinor } = require('../utils/money');
 const { createAdminLog } = require('../services/admin.service');
 const { io } = require('../server');
 
@@ -20,8 +31,12 @@ exports.requestTrip = async (req, res) => {
   try {
     const { 
       pickupLocation, pickupAddress, destinationLocation, destinationAddress,
-      estimatedDistance, estimatedDuration, paymentMethod 
+      estimatedDistance, estimatedDuration, paymentMethod, scheduledPickupTime,
+      stops = [], rideType = 'private', seats = 1, promoCode, quoteToken,
+      vehicleType = 'car', city, currency = BASE_CURRENCY
     } = req.body;
+    const isScheduled = Boolean(scheduledPickupTime);
+    const isPooled = rideType === 'pooled';
     
     // Validate request
     if (!pickupLocation || !pickupAddress || !destinationLocation || !destinationAddress || 
@@ -32,6 +47,14 @@ exports.requestTrip = async (req, res) => {
       });
     }
 
+    // Pooled rides are matched on the spot and follow a single pickup and drop-off
+    if (isPooled && (isScheduled || stops.length > 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Pooled rides cannot be scheduled or include intermediate stops'
+      });
+    }
+
     // Get client information
     const client = await User.findByPk(req.user.id);
     if (!client) {
@@ -41,133 +64,245 @@ exports.requestTrip = async (req, res) => {
       });
     }
 
-    // Check if client has an active trip
-    const activeTrip = await Trip.findOne({
-      where: {
-        clientId: client.id,
-        status: {
-          [Op.in]: ['requested', 'assigned', 'active']
+    if (isScheduled) {
+      // Check the pickup time is inside the booking window
+      const pickupTimeError = validatePickupTime(scheduledPickupTime);
+      if (pickupTimeError) {
+        return res.status(400).json({
+          success: false,
+          message: pickupTimeError
+        });
+      }
+    } else {
+      // Check if client has an active trip
+      const activeTrip = await Trip.findOne({
+        where: {
+          clientId: client.id,
+          status: {
+            [Op.in]: ['requested', 'assigned', 'active']
+          }
         }
+      });
+
+      if (activeTrip) {
+        return res.status(400).json({
+          success: false,
+          message: 'You already have an active trip'
+        });
       }
-    });
+    }
 
-    if (activeTrip) {
-      return res.status(400).json({
-        success: false,
-        message: 'You already have an active trip'
+    let priceQuote;
+    let quoteId = null;
+
+    if (quoteToken) {
+      // Honour the fare locked by the estimate endpoint
+      const verification = verifyQuote(quoteToken, {
+        clientId: client.id,
+        pickupLocation,
+        dropoffLocation: destinationLocation,
+        vehicleType,
+        city,
+        rideType,
+        currency,
+        stops
+      });
+
+      if (!verification.success) {
+        return res.status(400).json({
+          success: false,
+          message: verification.message,
+          code: verification.code
+        });
+      }
+
+      const usedQuote = await Trip.findOne({
+        where: { quoteId: verification.quote.quoteId }
+      });
+
+      if (usedQuote) {
+        return res.status(400).json({
+          success: false,
+          message: 'Price quote has already been used',
+          code: 'used'
+        });
+      }
+
+      priceQuote = verification.quote;
+      quoteId = priceQuote.quoteId;
+    } else {
+      // Calculate estimated price for the whole itinerary
+      priceQuote = await calculateTripPrice({
+        pickupLocation,
+        dropoffLocation: destinationLocation,
+        estimatedDistance,
+        estimatedDuration,
+        clientId: client.id,
+        promoCode,
+        vehicleType,
+        city,
+        stops,
+        rideType,
+        currency
       });
+
+      if (!priceQuote.success) {
+        return res.status(400).json({
+          success: false,
+          message: priceQuote.error || priceQuote.message
+        });
+      }
+
+      priceQuote.promoCode = priceQuote.appliedPromotion ? priceQuote.appliedPromotion.code : null;
     }
 
-    // Calculate estimated price
-    const estimatedPrice = await calculatePrice(estimatedDistance, estimatedDuration);
+    const estimatedPrice = priceQuote.totalPrice * (isPooled ? seats : 1);
+    const { charge } = priceQuote;
+    const estimatedChargeMinor = charge.amountMinor * (isPooled ? seats : 1);
 
-    // Check wallet balance if payment method is wallet
-    if (paymentMethod === 'wallet' && parseFloat(client.walletBalance) < parseFloat(estimatedPrice)) {
+    // Check the balance of the wallet in the currency the rider pays in
+    if (paymentMethod === 'wallet' && !(await hasFunds(client.id, charge.currency, estimatedChargeMinor))) {
       return res.status(400).json({
         success: false,
-        message: 'Insufficient wallet balance for this trip'
+        message: `Insufficient ${charge.currency} wallet balance for this trip`
       });
     }
 
-    // Create new trip
-    const trip = await Trip.create({
-      clientId: client.id,
-      status: 'requested',
-      pickupLocation,
-      pickupAddress,
-      destinationLocation,
-      destinationAddress,
-      estimatedDistance,
-      estimatedDuration,
-      estimatedPrice,
-      paymentMethod: paymentMethod || 'cash'
-    });
+    // Create new trip; the unique quoteId settles two requests racing on the same quote
+    let trip;
+    try {
+      trip = await Trip.create({
+        clientId: client.id,
+        status: isScheduled ? 'scheduled' : 'requested',
+        bookingType: isScheduled ? 'scheduled' : 'on_demand',
+        scheduledPickupTime: isScheduled ? new Date(scheduledPickupTime) : null,
+        rideType,
+        seatsRequested: isPooled ? seats : 1,
+        pickupLocation,
+        pickupAddress,
+        destinationLocation,
+        destinationAddress,
+        estimatedDistance: quoteId ? priceQuote.itinerary.estimatedDistance : estimatedDistance,
+        estimatedDuration: quoteId ? priceQuote.itinerary.estimatedDuration : estimatedDuration,
+        estimatedPrice,
+        quoteId,
+        city: city || priceQuote.rates.city,
+        vehicleType: priceQuote.rates.vehicleType,
+        rateCardId: priceQuote.rates.rateCardId,
+        promoCode: priceQuote.promoCode,
+        discountAmount: priceQuote.discountAmount,
+        surgeCell: priceQuote.rates.surgeCell,
+        surgeFactor: priceQuote.surgeFactor,
+        quotedRates: priceQuote.rates,
+        currency: charge.currency,
+        exchangeRate: charge.exchangeRate,
+        exchangeRateId: charge.exchangeRateId,
+        paymentMethod: paymentMethod || 'cash'
+      });
+    } catch (error) {
+      if (error.name === 'SequelizeUniqueConstraintError' && error.fields && 'quoteId' in error.fields) {
+        return res.status(400).json({
+          success: false,
+          message: 'Price quote has already been used',
+          code: 'used'
+        });
+      }
+      throw error;
+    }
 
-    // Emit socket event for new trip request
-    io.emit('new_trip_request', {
-      tripId: trip.id,
-      clientId: client.id,
-      pickupLocation,
-      destinationLocation
-    });
-
-    // Find optimal driver using AI matching service
-    findOptimalDriver(trip.id)
-      .then(async (result) => {
-        if (result.success && result.driverId) {
-          // Driver found, update trip
-          trip.driverId = result.driverId;
-          trip.status = 'assigned';
-          trip.aiMatchScore = result.score;
-          await trip.save();
-
-          // Notify driver
-          const driver = await Driver.findByPk(result.driverId, {
-            include: [{ model: User, as: 'user' }]
-          });
+    // Consume the promo code now that the trip exists; caps may have been reached since the estimate
+    if (trip.promoCode && parseFloat(trip.discountAmount) > 0) {
+      const redemption = await redeemPromotion({
+        code: trip.promoCode,
+        clientId: client.id,
+        tripId: trip.id,
+        discountAmount: parseFloat(trip.discountAmount) * trip.seatsRequested
+      });
 
-          if (driver) {
-            // Create notification for driver
-            await Notification.create({
-              userId: driver.userId,
-              type: 'trip_assigned',
-              title: 'New Trip Assigned',
-              message: `You have a new trip from ${trip.pickupAddress} to ${trip.destinationAddress}`,
-              data: { tripId: trip.id },
-              channel: 'app',
-              priority: 'high'
-            });
+      if (!redemption.success) {
+        await trip.destroy();
+        return res.status(400).json({
+          success: false,
+          message: `${redemption.message}; please request a new estimate`,
+          code: 'promotion_unavailable'
+        });
+      }
+    }
 
-            // Send SMS to driver
-            await sendSMS(
-              driver.user.phoneNumber,
-              `Nouvelle course: De ${trip.pickupAddress} à ${trip.destinationAddress}. Ouvrez l'application pour accepter.`,
-              driver.user.preferredLanguage || 'fr'
-            );
-
-            // Emit socket event for driver assignment
-            io.to(`driver_${driver.userId}`).emit('trip_assigned', {
-              tripId: trip.id,
-              clientId: client.id,
-              pickupLocation: trip.pickupLocation,
-              pickupAddress: trip.pickupAddress,
-              destinationLocation: trip.destinationLocation,
-              destinationAddress: trip.destinationAddress,
-              estimatedPrice: trip.estimatedPrice
-            });
+    await recordTripCreated(trip, {
+      actorId: client.id,
+      actorRole: 'client',
+      location: pickupLocation,
+      metadata: { bookingType: trip.bookingType, rideType: trip.rideType }
+    });
+
+    // Create intermediate stops with their leg prices
+    const tripStops = await TripStop.bulkCreate(stops.map((stop, index) => ({
+      tripId: trip.id,
+      sequence: index + 1,
+      location: stop.location,
+      address: stop.address,
+      legDistance: stop.legDistance,
+      legDuration: stop.legDuration,
+      legPrice: priceQuote.breakdown.legs[index].price
+    })));
+
+    if (!isScheduled) {
+      // Emit socket event for new trip request
+      io.emit('new_trip_request', {
+        tripId: trip.id,
+        clientId: client.id,
+        pickupLocation,
+        destinationLocation
+      });
 
-            // Emit socket event for client
-            io.to(`client_${client.id}`).emit('driver_assigned', {
-              tripId: trip.id,
-              driverId: driver.id,
-              driverName: `${driver.user.firstName} ${driver.user.lastName}`,
-              driverRating: driver.user.rating,
-              vehicleType: driver.vehicleType,
-              vehicleMake: driver.vehicleMake,
-              vehicleModel: driver.vehicleModel,
-              licensePlate: driver.licensePlate
+      if (isPooled) {
+        // Join a compatible pool; only a newly opened pool needs a driver
+        const { created } = await joinOrCreatePool(trip);
+        if (created) {
+          startDispatch(trip.id)
+            .catch(error => {
+              console.error('Trip dispatch error:', error);
             });
-          }
         }
-      })
-      .catch(error => {
-        console.error('Driver matching error:', error);
-      });
+      } else {
+        // Offer the trip to the best-ranked drivers one at a time
+        startDispatch(trip.id)
+          .catch(error => {
+            console.error('Trip dispatch error:', error);
+          });
+      }
+    }
 
     res.status(201).json({
       success: true,
-      message: 'Trip requested successfully',
+      message: isScheduled ? 'Trip scheduled successfully' : 'Trip requested successfully',
       data: {
         trip: {
           id: trip.id,
           status: trip.status,
+          bookingType: trip.bookingType,
+          scheduledPickupTime: trip.scheduledPickupTime,
+          rideType: trip.rideType,
+          poolId: trip.poolId,
+          seatsRequested: trip.seatsRequested,
           pickupAddress: trip.pickupAddress,
           destinationAddress: trip.destinationAddress,
           estimatedDistance: trip.estimatedDistance,
           estimatedDuration: trip.estimatedDuration,
           estimatedPrice: trip.estimatedPrice,
-          paymentMethod: trip.paymentMethod
-        }
+          currency: trip.currency,
+          estimatedCharge: fromMinor(estimatedChargeMinor, charge.currency),
+          priceLocked: Boolean(quoteId),
+          paymentMethod: trip.paymentMethod,
+          stops: tripStops.map(stop => ({
+            id: stop.id,
+            sequence: stop.sequence,
+            address: stop.address,
+            legPrice: stop.legPrice
+          }))
+        },
+        priceBreakdown: priceQuote.breakdown
       }
     });
   } catch (error) {
@@ -181,80 +316,38 @@ exports.requestTrip = async (req, res) => {
 };
 
 /**
- * Accept a trip (driver)
- * @route PATCH /api/trips/:id/accept
+ * Accept a trip offer (driver)
+ * @route PUT /api/trips/:tripId/accept
  */
 exports.acceptTrip = async (req, res) => {
   try {
-    const { id } = req.params;
-    
-    // Find trip
-    const trip = await Trip.findByPk(id, {
-      include: [
-        { model: User, as: 'client' },
-        { 
-          model: Driver, 
-          as: 'driver',
-          include: [{ model: User, as: 'user' }]
-        }
-      ]
-    });
-
-    if (!trip) {
-      return res.status(404).json({
-        success: false,
-        message: 'Trip not found'
-      });
-    }
-
-    // Check if trip is in assigned status
-    if (trip.status !== 'assigned') {
-      return res.status(400).json({
-        success: false,
-        message: `Trip cannot be accepted in ${trip.status} status`
-      });
-    }
+    const { tripId } = req.params;
 
-    // Check if user is the assigned driver
+    // Check if user is a driver
     const driver = await Driver.findOne({
-      where: { userId: req.user.id }
+      where: { userId: req.user.id },
+      include: [{ model: User, as: 'user' }]
     });
 
-    if (!driver || driver.id !== trip.driverId) {
+    if (!driver) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to accept this trip'
       });
     }
 
-    // Update driver's acceptance rate
-    driver.acceptanceRate = ((driver.acceptanceRate * driver.totalTrips) + 100) / (driver.totalTrips + 1);
-    await driver.save();
-
-    // Create notification for client
-    await Notification.create({
-      userId: trip.clientId,
-      type: 'trip_assigned',
-      title: 'Driver Accepted',
-      message: `Your driver ${trip.driver.user.firstName} ${trip.driver.user.lastName} has accepted your trip and is on the way`,
-      data: { tripId: trip.id },
-      channel: 'app',
-      priority: 'high'
-    });
+    // Accept the pending offer; this assigns the trip to the driver
+    const result = await respondToOffer(tripId, driver.id, true);
 
-    // Send SMS to client
-    await sendSMS(
-      trip.client.phoneNumber,
-      `Votre chauffeur ${trip.driver.user.firstName} ${trip.driver.user.lastName} a accepté votre course et est en route.`,
-      trip.client.preferredLanguage || 'fr'
-    );
+    if (!result.success) {
+      return res.status(400).json({
+        success: false,
+        message: result.message
+      });
+    }
 
-    // Emit socket events
-    io.to(`client_${trip.clientId}`).emit('driver_accepted', {
-      tripId: trip.id,
-      driverId: driver.id,
-      driverName: `${trip.driver.user.firstName} ${trip.driver.user.lastName}`,
-      driverLocation: driver.currentLocation
+    const trip = await Trip.findByPk(tripId, {
+      include: [{ model: User, as: 'client' }]
     });
 
     res.status(200).json({
@@ -290,81 +383,99 @@ exports.acceptTrip = async (req, res) => {
 };
 
 /**
- * Start a trip
- * @route PATCH /api/trips/:id/start
+ * Decline a trip offer (driver)
+ * @route PUT /api/trips/:tripId/decline
  */
-exports.startTrip = async (req, res) => {
+exports.declineTrip = async (req, res) => {
   try {
-    const { id } = req.params;
-    
-    // Find trip
-    const trip = await Trip.findByPk(id, {
-      include: [
-        { model: User, as: 'client' },
-        { 
-          model: Driver, 
-          as: 'driver',
-          include: [{ model: User, as: 'user' }]
-        }
-      ]
+    const { tripId } = req.params;
+    const { reason } = req.body;
+
+    // Check if user is a driver
+    const driver = await Driver.findOne({
+      where: { userId: req.user.id }
     });
 
-    if (!trip) {
-      return res.status(404).json({
+    if (!driver) {
+      return res.status(403).json({
         success: false,
-        message: 'Trip not found'
+        message: 'Not authorized to decline this trip'
       });
     }
 
-    // Check if trip is in assigned status
-    if (trip.status !== 'assigned') {
+    // Decline the pending offer; the trip moves on to the next-ranked driver
+    const result = await respondToOffer(tripId, driver.id, false, reason);
+
+    if (!result.success) {
       return res.status(400).json({
         success: false,
-        message: `Trip cannot be started in ${trip.status} status`
+        message: result.message
       });
     }
 
-    // Check if user is the assigned driver
-    const driver = await Driver.findOne({
-      where: { userId: req.user.id }
+    res.status(200).json({
+      success: true,
+      message: 'Trip declined successfully',
+      data: {
+        tripId
+      }
+    });
+  } catch (error) {
+    console.error('Decline trip error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error declining trip',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
+  }
+};
 
-    if (!driver || driver.id !== trip.driverId) {
+/**
+ * Start a trip
+ * @route PUT /api/trips/:tripId/start
+ */
+exports.startTrip = async (req, res) => {
+  try {
+    const { tripId } = req.params;
+    const { location } = req.body;
+
+    const trip = await Trip.findByPk(tripId);
+
+    if (!trip) {
+      return res.status(404).json({
+        success: false,
+        message: 'Trip not found'
+      });
+    }
+
+    // Only the assigned driver can start the trip
+    const actorRole = await resolveActorRole(trip, req.user);
+
+    if (actorRole !== 'driver') {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to start this trip'
       });
     }
 
-    // Update trip status
-    trip.status = 'active';
-    trip.startTime = new Date();
-    await trip.save();
-
-    // Create notification for client
-    await Notification.create({
-      userId: trip.clientId,
-      type: 'trip_started',
-      title: 'Trip Started',
-      message: 'Your trip has started. You can track your journey in real-time.',
-      data: { tripId: trip.id },
-      channel: 'app',
-      priority: 'medium'
+    const result = await transitionTrip(trip.id, 'start', {
+      actorId: req.user.id,
+      actorRole,
+      location,
+      changes: { startTime: new Date() }
     });
 
-    // Emit socket events
-    io.to(`client_${trip.clientId}`).emit('trip_started', {
-      tripId: trip.id,
-      startTime: trip.startTime
-    });
+    if (!result.success) {
+      return sendTransitionError(res, result);
+    }
 
     res.status(200).json({
       success: true,
       message: 'Trip started successfully',
       data: {
-        tripId: trip.id,
-        status: trip.status,
-        startTime: trip.startTime
+        tripId: result.trip.id,
+        status: result.trip.status,
+        startTime: result.trip.startTime
       }
     });
   } catch (error) {
@@ -379,24 +490,16 @@ exports.startTrip = async (req, res) => {
 
 /**
  * Complete a trip
- * @route PATCH /api/trips/:id/complete
+ * @route PUT /api/trips/:tripId/complete
  */
 exports.completeTrip = async (req, res) => {
   try {
-    const { id } = req.params;
-    const { actualDistance, actualDuration, finalPrice, route } = req.body;
+    const { tripId } = req.params;
+    const {
+      actualDistance, actualDuration, finalDistance, finalDuration, finalPrice, location
+    } = req.body;
     
-    // Find trip
-    const trip = await Trip.findByPk(id, {
-      include: [
-        { model: User, as: 'client' },
-        { 
-          model: Driver, 
-          as: 'driver',
-          include: [{ model: User, as: 'user' }]
-        }
-      ]
-    });
+    const trip = await Trip.findByPk(tripId);
 
     if (!trip) {
       return res.status(404).json({
@@ -405,111 +508,72 @@ exports.completeTrip = async (req, res) => {
       });
     }
 
-    // Check if trip is in active status
-    if (trip.status !== 'active') {
-      return res.status(400).json({
+    const actorRole = await resolveActorRole(trip, req.user);
+
+    if (!actorRole) {
+      return res.status(403).json({
         success: false,
-        message: `Trip cannot be completed in ${trip.status} status`
+        message: 'Not authorized to complete this trip'
       });
     }
 
-    // Check if user is the assigned driver
-    const driver = await Driver.findOne({
-      where: { userId: req.user.id }
+    // Check every intermediate stop has been served or skipped
+    const stops = await TripStop.findAll({
+      where: { tripId: trip.id },
+      order: [['sequence', 'ASC']]
     });
 
-    if (!driver || driver.id !== trip.driverId) {
-      return res.status(403).json({
+    if (stops.some(stop => ['pending', 'arrived'].includes(stop.status))) {
+      return res.status(400).json({
         success: false,
-        message: 'Not authorized to complete this trip'
+        message: 'All stops must be departed or skipped before completing the trip'
       });
     }
 
-    // Update trip details
-    trip.status = 'completed';
-    trip.endTime = new Date();
-    trip.actualDistance = actualDistance || trip.estimatedDistance;
-    trip.actualDuration = actualDuration || trip.estimatedDuration;
-    trip.finalPrice = finalPrice || trip.estimatedPrice;
-    if (route) trip.route = route;
-    
-    await trip.save();
+    // Waiting time at stops beyond the free allowance is billed on top of the fare
+    const waitingCharge = calculateWaitingCharge(stops, await getTripRates(trip));
 
-    // Update driver stats
-    driver.totalTrips += 1;
-    driver.totalEarnings = parseFloat(driver.totalEarnings) + parseFloat(trip.finalPrice * 0.8); // 80% to driver
-    driver.completionRate = ((driver.completionRate * (driver.totalTrips - 1)) + 100) / driver.totalTrips;
-    await driver.save();
+    // The fare is metered server-side; values sent by the driver are only cross-checked
+    const endTime = new Date();
+    const meter = await meterTrip(trip, endTime);
 
-    // Create payment record
-    const platformFee = parseFloat(trip.finalPrice) * 0.2; // 20% platform fee
-    const driverAmount = parseFloat(trip.finalPrice) - platformFee;
-    
-    const payment = await Payment.create({
-      tripId: trip.id,
-      clientId: trip.clientId,
-      driverId: trip.driverId,
-      amount: trip.finalPrice,
-      platformFee,
-      driverAmount,
-      paymentMethod: trip.paymentMethod,
-      status: trip.paymentMethod === 'cash' ? 'completed' : 'pending',
-      paymentInitiatedAt: new Date()
-    });
-
-    // Handle wallet payment
-    if (trip.paymentMethod === 'wallet') {
-      const client = await User.findByPk(trip.clientId);
-      const driver = await User.findByPk(trip.driver.userId);
-      
-      // Deduct from client wallet
-      client.walletBalance = parseFloat(client.walletBalance) - parseFloat(trip.finalPrice);
-      await client.save();
-      
-      // Add to driver wallet
-      driver.walletBalance = parseFloat(driver.walletBalance) + parseFloat(driverAmount);
-      await driver.save();
-      
-      // Update payment status
-      payment.status = 'completed';
-      payment.paymentCompletedAt = new Date();
-      await payment.save();
-    }
-
-    // Create notifications
-    await Notification.create({
-      userId: trip.clientId,
-      type: 'trip_completed',
-      title: 'Trip Completed',
-      message: `Your trip has been completed. Total fare: ${trip.finalPrice}`,
-      data: { tripId: trip.id, paymentId: payment.id },
-      channel: 'app',
-      priority: 'medium'
-    });
-
-    await Notification.create({
-      userId: trip.driver.userId,
-      type: 'payment_received',
-      title: 'Payment Received',
-      message: `You've received ${driverAmount} for your trip. Thank you for driving with Taxi-Express!`,
-      data: { tripId: trip.id, paymentId: payment.id },
-      channel: 'app',
-      priority: 'medium'
-    });
+    let fareCheck = null;
+    if (actorRole === 'driver') {
+      fareCheck = await checkReportedFare(trip, meter, {
+        distance: actualDistance !== undefined ? actualDistance : finalDistance,
+        duration: actualDuration !== undefined ? actualDuration : finalDuration,
+        price: finalPrice
+      }, req.user.id);
+    }
 
-    // Emit socket events
-    io.to(`client_${trip.clientId}`).emit('trip_completed', {
-      tripId: trip.id,
-      endTime: trip.endTime,
-      finalPrice: trip.finalPrice,
-      paymentStatus: payment.status
+    const changes = {
+      endTime,
+      actualDistance: meter.distance,
+      actualDuration: meter.duration,
+      finalPrice: Math.round((meter.fare + waitingCharge.amount) * 100) / 100
+    };
+
+    // Payment, driver stats, the recorded route and notifications are handled by the completion hooks
+    const result = await transitionTrip(trip.id, 'complete', {
+      actorId: req.user.id,
+      actorRole,
+      location,
+      changes,
+      metadata: {
+        waitingCharge: waitingCharge.amount,
+        distanceSource: meter.distanceSource,
+        fareSource: meter.fareSource,
+        fareCheck
+      }
     });
 
-    io.to(`driver_${trip.driver.userId}`).emit('trip_completed', {
-      tripId: trip.id,
-      endTime: trip.endTime,
-      earnings: driverAmount,
-      paymentStatus: payment.status
+    if (!result.success) {
+      return sendTransitionError(res, result);
+    }
+
+    const completedTrip = result.trip;
+    const payment = await Payment.findOne({
+      where: { tripId: completedTrip.id, transactionType: 'trip_payment' }
     });
 
     res.status(200).json({
@@ -517,21 +581,21 @@ exports.completeTrip = async (req, res) => {
       message: 'Trip completed successfully',
       data: {
         trip: {
-          id: trip.id,
-          status: trip.status,
-          startTime: trip.startTime,
-          endTime: trip.endTime,
-          actualDistance: trip.actualDistance,
-          actualDuration: trip.actualDuration,
-          finalPrice: trip.finalPrice
+          id: completedTrip.id,
+          status: completedTrip.status,
+          startTime: completedTrip.startTime,
+          endTime: completedTrip.endTime,
+          actualDistance: completedTrip.actualDistance,
+          actualDuration: completedTrip.actualDuration,
+          finalPrice: completedTrip.finalPrice
         },
-        payment: {
+        payment: payment ? {
           id: payment.id,
           amount: payment.amount,
           driverAmount: payment.driverAmount,
           status: payment.status,
           method: payment.paymentMethod
-        }
+        } : null
       }
     });
   } catch (error) {
@@ -546,24 +610,14 @@ exports.completeTrip = async (req, res) => {
 
 /**
  * Cancel a trip
- * @route PATCH /api/trips/:id/cancel
+ * @route PUT /api/trips/:tripId/cancel
  */
 exports.cancelTrip = async (req, res) => {
   try {
-    const { id } = req.params;
-    const { reason } = req.body;
+    const { tripId } = req.params;
+    const { reason, location } = req.body;
     
-    // Find trip
-    const trip = await Trip.findByPk(id, {
-      include: [
-        { model: User, as: 'client' },
-        { 
-          model: Driver, 
-          as: 'driver',
-          include: [{ model: User, as: 'user' }]
-        }
-      ]
-    });
+    const trip = await Trip.findByPk(tripId);
 
     if (!trip) {
       return res.status(404).json({
@@ -572,117 +626,29 @@ exports.cancelTrip = async (req, res) => {
       });
     }
 
-    // Check if trip can be canceled
-    if (!['requested', 'assigned'].includes(trip.status)) {
-      return res.status(400).json({
-        success: false,
-        message: `Trip cannot be canceled in ${trip.status} status`
-      });
-    }
-
     // Determine who is canceling
-    let canceledBy;
-    if (req.user.role === 'admin') {
-      canceledBy = 'admin';
-    } else if (req.user.id === trip.clientId) {
-      canceledBy = 'client';
-    } else {
-      // Check if user is the driver
-      const driver = await Driver.findOne({
-        where: { userId: req.user.id }
-      });
-      
-      if (driver && trip.driverId === driver.id) {
-        canceledBy = 'driver';
-      } else {
-        return res.status(403).json({
-          success: false,
-          message: 'Not authorized to cancel this trip'
-        });
-      }
-    }
-
-    // Update trip status
-    trip.status = 'canceled';
-    trip.cancellationReason = reason || 'No reason provided';
-    trip.canceledBy = canceledBy;
-    await trip.save();
-
-    // Check for potential fraud (excessive cancellations)
-    if (canceledBy === 'client' || canceledBy === 'driver') {
-      const userId = canceledBy === 'client' ? trip.clientId : trip.driver.userId;
-      
-      // Count recent cancellations
-      const recentCancellations = await Trip.count({
-        where: {
-          [canceledBy === 'client' ? 'clientId' : 'driverId']: canceledBy === 'client' ? userId : trip.driverId,
-          status: 'canceled',
-          canceledBy,
-          updatedAt: {
-            [Op.gte]: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000) // Last 7 days
-          }
-        }
-      });
-      
-      if (recentCancellations >= 3) {
-        await checkFraudRisk(userId, 'excessive_cancellations', {
-          tripId: trip.id,
-          recentCancellations,
-          reason
-        });
-      }
-    }
-
-    // Update driver stats if canceled by driver
-    if (canceledBy === 'driver' && trip.driverId) {
-      const driver = await Driver.findByPk(trip.driverId);
-      if (driver) {
-        // Reduce acceptance rate for driver cancellations
-        driver.acceptanceRate = Math.max(0, ((driver.acceptanceRate * driver.totalTrips) - 100) / driver.totalTrips);
-        await driver.save();
-      }
-    }
+    const canceledBy = await resolveActorRole(trip, req.user);
 
-    // Create notifications
-    if (trip.clientId && canceledBy !== 'client') {
-      await Notification.create({
-        userId: trip.clientId,
-        type: 'trip_canceled',
-        title: 'Trip Canceled',
-        message: `Your trip has been canceled. Reason: ${trip.cancellationReason}`,
-        data: { tripId: trip.id },
-        channel: 'app',
-        priority: 'high'
+    if (!canceledBy) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to cancel this trip'
       });
     }
 
-    if (trip.driverId && trip.driver && trip.driver.userId && canceledBy !== 'driver') {
-      await Notification.create({
-        userId: trip.driver.userId,
-        type: 'trip_canceled',
-        title: 'Trip Canceled',
-        message: `The trip has been canceled. Reason: ${trip.cancellationReason}`,
-        data: { tripId: trip.id },
-        channel: 'app',
-        priority: 'high'
-      });
-    }
+    const cancellationReason = reason || 'No reason provided';
 
-    // Emit socket events
-    if (trip.clientId) {
-      io.to(`client_${trip.clientId}`).emit('trip_canceled', {
-        tripId: trip.id,
-        reason: trip.cancellationReason,
-        canceledBy
-      });
-    }
+    // Dispatch cleanup, pool seats, fraud checks and notifications are handled by the cancel hooks
+    const result = await transitionTrip(trip.id, 'cancel', {
+      actorId: req.user.id,
+      actorRole: canceledBy,
+      location,
+      reason: cancellationReason,
+      changes: { canceledBy, cancellationReason }
+    });
 
-    if (trip.driverId && trip.driver && trip.driver.userId) {
-      io.to(`driver_${trip.driver.userId}`).emit('trip_canceled', {
-        tripId: trip.id,
-        reason: trip.cancellationReason,
-        canceledBy
-      });
+    if (!result.success) {
+      return sendTransitionError(res, result);
     }
 
     // Create admin log if canceled by admin
@@ -693,6 +659,8 @@ exports.cancelTrip = async (req, res) => {
         targetType: 'trip',
         targetId: trip.id,
         details: `Admin canceled trip. Reason: ${reason || 'Not specified'}`,
+        previousData: { status: result.event.fromStatus },
+        newData: { status: result.event.toStatus },
         ipAddress: req.ip,
         userAgent: req.headers['user-agent']
       });
@@ -703,9 +671,9 @@ exports.cancelTrip = async (req, res) => {
       message: 'Trip canceled successfully',
       data: {
         tripId: trip.id,
-        status: trip.status,
+        status: result.trip.status,
         canceledBy,
-        reason: trip.cancellationReason
+        reason: cancellationReason
       }
     });
   } catch (error) {
@@ -741,8 +709,10 @@ exports.getTripById = async (req, res) => {
             as: 'user',
             attributes: ['id', 'firstName', 'lastName', 'phoneNumber', 'rating']
           }]
-        }
-      ]
+        },
+        { model: TripStop, as: 'stops' }
+      ],
+      order: [[{ model: TripStop, as: 'stops' }, 'sequence', 'ASC']]
     });
 
     if (!trip) {
@@ -762,19 +732,22 @@ exports.getTripById = async (req, res) => {
       });
     }
 
-    // Get payment information if trip is completed
+    // Get payment information if trip is completed; tips are listed apart from the fare
     let payment = null;
+    let tips = [];
     if (trip.status === 'completed') {
       payment = await Payment.findOne({
-        where: { tripId: trip.id }
+        where: { tripId: trip.id, transactionType: 'trip_payment' }
       });
+      tips = await getTripTips(trip.id);
     }
 
     res.status(200).json({
       success: true,
       data: {
         trip,
-        payment
+        payment,
+        tips
       }
     });
   } catch (error) {
@@ -788,32 +761,104 @@ exports.getTripById = async (req, res) => {
 };
 
 /**
- * Report trip incident
- * @route PATCH /api/trips/:id/incident
+ * Rate the driver of a completed trip, and optionally tip them at the same time
+ * @route POST /api/trips/:tripId/rate-driver
  */
-exports.reportIncident = async (req, res) => {
+exports.rateDriver = async (req, res) => {
   try {
-    const { id } = req.params;
-    const { incidentDetails } = req.body;
-    
-    if (!incidentDetails) {
+    const { tripId } = req.params;
+    const { rating, comment, tip } = req.body;
+
+    const trip = await Trip.findByPk(tripId, {
+      include: [{ model: Driver, as: 'driver' }]
+    });
+
+    if (!trip) {
+      return res.status(404).json({
+        success: false,
+        message: 'Trip not found'
+      });
+    }
+
+    if (trip.clientId !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to rate this trip'
+      });
+    }
+
+    if (trip.status !== 'completed' || !trip.driver) {
       return res.status(400).json({
         success: false,
-        message: 'Incident details are required'
+        message: 'Only completed trips can be rated'
       });
     }
 
-    // Find trip
-    const trip = await Trip.findByPk(id, {
-      include: [
-        { model: User, as: 'client' },
-        { 
-          model: Driver, 
-          as: 'driver',
-          include: [{ model: User, as: 'user' }]
-        }
-      ]
+    if (trip.clientRating) {
+      return res.status(400).json({
+        success: false,
+        message: 'You have already rated this trip'
+      });
+    }
+
+    trip.clientRating = rating;
+    trip.clientComment = comment || null;
+    await trip.save();
+
+    // The driver's rating is the average of every rating riders gave them
+    const averageRating = await Trip.aggregate('clientRating', 'avg', {
+      where: {
+        driverId: trip.driverId,
+        clientRating: { [Op.ne]: null }
+      }
+    });
+    await User.update(
+      { rating: Math.round(parseFloat(averageRating) * 100) / 100 },
+      { where: { id: trip.driver.userId } }
+    );
+
+    let tipResult = null;
+    if (tip) {
+      tipResult = await tipDriver(trip, req.user.id, {
+        amountMinor: toMinor(tip.amount, trip.currency || BASE_CURRENCY),
+        paymentMethod: tip.paymentMethod,
+        provider: tip.provider,
+        phoneNumber: tip.phoneNumber || req.user.phoneNumber
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: tipResult && !tipResult.success
+        ? `Driver rated, but the tip was not sent: ${tipResult.message}`
+        : 'Driver rated successfully',
+      data: {
+        tripId: trip.id,
+        rating: trip.clientRating,
+        comment: trip.clientComment,
+        tip: tipResult ? formatTip(tipResult) : null
+      }
+    });
+  } catch (error) {
+    console.error('Rate driver error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error rating driver',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
+  }
+};
+
+/**
+ * Tip the driver of a completed trip from the wallet or by mobile money
+ * @route POST /api/trips/:tripId/tip
+ */
+exports.tipDriver = async (req, res) => {
+  try {
+    const { tripId } = req.params;
+    const { amount, paymentMethod, provider, phoneNumber } = req.body;
+
+    const trip = await Trip.findByPk(tripId);
 
     if (!trip) {
       return res.status(404).json({
@@ -822,75 +867,297 @@ exports.reportIncident = async (req, res) => {
       });
     }
 
-    // Check if user has permission to report incident
-    if (req.user.role !== 'admin' && 
-        req.user.id !== trip.clientId && 
-        (!trip.driver || req.user.id !== trip.driver.userId)) {
+    const result = await tipDriver(trip, req.user.id, {
+      amountMinor: toMinor(amount, trip.currency || BASE_CURRENCY),
+      paymentMethod,
+      provider,
+      phoneNumber: phoneNumber || req.user.phoneNumber
+    });
+
+    if (!result.success) {
+      const status = {
+        forbidden: 403,
+        already_tipped: 409,
+        insufficient_funds: 400,
+        provider_refused: 502
+      }[result.code] || 400;
+
+      return res.status(status).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.status(result.payment.status === 'completed' ? 200 : 202).json({
+      success: true,
+      message: result.payment.status === 'completed'
+        ? 'Tip sent to your driver'
+        : 'Tip request sent to your phone. Confirm it to send the tip.',
+      data: formatTip(result)
+    });
+  } catch (error) {
+    console.error('Tip driver error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error tipping driver',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Split a trip's fare with other registered riders, in equal shares or set amounts
+ * @route POST /api/trips/:tripId/split
+ */
+exports.splitFare = async (req, res) => {
+  try {
+    const { tripId } = req.params;
+    const { splitType, participants } = req.body;
+
+    const trip = await Trip.findByPk(tripId);
+
+    if (!trip) {
+      return res.status(404).json({
+        success: false,
+        message: 'Trip not found'
+      });
+    }
+
+    const currency = trip.currency || BASE_CURRENCY;
+    const result = await createFareSplit(trip, req.user.id, {
+      splitType,
+      participants: participants.map(participant => ({
+        phoneNumber: participant.phoneNumber,
+        amountMinor: participant.amount === undefined ? undefined : toMinor(participant.amount, currency)
+      }))
+    });
+
+    if (!result.success) {
+      const status = {
+        forbidden: 403,
+        already_split: 409,
+        unknown_participant: 404
+      }[result.code] || 400;
+
+      return res.status(status).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: result.split.status === 'awaiting_fare'
+        ? 'Riders invited. Each will be asked for their share when the trip ends.'
+        : 'Riders invited to pay their share of the fare',
+      data: formatFareSplit(result.split)
+    });
+  } catch (error) {
+    console.error('Split fare error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error splitting fare',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Get the split of a trip's fare and where each share stands
+ * @route GET /api/trips/:tripId/split
+ */
+exports.getFareSplit = async (req, res) => {
+  try {
+    const split = await getFareSplit(req.params.tripId);
+
+    if (!split) {
+      return res.status(404).json({
+        success: false,
+        message: 'The fare of this trip is not split'
+      });
+    }
+
+    const isRider = split.shares.some(share => share.userId === req.user.id);
+    if (req.user.role !== 'admin' && !isRider) {
       return res.status(403).json({
         success: false,
-        message: 'Not authorized to report incident for this trip'
+        message: 'Not authorized to view this fare split'
       });
     }
 
-    // Update trip status
-    const previousStatus = trip.status;
-    trip.status = 'incident';
-    trip.incidentDetails = incidentDetails;
-    await trip.save();
+    res.status(200).json({
+      success: true,
+      data: formatFareSplit(split)
+    });
+  } catch (error) {
+    console.error('Get fare split error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching fare split',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
 
-    // Create notifications for all parties
-    // For client
-    if (req.user.id !== trip.clientId) {
-      await Notification.create({
-        userId: trip.clientId,
-        type: 'system_alert',
-        title: 'Trip Incident Reported',
-        message: 'An incident has been reported for your trip. Our support team will contact you shortly.',
-        data: { tripId: trip.id },
-        channel: 'app',
-        priority: 'high'
+/**
+ * Pay your share of a split fare from the wallet or by mobile money
+ * @route POST /api/trips/:tripId/split/pay
+ */
+exports.payFareShare = async (req, res) => {
+  try {
+    const { tripId } = req.params;
+    const { paymentMethod, provider, phoneNumber } = req.body;
+
+    const trip = await Trip.findByPk(tripId);
+
+    if (!trip) {
+      return res.status(404).json({
+        success: false,
+        message: 'Trip not found'
       });
     }
 
-    // For driver
-    if (trip.driver && trip.driver.userId && req.user.id !== trip.driver.userId) {
-      await Notification.create({
-        userId: trip.driver.userId,
-        type: 'system_alert',
-        title: 'Trip Incident Reported',
-        message: 'An incident has been reported for your trip. Our support team will contact you shortly.',
-        data: { tripId: trip.id },
-        channel: 'app',
-        priority: 'high'
+    const result = await payFareShare(trip, req.user.id, {
+      paymentMethod,
+      provider,
+      phoneNumber: phoneNumber || req.user.phoneNumber
+    });
+
+    if (!result.success) {
+      const status = {
+        not_found: 404,
+        already_settled: 409,
+        payment_in_progress: 409,
+        provider_refused: 502
+      }[result.code] || 400;
+
+      return res.status(status).json({
+        success: false,
+        message: result.message
       });
     }
 
-    // Notify admins
-    const admins = await User.findAll({
-      where: { role: 'admin', isActive: true }
+    const { payment } = result;
+    res.status(payment.status === 'completed' ? 200 : 202).json({
+      success: true,
+      message: payment.status === 'completed'
+        ? (result.settled ? 'Share paid. The trip fare is now paid in full.' : 'Share paid')
+        : 'Payment request sent to your phone. Confirm it to pay your share.',
+      data: {
+        paymentId: payment.id,
+        amount: payment.amount,
+        currency: payment.currency,
+        method: payment.paymentMethod,
+        status: payment.status,
+        reference: payment.transactionReference,
+        tripPaid: Boolean(result.settled)
+      }
+    });
+  } catch (error) {
+    console.error('Pay fare share error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error paying fare share',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
+  }
+};
 
-    for (const admin of admins) {
-      await Notification.create({
-        userId: admin.id,
-        type: 'system_alert',
-        title: 'Trip Incident Reported',
-        message: `Incident reported for Trip ${trip.id}. Details: ${incidentDetails.substring(0, 100)}${incidentDetails.length > 100 ? '...' : ''}`,
-        data: { tripId: trip.id },
-        channel: 'app',
-        priority: 'high'
+/**
+ * Decline an invitation to share a trip's fare; the rider who booked pays the share instead
+ * @route POST /api/trips/:tripId/split/decline
+ */
+exports.declineFareShare = async (req, res) => {
+  try {
+    const trip = await Trip.findByPk(req.params.tripId);
+
+    if (!trip) {
+      return res.status(404).json({
+        success: false,
+        message: 'Trip not found'
+      });
+    }
+
+    const result = await declineFareShare(trip, req.user.id);
+
+    if (!result.success) {
+      return res.status(result.code === 'not_found' ? 404 : 409).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Fare share declined'
+    });
+  } catch (error) {
+    console.error('Decline fare share error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error declining fare share',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Report trip incident
+ * @route POST /api/trips/:tripId/incidents
+ */
+exports.reportIncident = async (req, res) => {
+  try {
+    const { tripId } = req.params;
+    const { incidentDetails, location } = req.body;
+    
+    if (!incidentDetails) {
+      return res.status(400).json({
+        success: false,
+        message: 'Incident details are required'
+      });
+    }
+
+    const trip = await Trip.findByPk(tripId);
+
+    if (!trip) {
+      return res.status(404).json({
+        success: false,
+        message: 'Trip not found'
+      });
+    }
+
+    // Check if user has permission to report incident
+    const actorRole = await resolveActorRole(trip, req.user);
+
+    if (!actorRole) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to report incident for this trip'
       });
     }
 
+    // Parties and admins are notified by the incident hooks
+    const result = await transitionTrip(trip.id, 'report_incident', {
+      actorId: req.user.id,
+      actorRole,
+      location,
+      reason: incidentDetails,
+      changes: { incidentDetails }
+    });
+
+    if (!result.success) {
+      return sendTransitionError(res, result);
+    }
+
     // Create admin log if reported by admin
-    if (req.user.role === 'admin') {
+    if (actorRole === 'admin') {
       await createAdminLog({
         adminId: req.user.id,
         action: 'trip_intervention',
         targetType: 'trip',
         targetId: trip.id,
         details: `Admin reported trip incident: ${incidentDetails.substring(0, 100)}${incidentDetails.length > 100 ? '...' : ''}`,
-        previousData: { status: previousStatus },
+        previousData: { status: result.event.fromStatus },
         newData: { status: 'incident' },
         ipAddress: req.ip,
         userAgent: req.headers['user-agent']
@@ -902,8 +1169,8 @@ exports.reportIncident = async (req, res) => {
       message: 'Incident reported successfully',
       data: {
         tripId: trip.id,
-        status: trip.status,
-        incidentDetails: trip.incidentDetails
+        status: result.trip.status,
+        incidentDetails: result.trip.incidentDetails
       }
     });
   } catch (error) {
@@ -915,3 +1182,843 @@ exports.reportIncident = async (req, res) => {
     });
   }
 };
+
+/**
+ * Get the status history of a trip
+ * @route GET /api/trips/:tripId/events
+ */
+exports.getTripEvents = async (req, res) => {
+  try {
+    const { tripId } = req.params;
+
+    const trip = await Trip.findByPk(tripId);
+
+    if (!trip) {
+      return res.status(404).json({
+        success: false,
+        message: 'Trip not found'
+      });
+    }
+
+    const actorRole = await resolveActorRole(trip, req.user);
+
+    if (!actorRole) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this trip'
+      });
+    }
+
+    const events = await getTripHistory(trip.id);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        tripId: trip.id,
+        status: trip.status,
+        events
+      }
+    });
+  } catch (error) {
+    console.error('Get trip events error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching trip history',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Get live tracking of a trip: path driven so far, driver position and ETA
+ * @route GET /api/trips/:tripId/tracking
+ */
+exports.getTripTracking = async (req, res) => {
+  try {
+    const { tripId } = req.params;
+
+    const trip = await Trip.findByPk(tripId, {
+      include: [{ model: Driver, as: 'driver' }]
+    });
+
+    if (!trip) {
+      return res.status(404).json({
+        success: false,
+        message: 'Trip not found'
+      });
+    }
+
+    const actorRole = await resolveActorRole(trip, req.user);
+
+    if (!actorRole) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this trip'
+      });
+    }
+
+    const tracking = await getTripTracking(trip);
+
+    res.status(200).json({
+      success: true,
+      data: tracking
+    });
+  } catch (error) {
+    console.error('Get trip tracking error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching trip tracking',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Raise an SOS during a trip (client or driver)
+ * @route POST /api/trips/:tripId/sos
+ */
+exports.triggerSOS = async (req, res) => {
+  try {
+    const { tripId } = req.params;
+    const { location } = req.body;
+
+    const trip = await Trip.findByPk(tripId);
+
+    if (!trip) {
+      return res.status(404).json({
+        success: false,
+        message: 'Trip not found'
+      });
+    }
+
+    // Only the trip's own rider or driver can raise an SOS on it
+    const reporterRole = await resolveActorRole(trip, req.user);
+
+    if (reporterRole !== 'client' && reporterRole !== 'driver') {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to raise an SOS on this trip'
+      });
+    }
+
+    const reporter = await User.findByPk(req.user.id);
+    const result = await triggerSOS(trip, reporter, reporterRole, location);
+
+    if (!result.success) {
+      return res.status(400).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Emergency alert sent. Our safety team has been notified.',
+      data: {
+        caseId: result.safetyCase.id,
+        status: result.safetyCase.status,
+        alertCount: result.safetyCase.alertCount,
+        contactsNotified: result.safetyCase.contactsNotified,
+        trackingUrl: result.trackingUrl
+      }
+    });
+  } catch (error) {
+    console.error('Trigger SOS error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error raising SOS',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Share the reporter's live location with an open safety case
+ * @route PUT /api/trips/:tripId/sos/location
+ */
+exports.updateSOSLocation = async (req, res) => {
+  try {
+    const { tripId } = req.params;
+    const { location } = req.body;
+
+    const trip = await Trip.findByPk(tripId);
+
+    if (!trip) {
+      return res.status(404).json({
+        success: false,
+        message: 'Trip not found'
+      });
+    }
+
+    const actorRole = await resolveActorRole(trip, req.user);
+
+    if (actorRole !== 'client' && actorRole !== 'driver') {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this trip'
+      });
+    }
+
+    const safetyCase = await updateCaseLocation(trip.id, location);
+
+    if (!safetyCase) {
+      return res.status(404).json({
+        success: false,
+        message: 'No open safety case for this trip'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Location shared',
+      data: {
+        caseId: safetyCase.id,
+        lastLocationAt: safetyCase.lastLocationAt
+      }
+    });
+  } catch (error) {
+    console.error('Update SOS location error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error sharing location',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Get upcoming scheduled trips
+ * Clients see their own bookings, admins see all of them
+ * @route GET /api/trips/scheduled
+ */
+exports.getScheduledTrips = async (req, res) => {
+  try {
+    const { from, to, page = 1, limit = 10 } = req.query;
+
+    // Build query conditions
+    const where = { status: 'scheduled' };
+
+    if (req.user.role !== 'admin') {
+      where.clientId = req.user.id;
+    }
+
+    where.scheduledPickupTime = {
+      [Op.gte]: from ? new Date(from) : new Date()
+    };
+
+    if (to) {
+      where.scheduledPickupTime[Op.lte] = new Date(to);
+    }
+
+    // Calculate pagination
+    const offset = (page - 1) * limit;
+
+    const { count, rows: trips } = await Trip.findAndCountAll({
+      where,
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      order: [['scheduledPickupTime', 'ASC']],
+      include: [
+        {
+          model: User,
+          as: 'client',
+          attributes: ['id', 'firstName', 'lastName', 'phoneNumber']
+        }
+      ]
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        trips,
+        pagination: {
+          total: count,
+          page: parseInt(page),
+          limit: parseInt(limit),
+          pages: Math.ceil(count / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get scheduled trips error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching scheduled trips',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Modify a scheduled trip before dispatch starts
+ * @route PUT /api/trips/:tripId/schedule
+ */
+exports.updateScheduledTrip = async (req, res) => {
+  try {
+    const { tripId } = req.params;
+    const {
+      scheduledPickupTime, pickupLocation, pickupAddress, destinationLocation,
+      destinationAddress, estimatedDistance, estimatedDuration, paymentMethod
+    } = req.body;
+
+    const trip = await Trip.findByPk(tripId);
+
+    if (!trip) {
+      return res.status(404).json({
+        success: false,
+        message: 'Trip not found'
+      });
+    }
+
+    // Check if user has permission to modify this trip
+    if (req.user.role !== 'admin' && req.user.id !== trip.clientId) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to modify this trip'
+      });
+    }
+
+    // Check the booking has not started dispatching
+    if (!isModifiable(trip)) {
+      return res.status(400).json({
+        success: false,
+        message: trip.status === 'scheduled'
+          ? 'Trip is about to be dispatched and can no longer be modified'
+          : `Trip cannot be modified in ${trip.status} status`
+      });
+    }
+
+    if (scheduledPickupTime) {
+      const pickupTimeError = validatePickupTime(scheduledPickupTime);
+      if (pickupTimeError) {
+        return res.status(400).json({
+          success: false,
+          message: pickupTimeError
+        });
+      }
+    }
+
+    // Store previous data for admin log
+    const previousData = {
+      scheduledPickupTime: trip.scheduledPickupTime,
+      pickupAddress: trip.pickupAddress,
+      destinationAddress: trip.destinationAddress,
+      estimatedPrice: trip.estimatedPrice
+    };
+
+    if (scheduledPickupTime) {
+      trip.scheduledPickupTime = new Date(scheduledPickupTime);
+      trip.reminderSentAt = null; // Remind again for the new time
+    }
+    if (pickupLocation) trip.pickupLocation = pickupLocation;
+    if (pickupAddress) trip.pickupAddress = pickupAddress;
+    if (destinationLocation) trip.destinationLocation = destinationLocation;
+    if (destinationAddress) trip.destinationAddress = destinationAddress;
+    if (paymentMethod) trip.paymentMethod = paymentMethod;
+
+    // Re-price if the route changed
+    if (estimatedDistance || estimatedDuration) {
+      if (estimatedDistance) trip.estimatedDistance = estimatedDistance;
+      if (estimatedDuration) trip.estimatedDuration = estimatedDuration;
+
+      const stops = await TripStop.findAll({
+        where: { tripId: trip.id },
+        order: [['sequence', 'ASC']]
+      });
+
+      const priceQuote = await calculateTripPrice({
+        pickupLocation: trip.pickupLocation,
+        dropoffLocation: trip.destinationLocation,
+        estimatedDistance: trip.estimatedDistance,
+        estimatedDuration: trip.estimatedDuration,
+        clientId: trip.clientId,
+        vehicleType: trip.vehicleType,
+        city: trip.city,
+        currency: trip.currency,
+        stops
+      });
+
+      if (!priceQuote.success) {
+        return res.status(400).json({
+          success: false,
+          message: priceQuote.error || priceQuote.message
+        });
+      }
+
+      trip.estimatedPrice = priceQuote.totalPrice;
+      trip.surgeCell = priceQuote.surgeCell;
+      trip.surgeFactor = priceQuote.surgeFactor;
+      trip.rateCardId = priceQuote.rates.rateCardId;
+      trip.quotedRates = priceQuote.rates;
+      trip.exchangeRate = priceQuote.charge.exchangeRate;
+      trip.exchangeRateId = priceQuote.charge.exchangeRateId;
+    }
+
+    await trip.save();
+
+    // Create admin log if modified by admin
+    if (req.user.role === 'admin') {
+      await createAdminLog({
+        adminId: req.user.id,
+        action: 'trip_intervention',
+        targetType: 'trip',
+        targetId: trip.id,
+        details: 'Admin modified scheduled trip',
+        previousData,
+        newData: {
+          scheduledPickupTime: trip.scheduledPickupTime,
+          pickupAddress: trip.pickupAddress,
+          destinationAddress: trip.destinationAddress,
+          estimatedPrice: trip.estimatedPrice
+        },
+        ipAddress: req.ip,
+        userAgent: req.headers['user-agent']
+      });
+
+      await Notification.create({
+        userId: trip.clientId,
+        type: 'account_update',
+        title: 'Scheduled Trip Updated',
+        message: `Your scheduled trip from ${trip.pickupAddress} has been updated by our support team.`,
+        data: { tripId: trip.id },
+        channel: 'app',
+        priority: 'medium'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Scheduled trip updated successfully',
+      data: {
+        trip: {
+          id: trip.id,
+          status: trip.status,
+          scheduledPickupTime: trip.scheduledPickupTime,
+          pickupAddress: trip.pickupAddress,
+          destinationAddress: trip.destinationAddress,
+          estimatedDistance: trip.estimatedDistance,
+          estimatedDuration: trip.estimatedDuration,
+          estimatedPrice: trip.estimatedPrice,
+          paymentMethod: trip.paymentMethod
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Update scheduled trip error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating scheduled trip',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Mark arrival at the next stop of an active trip
+ * @route PUT /api/trips/:tripId/stops/:stopId/arrive
+ */
+exports.arriveAtStop = async (req, res) => {
+  try {
+    const { trip, stop, error } = await loadNextStop(req, ['pending']);
+    if (error) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    stop.status = 'arrived';
+    stop.arrivedAt = new Date();
+    await stop.save();
+
+    // Emit socket events
+    io.to(`client_${trip.clientId}`).emit('stop_arrived', {
+      tripId: trip.id,
+      stopId: stop.id,
+      sequence: stop.sequence,
+      address: stop.address,
+      arrivedAt: stop.arrivedAt
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Arrival at stop recorded',
+      data: {
+        tripId: trip.id,
+        stop
+      }
+    });
+  } catch (error) {
+    console.error('Arrive at stop error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error recording arrival at stop',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Mark departure from the current stop of an active trip
+ * @route PUT /api/trips/:tripId/stops/:stopId/depart
+ */
+exports.departFromStop = async (req, res) => {
+  try {
+    const { trip, stop, stops, error } = await loadNextStop(req, ['arrived']);
+    if (error) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    stop.status = 'departed';
+    stop.departedAt = new Date();
+    stop.waitingTime = Math.round((stop.departedAt - stop.arrivedAt) / 60000);
+    await stop.save();
+
+    const nextStop = stops.find(s => s.sequence > stop.sequence && s.status === 'pending') || null;
+
+    // Emit socket events
+    io.to(`client_${trip.clientId}`).emit('stop_departed', {
+      tripId: trip.id,
+      stopId: stop.id,
+      sequence: stop.sequence,
+      departedAt: stop.departedAt,
+      waitingTime: stop.waitingTime,
+      nextStop: nextStop
+        ? { id: nextStop.id, sequence: nextStop.sequence, address: nextStop.address }
+        : { address: trip.destinationAddress }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Departure from stop recorded',
+      data: {
+        tripId: trip.id,
+        stop,
+        nextStop
+      }
+    });
+  } catch (error) {
+    console.error('Depart from stop error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error recording departure from stop',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Skip the next stop of an active trip
+ * @route PUT /api/trips/:tripId/stops/:stopId/skip
+ */
+exports.skipStop = async (req, res) => {
+  try {
+    const { trip, stop, error } = await loadNextStop(req, ['pending', 'arrived']);
+    if (error) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    stop.status = 'skipped';
+    if (stop.arrivedAt) {
+      stop.departedAt = new Date();
+      stop.waitingTime = Math.round((stop.departedAt - stop.arrivedAt) / 60000);
+    }
+    await stop.save();
+
+    // Emit socket events
+    io.to(`client_${trip.clientId}`).emit('stop_skipped', {
+      tripId: trip.id,
+      stopId: stop.id,
+      sequence: stop.sequence
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Stop skipped',
+      data: {
+        tripId: trip.id,
+        stop
+      }
+    });
+  } catch (error) {
+    console.error('Skip stop error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error skipping stop',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Propose a new or extra destination on an active trip (client)
+ * @route PUT /api/trips/:tripId/extend
+ */
+exports.extendTrip = async (req, res) => {
+  try {
+    const { tripId } = req.params;
+    const {
+      newDropoffLatitude, newDropoffLongitude, newDropoffAddress,
+      additionalEstimatedDistance, additionalEstimatedDuration, keepCurrentDestination
+    } = req.body;
+
+    const trip = await Trip.findByPk(tripId);
+    if (!trip) {
+      return res.status(404).json({
+        success: false,
+        message: 'Trip not found'
+      });
+    }
+
+    if (trip.clientId !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to change this trip'
+      });
+    }
+
+    // An appended destination adds a leg, so it cannot shorten the trip
+    if (keepCurrentDestination && (additionalEstimatedDistance <= 0 || additionalEstimatedDuration < 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'An extra destination must add distance to the trip'
+      });
+    }
+
+    const result = await proposeExtension(trip, req.user.id, {
+      mode: keepCurrentDestination ? 'append' : 'replace',
+      destinationLocation: {
+        type: 'Point',
+        coordinates: [newDropoffLongitude, newDropoffLatitude]
+      },
+      destinationAddress: newDropoffAddress,
+      additionalDistance: additionalEstimatedDistance,
+      additionalDuration: additionalEstimatedDuration
+    });
+
+    if (!result.success) {
+      return res.status(400).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: result.message,
+      data: {
+        extension: result.extension,
+        priceBreakdown: result.priceBreakdown
+      }
+    });
+  } catch (error) {
+    console.error('Extend trip error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error changing trip destination',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Accept or reject a destination change proposed by the client (driver)
+ * @route PUT /api/trips/:tripId/extend/:extensionId/respond
+ */
+exports.respondToExtension = async (req, res) => {
+  try {
+    const { tripId, extensionId } = req.params;
+    const { accept, reason } = req.body;
+
+    const trip = await Trip.findByPk(tripId);
+    if (!trip) {
+      return res.status(404).json({
+        success: false,
+        message: 'Trip not found'
+      });
+    }
+
+    const driver = await Driver.findOne({
+      where: { userId: req.user.id }
+    });
+
+    if (!driver || driver.id !== trip.driverId) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to respond for this trip'
+      });
+    }
+
+    const extension = await TripExtension.findOne({
+      where: { id: extensionId, tripId: trip.id }
+    });
+
+    if (!extension) {
+      return res.status(404).json({
+        success: false,
+        message: 'Destination change not found'
+      });
+    }
+
+    const result = await respondToExtension(extension, trip, accept, reason);
+
+    if (!result.success) {
+      return res.status(400).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: result.message,
+      data: {
+        extension: result.extension,
+        trip: {
+          id: result.trip.id,
+          destinationAddress: result.trip.destinationAddress,
+          estimatedDistance: result.trip.estimatedDistance,
+          estimatedDuration: result.trip.estimatedDuration,
+          estimatedPrice: result.trip.estimatedPrice,
+          fareAdjustment: result.trip.fareAdjustment
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Respond to trip extension error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error responding to destination change',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Load an active trip and the stop named in the request, checking the caller is
+ * the assigned driver and the stop is the next one on the itinerary
+ * @param {Object} req - Express request object
+ * @param {Array<string>} allowedStatuses - Stop statuses the action applies to
+ * @returns {Promise<Object>} Trip, stop and ordered stops, or an error with HTTP status
+ */
+async function loadNextStop(req, allowedStatuses) {
+  const { tripId, stopId } = req.params;
+
+  const trip = await Trip.findByPk(tripId);
+  if (!trip) {
+    return { error: { status: 404, message: 'Trip not found' } };
+  }
+
+  const driver = await Driver.findOne({
+    where: { userId: req.user.id }
+  });
+
+  if (!driver || driver.id !== trip.driverId) {
+    return { error: { status: 403, message: 'Not authorized to update stops for this trip' } };
+  }
+
+  if (trip.status !== 'active') {
+    return { error: { status: 400, message: `Stops cannot be updated in ${trip.status} status` } };
+  }
+
+  const stops = await TripStop.findAll({
+    where: { tripId: trip.id },
+    order: [['sequence', 'ASC']]
+  });
+
+  const stop = stops.find(s => s.id === stopId);
+  if (!stop) {
+    return { error: { status: 404, message: 'Stop not found' } };
+  }
+
+  // Stops are served strictly in order
+  const nextStop = stops.find(s => ['pending', 'arrived'].includes(s.status));
+  if (!nextStop || nextStop.id !== stop.id) {
+    return { error: { status: 400, message: 'Stops must be served in order' } };
+  }
+
+  if (!allowedStatuses.includes(stop.status)) {
+    return { error: { status: 400, message: `Stop is already ${stop.status}` } };
+  }
+
+  return { trip, stop, stops };
+}
+
+/**
+ * Send the HTTP error matching a failed trip transition
+ * @param {Object} res - Express response object
+ * @param {Object} result - Failed result from transitionTrip
+ * @returns {Object} Express response
+ */
+function sendTransitionError(res, result) {
+  const statusCodes = {
+    not_found: 404,
+    forbidden: 403,
+    invalid_transition: 400,
+    conflict: 409
+  };
+
+  return res.status(statusCodes[result.code] || 400).json({
+    success: false,
+    message: result.message
+  });
+}
+
+/**
+ * Shape the outcome of a tip for a response
+ * @param {Object} result - Result of tipDriver
+ * @returns {Object} success, the tip's payment details and a message when it failed
+ */
+function formatTip(result) {
+  const { payment } = result;
+
+  return {
+    success: result.success,
+    message: result.success ? undefined : result.message,
+    paymentId: payment ? payment.id : null,
+    amount: payment ? payment.amount : null,
+    currency: payment ? payment.currency : null,
+    method: payment ? payment.paymentMethod : null,
+    status: payment ? payment.status : null,
+    reference: payment ? payment.transactionReference : null
+  };
+}
+
+/**
+ * Shape a fare split for a response
+ * @param {Object} split - Fare split with its shares and their riders
+ * @returns {Object} The split, with each share's rider, amount and status
+ */
+function formatFareSplit(split) {
+  return {
+    id: split.id,
+    tripId: split.tripId,
+    ownerId: split.ownerId,
+    splitType: split.splitType,
+    currency: split.currency,
+    total: split.totalAmountMinor === null ? null : fromMinor(Number(split.totalAmountMinor), split.currency),
+    status: split.status,
+    deadlineAt: split.deadlineAt,
+    settledAt: split.settledAt,
+    shares: (split.shares || []).map(share => ({
+      id: share.id,
+      rider: share.user ? {
+        id: share.user.id,
+        name: `${share.user.firstName} ${share.user.lastName}`,
+        phoneNumber: share.user.phoneNumber
+      } : { id: share.userId },
+      isOwner: share.isOwner,
+      fallbackForId: share.fallbackForId,
+      requestedAmount: share.requestedAmountMinor === null ? null : fromMinor(Number(share.requestedAmountMinor), split.currency),
+      amount: share.amount === null ? null : parseFloat(share.amount),
+      status: share.status,
+      paidAt: share.paidAt
+    }))
+  };
+}
@@ -7,6 +7,9 @@ const { User, Trip, Payment, Notification } = require('../models');
 const { validateUserUpdate } = require('../utils/validators');
 const { createAdminLog } = require('../services/admin.service');
 const { checkFraudRisk } = require('../services/fraud.service');
+const { getReferralSummary } = require('../services/referral.service');
+const walletService = require('../services/wallet.service');
+const { BASE_CURRENCY, isSupportedCurrency, toMinor, fromMinor, formatMoney } = require('../utils/money');
 const { Op } = require('sequelize');
 
 /**
@@ -396,7 +399,7 @@ exports.markNotificationRead = async (req, res) => {
 exports.updateWallet = async (req, res) => {
   try {
     const { id } = req.params;
-    const { amount, operation, reason } = req.body;
+    const { amount, operation, reason, currency = BASE_CURRENCY } = req.body;
     
     // Validate request
     if (!amount || !operation || !['add', 'subtract'].includes(operation)) {
@@ -406,6 +409,13 @@ exports.updateWallet = async (req, res) => {
       });
     }
 
+    if (!isSupportedCurrency(currency)) {
+      return res.status(400).json({
+        success: false,
+        message: `Unsupported currency: ${currency}`
+      });
+    }
+
     // Only admin can update wallet balance
     if (req.user.role !== 'admin') {
       return res.status(403).json({
@@ -423,23 +433,27 @@ exports.updateWallet = async (req, res) => {
     }
 
     // Store previous data for admin log
-    const previousBalance = user.walletBalance;
-
-    // Update wallet balance
-    if (operation === 'add') {
-      user.walletBalance = parseFloat(user.walletBalance) + parseFloat(amount);
-    } else {
-      // Check if enough balance
-      if (parseFloat(user.walletBalance) < parseFloat(amount)) {
-        return res.status(400).json({
-          success: false,
-          message: 'Insufficient wallet balance'
-        });
+    const wallet = await walletService.getWallet(user.id, currency);
+    const previousBalance = fromMinor(wallet.balanceMinor, currency);
+    const amountMinor = toMinor(amount, currency);
+
+    // Update wallet balance through an adjustment entry in the ledger
+    let balanceMinor;
+    try {
+      balanceMinor = await walletService.adjust(user.id, currency, operation === 'add' ? amountMinor : -amountMinor, {
+        createdBy: req.user.id,
+        description: reason || 'Admin wallet adjustment'
+      });
+    } catch (error) {
+      if (error.code !== 'insufficient_funds') {
+        throw error;
       }
-      user.walletBalance = parseFloat(user.walletBalance) - parseFloat(amount);
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
     }
-
-    await user.save();
+    const currentBalance = fromMinor(balanceMinor, currency);
 
     // Create admin log
     await createAdminLog({
@@ -447,9 +461,9 @@ exports.updateWallet = async (req, res) => {
       action: 'user_update',
       targetType: 'user',
       targetId: user.id,
-      details: `Admin ${operation === 'add' ? 'added' : 'subtracted'} ${amount} to wallet balance. Reason: ${reason || 'Not specified'}`,
-      previousData: { walletBalance: previousBalance },
-      newData: { walletBalance: user.walletBalance },
+      details: `Admin ${operation === 'add' ? 'added' : 'subtracted'} ${amount} ${currency} to wallet balance. Reason: ${reason || 'Not specified'}`,
+      previousData: { currency, walletBalance: previousBalance },
+      newData: { currency, walletBalance: currentBalance },
       ipAddress: req.ip,
       userAgent: req.headers['user-agent']
     });
@@ -459,7 +473,7 @@ exports.updateWallet = async (req, res) => {
       userId: user.id,
       type: 'account_update',
       title: 'Wallet Balance Updated',
-      message: `Your wallet balance has been ${operation === 'add' ? 'increased' : 'decreased'} by ${amount}. New balance: ${user.walletBalance}`,
+      message: `Your ${currency} wallet balance has been ${operation === 'add' ? 'increased' : 'decreased'} by ${formatMoney(amountMinor, currency)}. New balance: ${formatMoney(balanceMinor, currency)}`,
       channel: 'app',
       priority: 'medium'
     });
@@ -469,8 +483,9 @@ exports.updateWallet = async (req, res) => {
       message: 'Wallet balance updated successfully',
       data: {
         userId: user.id,
+        currency,
         previousBalance,
-        currentBalance: user.walletBalance,
+        currentBalance,
         operation,
         amount
       }
@@ -623,3 +638,59 @@ exports.deactivateAccount = async (req, res) => {
     });
   }
 };
+
+/**
+ * Get the user's referral code and the referrals they made
+ * @route GET /api/users/referrals
+ */
+exports.getReferrals = async (req, res) => {
+  try {
+    const user = await User.findByPk(req.user.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const summary = await getReferralSummary(user);
+
+    res.status(200).json({
+      success: true,
+      data: summary
+    });
+  } catch (error) {
+    console.error('Get referrals error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching referrals',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Get the user's wallet balances, one per currency
+ * @route GET /api/users/wallet
+ */
+exports.getWallet = async (req, res) => {
+  try {
+    const wallets = await walletService.getBalances(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        baseCurrency: BASE_CURRENCY,
+        wallets
+      }
+    });
+  } catch (error) {
+    console.error('Get wallet error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching wallet',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
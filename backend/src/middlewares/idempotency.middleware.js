@@ -0,0 +1,174 @@
+/**
+ * Idempotency Middleware for Taxi-Express
+ * Makes retried money-moving requests safe with an Idempotency-Key header
+ */
+
+const crypto = require('crypto');
+const { IdempotencyKey } = require('../models');
+
+// How long a key and its stored response are kept
+const IDEMPOTENCY_KEY_TTL_HOURS = parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS, 10) || 24;
+
+// How long a request may hold its key before it counts as abandoned (e.g. the server restarted)
+const IDEMPOTENCY_LOCK_SECONDS = parseInt(process.env.IDEMPOTENCY_LOCK_SECONDS, 10) || 120;
+
+/**
+ * Run a request once per Idempotency-Key
+ * The first successful response is stored and replayed for later requests with the same key;
+ * a request arriving while the first one is still running is rejected.
+ * Requests without the header run as usual. Must come after authenticate, and after
+ * rate limiting and input validation so their rejections are not stored.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.idempotent = async (req, res, next) => {
+  const key = req.header('Idempotency-Key');
+
+  if (!key) {
+    return next();
+  }
+
+  if (key.length > 255) {
+    return res.status(400).json({
+      success: false,
+      message: 'Idempotency-Key must be at most 255 characters'
+    });
+  }
+
+  try {
+    const requestHash = hashRequest(req);
+    const { record, claimed } = await claimKey(req, key, requestHash);
+
+    if (!claimed) {
+      if (record.requestHash !== requestHash) {
+        return res.status(422).json({
+          success: false,
+          message: 'Idempotency-Key has already been used for a different request'
+        });
+      }
+
+      if (record.status === 'processing') {
+        return res.status(409).json({
+          success: false,
+          message: 'A request with this Idempotency-Key is still being processed'
+        });
+      }
+
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(record.responseStatus).json(record.responseBody);
+    }
+
+    captureResponse(record, res);
+    next();
+  } catch (error) {
+    console.error('Idempotency key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error checking idempotency key',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Fingerprint a request so a key cannot be reused for a different one
+ * @param {Object} req - Express request object
+ * @returns {string} SHA-256 hex digest
+ */
+function hashRequest(req) {
+  return crypto
+    .createHash('sha256')
+    .update(`${req.method} ${req.originalUrl} ${JSON.stringify(req.body || {})}`)
+    .digest('hex');
+}
+
+/**
+ * Take the key for this request, unless another request holds it
+ * Expired keys and keys held by an abandoned request are taken over
+ * @param {Object} req - Express request object
+ * @param {string} key - Idempotency-Key header value
+ * @param {string} requestHash - Fingerprint of the request
+ * @returns {Promise<Object>} The key record, and whether this request holds it
+ */
+async function claimKey(req, key, requestHash) {
+  const now = new Date();
+  const claim = {
+    method: req.method,
+    path: req.originalUrl,
+    requestHash,
+    status: 'processing',
+    responseStatus: null,
+    responseBody: null,
+    lockedAt: now,
+    expiresAt: new Date(now.getTime() + IDEMPOTENCY_KEY_TTL_HOURS * 60 * 60 * 1000)
+  };
+
+  // The unique index on (userId, key) lets only one concurrent request create the record
+  const [record, created] = await IdempotencyKey.findOrCreate({
+    where: { userId: req.user.id, key },
+    defaults: claim
+  });
+
+  if (created) {
+    return { record, claimed: true };
+  }
+
+  const expired = new Date(record.expiresAt) <= now;
+  const abandoned = record.status === 'processing' &&
+    new Date(record.lockedAt).getTime() + IDEMPOTENCY_LOCK_SECONDS * 1000 <= now.getTime();
+
+  if (expired || abandoned) {
+    // Guarded on the lock time so only one request takes the key over
+    const [updated] = await IdempotencyKey.update(claim, {
+      where: { id: record.id, lockedAt: record.lockedAt }
+    });
+
+    await record.reload();
+    return { record, claimed: updated > 0 };
+  }
+
+  return { record, claimed: false };
+}
+
+/**
+ * Store the response of the request holding a key before sending it
+ * Only successful responses are stored; a rejected or failed request moved no money,
+ * so its key is released and the request can be retried
+ * @param {Object} record - Key record held by the request
+ * @param {Object} res - Express response object
+ * @returns {void}
+ */
+function captureResponse(record, res) {
+  const json = res.json.bind(res);
+  let settled = false;
+
+  res.json = (body) => {
+    settled = true;
+
+    const saved = res.statusCode >= 300
+      ? record.destroy()
+      : record.update({
+        status: 'completed',
+        responseStatus: res.statusCode,
+        responseBody: body
+      });
+
+    saved
+      .catch(error => {
+        console.error('Idempotency key save error:', error);
+      })
+      .then(() => json(body));
+
+    return res;
+  };
+
+  // A request that ends without a JSON response leaves nothing to replay
+  res.on('close', () => {
+    if (!settled) {
+      record.destroy().catch(error => {
+        console.error('Idempotency key release error:', error);
+      });
+    }
+  });
+}
@@ -4,6 +4,36 @@
  */
 
 const Joi = require('joi');
+const { SUPPORTED_CURRENCIES, BASE_CURRENCY } = require('../utils/money');
+
+// Currency a rider pays in or a wallet operation is made in
+const currencySchema = Joi.string().valid(...SUPPORTED_CURRENCIES).default(BASE_CURRENCY);
+
+// Mobile money operator a payment goes through
+const mobileMoneyProviderSchema = Joi.string().valid('orange', 'airtel', 'africell', 'mpesa');
+
+// Driver tier commission policies can be scoped to
+const driverTierSchema = Joi.string().valid('standard', 'silver', 'gold', 'platinum');
+
+// Tip for a trip's driver, in the trip's currency
+const tipSchema = Joi.object({
+  amount: Joi.number().positive().required(),
+  paymentMethod: Joi.string().valid('wallet', 'mobile_money').required(),
+  provider: mobileMoneyProviderSchema.when('paymentMethod', {
+    is: 'mobile_money',
+    then: Joi.required(),
+    otherwise: Joi.forbidden()
+  }),
+  phoneNumber: Joi.string().pattern(/^\+?[0-9]{8,15}$/)
+});
+
+// Intermediate stop of a multi-stop trip; leg values run from the previous point
+const tripStopSchema = Joi.object({
+  location: Joi.object().required(),
+  address: Joi.string().min(1).max(200).required(),
+  legDistance: Joi.number().min(0).required(),
+  legDuration: Joi.number().min(0).required()
+});
 
 // Validation schemas for different endpoints
 const schemas = {
@@ -15,7 +45,9 @@ const schemas = {
     password: Joi.string().min(8).required(),
     phoneNumber: Joi.string().pattern(/^\+?[0-9]{8,15}$/).required(),
     role: Joi.string().valid('client', 'driver').default('client'),
-    preferredLanguage: Joi.string().valid('en', 'fr').default('fr')
+    preferredLanguage: Joi.string().valid('en', 'fr').default('fr'),
+    referralCode: Joi.string().alphanum().max(20),
+    deviceId: Joi.string().max(200)
   }),
   
   login: Joi.object({
@@ -94,10 +126,21 @@ const schemas = {
     accuracy: Joi.number()
   }),
   
+  updateDriverTier: Joi.object({
+    tier: driverTierSchema.required()
+  }),
+  
   updateAvailability: Joi.object({
     isAvailable: Joi.boolean().required()
   }),
   
+  settleDriverDebt: Joi.object({
+    amount: Joi.number().positive(),
+    provider: mobileMoneyProviderSchema.required(),
+    phoneNumber: Joi.string().pattern(/^\+?[0-9]{8,15}$/).required(),
+    currency: currencySchema
+  }),
+  
   updateVerification: Joi.object({
     isVerified: Joi.boolean().required(),
     verificationNotes: Joi.string().max(500),
@@ -114,7 +157,7 @@ const schemas = {
     year: Joi.number().integer().min(1990).max(new Date().getFullYear() + 1).required(),
     color: Joi.string().min(1).max(30).required(),
     licensePlate: Joi.string().min(1).max(20).required(),
-    vehicleType: Joi.string().valid('standard', 'premium', 'suv', 'moto').required()
+    vehicleType: Joi.string().valid('car', 'motorcycle', 'taxi', 'minibus').required()
   }),
   
   // Trip schemas
@@ -127,30 +170,80 @@ const schemas = {
     dropoffAddress: Joi.string().min(1).max(200).required(),
     estimatedDistance: Joi.number().min(0).required(),
     estimatedDuration: Joi.number().min(0).required(),
-    vehicleType: Joi.string().valid('standard', 'premium', 'suv', 'moto').default('standard'),
+    vehicleType: Joi.string().valid('car', 'motorcycle', 'taxi', 'minibus').default('car'),
+    city: Joi.string().max(100),
     paymentMethod: Joi.string().valid('cash', 'wallet', 'card', 'mobile_money').default('cash'),
     promoCode: Joi.string().max(20),
-    notes: Joi.string().max(500)
+    notes: Joi.string().max(500),
+    scheduledPickupTime: Joi.date().iso(),
+    stops: Joi.array().items(tripStopSchema).max(5),
+    rideType: Joi.string().valid('private', 'pooled').default('private'),
+    seats: Joi.number().integer().min(1).max(4).default(1),
+    currency: currencySchema,
+    quoteToken: Joi.string()
+  }),
+  
+  updateScheduledTrip: Joi.object({
+    scheduledPickupTime: Joi.date().iso(),
+    pickupLocation: Joi.object(),
+    pickupAddress: Joi.string().min(1).max(200),
+    destinationLocation: Joi.object(),
+    destinationAddress: Joi.string().min(1).max(200),
+    estimatedDistance: Joi.number().min(0),
+    estimatedDuration: Joi.number().min(0),
+    paymentMethod: Joi.string().valid('cash', 'wallet', 'card', 'mobile_money')
+  }).min(1),
+  
+  // Reported values are cross-checked against the metered fare, never billed directly
+  completeTrip: Joi.object({
+    finalDistance: Joi.number().min(0),
+    finalDuration: Joi.number().min(0),
+    actualDistance: Joi.number().min(0),
+    actualDuration: Joi.number().min(0),
+    finalPrice: Joi.number().min(0),
+    location: Joi.object()
   }),
   
-  completeTrip: Joi.object({
-    finalDistance: Joi.number().min(0).required(),
-    finalDuration: Joi.number().min(0).required()
+  declineTrip: Joi.object({
+    reason: Joi.string().max(200)
   }),
   
   cancelTrip: Joi.object({
-    reason: Joi.string().min(1).max(200).required()
+    reason: Joi.string().min(1).max(200).required(),
+    location: Joi.object()
   }),
   
   reportIncident: Joi.object({
     type: Joi.string().valid('accident', 'safety', 'lost_item', 'dispute', 'other').required(),
     description: Joi.string().min(10).max(1000).required(),
-    severity: Joi.string().valid('low', 'medium', 'high').required()
+    severity: Joi.string().valid('low', 'medium', 'high').required(),
+    location: Joi.object()
   }),
   
   rateDriver: Joi.object({
-    rating: Joi.number().min(1).max(5).required(),
-    comment: Joi.string().max(500)
+    rating: Joi.number().integer().min(1).max(5).required(),
+    comment: Joi.string().max(500),
+    tip: tipSchema
+  }),
+  
+  tipDriver: tipSchema,
+
+  createFareSplit: Joi.object({
+    splitType: Joi.string().valid('equal', 'custom').required(),
+    participants: Joi.array().items(Joi.object({
+      phoneNumber: Joi.string().pattern(/^\+?[0-9]{8,15}$/).required(),
+      amount: Joi.number().positive() // in the trip's currency, for custom splits
+    })).min(1).max(5).unique('phoneNumber').required()
+  }),
+
+  payFareShare: Joi.object({
+    paymentMethod: Joi.string().valid('wallet', 'mobile_money').required(),
+    provider: mobileMoneyProviderSchema.when('paymentMethod', {
+      is: 'mobile_money',
+      then: Joi.required(),
+      otherwise: Joi.forbidden()
+    }),
+    phoneNumber: Joi.string().pattern(/^\+?[0-9]{8,15}$/)
   }),
   
   rateClient: Joi.object({
@@ -162,8 +255,15 @@ const schemas = {
     newDropoffLatitude: Joi.number().required(),
     newDropoffLongitude: Joi.number().required(),
     newDropoffAddress: Joi.string().min(1).max(200).required(),
-    additionalEstimatedDistance: Joi.number().min(0).required(),
-    additionalEstimatedDuration: Joi.number().min(0).required()
+    // May be negative when the new destination is closer than the current one
+    additionalEstimatedDistance: Joi.number().required(),
+    additionalEstimatedDuration: Joi.number().required(),
+    keepCurrentDestination: Joi.boolean().default(false)
+  }),
+
+  respondToExtension: Joi.object({
+    accept: Joi.boolean().required(),
+    reason: Joi.string().max(200)
   }),
   
   // Payment schemas
@@ -171,20 +271,58 @@ const schemas = {
     tripId: Joi.string().required(),
     amount: Joi.number().min(0).required(),
     paymentMethod: Joi.string().valid('cash', 'wallet', 'card', 'mobile_money').required(),
-    currency: Joi.string().default('XOF')
+    provider: mobileMoneyProviderSchema.when('paymentMethod', {
+      is: 'mobile_money',
+      then: Joi.required(),
+      otherwise: Joi.forbidden()
+    }),
+    phoneNumber: Joi.string().pattern(/^\+?[0-9]{8,15}$/),
+    currency: currencySchema
   }),
   
   addWalletFunds: Joi.object({
     amount: Joi.number().min(100).required(),
     paymentMethod: Joi.string().valid('card', 'mobile_money').required(),
-    currency: Joi.string().default('XOF')
+    provider: mobileMoneyProviderSchema.when('paymentMethod', {
+      is: 'mobile_money',
+      then: Joi.required(),
+      otherwise: Joi.forbidden()
+    }),
+    phoneNumber: Joi.string().pattern(/^\+?[0-9]{8,15}$/),
+    currency: currencySchema
   }),
   
   withdrawFunds: Joi.object({
     amount: Joi.number().min(100).required(),
-    bankAccount: Joi.string().max(100),
-    mobileMoneyNumber: Joi.string().pattern(/^\+?[0-9]{8,15}$/),
-    withdrawalMethod: Joi.string().valid('bank', 'mobile_money').required()
+    withdrawalMethod: Joi.string().valid('bank', 'mobile_money').required(),
+    accountName: Joi.string().max(100),
+    bankName: Joi.string().max(100).when('withdrawalMethod', {
+      is: 'bank',
+      then: Joi.required(),
+      otherwise: Joi.forbidden()
+    }),
+    bankAccount: Joi.string().max(100).when('withdrawalMethod', {
+      is: 'bank',
+      then: Joi.required(),
+      otherwise: Joi.forbidden()
+    }),
+    mobileMoneyProvider: mobileMoneyProviderSchema.when('withdrawalMethod', {
+      is: 'mobile_money',
+      then: Joi.required(),
+      otherwise: Joi.forbidden()
+    }),
+    mobileMoneyNumber: Joi.string().pattern(/^\+?[0-9]{8,15}$/).when('withdrawalMethod', {
+      is: 'mobile_money',
+      then: Joi.required(),
+      otherwise: Joi.forbidden()
+    }),
+    currency: currencySchema
+  }),
+  
+  refundPayment: Joi.object({
+    amount: Joi.number().positive(),
+    destination: Joi.string().valid('original_method', 'wallet').default('original_method'),
+    reason: Joi.string().min(3).max(500).required()
   }),
   
   processWithdrawal: Joi.object({
@@ -197,18 +335,42 @@ const schemas = {
     })
   }),
   
+  createPayoutBatch: Joi.object({
+    method: Joi.string().valid('bank', 'mobile_money').required(),
+    currency: currencySchema,
+    cutoffAt: Joi.date().iso().max('now')
+  }),
+  
+  importPayoutSettlements: Joi.object({
+    content: Joi.string().max(100 * 1024),
+    results: Joi.array().items(Joi.object({
+      reference: Joi.string().max(50).required(),
+      status: Joi.string().max(20).required(),
+      settlementReference: Joi.string().max(100),
+      reason: Joi.string().max(500)
+    })).max(2000)
+  }).xor('content', 'results'),
+  
   initializeMobileMoney: Joi.object({
-    amount: Joi.number().min(100).required(),
+    tripId: Joi.string().uuid(),
+    amount: Joi.number().min(100).when('tripId', {
+      is: Joi.exist(),
+      then: Joi.forbidden(),
+      otherwise: Joi.required()
+    }),
     phoneNumber: Joi.string().pattern(/^\+?[0-9]{8,15}$/).required(),
-    provider: Joi.string().valid('orange', 'mtn', 'moov').required(),
-    currency: Joi.string().default('XOF')
+    provider: mobileMoneyProviderSchema.required(),
+    currency: currencySchema
   }),
   
   initializeCardPayment: Joi.object({
-    amount: Joi.number().min(100).required(),
-    currency: Joi.string().default('XOF'),
-    cardToken: Joi.string(),
-    saveCard: Joi.boolean().default(false)
+    tripId: Joi.string().uuid(),
+    amount: Joi.number().min(100).when('tripId', {
+      is: Joi.exist(),
+      then: Joi.forbidden(),
+      otherwise: Joi.required()
+    }),
+    currency: currencySchema
   }),
   
   addPaymentMethod: Joi.object({
@@ -265,12 +427,32 @@ const schemas = {
     })
   }),
   
+  addEmergencyContact: Joi.object({
+    name: Joi.string().min(1).max(100).required(),
+    phoneNumber: Joi.string().pattern(/^\+?[0-9]{8,15}$/).required(),
+    relationship: Joi.string().max(50),
+    preferredLanguage: Joi.string().valid('fr', 'ln', 'sw', 'en').default('fr')
+  }),
+
+  updateSOSLocation: Joi.object({
+    location: Joi.object().required()
+  }),
+
+  resolveSafetyCase: Joi.object({
+    resolutionNotes: Joi.string().min(1).max(2000).required()
+  }),
+  
   reviewFraudLog: Joi.object({
     status: Joi.string().valid('confirmed', 'dismissed', 'pending').required(),
     actionTaken: Joi.string().max(500),
     notes: Joi.string().max(1000)
   }),
   
+  reviewWebhookEvent: Joi.object({
+    action: Joi.string().valid('replay', 'resolve', 'dismiss').required(),
+    notes: Joi.string().max(1000)
+  }),
+  
   updateSystemSettings: Joi.object({
     platformFee: Joi.number().min(0).max(100),
     baseFare: Joi.number().min(0),
@@ -349,7 +531,7 @@ const schemas = {
     dropoffLatitude: Joi.number().required(),
     dropoffLongitude: Joi.number().required(),
     clientId: Joi.string().required(),
-    vehicleType: Joi.string().valid('standard', 'premium', 'suv', 'moto').default('standard')
+    vehicleType: Joi.string().valid('car', 'motorcycle', 'taxi', 'minibus').default('car')
   }),
   
   // Pricing schemas
@@ -360,13 +542,19 @@ const schemas = {
     dropoffLongitude: Joi.number().required(),
     estimatedDistance: Joi.number().min(0).required(),
     estimatedDuration: Joi.number().min(0).required(),
-    vehicleType: Joi.string().valid('standard', 'premium', 'suv', 'moto').default('standard'),
-    promoCode: Joi.string().max(20)
+    vehicleType: Joi.string().valid('car', 'motorcycle', 'taxi', 'minibus').default('car'),
+    city: Joi.string().max(100),
+    promoCode: Joi.string().max(20),
+    stops: Joi.array().items(tripStopSchema).max(5),
+    rideType: Joi.string().valid('private', 'pooled').default('private'),
+    currency: currencySchema
   }),
   
   validatePromoCode: Joi.object({
     promoCode: Joi.string().required(),
-    amount: Joi.number().min(0).required()
+    amount: Joi.number().min(0).required(),
+    city: Joi.string().max(100),
+    vehicleType: Joi.string().valid('car', 'motorcycle', 'taxi', 'minibus')
   }),
   
   createPromotion: Joi.object({
@@ -379,8 +567,12 @@ const schemas = {
     startDate: Joi.date().required(),
     endDate: Joi.date().greater(Joi.ref('startDate')).required(),
     isActive: Joi.boolean().default(true),
-    oneTimeUse: Joi.boolean().default(false),
-    userType: Joi.string().valid('all', 'new', 'existing').default('all')
+    // null means unlimited
+    usageLimit: Joi.number().integer().min(1).allow(null),
+    perUserLimit: Joi.number().integer().min(1).allow(null).default(1),
+    userType: Joi.string().valid('all', 'new', 'existing').default('all'),
+    cities: Joi.array().items(Joi.string().max(100)),
+    vehicleTypes: Joi.array().items(Joi.string().valid('car', 'motorcycle', 'taxi', 'minibus'))
   }),
   
   updatePromotion: Joi.object({
@@ -392,19 +584,72 @@ const schemas = {
     startDate: Joi.date(),
     endDate: Joi.date(),
     isActive: Joi.boolean(),
-    oneTimeUse: Joi.boolean(),
-    userType: Joi.string().valid('all', 'new', 'existing')
+    usageLimit: Joi.number().integer().min(1).allow(null),
+    perUserLimit: Joi.number().integer().min(1).allow(null),
+    userType: Joi.string().valid('all', 'new', 'existing'),
+    cities: Joi.array().items(Joi.string().max(100)),
+    vehicleTypes: Joi.array().items(Joi.string().valid('car', 'motorcycle', 'taxi', 'minibus'))
   }),
   
+  // Publishes a new rate card version; omitted amounts are carried over from the current card
   updatePricingRates: Joi.object({
-    vehicleType: Joi.string().valid('standard', 'premium', 'suv', 'moto').required(),
+    city: Joi.string().max(100).required(),
+    vehicleType: Joi.string().valid('car', 'motorcycle', 'taxi', 'minibus').required(),
+    effectiveFrom: Joi.date().iso(),
     baseFare: Joi.number().min(0),
     perKilometer: Joi.number().min(0),
     perMinute: Joi.number().min(0),
+    perStop: Joi.number().min(0),
+    waitingPerMinute: Joi.number().min(0),
     minimumFare: Joi.number().min(0),
-    cancellationFee: Joi.number().min(0)
+    bookingFee: Joi.number().min(0)
+  }),
+  
+  // Publishes a new exchange rate: units of quoteCurrency per unit of baseCurrency
+  updateExchangeRate: Joi.object({
+    baseCurrency: Joi.string().valid(...SUPPORTED_CURRENCIES).required(),
+    quoteCurrency: Joi.string().valid(...SUPPORTED_CURRENCIES).invalid(Joi.ref('baseCurrency')).required(),
+    rate: Joi.number().greater(0).required(),
+    effectiveFrom: Joi.date().iso()
   }),
   
+  createCommissionPolicy: Joi.object({
+    name: Joi.string().max(100).required(),
+    city: Joi.string().max(100).allow(null),
+    vehicleType: Joi.string().valid('car', 'motorcycle', 'taxi', 'minibus').allow(null),
+    driverTier: driverTierSchema.allow(null),
+    feeType: Joi.string().valid('percentage', 'fixed').required(),
+    rate: Joi.number().min(0).max(1).when('feeType', {
+      is: 'percentage',
+      then: Joi.required(),
+      otherwise: Joi.forbidden()
+    }),
+    fixedFee: Joi.number().min(0).when('feeType', {
+      is: 'fixed',
+      then: Joi.required(),
+      otherwise: Joi.forbidden()
+    }),
+    bookingFee: Joi.number().min(0),
+    validFrom: Joi.date().iso().allow(null),
+    validUntil: Joi.date().iso().allow(null),
+    priority: Joi.number().integer()
+  }),
+  
+  updateCommissionPolicy: Joi.object({
+    name: Joi.string().max(100),
+    city: Joi.string().max(100).allow(null),
+    vehicleType: Joi.string().valid('car', 'motorcycle', 'taxi', 'minibus').allow(null),
+    driverTier: driverTierSchema.allow(null),
+    feeType: Joi.string().valid('percentage', 'fixed'),
+    rate: Joi.number().min(0).max(1),
+    fixedFee: Joi.number().min(0),
+    bookingFee: Joi.number().min(0),
+    validFrom: Joi.date().iso().allow(null),
+    validUntil: Joi.date().iso().allow(null),
+    priority: Joi.number().integer(),
+    isActive: Joi.boolean()
+  }).min(1),
+  
   calculateDriverEarnings: Joi.object({
     tripId: Joi.string().required()
   }),
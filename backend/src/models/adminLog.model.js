@@ -33,6 +33,9 @@ const AdminLog = sequelize.define('AdminLog', {
       'system_config',
       'trip_intervention',
       'fraud_review',
+      'webhook_review',
+      'withdrawal_review',
+      'payout_batch',
       'report_access',
       'login',
       'logout',
@@ -41,7 +44,7 @@ const AdminLog = sequelize.define('AdminLog', {
     allowNull: false
   },
   targetType: {
-    type: DataTypes.ENUM('user', 'driver', 'trip', 'payment', 'system', 'fraud', 'other'),
+    type: DataTypes.ENUM('user', 'driver', 'trip', 'payment', 'system', 'fraud', 'webhook', 'withdrawal', 'payout_batch', 'other'),
     allowNull: false
   },
   targetId: {
@@ -0,0 +1,86 @@
+/**
+ * CommissionPolicy Model for Taxi-Express
+ * How much of a trip's fare the platform keeps, for the trips a policy's scope matches
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const User = require('./user.model');
+
+const CommissionPolicy = sequelize.define('CommissionPolicy', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  city: {
+    type: DataTypes.STRING, // null for every city
+    allowNull: true
+  },
+  vehicleType: {
+    type: DataTypes.ENUM('car', 'motorcycle', 'taxi', 'minibus'), // null for every vehicle class
+    allowNull: true
+  },
+  driverTier: {
+    type: DataTypes.ENUM('standard', 'silver', 'gold', 'platinum'), // null for every tier
+    allowNull: true
+  },
+  feeType: {
+    type: DataTypes.ENUM('percentage', 'fixed'),
+    allowNull: false
+  },
+  rate: {
+    type: DataTypes.DECIMAL(5, 4), // share of the fare, for percentage fees, e.g. 0.2 for 20%
+    allowNull: false,
+    defaultValue: 0
+  },
+  fixedFee: {
+    type: DataTypes.DECIMAL(10, 2), // per trip in the base currency, for fixed fees
+    allowNull: false,
+    defaultValue: 0
+  },
+  bookingFee: {
+    type: DataTypes.DECIMAL(10, 2), // per trip in the base currency, kept on top of the commission
+    allowNull: false,
+    defaultValue: 0
+  },
+  validFrom: {
+    type: DataTypes.DATE, // null for no start, e.g. for standing policies
+    allowNull: true
+  },
+  validUntil: {
+    type: DataTypes.DATE, // null for no end; promotional periods set both
+    allowNull: true
+  },
+  priority: {
+    type: DataTypes.INTEGER, // higher wins among policies matching a trip
+    allowNull: false,
+    defaultValue: 0
+  },
+  isActive: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  },
+  createdBy: {
+    type: DataTypes.UUID, // null for the default policy seeded at startup
+    allowNull: true,
+    references: {
+      model: 'Users',
+      key: 'id'
+    }
+  }
+}, {
+  timestamps: true,
+  indexes: [
+    { fields: ['isActive', 'city', 'vehicleType'] }
+  ]
+});
+
+// Associations
+CommissionPolicy.belongsTo(User, { foreignKey: 'createdBy', as: 'author' });
+
+module.exports = CommissionPolicy;
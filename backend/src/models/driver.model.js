@@ -25,6 +25,15 @@ const Driver = sequelize.define('Driver', {
     type: DataTypes.ENUM('car', 'motorcycle', 'taxi', 'minibus'),
     allowNull: false
   },
+  tier: {
+    type: DataTypes.ENUM('standard', 'silver', 'gold', 'platinum'), // commission policies can differ by tier
+    allowNull: false,
+    defaultValue: 'standard'
+  },
+  seatCapacity: {
+    type: DataTypes.INTEGER, // Passenger seats; defaults by vehicle type when not set
+    allowNull: true
+  },
   vehicleMake: {
     type: DataTypes.STRING,
     allowNull: false
@@ -119,6 +128,19 @@ const Driver = sequelize.define('Driver', {
   timestamps: true
 });
 
+// Default passenger seats by vehicle type
+const DEFAULT_SEAT_CAPACITY = {
+  car: 4,
+  taxi: 4,
+  minibus: 14,
+  motorcycle: 1
+};
+
+// Instance method to get the number of passenger seats
+Driver.prototype.getSeatCapacity = function() {
+  return this.seatCapacity || DEFAULT_SEAT_CAPACITY[this.vehicleType] || 1;
+};
+
 // Associations
 Driver.belongsTo(User, { foreignKey: 'userId', as: 'user' });
 
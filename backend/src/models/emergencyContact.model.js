@@ -0,0 +1,50 @@
+/**
+ * EmergencyContact Model for Taxi-Express
+ * People a user wants alerted by SMS when they trigger an SOS
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const User = require('./user.model');
+
+const EmergencyContact = sequelize.define('EmergencyContact', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'Users',
+      key: 'id'
+    }
+  },
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  phoneNumber: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  relationship: {
+    type: DataTypes.STRING, // e.g. 'spouse', 'parent', 'friend'
+    allowNull: true
+  },
+  preferredLanguage: {
+    type: DataTypes.ENUM('fr', 'ln', 'sw', 'en'),
+    defaultValue: 'fr'
+  }
+}, {
+  timestamps: true,
+  indexes: [
+    { unique: true, fields: ['userId', 'phoneNumber'] }
+  ]
+});
+
+// Associations
+EmergencyContact.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+
+module.exports = EmergencyContact;
@@ -0,0 +1,60 @@
+/**
+ * ExchangeRate Model for Taxi-Express
+ * Admin-maintained conversion rates between currencies; a new row is added for every change
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const User = require('./user.model');
+
+const ExchangeRate = sequelize.define('ExchangeRate', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  baseCurrency: {
+    type: DataTypes.ENUM('CDF', 'USD'),
+    allowNull: false
+  },
+  quoteCurrency: {
+    type: DataTypes.ENUM('CDF', 'USD'),
+    allowNull: false
+  },
+  rate: {
+    type: DataTypes.DECIMAL(18, 8), // units of quoteCurrency per unit of baseCurrency
+    allowNull: false,
+    validate: {
+      min: 0
+    }
+  },
+  effectiveFrom: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  source: {
+    type: DataTypes.STRING, // e.g. 'admin', 'seed'
+    allowNull: false,
+    defaultValue: 'admin'
+  },
+  createdBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'Users',
+      key: 'id'
+    }
+  }
+}, {
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    { fields: ['baseCurrency', 'quoteCurrency', 'effectiveFrom'] }
+  ]
+});
+
+// Associations
+ExchangeRate.belongsTo(User, { foreignKey: 'createdBy', as: 'author' });
+
+module.exports = ExchangeRate;
@@ -0,0 +1,89 @@
+/**
+ * FareShare Model for Taxi-Express
+ * The part of a split fare one rider pays, including the shares owners take over from riders who did not pay
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const User = require('./user.model');
+const Payment = require('./payment.model');
+const FareSplit = require('./fareSplit.model');
+
+const FareShare = sequelize.define('FareShare', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  fareSplitId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'FareSplits',
+      key: 'id'
+    }
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'Users',
+      key: 'id'
+    }
+  },
+  isOwner: {
+    type: DataTypes.BOOLEAN, // true for the owner's own share and the shares they took over
+    defaultValue: false
+  },
+  requestedAmountMinor: {
+    type: DataTypes.BIGINT, // amount asked of the rider, for custom splits
+    allowNull: true
+  },
+  amountMinor: {
+    type: DataTypes.BIGINT, // in minor units of the split's currency; null until the fare is known
+    allowNull: true
+  },
+  amount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'paid', 'declined', 'expired'),
+    defaultValue: 'pending'
+  },
+  fallbackForId: {
+    type: DataTypes.UUID, // share of another rider the owner was charged for instead
+    allowNull: true,
+    references: {
+      model: 'FareShares',
+      key: 'id'
+    }
+  },
+  paymentId: {
+    type: DataTypes.UUID, // latest payment made towards the share
+    allowNull: true,
+    references: {
+      model: 'Payments',
+      key: 'id'
+    }
+  },
+  paidAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  timestamps: true,
+  indexes: [
+    { fields: ['fareSplitId'] },
+    { fields: ['userId', 'status'] },
+    { fields: ['paymentId'] }
+  ]
+});
+
+// Associations
+FareShare.belongsTo(FareSplit, { foreignKey: 'fareSplitId', as: 'fareSplit' });
+FareShare.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+FareShare.belongsTo(Payment, { foreignKey: 'paymentId', as: 'payment' });
+FareShare.belongsTo(FareShare, { foreignKey: 'fallbackForId', as: 'fallbackFor' });
+
+module.exports = FareShare;
@@ -0,0 +1,70 @@
+/**
+ * FareSplit Model for Taxi-Express
+ * A trip's fare shared between its rider and the registered users they invited
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const User = require('./user.model');
+const Trip = require('./trip.model');
+
+const FareSplit = sequelize.define('FareSplit', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  tripId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    unique: true,
+    references: {
+      model: 'Trips',
+      key: 'id'
+    }
+  },
+  ownerId: {
+    type: DataTypes.UUID, // rider who booked the trip and pays whatever the others do not
+    allowNull: false,
+    references: {
+      model: 'Users',
+      key: 'id'
+    }
+  },
+  splitType: {
+    type: DataTypes.ENUM('equal', 'custom'),
+    allowNull: false
+  },
+  currency: {
+    type: DataTypes.ENUM('CDF', 'USD'),
+    allowNull: false
+  },
+  totalAmountMinor: {
+    type: DataTypes.BIGINT, // fare being split, in minor units of currency; null until the trip is over
+    allowNull: true
+  },
+  status: {
+    type: DataTypes.ENUM('awaiting_fare', 'collecting', 'settled'),
+    defaultValue: 'awaiting_fare'
+  },
+  deadlineAt: {
+    type: DataTypes.DATE, // shares still unpaid then are charged to the owner
+    allowNull: true
+  },
+  settledAt: {
+    type: DataTypes.DATE, // when every share was collected and the trip paid
+    allowNull: true
+  }
+}, {
+  timestamps: true,
+  indexes: [
+    { fields: ['status', 'deadlineAt'] },
+    { fields: ['ownerId'] }
+  ]
+});
+
+// Associations
+FareSplit.belongsTo(Trip, { foreignKey: 'tripId', as: 'trip' });
+FareSplit.belongsTo(User, { foreignKey: 'ownerId', as: 'owner' });
+
+module.exports = FareSplit;
@@ -39,6 +39,7 @@ const FraudLog = sequelize.define('FraudLog', {
       'route_manipulation', 
       'fake_gps', 
       'identity_theft', 
+      'fare_discrepancy',
       'other'
     ),
     allowNull: false
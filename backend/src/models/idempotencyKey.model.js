@@ -0,0 +1,71 @@
+/**
+ * Idempotency Key Model for Taxi-Express
+ * Remembers money-moving requests so retries with the same Idempotency-Key are not run twice
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const User = require('./user.model');
+
+const IdempotencyKey = sequelize.define('IdempotencyKey', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  key: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'Users',
+      key: 'id'
+    }
+  },
+  method: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  path: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  requestHash: {
+    type: DataTypes.STRING, // SHA-256 of the method, path and body the key was first used with
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.ENUM('processing', 'completed'),
+    defaultValue: 'processing'
+  },
+  responseStatus: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  responseBody: {
+    type: DataTypes.JSONB,
+    allowNull: true
+  },
+  lockedAt: {
+    type: DataTypes.DATE, // when the request holding the key started
+    allowNull: false
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  }
+}, {
+  timestamps: true,
+  indexes: [
+    { unique: true, fields: ['userId', 'key'] },
+    { fields: ['expiresAt'] }
+  ]
+});
+
+// Associations
+IdempotencyKey.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+
+module.exports = IdempotencyKey;
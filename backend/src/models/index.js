@@ -10,6 +10,31 @@ const Payment = require('./payment.model');
 const Notification = require('./notification.model');
 const FraudLog = require('./fraudLog.model');
 const AdminLog = require('./adminLog.model');
+const TripOffer = require('./tripOffer.model');
+const TripStop = require('./tripStop.model');
+const RidePool = require('./ridePool.model');
+const TripEvent = require('./tripEvent.model');
+const EmergencyContact = require('./emergencyContact.model');
+const SafetyCase = require('./safetyCase.model');
+const TripExtension = require('./tripExtension.model');
+const TripLocation = require('./tripLocation.model');
+const SurgeCell = require('./surgeCell.model');
+const RateCard = require('./rateCard.model');
+const Promotion = require('./promotion.model');
+const UsedPromotion = require('./usedPromotion.model');
+const Referral = require('./referral.model');
+const ExchangeRate = require('./exchangeRate.model');
+const LedgerAccount = require('./ledgerAccount.model');
+const JournalEntry = require('./journalEntry.model');
+const LedgerPosting = require('./ledgerPosting.model');
+const IdempotencyKey = require('./idempotencyKey.model');
+const WebhookEvent = require('./webhookEvent.model');
+const Refund = require('./refund.model');
+const PayoutBatch = require('./payoutBatch.model');
+const Withdrawal = require('./withdrawal.model');
+const CommissionPolicy = require('./commissionPolicy.model');
+const FareSplit = require('./fareSplit.model');
+const FareShare = require('./fareShare.model');
 
 // Define relationships between models
 
@@ -49,6 +74,185 @@ FraudLog.belongsTo(Trip, { foreignKey: 'tripId', as: 'trip' });
 User.hasMany(AdminLog, { foreignKey: 'adminId', as: 'adminLogs' });
 AdminLog.belongsTo(User, { foreignKey: 'adminId', as: 'admin' });
 
+// Trip and TripOffer relationships (one-to-many)
+Trip.hasMany(TripOffer, { foreignKey: 'tripId', as: 'offers' });
+TripOffer.belongsTo(Trip, { foreignKey: 'tripId', as: 'trip' });
+
+// Driver and TripOffer relationships (one-to-many)
+Driver.hasMany(TripOffer, { foreignKey: 'driverId', as: 'offers' });
+TripOffer.belongsTo(Driver, { foreignKey: 'driverId', as: 'driver' });
+
+// Trip and TripStop relationships (one-to-many)
+Trip.hasMany(TripStop, { foreignKey: 'tripId', as: 'stops' });
+TripStop.belongsTo(Trip, { foreignKey: 'tripId', as: 'trip' });
+
+// RidePool and Trip relationships (one-to-many)
+RidePool.hasMany(Trip, { foreignKey: 'poolId', as: 'trips' });
+Trip.belongsTo(RidePool, { foreignKey: 'poolId', as: 'pool' });
+
+// Driver and RidePool relationships (one-to-many)
+Driver.hasMany(RidePool, { foreignKey: 'driverId', as: 'pools' });
+RidePool.belongsTo(Driver, { foreignKey: 'driverId', as: 'driver' });
+
+// Trip and TripEvent relationships (one-to-many)
+Trip.hasMany(TripEvent, { foreignKey: 'tripId', as: 'events' });
+TripEvent.belongsTo(Trip, { foreignKey: 'tripId', as: 'trip' });
+
+// User and TripEvent relationships (one-to-many as actor)
+User.hasMany(TripEvent, { foreignKey: 'actorId', as: 'tripEvents' });
+TripEvent.belongsTo(User, { foreignKey: 'actorId', as: 'actor' });
+
+// User and EmergencyContact relationships (one-to-many)
+User.hasMany(EmergencyContact, { foreignKey: 'userId', as: 'emergencyContacts' });
+EmergencyContact.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+
+// Trip and SafetyCase relationships (one-to-many)
+Trip.hasMany(SafetyCase, { foreignKey: 'tripId', as: 'safetyCases' });
+SafetyCase.belongsTo(Trip, { foreignKey: 'tripId', as: 'trip' });
+
+// User and SafetyCase relationships (one-to-many as reporter)
+User.hasMany(SafetyCase, { foreignKey: 'reportedBy', as: 'reportedSafetyCases' });
+SafetyCase.belongsTo(User, { foreignKey: 'reportedBy', as: 'reporter' });
+
+// Trip and TripExtension relationships (one-to-many)
+Trip.hasMany(TripExtension, { foreignKey: 'tripId', as: 'extensions' });
+TripExtension.belongsTo(Trip, { foreignKey: 'tripId', as: 'trip' });
+
+// User and TripExtension relationships (one-to-many as requester)
+User.hasMany(TripExtension, { foreignKey: 'requestedBy', as: 'tripExtensions' });
+TripExtension.belongsTo(User, { foreignKey: 'requestedBy', as: 'requester' });
+
+// Trip and TripLocation relationships (one-to-many)
+Trip.hasMany(TripLocation, { foreignKey: 'tripId', as: 'breadcrumbs' });
+TripLocation.belongsTo(Trip, { foreignKey: 'tripId', as: 'trip' });
+
+// Driver and TripLocation relationships (one-to-many)
+Driver.hasMany(TripLocation, { foreignKey: 'driverId', as: 'tripLocations' });
+TripLocation.belongsTo(Driver, { foreignKey: 'driverId', as: 'driver' });
+
+// RateCard and Trip relationships (one-to-many)
+RateCard.hasMany(Trip, { foreignKey: 'rateCardId', as: 'trips' });
+Trip.belongsTo(RateCard, { foreignKey: 'rateCardId', as: 'rateCard' });
+
+// User and RateCard relationships (one-to-many as author)
+User.hasMany(RateCard, { foreignKey: 'createdBy', as: 'rateCards' });
+RateCard.belongsTo(User, { foreignKey: 'createdBy', as: 'author' });
+
+// Promotion and UsedPromotion relationships (one-to-many)
+Promotion.hasMany(UsedPromotion, { foreignKey: 'promotionId', as: 'redemptions' });
+UsedPromotion.belongsTo(Promotion, { foreignKey: 'promotionId', as: 'promotion' });
+
+// User and UsedPromotion relationships (one-to-many as client)
+User.hasMany(UsedPromotion, { foreignKey: 'clientId', as: 'usedPromotions' });
+UsedPromotion.belongsTo(User, { foreignKey: 'clientId', as: 'client' });
+
+// Trip and UsedPromotion relationships (one-to-many)
+Trip.hasMany(UsedPromotion, { foreignKey: 'tripId', as: 'promotionRedemptions' });
+UsedPromotion.belongsTo(Trip, { foreignKey: 'tripId', as: 'trip' });
+
+// User self-relationship for referrals (one-to-many)
+User.hasMany(User, { foreignKey: 'referredBy', as: 'referredUsers' });
+User.belongsTo(User, { foreignKey: 'referredBy', as: 'referrer' });
+
+// User and Referral relationships (one-to-many as referrer, one-to-one as referee)
+User.hasMany(Referral, { foreignKey: 'referrerId', as: 'referralsMade' });
+Referral.belongsTo(User, { foreignKey: 'referrerId', as: 'referrer' });
+User.hasOne(Referral, { foreignKey: 'refereeId', as: 'referral' });
+Referral.belongsTo(User, { foreignKey: 'refereeId', as: 'referee' });
+
+// Trip and Referral relationships (one-to-one as qualifying trip)
+Trip.hasOne(Referral, { foreignKey: 'qualifyingTripId', as: 'referral' });
+Referral.belongsTo(Trip, { foreignKey: 'qualifyingTripId', as: 'qualifyingTrip' });
+
+// User and ExchangeRate relationships (one-to-many as author)
+User.hasMany(ExchangeRate, { foreignKey: 'createdBy', as: 'exchangeRates' });
+ExchangeRate.belongsTo(User, { foreignKey: 'createdBy', as: 'author' });
+
+// ExchangeRate and Trip/Payment relationships (one-to-many)
+ExchangeRate.hasMany(Trip, { foreignKey: 'exchangeRateId', as: 'trips' });
+Trip.belongsTo(ExchangeRate, { foreignKey: 'exchangeRateId', as: 'exchangeRateUsed' });
+ExchangeRate.hasMany(Payment, { foreignKey: 'exchangeRateId', as: 'payments' });
+Payment.belongsTo(ExchangeRate, { foreignKey: 'exchangeRateId', as: 'exchangeRateUsed' });
+
+// User and LedgerAccount relationships (one wallet account per currency)
+User.hasMany(LedgerAccount, { foreignKey: 'userId', as: 'ledgerAccounts' });
+LedgerAccount.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+
+// JournalEntry and LedgerPosting relationships (one-to-many)
+JournalEntry.hasMany(LedgerPosting, { foreignKey: 'journalEntryId', as: 'postings' });
+LedgerPosting.belongsTo(JournalEntry, { foreignKey: 'journalEntryId', as: 'journalEntry' });
+LedgerAccount.hasMany(LedgerPosting, { foreignKey: 'accountId', as: 'postings' });
+LedgerPosting.belongsTo(LedgerAccount, { foreignKey: 'accountId', as: 'account' });
+
+// Trip, Payment and User relationships with JournalEntry (one-to-many)
+Trip.hasMany(JournalEntry, { foreignKey: 'tripId', as: 'journalEntries' });
+JournalEntry.belongsTo(Trip, { foreignKey: 'tripId', as: 'trip' });
+Payment.hasMany(JournalEntry, { foreignKey: 'paymentId', as: 'journalEntries' });
+JournalEntry.belongsTo(Payment, { foreignKey: 'paymentId', as: 'payment' });
+User.hasMany(JournalEntry, { foreignKey: 'createdBy', as: 'journalEntries' });
+JournalEntry.belongsTo(User, { foreignKey: 'createdBy', as: 'author' });
+
+// User and IdempotencyKey relationships (one-to-many)
+User.hasMany(IdempotencyKey, { foreignKey: 'userId', as: 'idempotencyKeys' });
+IdempotencyKey.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+
+// Payment and WebhookEvent relationships (one-to-many)
+Payment.hasMany(WebhookEvent, { foreignKey: 'paymentId', as: 'webhookEvents' });
+WebhookEvent.belongsTo(Payment, { foreignKey: 'paymentId', as: 'payment' });
+
+// User and WebhookEvent relationships (one-to-many as reviewer)
+User.hasMany(WebhookEvent, { foreignKey: 'reviewedBy', as: 'reviewedWebhookEvents' });
+WebhookEvent.belongsTo(User, { foreignKey: 'reviewedBy', as: 'reviewer' });
+
+// Payment, JournalEntry and User relationships with Refund (one-to-many)
+Payment.hasMany(Refund, { foreignKey: 'paymentId', as: 'refunds' });
+Refund.belongsTo(Payment, { foreignKey: 'paymentId', as: 'payment' });
+Refund.belongsTo(JournalEntry, { foreignKey: 'journalEntryId', as: 'journalEntry' });
+User.hasMany(Refund, { foreignKey: 'createdBy', as: 'issuedRefunds' });
+Refund.belongsTo(User, { foreignKey: 'createdBy', as: 'admin' });
+
+// Driver, User and PayoutBatch relationships with Withdrawal (one-to-many)
+Driver.hasMany(Withdrawal, { foreignKey: 'driverId', as: 'withdrawals' });
+Withdrawal.belongsTo(Driver, { foreignKey: 'driverId', as: 'driver' });
+User.hasMany(Withdrawal, { foreignKey: 'userId', as: 'withdrawals' });
+Withdrawal.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+Withdrawal.belongsTo(User, { foreignKey: 'reviewedBy', as: 'reviewer' });
+PayoutBatch.hasMany(Withdrawal, { foreignKey: 'payoutBatchId', as: 'withdrawals' });
+Withdrawal.belongsTo(PayoutBatch, { foreignKey: 'payoutBatchId', as: 'batch' });
+
+// User and PayoutBatch relationships (one-to-many as creator)
+User.hasMany(PayoutBatch, { foreignKey: 'createdBy', as: 'payoutBatches' });
+PayoutBatch.belongsTo(User, { foreignKey: 'createdBy', as: 'creator' });
+
+// Withdrawal and JournalEntry relationships (one-to-many)
+Withdrawal.hasMany(JournalEntry, { foreignKey: 'withdrawalId', as: 'journalEntries' });
+JournalEntry.belongsTo(Withdrawal, { foreignKey: 'withdrawalId', as: 'withdrawal' });
+
+// User and CommissionPolicy relationships (one-to-many as author)
+User.hasMany(CommissionPolicy, { foreignKey: 'createdBy', as: 'commissionPolicies' });
+CommissionPolicy.belongsTo(User, { foreignKey: 'createdBy', as: 'author' });
+
+// CommissionPolicy and Payment relationships (one-to-many)
+CommissionPolicy.hasMany(Payment, { foreignKey: 'commissionPolicyId', as: 'payments' });
+Payment.belongsTo(CommissionPolicy, { foreignKey: 'commissionPolicyId', as: 'commissionPolicy' });
+
+// Trip and FareSplit relationships (one-to-one)
+Trip.hasOne(FareSplit, { foreignKey: 'tripId', as: 'fareSplit' });
+FareSplit.belongsTo(Trip, { foreignKey: 'tripId', as: 'trip' });
+
+// User and FareSplit relationships (one-to-many as owner)
+User.hasMany(FareSplit, { foreignKey: 'ownerId', as: 'fareSplits' });
+FareSplit.belongsTo(User, { foreignKey: 'ownerId', as: 'owner' });
+
+// FareSplit, User and Payment relationships with FareShare (one-to-many)
+FareSplit.hasMany(FareShare, { foreignKey: 'fareSplitId', as: 'shares' });
+FareShare.belongsTo(FareSplit, { foreignKey: 'fareSplitId', as: 'fareSplit' });
+User.hasMany(FareShare, { foreignKey: 'userId', as: 'fareShares' });
+FareShare.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+Payment.hasMany(FareShare, { foreignKey: 'paymentId', as: 'fareShares' });
+FareShare.belongsTo(Payment, { foreignKey: 'paymentId', as: 'payment' });
+FareShare.belongsTo(FareShare, { foreignKey: 'fallbackForId', as: 'fallbackFor' });
+
 module.exports = {
   User,
   Driver,
@@ -56,5 +260,30 @@ module.exports = {
   Payment,
   Notification,
   FraudLog,
-  AdminLog
+  AdminLog,
+  TripOffer,
+  TripStop,
+  RidePool,
+  TripEvent,
+  EmergencyContact,
+  SafetyCase,
+  TripExtension,
+  TripLocation,
+  SurgeCell,
+  RateCard,
+  Promotion,
+  UsedPromotion,
+  Referral,
+  ExchangeRate,
+  LedgerAccount,
+  JournalEntry,
+  LedgerPosting,
+  IdempotencyKey,
+  WebhookEvent,
+  Refund,
+  PayoutBatch,
+  Withdrawal,
+  CommissionPolicy,
+  FareSplit,
+  FareShare
 };
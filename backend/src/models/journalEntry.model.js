@@ -0,0 +1,94 @@
+/**
+ * Journal Entry Model for Taxi-Express
+ * One balanced movement of money between ledger accounts
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const User = require('./user.model');
+const Trip = require('./trip.model');
+const Payment = require('./payment.model');
+const Withdrawal = require('./withdrawal.model');
+
+const JournalEntry = sequelize.define('JournalEntry', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  type: {
+    type: DataTypes.ENUM(
+      'trip_payment',
+      'trip_refund',
+      'trip_refund_reversal',
+      'trip_tip',
+      'fare_share',
+      'cash_trip_commission',
+      'commission_debt_payment',
+      'wallet_deposit',
+      'withdrawal_request',
+      'withdrawal_paid',
+      'withdrawal_rejected',
+      'referral_reward',
+      'wallet_adjustment',
+      'opening_balance'
+    ),
+    allowNull: false
+  },
+  currency: {
+    type: DataTypes.ENUM('CDF', 'USD'),
+    allowNull: false
+  },
+  description: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  tripId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'Trips',
+      key: 'id'
+    }
+  },
+  paymentId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'Payments',
+      key: 'id'
+    }
+  },
+  withdrawalId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'Withdrawals',
+      key: 'id'
+    }
+  },
+  createdBy: {
+    type: DataTypes.UUID,
+    allowNull: true, // null when posted by the system
+    references: {
+      model: 'Users',
+      key: 'id'
+    }
+  }
+}, {
+  timestamps: true,
+  updatedAt: false, // entries are never edited; mistakes are corrected by new entries
+  indexes: [
+    { fields: ['tripId'] },
+    { fields: ['paymentId'] },
+    { fields: ['withdrawalId'] }
+  ]
+});
+
+// Associations
+JournalEntry.belongsTo(Trip, { foreignKey: 'tripId', as: 'trip' });
+JournalEntry.belongsTo(Payment, { foreignKey: 'paymentId', as: 'payment' });
+JournalEntry.belongsTo(Withdrawal, { foreignKey: 'withdrawalId', as: 'withdrawal' });
+JournalEntry.belongsTo(User, { foreignKey: 'createdBy', as: 'author' });
+
+module.exports = JournalEntry;
@@ -0,0 +1,69 @@
+/**
+ * Ledger Account Model for Taxi-Express
+ * An account of the double-entry ledger: a user's wallet or a platform account, in one currency
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const User = require('./user.model');
+
+const LedgerAccount = sequelize.define('LedgerAccount', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  code: {
+    type: DataTypes.STRING, // e.g. "client_wallet:<userId>:CDF" or "platform_revenue:USD"
+    allowNull: false,
+    unique: true
+  },
+  type: {
+    type: DataTypes.ENUM(
+      'client_wallet',
+      'driver_wallet',
+      'driver_commission_receivable',
+      'platform_revenue',
+      'tax_payable',
+      'payouts_in_transit',
+      'fare_split_holding',
+      'external_funds',
+      'promotions_expense',
+      'adjustments',
+      'opening_balances'
+    ),
+    allowNull: false
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: true, // null for platform accounts
+    references: {
+      model: 'Users',
+      key: 'id'
+    }
+  },
+  currency: {
+    type: DataTypes.ENUM('CDF', 'USD'),
+    allowNull: false
+  },
+  normalBalance: {
+    type: DataTypes.ENUM('debit', 'credit'),
+    allowNull: false
+  },
+  balanceMinor: {
+    type: DataTypes.BIGINT, // cached sum of postings on the normal side, in minor units
+    allowNull: false,
+    defaultValue: 0
+  }
+}, {
+  timestamps: true,
+  indexes: [
+    { fields: ['userId', 'currency'] },
+    { fields: ['type'] }
+  ]
+});
+
+// Associations
+LedgerAccount.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+
+module.exports = LedgerAccount;
@@ -0,0 +1,50 @@
+/**
+ * Ledger Posting Model for Taxi-Express
+ * One line of a journal entry; the postings of an entry sum to zero
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const JournalEntry = require('./journalEntry.model');
+const LedgerAccount = require('./ledgerAccount.model');
+
+const LedgerPosting = sequelize.define('LedgerPosting', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  journalEntryId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'JournalEntries',
+      key: 'id'
+    }
+  },
+  accountId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'LedgerAccounts',
+      key: 'id'
+    }
+  },
+  amountMinor: {
+    type: DataTypes.BIGINT, // in minor units; positive for a debit, negative for a credit
+    allowNull: false
+  }
+}, {
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    { fields: ['journalEntryId'] },
+    { fields: ['accountId'] }
+  ]
+});
+
+// Associations
+LedgerPosting.belongsTo(JournalEntry, { foreignKey: 'journalEntryId', as: 'journalEntry' });
+LedgerPosting.belongsTo(LedgerAccount, { foreignKey: 'accountId', as: 'account' });
+
+module.exports = LedgerPosting;
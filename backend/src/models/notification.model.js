@@ -24,12 +24,17 @@ const Notification = sequelize.define('Notification', {
   type: {
     type: DataTypes.ENUM(
       'trip_request', 
+      'trip_reminder',
       'trip_assigned', 
       'trip_started', 
+      'trip_updated',
       'trip_completed', 
       'trip_canceled',
       'payment_received', 
       'payment_failed', 
+      'payment_refunded',
+      'commission_debt',
+      'fare_split',
       'account_update', 
       'system_alert',
       'promotion', 
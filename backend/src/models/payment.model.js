@@ -16,7 +16,7 @@ const Payment = sequelize.define('Payment', {
   },
   tripId: {
     type: DataTypes.UUID,
-    allowNull: false,
+    allowNull: true, // null for wallet deposits and withdrawals
     references: {
       model: 'Trips',
       key: 'id'
@@ -24,7 +24,7 @@ const Payment = sequelize.define('Payment', {
   },
   clientId: {
     type: DataTypes.UUID,
-    allowNull: false,
+    allowNull: true, // null for driver withdrawals
     references: {
       model: 'Users',
       key: 'id'
@@ -32,7 +32,7 @@ const Payment = sequelize.define('Payment', {
   },
   driverId: {
     type: DataTypes.UUID,
-    allowNull: false,
+    allowNull: true, // null for wallet deposits
     references: {
       model: 'Drivers',
       key: 'id'
@@ -49,15 +49,67 @@ const Payment = sequelize.define('Payment', {
   },
   driverAmount: {
     type: DataTypes.DECIMAL(10, 2),
-    allowNull: false
+    allowNull: true // null for wallet deposits and withdrawals
   },
   currency: {
-    type: DataTypes.STRING,
+    type: DataTypes.ENUM('CDF', 'USD'),
     defaultValue: 'CDF' // Congolese Franc
   },
+  amountMinor: {
+    type: DataTypes.BIGINT, // in minor units of currency; amount is the decimal mirror
+    allowNull: true
+  },
+  platformFeeMinor: {
+    type: DataTypes.BIGINT, // in minor units of currency
+    allowNull: true
+  },
+  driverAmountMinor: {
+    type: DataTypes.BIGINT, // in minor units of currency
+    allowNull: true
+  },
+  baseCurrency: {
+    type: DataTypes.ENUM('CDF', 'USD'),
+    allowNull: true
+  },
+  baseAmountMinor: {
+    type: DataTypes.BIGINT, // amountMinor converted to baseCurrency, for reporting
+    allowNull: true
+  },
+  basePlatformFeeMinor: {
+    type: DataTypes.BIGINT, // platformFeeMinor converted to baseCurrency, for reporting
+    allowNull: true
+  },
+  exchangeRate: {
+    type: DataTypes.DECIMAL(18, 8), // units of currency per unit of baseCurrency
+    allowNull: true
+  },
+  exchangeRateId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'ExchangeRates',
+      key: 'id'
+    }
+  },
+  commissionPolicyId: {
+    type: DataTypes.UUID, // policy that set the platform fee of a trip payment
+    allowNull: true,
+    references: {
+      model: 'CommissionPolicies',
+      key: 'id'
+    }
+  },
+  commissionSnapshot: {
+    type: DataTypes.JSONB, // the policy's terms when the fee was worked out, kept as they were
+    allowNull: true
+  },
+  transactionType: {
+    type: DataTypes.ENUM('trip_payment', 'fare_share', 'tip', 'wallet_deposit', 'wallet_withdrawal', 'debt_settlement'),
+    defaultValue: 'trip_payment'
+  },
   paymentMethod: {
-    type: DataTypes.ENUM('cash', 'wallet', 'mobile_money', 'card'),
-    allowNull: false
+    type: DataTypes.ENUM('cash', 'wallet', 'mobile_money', 'card', 'split'),
+    allowNull: true // null for withdrawals; split for trips paid from collected fare shares
   },
   mobileMoneyProvider: {
     type: DataTypes.ENUM('orange', 'airtel', 'africell', 'mpesa'),
@@ -84,6 +136,10 @@ const Payment = sequelize.define('Payment', {
     type: DataTypes.STRING,
     allowNull: true
   },
+  paymentDetails: {
+    type: DataTypes.TEXT, // JSON, e.g. withdrawal destination and processing history
+    allowNull: true
+  },
   notes: {
     type: DataTypes.TEXT,
     allowNull: true
@@ -100,6 +156,10 @@ const Payment = sequelize.define('Payment', {
     type: DataTypes.DECIMAL(10, 2),
     allowNull: true
   },
+  refundedAmountMinor: {
+    type: DataTypes.BIGINT, // total refunded so far, in minor units of currency; refundedAmount is the decimal mirror
+    allowNull: true
+  },
   paymentInitiatedAt: {
     type: DataTypes.DATE,
     allowNull: true
@@ -109,7 +169,19 @@ const Payment = sequelize.define('Payment', {
     allowNull: true
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  indexes: [
+    // A trip takes one tip; a failed one can be tried again
+    {
+      name: 'payments_trip_tip_unique',
+      unique: true,
+      fields: ['tripId'],
+      where: {
+        transactionType: 'tip',
+        status: ['pending', 'processing', 'completed', 'refunded', 'disputed']
+      }
+    }
+  ]
 });
 
 // Associations
@@ -0,0 +1,68 @@
+/**
+ * Payout Batch Model for Taxi-Express
+ * Approved withdrawals paid out together through one bank or mobile money disbursement file
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const User = require('./user.model');
+
+const PayoutBatch = sequelize.define('PayoutBatch', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  reference: {
+    type: DataTypes.STRING, // e.g. "PB-2026W42-CDF-MOBILE_MONEY-3F9A", quoted to the bank or operator
+    allowNull: false,
+    unique: true
+  },
+  method: {
+    type: DataTypes.ENUM('bank', 'mobile_money'),
+    allowNull: false
+  },
+  currency: {
+    type: DataTypes.ENUM('CDF', 'USD'),
+    allowNull: false
+  },
+  cutoffAt: {
+    type: DataTypes.DATE, // withdrawals approved before this went into the batch
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.ENUM('open', 'exported', 'closed'),
+    defaultValue: 'open'
+  },
+  withdrawalCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  totalAmountMinor: {
+    type: DataTypes.BIGINT, // in minor units of currency
+    allowNull: false
+  },
+  createdBy: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'Users',
+      key: 'id'
+    }
+  },
+  exportedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  closedAt: {
+    type: DataTypes.DATE, // when the last settlement result came back
+    allowNull: true
+  }
+}, {
+  timestamps: true
+});
+
+// Associations
+PayoutBatch.belongsTo(User, { foreignKey: 'createdBy', as: 'creator' });
+
+module.exports = PayoutBatch;
@@ -0,0 +1,100 @@
+/**
+ * Promotion Model for Taxi-Express
+ * Promo code with its discount, validity window, usage caps and targeting
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const User = require('./user.model');
+
+const Promotion = sequelize.define('Promotion', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  code: {
+    type: DataTypes.STRING, // stored upper-case
+    allowNull: false,
+    unique: true
+  },
+  description: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  discountType: {
+    type: DataTypes.ENUM('percentage', 'fixed'),
+    allowNull: false
+  },
+  discountValue: {
+    type: DataTypes.DECIMAL(10, 2), // percent for 'percentage', amount for 'fixed'
+    allowNull: false
+  },
+  maxDiscount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true
+  },
+  minSubtotal: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true
+  },
+  startDate: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  endDate: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  isActive: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  },
+  usageLimit: {
+    type: DataTypes.INTEGER, // total redemptions allowed; null = unlimited
+    allowNull: true
+  },
+  usageCount: {
+    type: DataTypes.INTEGER, // redemptions not released by a cancellation
+    defaultValue: 0
+  },
+  perUserLimit: {
+    type: DataTypes.INTEGER, // redemptions allowed per client; null = unlimited
+    allowNull: true,
+    defaultValue: 1
+  },
+  userType: {
+    type: DataTypes.ENUM('all', 'new', 'existing'), // 'new' = first ride only
+    defaultValue: 'all'
+  },
+  cities: {
+    type: DataTypes.ARRAY(DataTypes.STRING), // null = every city
+    allowNull: true
+  },
+  vehicleTypes: {
+    type: DataTypes.ARRAY(DataTypes.STRING), // Driver vehicle classes; null = every class
+    allowNull: true
+  },
+  createdBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'Users',
+      key: 'id'
+    }
+  }
+}, {
+  timestamps: true,
+  hooks: {
+    beforeValidate: (promotion) => {
+      if (promotion.code) {
+        promotion.code = promotion.code.trim().toUpperCase();
+      }
+    }
+  }
+});
+
+// Associations
+Promotion.belongsTo(User, { foreignKey: 'createdBy', as: 'author' });
+
+module.exports = Promotion;
@@ -0,0 +1,82 @@
+/**
+ * RateCard Model for Taxi-Express
+ * Versioned fare rates for a city and vehicle class; a new version is added for every change
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const User = require('./user.model');
+
+const RateCard = sequelize.define('RateCard', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  city: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  vehicleType: {
+    type: DataTypes.ENUM('car', 'motorcycle', 'taxi', 'minibus'), // same classes as Driver.vehicleType
+    allowNull: false
+  },
+  version: {
+    type: DataTypes.INTEGER, // 1, 2, ... per city and vehicle class
+    allowNull: false
+  },
+  effectiveFrom: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  baseFare: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false
+  },
+  perKilometer: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false
+  },
+  perMinute: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false
+  },
+  perStop: {
+    type: DataTypes.DECIMAL(10, 2), // flat fee per intermediate stop
+    allowNull: false
+  },
+  waitingPerMinute: {
+    type: DataTypes.DECIMAL(10, 2), // per minute waited at stops beyond the free allowance
+    allowNull: false
+  },
+  minimumFare: {
+    type: DataTypes.DECIMAL(10, 2), // floor of the distance and time fare, before surge
+    allowNull: false,
+    defaultValue: 0
+  },
+  bookingFee: {
+    type: DataTypes.DECIMAL(10, 2), // flat fee added to every trip, not surged or discounted
+    allowNull: false,
+    defaultValue: 0
+  },
+  createdBy: {
+    type: DataTypes.UUID, // null for the built-in cards seeded at startup
+    allowNull: true,
+    references: {
+      model: 'Users',
+      key: 'id'
+    }
+  }
+}, {
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    { unique: true, fields: ['city', 'vehicleType', 'version'] },
+    { fields: ['city', 'vehicleType', 'effectiveFrom'] }
+  ]
+});
+
+// Associations
+RateCard.belongsTo(User, { foreignKey: 'createdBy', as: 'author' });
+
+module.exports = RateCard;
@@ -0,0 +1,96 @@
+/**
+ * Referral Model for Taxi-Express
+ * Records who referred whom and the rewards paid once the referee completes a first trip
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const User = require('./user.model');
+const Trip = require('./trip.model');
+
+const Referral = sequelize.define('Referral', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  referrerId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'Users',
+      key: 'id'
+    }
+  },
+  refereeId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    unique: true, // an account can only be referred once
+    references: {
+      model: 'Users',
+      key: 'id'
+    }
+  },
+  referralCode: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'rewarded', 'rejected'),
+    defaultValue: 'pending'
+  },
+  rejectionReason: {
+    type: DataTypes.ENUM(
+      'shared_phone',
+      'shared_device',
+      'referrer_drove_trip',
+      'monthly_cap'
+    ),
+    allowNull: true
+  },
+  refereeDeviceId: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  refereeIpAddress: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  qualifyingTripId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'Trips',
+      key: 'id'
+    }
+  },
+  referrerReward: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true
+  },
+  refereeReward: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true
+  },
+  rewardedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  rejectedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  timestamps: true,
+  indexes: [
+    { fields: ['referrerId', 'status'] },
+    { fields: ['refereeDeviceId'] }
+  ]
+});
+
+// Associations
+Referral.belongsTo(User, { foreignKey: 'referrerId', as: 'referrer' });
+Referral.belongsTo(User, { foreignKey: 'refereeId', as: 'referee' });
+Referral.belongsTo(Trip, { foreignKey: 'qualifyingTripId', as: 'qualifyingTrip' });
+
+module.exports = Referral;
@@ -0,0 +1,107 @@
+/**
+ * Refund Model for Taxi-Express
+ * A full or partial refund of a completed trip payment, with the shares it took back
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const User = require('./user.model');
+const Payment = require('./payment.model');
+const JournalEntry = require('./journalEntry.model');
+
+const Refund = sequelize.define('Refund', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  paymentId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'Payments',
+      key: 'id'
+    }
+  },
+  currency: {
+    type: DataTypes.ENUM('CDF', 'USD'),
+    allowNull: false
+  },
+  amountMinor: {
+    type: DataTypes.BIGINT, // in minor units of currency; amount is the decimal mirror
+    allowNull: false
+  },
+  amount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false
+  },
+  driverAmountMinor: {
+    type: DataTypes.BIGINT, // taken back from the driver's wallet
+    allowNull: false
+  },
+  platformFeeMinor: {
+    type: DataTypes.BIGINT, // taken back from platform revenue and tax payable
+    allowNull: false
+  },
+  destination: {
+    type: DataTypes.ENUM('original_method', 'wallet'),
+    allowNull: false
+  },
+  method: {
+    type: DataTypes.ENUM('wallet', 'mobile_money', 'card'), // where the money actually went
+    allowNull: false
+  },
+  providerReference: {
+    type: DataTypes.STRING, // refund id from the operator or card processor
+    allowNull: true
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'completed', 'failed'), // pending while the operator or card processor is asked
+    defaultValue: 'completed'
+  },
+  failureReason: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  reversalEntryId: {
+    type: DataTypes.UUID, // entry that undid the refund once the provider refused it
+    allowNull: true,
+    references: {
+      model: 'JournalEntries',
+      key: 'id'
+    }
+  },
+  reason: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  journalEntryId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'JournalEntries',
+      key: 'id'
+    }
+  },
+  createdBy: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'Users',
+      key: 'id'
+    }
+  }
+}, {
+  timestamps: true,
+  indexes: [
+    { fields: ['paymentId'] },
+    { fields: ['status'] }
+  ]
+});
+
+// Associations
+Refund.belongsTo(Payment, { foreignKey: 'paymentId', as: 'payment' });
+Refund.belongsTo(JournalEntry, { foreignKey: 'journalEntryId', as: 'journalEntry' });
+Refund.belongsTo(User, { foreignKey: 'createdBy', as: 'admin' });
+
+module.exports = Refund;
@@ -0,0 +1,47 @@
+/**
+ * RidePool Model for Taxi-Express
+ * Groups pooled trips that share one driver and vehicle
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const Driver = require('./driver.model');
+
+const RidePool = sequelize.define('RidePool', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  driverId: {
+    type: DataTypes.UUID,
+    allowNull: true, // Set once a driver accepts the first trip of the pool
+    references: {
+      model: 'Drivers',
+      key: 'id'
+    }
+  },
+  status: {
+    type: DataTypes.ENUM('forming', 'assigned', 'active', 'completed', 'canceled'),
+    defaultValue: 'forming'
+  },
+  seatCapacity: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  seatsTaken: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  closesAt: {
+    type: DataTypes.DATE, // New riders can join until this time
+    allowNull: false
+  }
+}, {
+  timestamps: true
+});
+
+// Associations
+RidePool.belongsTo(Driver, { foreignKey: 'driverId', as: 'driver' });
+
+module.exports = RidePool;
@@ -0,0 +1,115 @@
+/**
+ * SafetyCase Model for Taxi-Express
+ * An emergency raised during a trip, tracked by operations until resolution
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const Trip = require('./trip.model');
+const User = require('./user.model');
+
+const SafetyCase = sequelize.define('SafetyCase', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  tripId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'Trips',
+      key: 'id'
+    }
+  },
+  reportedBy: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'Users',
+      key: 'id'
+    }
+  },
+  reporterRole: {
+    type: DataTypes.ENUM('client', 'driver'),
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.ENUM('open', 'acknowledged', 'resolved'),
+    defaultValue: 'open'
+  },
+  triggerLocation: {
+    type: DataTypes.GEOMETRY('POINT'), // where the SOS was raised
+    allowNull: true
+  },
+  lastKnownLocation: {
+    type: DataTypes.GEOMETRY('POINT'),
+    allowNull: true
+  },
+  lastLocationAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  trackingToken: {
+    type: DataTypes.STRING, // secret used in the live location link sent to contacts
+    allowNull: false,
+    unique: true
+  },
+  alertCount: {
+    type: DataTypes.INTEGER, // number of SOS presses on this case
+    defaultValue: 1
+  },
+  contactsNotified: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  acknowledgedBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'Users',
+      key: 'id'
+    }
+  },
+  acknowledgedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  resolvedBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'Users',
+      key: 'id'
+    }
+  },
+  resolvedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  resolutionNotes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  }
+}, {
+  timestamps: true,
+  indexes: [
+    { fields: ['tripId'] },
+    { fields: ['status'] },
+    // At most one unresolved case per trip, so simultaneous SOS presses share it
+    {
+      name: 'safety_cases_trip_open_unique',
+      unique: true,
+      fields: ['tripId'],
+      where: {
+        status: ['open', 'acknowledged']
+      }
+    }
+  ]
+});
+
+// Associations
+SafetyCase.belongsTo(Trip, { foreignKey: 'tripId', as: 'trip' });
+SafetyCase.belongsTo(User, { foreignKey: 'reportedBy', as: 'reporter' });
+
+module.exports = SafetyCase;
@@ -0,0 +1,38 @@
+/**
+ * SurgeCell Model for Taxi-Express
+ * Current demand, supply and smoothed surge multiplier of one geohash cell
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const SurgeCell = sequelize.define('SurgeCell', {
+  cell: {
+    type: DataTypes.STRING, // geohash
+    primaryKey: true
+  },
+  demand: {
+    type: DataTypes.INTEGER, // open requested trips picking up in the cell
+    defaultValue: 0
+  },
+  supply: {
+    type: DataTypes.INTEGER, // available drivers located in the cell
+    defaultValue: 0
+  },
+  rawMultiplier: {
+    type: DataTypes.DECIMAL(4, 2), // multiplier from the latest demand/supply ratio alone
+    defaultValue: 1
+  },
+  multiplier: {
+    type: DataTypes.DECIMAL(4, 2), // smoothed multiplier applied to quotes
+    defaultValue: 1
+  },
+  computedAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = SurgeCell;
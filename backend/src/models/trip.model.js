@@ -31,9 +31,41 @@ const Trip = sequelize.define('Trip', {
     }
   },
   status: {
-    type: DataTypes.ENUM('requested', 'assigned', 'active', 'completed', 'canceled', 'incident'),
+    type: DataTypes.ENUM('scheduled', 'requested', 'assigned', 'active', 'completed', 'canceled', 'incident'),
     defaultValue: 'requested'
   },
+  bookingType: {
+    type: DataTypes.ENUM('on_demand', 'scheduled'),
+    defaultValue: 'on_demand'
+  },
+  rideType: {
+    type: DataTypes.ENUM('private', 'pooled'),
+    defaultValue: 'private'
+  },
+  poolId: {
+    type: DataTypes.UUID,
+    allowNull: true, // Set for pooled trips
+    references: {
+      model: 'RidePools',
+      key: 'id'
+    }
+  },
+  seatsRequested: {
+    type: DataTypes.INTEGER,
+    defaultValue: 1
+  },
+  scheduledPickupTime: {
+    type: DataTypes.DATE,
+    allowNull: true // Only set for scheduled (advance-booking) trips
+  },
+  reminderSentAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  dispatchedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
   pickupLocation: {
     type: DataTypes.GEOMETRY('POINT'),
     allowNull: false
@@ -74,6 +106,67 @@ const Trip = sequelize.define('Trip', {
     type: DataTypes.DECIMAL(10, 2),
     allowNull: false
   },
+  fareAdjustment: {
+    type: DataTypes.DECIMAL(10, 2), // net change to the estimate from accepted mid-ride extensions
+    defaultValue: 0
+  },
+  quoteId: {
+    type: DataTypes.STRING, // locked quote the trip was booked with; a quote books one trip only
+    allowNull: true,
+    unique: true
+  },
+  promoCode: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  discountAmount: {
+    type: DataTypes.DECIMAL(10, 2), // promotion discount granted at quote time
+    defaultValue: 0
+  },
+  city: {
+    type: DataTypes.STRING, // city whose rate cards price the trip
+    allowNull: true
+  },
+  vehicleType: {
+    type: DataTypes.ENUM('car', 'motorcycle', 'taxi', 'minibus'), // vehicle class the trip was priced for
+    defaultValue: 'car'
+  },
+  rateCardId: {
+    type: DataTypes.UUID, // exact rate card version used for the quote
+    allowNull: true,
+    references: {
+      model: 'RateCards',
+      key: 'id'
+    }
+  },
+  surgeCell: {
+    type: DataTypes.STRING, // geohash cell whose surge applied to the quote
+    allowNull: true
+  },
+  surgeFactor: {
+    type: DataTypes.DECIMAL(4, 2),
+    defaultValue: 1
+  },
+  currency: {
+    type: DataTypes.ENUM('CDF', 'USD'), // currency the rider pays in; fares are priced in the base currency
+    defaultValue: 'CDF'
+  },
+  exchangeRate: {
+    type: DataTypes.DECIMAL(18, 8), // units of currency per unit of the base currency, locked at quote time
+    defaultValue: 1
+  },
+  exchangeRateId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'ExchangeRates',
+      key: 'id'
+    }
+  },
+  quotedRates: {
+    type: DataTypes.JSONB, // rates, surge and discounts of the quote, used to meter the final fare
+    allowNull: true
+  },
   finalPrice: {
     type: DataTypes.DECIMAL(10, 2),
     allowNull: true
@@ -0,0 +1,78 @@
+/**
+ * TripEvent Model for Taxi-Express
+ * Append-only history of trip status transitions, used to reconstruct disputes
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const Trip = require('./trip.model');
+const User = require('./user.model');
+
+const TripEvent = sequelize.define('TripEvent', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  tripId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'Trips',
+      key: 'id'
+    }
+  },
+  event: {
+    type: DataTypes.STRING, // e.g. 'create', 'assign', 'start', 'cancel'
+    allowNull: false
+  },
+  fromStatus: {
+    type: DataTypes.STRING, // null for the creation event
+    allowNull: true
+  },
+  toStatus: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  actorId: {
+    type: DataTypes.UUID, // null for system transitions
+    allowNull: true,
+    references: {
+      model: 'Users',
+      key: 'id'
+    }
+  },
+  actorRole: {
+    type: DataTypes.ENUM('client', 'driver', 'admin', 'system'),
+    allowNull: false
+  },
+  location: {
+    type: DataTypes.GEOMETRY('POINT'), // where the actor was, when known
+    allowNull: true
+  },
+  reason: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  metadata: {
+    type: DataTypes.JSONB,
+    defaultValue: {}
+  },
+  occurredAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    { fields: ['tripId', 'occurredAt'] }
+  ]
+});
+
+// Associations
+TripEvent.belongsTo(Trip, { foreignKey: 'tripId', as: 'trip' });
+TripEvent.belongsTo(User, { foreignKey: 'actorId', as: 'actor' });
+
+module.exports = TripEvent;
@@ -0,0 +1,108 @@
+/**
+ * TripExtension Model for Taxi-Express
+ * A destination change or extra destination proposed by the client during an active trip
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const Trip = require('./trip.model');
+const User = require('./user.model');
+
+const TripExtension = sequelize.define('TripExtension', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  tripId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'Trips',
+      key: 'id'
+    }
+  },
+  requestedBy: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'Users',
+      key: 'id'
+    }
+  },
+  mode: {
+    type: DataTypes.ENUM('replace', 'append'), // append keeps the current destination as a stop
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'accepted', 'rejected', 'canceled'),
+    defaultValue: 'pending'
+  },
+  newDestinationLocation: {
+    type: DataTypes.GEOMETRY('POINT'),
+    allowNull: false
+  },
+  newDestinationAddress: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  previousDestinationLocation: {
+    type: DataTypes.GEOMETRY('POINT'),
+    allowNull: false
+  },
+  previousDestinationAddress: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  previousEstimatedDistance: {
+    type: DataTypes.FLOAT, // in kilometers
+    allowNull: false
+  },
+  previousEstimatedDuration: {
+    type: DataTypes.INTEGER, // in minutes
+    allowNull: false
+  },
+  previousEstimatedPrice: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false
+  },
+  newEstimatedDistance: {
+    type: DataTypes.FLOAT, // in kilometers
+    allowNull: false
+  },
+  newEstimatedDuration: {
+    type: DataTypes.INTEGER, // in minutes
+    allowNull: false
+  },
+  newEstimatedPrice: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false
+  },
+  fareDelta: {
+    type: DataTypes.DECIMAL(10, 2), // newEstimatedPrice - previousEstimatedPrice, may be negative
+    allowNull: false
+  },
+  priceBreakdown: {
+    type: DataTypes.JSONB, // quote shown to both parties when the change was proposed
+    allowNull: true
+  },
+  respondedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  rejectionReason: {
+    type: DataTypes.STRING,
+    allowNull: true
+  }
+}, {
+  timestamps: true,
+  indexes: [
+    { fields: ['tripId', 'status'] }
+  ]
+});
+
+// Associations
+TripExtension.belongsTo(Trip, { foreignKey: 'tripId', as: 'trip' });
+TripExtension.belongsTo(User, { foreignKey: 'requestedBy', as: 'requester' });
+
+module.exports = TripExtension;
@@ -0,0 +1,62 @@
+/**
+ * TripLocation Model for Taxi-Express
+ * Timestamped GPS breadcrumb reported by the driver while serving a trip
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const Trip = require('./trip.model');
+const Driver = require('./driver.model');
+
+const TripLocation = sequelize.define('TripLocation', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  tripId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'Trips',
+      key: 'id'
+    }
+  },
+  driverId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'Drivers',
+      key: 'id'
+    }
+  },
+  location: {
+    type: DataTypes.GEOMETRY('POINT'),
+    allowNull: false
+  },
+  tripStatus: {
+    type: DataTypes.ENUM('assigned', 'active'), // 'assigned' = driving to pickup
+    allowNull: false
+  },
+  accuracy: {
+    type: DataTypes.FLOAT, // in meters, as reported by the device
+    allowNull: true
+  },
+  recordedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    { fields: ['tripId', 'recordedAt'] }
+  ]
+});
+
+// Associations
+TripLocation.belongsTo(Trip, { foreignKey: 'tripId', as: 'trip' });
+TripLocation.belongsTo(Driver, { foreignKey: 'driverId', as: 'driver' });
+
+module.exports = TripLocation;
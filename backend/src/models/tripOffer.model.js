@@ -0,0 +1,77 @@
+/**
+ * TripOffer Model for Taxi-Express
+ * Records every dispatch offer made to a driver and how it ended
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const Trip = require('./trip.model');
+const Driver = require('./driver.model');
+
+const TripOffer = sequelize.define('TripOffer', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  tripId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'Trips',
+      key: 'id'
+    }
+  },
+  driverId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'Drivers',
+      key: 'id'
+    }
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'accepted', 'declined', 'expired', 'canceled'),
+    defaultValue: 'pending'
+  },
+  rank: {
+    type: DataTypes.INTEGER, // 1 = best scored driver
+    allowNull: false
+  },
+  matchScore: {
+    type: DataTypes.FLOAT,
+    allowNull: true
+  },
+  distance: {
+    type: DataTypes.FLOAT, // in meters, driver to pickup
+    allowNull: true
+  },
+  offeredAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  respondedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  declineReason: {
+    type: DataTypes.STRING,
+    allowNull: true
+  }
+}, {
+  timestamps: true,
+  indexes: [
+    { fields: ['tripId'] },
+    { fields: ['driverId', 'status'] }
+  ]
+});
+
+// Associations
+TripOffer.belongsTo(Trip, { foreignKey: 'tripId', as: 'trip' });
+TripOffer.belongsTo(Driver, { foreignKey: 'driverId', as: 'driver' });
+
+module.exports = TripOffer;
@@ -0,0 +1,74 @@
+/**
+ * TripStop Model for Taxi-Express
+ * Represents an intermediate stop on a multi-stop trip
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const Trip = require('./trip.model');
+
+const TripStop = sequelize.define('TripStop', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  tripId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'Trips',
+      key: 'id'
+    }
+  },
+  sequence: {
+    type: DataTypes.INTEGER, // 1 = first stop after pickup
+    allowNull: false
+  },
+  location: {
+    type: DataTypes.GEOMETRY('POINT'),
+    allowNull: false
+  },
+  address: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'arrived', 'departed', 'skipped'),
+    defaultValue: 'pending'
+  },
+  legDistance: {
+    type: DataTypes.FLOAT, // in kilometers, from the previous point
+    allowNull: true
+  },
+  legDuration: {
+    type: DataTypes.INTEGER, // in minutes, from the previous point
+    allowNull: true
+  },
+  legPrice: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true
+  },
+  arrivedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  departedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  waitingTime: {
+    type: DataTypes.INTEGER, // in minutes, between arrival and departure
+    allowNull: true
+  }
+}, {
+  timestamps: true,
+  indexes: [
+    { unique: true, fields: ['tripId', 'sequence'] }
+  ]
+});
+
+// Associations
+TripStop.belongsTo(Trip, { foreignKey: 'tripId', as: 'trip' });
+
+module.exports = TripStop;
@@ -0,0 +1,72 @@
+/**
+ * UsedPromotion Model for Taxi-Express
+ * One redemption of a promotion by a client for a trip
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const Promotion = require('./promotion.model');
+const User = require('./user.model');
+const Trip = require('./trip.model');
+
+const UsedPromotion = sequelize.define('UsedPromotion', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  promotionId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'Promotions',
+      key: 'id'
+    }
+  },
+  clientId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'Users',
+      key: 'id'
+    }
+  },
+  tripId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'Trips',
+      key: 'id'
+    }
+  },
+  status: {
+    type: DataTypes.ENUM('redeemed', 'released'), // released when the trip is canceled
+    defaultValue: 'redeemed'
+  },
+  discountAmount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false
+  },
+  usedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  releasedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  timestamps: true,
+  indexes: [
+    { fields: ['promotionId', 'clientId'] },
+    { fields: ['tripId'] }
+  ]
+});
+
+// Associations
+UsedPromotion.belongsTo(Promotion, { foreignKey: 'promotionId', as: 'promotion' });
+UsedPromotion.belongsTo(User, { foreignKey: 'clientId', as: 'client' });
+UsedPromotion.belongsTo(Trip, { foreignKey: 'tripId', as: 'trip' });
+
+module.exports = UsedPromotion;
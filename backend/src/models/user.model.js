@@ -6,6 +6,18 @@
 const { DataTypes } = require('sequelize');
 const { sequelize } = require('../config/database');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+
+// Characters used in referral codes; look-alikes (0/O, 1/I) are left out
+const REFERRAL_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+/**
+ * Generate a random referral code
+ * @returns {string} Eight-character code
+ */
+function generateReferralCode() {
+  return Array.from(crypto.randomBytes(8), byte => REFERRAL_CODE_ALPHABET[byte % REFERRAL_CODE_ALPHABET.length]).join('');
+}
 
 const User = sequelize.define('User', {
   id: {
@@ -52,7 +64,7 @@ const User = sequelize.define('User', {
     }
   },
   walletBalance: {
-    type: DataTypes.DECIMAL(10, 2),
+    type: DataTypes.DECIMAL(10, 2), // cached balance of the base-currency wallet account; the ledger is the source of truth
     defaultValue: 0.00
   },
   isActive: {
@@ -86,11 +98,31 @@ const User = sequelize.define('User', {
   fraudScore: {
     type: DataTypes.INTEGER,
     defaultValue: 0
+  },
+  referralCode: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    unique: true
+  },
+  referredBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'Users',
+      key: 'id'
+    }
+  },
+  registrationDeviceId: {
+    type: DataTypes.STRING, // device identifier sent by the app at sign-up
+    allowNull: true
   }
 }, {
   timestamps: true,
   hooks: {
     beforeCreate: async (user) => {
+      if (!user.referralCode) {
+        user.referralCode = generateReferralCode();
+      }
       if (user.password) {
         const salt = await bcrypt.genSalt(10);
         user.password = await bcrypt.hash(user.password, salt);
@@ -110,4 +142,7 @@ User.prototype.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Static method to give accounts created before referral codes existed a code
+User.generateReferralCode = generateReferralCode;
+
 module.exports = User;
@@ -0,0 +1,104 @@
+/**
+ * Webhook Event Model for Taxi-Express
+ * Every payment callback received, with its raw payload, verification result and review status
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const User = require('./user.model');
+const Payment = require('./payment.model');
+
+const WebhookEvent = sequelize.define('WebhookEvent', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  channel: {
+    type: DataTypes.ENUM('mobile_money', 'card'),
+    allowNull: false
+  },
+  provider: {
+    type: DataTypes.STRING, // e.g. 'orange', 'mpesa', 'stripe'
+    allowNull: false
+  },
+  rawPayload: {
+    type: DataTypes.TEXT, // body exactly as received, as signatures are computed over it
+    allowNull: false
+  },
+  payloadHash: {
+    type: DataTypes.STRING, // SHA-256 of provider and raw payload, to spot replays
+    allowNull: false
+  },
+  headers: {
+    type: DataTypes.JSONB,
+    allowNull: true
+  },
+  ipAddress: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  signedAt: {
+    type: DataTypes.DATE, // timestamp the provider signed, when it sends one
+    allowNull: true
+  },
+  status: {
+    type: DataTypes.ENUM('processed', 'duplicate', 'needs_review', 'resolved', 'dismissed'),
+    allowNull: false
+  },
+  rejectionReason: {
+    type: DataTypes.ENUM(
+      'unknown_provider',
+      'missing_signature',
+      'invalid_signature',
+      'stale_timestamp',
+      'replayed',
+      'unmatched_payment',
+      'reference_mismatch',
+      'unapplied_payment', // confirmed by the provider but could not be applied, e.g. the trip was paid another way
+      'processing_error'
+    ),
+    allowNull: true
+  },
+  rejectionDetails: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  paymentId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'Payments',
+      key: 'id'
+    }
+  },
+  reviewedBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'Users',
+      key: 'id'
+    }
+  },
+  reviewedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  reviewNotes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  }
+}, {
+  timestamps: true,
+  indexes: [
+    { fields: ['status'] },
+    { fields: ['provider', 'payloadHash'] },
+    { fields: ['paymentId'] }
+  ]
+});
+
+// Associations
+WebhookEvent.belongsTo(Payment, { foreignKey: 'paymentId', as: 'payment' });
+WebhookEvent.belongsTo(User, { foreignKey: 'reviewedBy', as: 'reviewer' });
+
+module.exports = WebhookEvent;
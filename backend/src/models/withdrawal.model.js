@@ -0,0 +1,134 @@
+/**
+ * Withdrawal Model for Taxi-Express
+ * A driver's request to be paid out of their wallet; the amount is held in escrow until it settles or fails
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const User = require('./user.model');
+const Driver = require('./driver.model');
+const PayoutBatch = require('./payoutBatch.model');
+
+const Withdrawal = sequelize.define('Withdrawal', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  reference: {
+    type: DataTypes.STRING, // e.g. "WD3F9A1C7B2E40", carried through disbursement and settlement files
+    allowNull: false,
+    unique: true
+  },
+  driverId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'Drivers',
+      key: 'id'
+    }
+  },
+  userId: {
+    type: DataTypes.UUID, // owner of the wallet the amount is held from
+    allowNull: false,
+    references: {
+      model: 'Users',
+      key: 'id'
+    }
+  },
+  currency: {
+    type: DataTypes.ENUM('CDF', 'USD'),
+    allowNull: false
+  },
+  amountMinor: {
+    type: DataTypes.BIGINT, // in minor units of currency; amount is the decimal mirror
+    allowNull: false
+  },
+  amount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false
+  },
+  method: {
+    type: DataTypes.ENUM('bank', 'mobile_money'),
+    allowNull: false
+  },
+  accountName: {
+    type: DataTypes.STRING, // beneficiary name as the bank or operator knows it
+    allowNull: false
+  },
+  bankName: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  bankAccount: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  mobileMoneyProvider: {
+    type: DataTypes.ENUM('orange', 'airtel', 'africell', 'mpesa'),
+    allowNull: true
+  },
+  mobileMoneyNumber: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  status: {
+    type: DataTypes.ENUM('requested', 'approved', 'rejected', 'sent', 'settled', 'failed'),
+    defaultValue: 'requested'
+  },
+  payoutBatchId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'PayoutBatches',
+      key: 'id'
+    }
+  },
+  settlementReference: {
+    type: DataTypes.STRING, // transfer id reported by the bank or operator
+    allowNull: true
+  },
+  failureReason: {
+    type: DataTypes.TEXT, // why it was rejected or failed
+    allowNull: true
+  },
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  reviewedBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'Users',
+      key: 'id'
+    }
+  },
+  reviewedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  sentAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  settledAt: {
+    type: DataTypes.DATE, // when it settled or failed
+    allowNull: true
+  }
+}, {
+  timestamps: true,
+  indexes: [
+    { fields: ['status'] },
+    { fields: ['driverId'] },
+    { fields: ['payoutBatchId'] }
+  ]
+});
+
+// Associations
+Withdrawal.belongsTo(Driver, { foreignKey: 'driverId', as: 'driver' });
+Withdrawal.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+Withdrawal.belongsTo(User, { foreignKey: 'reviewedBy', as: 'reviewer' });
+Withdrawal.belongsTo(PayoutBatch, { foreignKey: 'payoutBatchId', as: 'batch' });
+
+module.exports = Withdrawal;
@@ -96,11 +96,74 @@ router.get('/payments', authenticate, authorize('admin'), adminController.getAll
 
 /**
  * @route GET /api/admin/withdrawals
- * @description Get all withdrawal requests
+ * @description Get driver withdrawals, filtered by status, driverId, method, currency or batchId
  * @access Private/Admin
  */
 router.get('/withdrawals', authenticate, authorize('admin'), adminController.getWithdrawalRequests);
 
+/**
+ * @route POST /api/admin/payouts/batches
+ * @description Build a payout batch from approved withdrawals of one method and currency (defaults to those approved before this week)
+ * @access Private/Admin
+ */
+router.post('/payouts/batches', authenticate, authorize('admin'), validateInput('createPayoutBatch'), adminController.createPayoutBatch);
+
+/**
+ * @route GET /api/admin/payouts/batches
+ * @description Get payout batches
+ * @access Private/Admin
+ */
+router.get('/payouts/batches', authenticate, authorize('admin'), adminController.getPayoutBatches);
+
+/**
+ * @route GET /api/admin/payouts/batches/:batchId
+ * @description Get a payout batch with its withdrawals
+ * @access Private/Admin
+ */
+router.get('/payouts/batches/:batchId', authenticate, authorize('admin'), adminController.getPayoutBatch);
+
+/**
+ * @route GET /api/admin/payouts/batches/:batchId/export
+ * @description Download the batch's disbursement file (CSV); the first download marks its withdrawals as sent
+ * @access Private/Admin
+ */
+router.get('/payouts/batches/:batchId/export', authenticate, authorize('admin'), adminController.exportPayoutBatch);
+
+/**
+ * @route POST /api/admin/payouts/batches/:batchId/settlements
+ * @description Import the bank's or operator's settlement results for an exported batch
+ * @access Private/Admin
+ */
+router.post('/payouts/batches/:batchId/settlements', authenticate, authorize('admin'), validateInput('importPayoutSettlements'), adminController.importPayoutSettlements);
+
+/**
+ * @route GET /api/admin/referrals
+ * @description Get the referral conversion report, optionally between startDate and endDate
+ * @access Private/Admin
+ */
+router.get('/referrals', authenticate, authorize('admin'), adminController.getReferralReport);
+
+/**
+ * @route GET /api/admin/ledger/consistency
+ * @description Check that every ledger entry balances and cached wallet balances match the ledger
+ * @access Private/Admin
+ */
+router.get('/ledger/consistency', authenticate, authorize('admin'), adminController.checkLedgerConsistency);
+
+/**
+ * @route GET /api/admin/webhooks
+ * @description Get stored payment callbacks; status defaults to needs_review (use 'all' for every status)
+ * @access Private/Admin
+ */
+router.get('/webhooks', authenticate, authorize('admin'), adminController.getWebhookEvents);
+
+/**
+ * @route PUT /api/admin/webhooks/:eventId/review
+ * @description Replay, resolve or dismiss a payment callback awaiting review
+ * @access Private/Admin
+ */
+router.put('/webhooks/:eventId/review', authenticate, authorize('admin'), validateInput('reviewWebhookEvent'), adminController.reviewWebhookEvent);
+
 /**
  * @route GET /api/admin/system-health
  * @description Get system health metrics
@@ -9,6 +9,7 @@ const driverController = require('../controllers/driver.controller');
 const { authenticate } = require('../middlewares/auth.middleware');
 const { validateInput } = require('../middlewares/inputValidation.middleware');
 const { authorize } = require('../middlewares/authorization.middleware');
+const { idempotent } = require('../middlewares/idempotency.middleware');
 
 /**
  * @route GET /api/drivers/available
@@ -45,6 +46,13 @@ router.get('/profile', authenticate, authorize('driver'), driverController.getDr
  */
 router.put('/verification/:driverId', authenticate, authorize('admin'), validateInput('updateVerification'), driverController.updateVerificationStatus);
 
+/**
+ * @route PUT /api/drivers/tier/:driverId
+ * @description Set the driver tier commission policies are chosen by (admin only)
+ * @access Private/Admin
+ */
+router.put('/tier/:driverId', authenticate, authorize('admin'), validateInput('updateDriverTier'), driverController.updateDriverTier);
+
 /**
  * @route GET /api/drivers/trips
  * @description Get driver trip history
@@ -59,6 +67,20 @@ router.get('/trips', authenticate, authorize('driver'), driverController.getDriv
  */
 router.get('/earnings', authenticate, authorize('driver'), driverController.getDriverEarnings);
 
+/**
+ * @route GET /api/drivers/debt
+ * @description Get the commission owed from cash trips
+ * @access Private/Driver
+ */
+router.get('/debt', authenticate, authorize('driver'), driverController.getDriverDebt);
+
+/**
+ * @route POST /api/drivers/debt/settle
+ * @description Pay commission debt by mobile money
+ * @access Private/Driver
+ */
+router.post('/debt/settle', authenticate, authorize('driver'), validateInput('settleDriverDebt'), idempotent, driverController.settleDriverDebt);
+
 /**
  * @route PUT /api/drivers/vehicle
  * @description Update driver vehicle information
@@ -17,6 +17,7 @@ const fraudRoutes = require('./fraud.routes');
 const matchingRoutes = require('./matching.routes');
 const pricingRoutes = require('./pricing.routes');
 const smsRoutes = require('./sms.routes');
+const safetyRoutes = require('./safety.routes');
 
 // Mount routes
 router.use('/auth', authRoutes);
@@ -29,6 +30,7 @@ router.use('/fraud', fraudRoutes);
 router.use('/matching', matchingRoutes);
 router.use('/pricing', pricingRoutes);
 router.use('/sms', smsRoutes);
+router.use('/safety', safetyRoutes);
 
 // API health check endpoint
 router.get('/health', (req, res) => {
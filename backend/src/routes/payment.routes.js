@@ -1,6 +1,7 @@
 /**
  * Payment Routes for Taxi-Express
  * Handles payment initialization, confirmation, wallet management
+ * Money-moving routes accept an Idempotency-Key header so retries are not charged twice
  */
 
 const express = require('express');
@@ -10,34 +11,42 @@ const { authenticate } = require('../middlewares/auth.middleware');
 const { validateInput } = require('../middlewares/inputValidation.middleware');
 const { authorize } = require('../middlewares/authorization.middleware');
 const { rateLimiter } = require('../middlewares/rateLimit.middleware');
+const { idempotent } = require('../middlewares/idempotency.middleware');
 
 /**
  * @route POST /api/payments/process
  * @description Process payment for a trip
  * @access Private
  */
-router.post('/process', authenticate, rateLimiter({ windowMs: 5 * 60 * 1000, max: 10 }), validateInput('processPayment'), paymentController.processPayment);
+router.post('/process', authenticate, rateLimiter({ windowMs: 5 * 60 * 1000, max: 10 }), validateInput('processPayment'), idempotent, paymentController.processPayment);
 
 /**
  * @route POST /api/payments/wallet/add
  * @description Add funds to wallet
  * @access Private
  */
-router.post('/wallet/add', authenticate, rateLimiter({ windowMs: 5 * 60 * 1000, max: 5 }), validateInput('addWalletFunds'), paymentController.addFundsToWallet);
+router.post('/wallet/add', authenticate, rateLimiter({ windowMs: 5 * 60 * 1000, max: 5 }), validateInput('addWalletFunds'), idempotent, paymentController.addToWallet);
 
 /**
  * @route POST /api/payments/wallet/withdraw
- * @description Withdraw funds from wallet (driver only)
+ * @description Request a withdrawal to a bank account or mobile money number; the amount is held in escrow until paid out (driver only)
  * @access Private/Driver
  */
-router.post('/wallet/withdraw', authenticate, authorize('driver'), rateLimiter({ windowMs: 60 * 60 * 1000, max: 3 }), validateInput('withdrawFunds'), paymentController.withdrawFunds);
+router.post('/wallet/withdraw', authenticate, authorize('driver'), rateLimiter({ windowMs: 60 * 60 * 1000, max: 3 }), validateInput('withdrawFunds'), idempotent, paymentController.withdrawFromWallet);
 
 /**
  * @route PUT /api/payments/withdrawals/:withdrawalId/process
- * @description Process withdrawal request (admin only)
+ * @description Approve a withdrawal for the next payout batch, or reject it and release the escrow (admin only)
  * @access Private/Admin
  */
-router.put('/withdrawals/:withdrawalId/process', authenticate, authorize('admin'), validateInput('processWithdrawal'), paymentController.processWithdrawal);
+router.put('/withdrawals/:withdrawalId/process', authenticate, authorize('admin'), validateInput('processWithdrawal'), idempotent, paymentController.processWithdrawal);
+
+/**
+ * @route POST /api/payments/:paymentId/refund
+ * @description Refund all or part of a completed trip payment to its original method or the rider's wallet (admin only)
+ * @access Private/Admin
+ */
+router.post('/:paymentId/refund', authenticate, authorize('admin'), validateInput('refundPayment'), idempotent, paymentController.refundPayment);
 
 /**
  * @route GET /api/payments/history
@@ -51,55 +60,41 @@ router.get('/history', authenticate, paymentController.getPaymentHistory);
  * @description Get payment details
  * @access Private
  */
-router.get('/:paymentId', authenticate, paymentController.getPaymentDetails);
+router.get('/:paymentId', authenticate, paymentController.getPaymentById);
 
 /**
  * @route POST /api/payments/mobile-money/initialize
- * @description Initialize mobile money payment
- * @access Private
- */
-router.post('/mobile-money/initialize', authenticate, rateLimiter({ windowMs: 5 * 60 * 1000, max: 5 }), validateInput('initializeMobileMoney'), paymentController.initializeMobileMoneyPayment);
-
-/**
- * @route POST /api/payments/mobile-money/callback
- * @description Mobile money payment callback
- * @access Public
- */
-router.post('/mobile-money/callback', paymentController.mobileMoneyCallback);
-
-/**
- * @route POST /api/payments/card/initialize
- * @description Initialize card payment (Stripe)
+ * @description Send a mobile money push-to-pay request for a trip's pending payment (tripId) or a wallet top-up (amount)
  * @access Private
  */
-router.post('/card/initialize', authenticate, rateLimiter({ windowMs: 5 * 60 * 1000, max: 5 }), validateInput('initializeCardPayment'), paymentController.initializeCardPayment);
+router.post('/mobile-money/initialize', authenticate, rateLimiter({ windowMs: 5 * 60 * 1000, max: 5 }), validateInput('initializeMobileMoney'), idempotent, paymentController.initializeMobileMoneyPayment);
 
 /**
- * @route POST /api/payments/card/callback
- * @description Card payment callback
+ * @route POST /api/payments/mobile-money/callback/:provider
+ * @description Notification from a mobile money operator (orange, airtel, africell, mpesa) about a payment; must be signed with the operator's webhook secret
  * @access Public
  */
-router.post('/card/callback', paymentController.cardPaymentCallback);
+router.post('/mobile-money/callback/:provider', paymentController.mobileMoneyCallback);
 
 /**
- * @route GET /api/payments/methods
- * @description Get user's saved payment methods
+ * @route GET /api/payments/mobile-money/:paymentId/status
+ * @description Get a mobile money payment's status, checking with the operator while unconfirmed
  * @access Private
  */
-router.get('/methods', authenticate, paymentController.getSavedPaymentMethods);
+router.get('/mobile-money/:paymentId/status', authenticate, paymentController.getMobileMoneyStatus);
 
 /**
- * @route POST /api/payments/methods
- * @description Add a new payment method
+ * @route POST /api/payments/card/initialize
+ * @description Start a card (Stripe) payment for a trip's pending payment (tripId) or a wallet top-up (amount); completed by the processor's event
  * @access Private
  */
-router.post('/methods', authenticate, validateInput('addPaymentMethod'), paymentController.addPaymentMethod);
+router.post('/card/initialize', authenticate, rateLimiter({ windowMs: 5 * 60 * 1000, max: 5 }), validateInput('initializeCardPayment'), idempotent, paymentController.initializeCardPayment);
 
 /**
- * @route DELETE /api/payments/methods/:methodId
- * @description Delete a payment method
- * @access Private
+ * @route POST /api/payments/card/callback
+ * @description Card processor (Stripe) event about a card payment; must carry a valid Stripe-Signature
+ * @access Public
  */
-router.delete('/methods/:methodId', authenticate, paymentController.deletePaymentMethod);
+router.post('/card/callback', paymentController.cardPaymentCallback);
 
 module.exports = router;
@@ -6,27 +6,28 @@
 const express = require('express');
 const router = express.Router();
 const pricingController = require('../controllers/pricing.controller');
-const { authenticate } = require('../middlewares/auth.middleware');
+const promotionController = require('../controllers/promotion.controller');
+const { authenticate, optionalAuthenticate } = require('../middlewares/auth.middleware');
 const { validateInput } = require('../middlewares/inputValidation.middleware');
 const { authorize } = require('../middlewares/authorization.middleware');
 
 /**
  * @route POST /api/pricing/estimate
- * @description Calculate trip price estimate
- * @access Public
+ * @description Calculate trip price estimate and return a signed quote token locking the fare
+ * @access Public (the quote is reserved to the client when signed in)
  */
-router.post('/estimate', validateInput('estimatePrice'), pricingController.calculateTripPrice);
+router.post('/estimate', optionalAuthenticate, validateInput('estimatePrice'), pricingController.calculateTripPrice);
 
 /**
  * @route GET /api/pricing/surge
- * @description Get current surge pricing factors by area
+ * @description Get the surge heatmap (multiplier per grid cell), optionally within minLat/minLng/maxLat/maxLng
  * @access Public
  */
 router.get('/surge', pricingController.getSurgePricing);
 
 /**
  * @route GET /api/pricing/rates
- * @description Get base pricing rates for all vehicle types
+ * @description Get the rate cards in force per city and vehicle class, and upcoming versions
  * @access Public
  */
 router.get('/rates', pricingController.getPricingRates);
@@ -36,60 +37,95 @@ router.get('/rates', pricingController.getPricingRates);
  * @description Validate a promotion code
  * @access Private
  */
-router.post('/validate-promo', authenticate, validateInput('validatePromoCode'), pricingController.validatePromoCode);
+router.post('/validate-promo', authenticate, validateInput('validatePromoCode'), promotionController.validatePromoCode);
 
 /**
  * @route GET /api/pricing/promotions
- * @description Get available promotions for user
+ * @description Get promotions the user can currently use, optionally for a city and vehicleType
  * @access Private
  */
-router.get('/promotions', authenticate, pricingController.getAvailablePromotions);
+router.get('/promotions', authenticate, promotionController.getAvailablePromotions);
 
 /**
  * @route POST /api/pricing/promotions
  * @description Create a new promotion (admin only)
  * @access Private/Admin
  */
-router.post('/promotions', authenticate, authorize('admin'), validateInput('createPromotion'), pricingController.createPromotion);
+router.post('/promotions', authenticate, authorize('admin'), validateInput('createPromotion'), promotionController.createPromotion);
 
 /**
  * @route PUT /api/pricing/promotions/:promoId
  * @description Update a promotion (admin only)
  * @access Private/Admin
  */
-router.put('/promotions/:promoId', authenticate, authorize('admin'), validateInput('updatePromotion'), pricingController.updatePromotion);
+router.put('/promotions/:promoId', authenticate, authorize('admin'), validateInput('updatePromotion'), promotionController.updatePromotion);
 
 /**
  * @route DELETE /api/pricing/promotions/:promoId
- * @description Delete a promotion (admin only)
+ * @description Delete a promotion, or deactivate it once redeemed (admin only)
  * @access Private/Admin
  */
-router.delete('/promotions/:promoId', authenticate, authorize('admin'), pricingController.deletePromotion);
+router.delete('/promotions/:promoId', authenticate, authorize('admin'), promotionController.deletePromotion);
 
 /**
  * @route GET /api/pricing/history
- * @description Get pricing history (admin only)
+ * @description Get every published rate card version, newest first (admin only)
  * @access Private/Admin
  */
 router.get('/history', authenticate, authorize('admin'), pricingController.getPricingHistory);
 
 /**
  * @route PUT /api/pricing/rates
- * @description Update pricing rates (admin only)
+ * @description Publish a new rate card version for a city and vehicle class (admin only)
  * @access Private/Admin
  */
 router.put('/rates', authenticate, authorize('admin'), validateInput('updatePricingRates'), pricingController.updatePricingRates);
 
+/**
+ * @route GET /api/pricing/exchange-rates
+ * @description Get the exchange rates in force between supported currencies, and upcoming ones
+ * @access Public
+ */
+router.get('/exchange-rates', pricingController.getExchangeRates);
+
+/**
+ * @route PUT /api/pricing/exchange-rates
+ * @description Publish a new exchange rate for a currency pair (admin only)
+ * @access Private/Admin
+ */
+router.put('/exchange-rates', authenticate, authorize('admin'), validateInput('updateExchangeRate'), pricingController.updateExchangeRate);
+
+/**
+ * @route GET /api/pricing/commission-policies
+ * @description Get commission policies, optionally for a city and including inactive ones (admin only)
+ * @access Private/Admin
+ */
+router.get('/commission-policies', authenticate, authorize('admin'), pricingController.getCommissionPolicies);
+
+/**
+ * @route POST /api/pricing/commission-policies
+ * @description Create a commission policy by city, vehicle class, driver tier and period (admin only)
+ * @access Private/Admin
+ */
+router.post('/commission-policies', authenticate, authorize('admin'), validateInput('createCommissionPolicy'), pricingController.createCommissionPolicy);
+
+/**
+ * @route PUT /api/pricing/commission-policies/:policyId
+ * @description Update or deactivate a commission policy (admin only)
+ * @access Private/Admin
+ */
+router.put('/commission-policies/:policyId', authenticate, authorize('admin'), validateInput('updateCommissionPolicy'), pricingController.updateCommissionPolicy);
+
 /**
  * @route GET /api/pricing/statistics
- * @description Get pricing statistics (admin only)
+ * @description Get pricing statistics for completed trips between startDate and endDate, the last 30 days by default (admin only)
  * @access Private/Admin
  */
 router.get('/statistics', authenticate, authorize('admin'), pricingController.getPricingStatistics);
 
 /**
  * @route POST /api/pricing/driver-earnings
- * @description Calculate driver earnings for a trip
+ * @description Calculate driver earnings for a trip (its driver or an admin)
  * @access Private
  */
 router.post('/driver-earnings', authenticate, validateInput('calculateDriverEarnings'), pricingController.calculateDriverEarnings);
@@ -0,0 +1,69 @@
+/**
+ * Safety Routes for Taxi-Express
+ * Handles emergency contacts, SOS safety cases, and live location links
+ */
+
+const express = require('express');
+const router = express.Router();
+const safetyController = require('../controllers/safety.controller');
+const { authenticate } = require('../middlewares/auth.middleware');
+const { validateInput } = require('../middlewares/inputValidation.middleware');
+const { authorize } = require('../middlewares/authorization.middleware');
+
+/**
+ * @route GET /api/safety/contacts
+ * @description Get the current user's emergency contacts
+ * @access Private
+ */
+router.get('/contacts', authenticate, safetyController.getEmergencyContacts);
+
+/**
+ * @route POST /api/safety/contacts
+ * @description Add an emergency contact
+ * @access Private
+ */
+router.post('/contacts', authenticate, validateInput('addEmergencyContact'), safetyController.addEmergencyContact);
+
+/**
+ * @route DELETE /api/safety/contacts/:contactId
+ * @description Remove an emergency contact
+ * @access Private
+ */
+router.delete('/contacts/:contactId', authenticate, safetyController.deleteEmergencyContact);
+
+/**
+ * @route GET /api/safety/cases
+ * @description Get safety cases
+ * @access Private/Admin
+ */
+router.get('/cases', authenticate, authorize('admin'), safetyController.getSafetyCases);
+
+/**
+ * @route GET /api/safety/cases/:caseId
+ * @description Get a safety case with its trip
+ * @access Private/Admin
+ */
+router.get('/cases/:caseId', authenticate, authorize('admin'), safetyController.getSafetyCaseById);
+
+/**
+ * @route PUT /api/safety/cases/:caseId/acknowledge
+ * @description Take charge of an open safety case
+ * @access Private/Admin
+ */
+router.put('/cases/:caseId/acknowledge', authenticate, authorize('admin'), safetyController.acknowledgeSafetyCase);
+
+/**
+ * @route PUT /api/safety/cases/:caseId/resolve
+ * @description Close a safety case
+ * @access Private/Admin
+ */
+router.put('/cases/:caseId/resolve', authenticate, authorize('admin'), validateInput('resolveSafetyCase'), safetyController.resolveSafetyCase);
+
+/**
+ * @route GET /api/safety/track/:token
+ * @description Follow the live location of an open safety case
+ * @access Public
+ */
+router.get('/track/:token', safetyController.trackSafetyCase);
+
+module.exports = router;
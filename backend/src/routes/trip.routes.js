@@ -1,6 +1,6 @@
 /**
  * Trip Routes for Taxi-Express
- * Handles trip requests, tracking, status updates, history, cross-ratings
+ * Handles trip requests, tracking, status updates, history, cross-ratings, tips
  */
 
 const express = require('express');
@@ -9,6 +9,7 @@ const tripController = require('../controllers/trip.controller');
 const { authenticate } = require('../middlewares/auth.middleware');
 const { validateInput } = require('../middlewares/inputValidation.middleware');
 const { authorize } = require('../middlewares/authorization.middleware');
+const { idempotent } = require('../middlewares/idempotency.middleware');
 
 /**
  * @route POST /api/trips/request
@@ -17,13 +18,34 @@ const { authorize } = require('../middlewares/authorization.middleware');
  */
 router.post('/request', authenticate, authorize('client'), validateInput('requestTrip'), tripController.requestTrip);
 
+/**
+ * @route GET /api/trips/scheduled
+ * @description Get upcoming scheduled trips (own bookings, or all for admin)
+ * @access Private/Client
+ */
+router.get('/scheduled', authenticate, authorize('client'), tripController.getScheduledTrips);
+
+/**
+ * @route PUT /api/trips/:tripId/schedule
+ * @description Modify a scheduled trip before dispatch starts
+ * @access Private/Client
+ */
+router.put('/:tripId/schedule', authenticate, authorize('client'), validateInput('updateScheduledTrip'), tripController.updateScheduledTrip);
+
 /**
  * @route PUT /api/trips/:tripId/accept
- * @description Accept a trip (driver only)
+ * @description Accept a trip offer (driver only)
  * @access Private/Driver
  */
 router.put('/:tripId/accept', authenticate, authorize('driver'), tripController.acceptTrip);
 
+/**
+ * @route PUT /api/trips/:tripId/decline
+ * @description Decline a trip offer (driver only)
+ * @access Private/Driver
+ */
+router.put('/:tripId/decline', authenticate, authorize('driver'), validateInput('declineTrip'), tripController.declineTrip);
+
 /**
  * @route PUT /api/trips/:tripId/start
  * @description Start a trip
@@ -31,6 +53,27 @@ router.put('/:tripId/accept', authenticate, authorize('driver'), tripController.
  */
 router.put('/:tripId/start', authenticate, authorize('driver'), tripController.startTrip);
 
+/**
+ * @route PUT /api/trips/:tripId/stops/:stopId/arrive
+ * @description Record arrival at the next intermediate stop
+ * @access Private/Driver
+ */
+router.put('/:tripId/stops/:stopId/arrive', authenticate, authorize('driver'), tripController.arriveAtStop);
+
+/**
+ * @route PUT /api/trips/:tripId/stops/:stopId/depart
+ * @description Record departure from the current intermediate stop
+ * @access Private/Driver
+ */
+router.put('/:tripId/stops/:stopId/depart', authenticate, authorize('driver'), tripController.departFromStop);
+
+/**
+ * @route PUT /api/trips/:tripId/stops/:stopId/skip
+ * @description Skip the next intermediate stop
+ * @access Private/Driver
+ */
+router.put('/:tripId/stops/:stopId/skip', authenticate, authorize('driver'), tripController.skipStop);
+
 /**
  * @route PUT /api/trips/:tripId/complete
  * @description Complete a trip
@@ -59,12 +102,54 @@ router.get('/:tripId', authenticate, tripController.getTripDetails);
  */
 router.post('/:tripId/incidents', authenticate, validateInput('reportIncident'), tripController.reportIncident);
 
+/**
+ * @route GET /api/trips/:tripId/events
+ * @description Get the status history of a trip
+ * @access Private
+ */
+router.get('/:tripId/events', authenticate, tripController.getTripEvents);
+
 /**
  * @route POST /api/trips/:tripId/rate-driver
- * @description Rate a driver after trip completion
+ * @description Rate a driver after trip completion, optionally with a tip
  * @access Private/Client
  */
-router.post('/:tripId/rate-driver', authenticate, authorize('client'), validateInput('rateDriver'), tripController.rateDriver);
+router.post('/:tripId/rate-driver', authenticate, authorize('client'), validateInput('rateDriver'), idempotent, tripController.rateDriver);
+
+/**
+ * @route POST /api/trips/:tripId/tip
+ * @description Tip the driver from the wallet or by mobile money after trip completion
+ * @access Private/Client
+ */
+router.post('/:tripId/tip', authenticate, authorize('client'), validateInput('tipDriver'), idempotent, tripController.tipDriver);
+
+/**
+ * @route POST /api/trips/:tripId/split
+ * @description Split the fare with other registered riders, invited by phone number
+ * @access Private/Client
+ */
+router.post('/:tripId/split', authenticate, authorize('client'), validateInput('createFareSplit'), tripController.splitFare);
+
+/**
+ * @route GET /api/trips/:tripId/split
+ * @description Get the split of a trip's fare and where each share stands
+ * @access Private
+ */
+router.get('/:tripId/split', authenticate, tripController.getFareSplit);
+
+/**
+ * @route POST /api/trips/:tripId/split/pay
+ * @description Pay your share of a split fare from the wallet or by mobile money
+ * @access Private/Client
+ */
+router.post('/:tripId/split/pay', authenticate, authorize('client'), validateInput('payFareShare'), idempotent, tripController.payFareShare);
+
+/**
+ * @route POST /api/trips/:tripId/split/decline
+ * @description Decline an invitation to share a trip's fare
+ * @access Private/Client
+ */
+router.post('/:tripId/split/decline', authenticate, authorize('client'), tripController.declineFareShare);
 
 /**
  * @route POST /api/trips/:tripId/rate-client
@@ -82,11 +167,18 @@ router.get('/:tripId/tracking', authenticate, tripController.getTripTracking);
 
 /**
  * @route PUT /api/trips/:tripId/extend
- * @description Extend trip with additional stops
+ * @description Propose a new or extra destination on an active trip
  * @access Private/Client
  */
 router.put('/:tripId/extend', authenticate, authorize('client'), validateInput('extendTrip'), tripController.extendTrip);
 
+/**
+ * @route PUT /api/trips/:tripId/extend/:extensionId/respond
+ * @description Accept or reject a destination change
+ * @access Private/Driver
+ */
+router.put('/:tripId/extend/:extensionId/respond', authenticate, authorize('driver'), validateInput('respondToExtension'), tripController.respondToExtension);
+
 /**
  * @route GET /api/trips
  * @description Get all trips (admin only)
@@ -108,4 +200,11 @@ router.get('/active', authenticate, tripController.getActiveTrip);
  */
 router.post('/:tripId/sos', authenticate, tripController.triggerSOS);
 
+/**
+ * @route PUT /api/trips/:tripId/sos/location
+ * @description Share live location with the trip's open safety case
+ * @access Private
+ */
+router.put('/:tripId/sos/location', authenticate, validateInput('updateSOSLocation'), tripController.updateSOSLocation);
+
 module.exports = router;
@@ -47,7 +47,7 @@ router.get('/ratings', authenticate, userController.getUserRatings);
 
 /**
  * @route GET /api/users/wallet
- * @description Get user wallet balance and transactions
+ * @description Get user wallet balances, one per currency
  * @access Private
  */
 router.get('/wallet', authenticate, userController.getWallet);
@@ -122,6 +122,13 @@ router.post('/favorites', authenticate, validateInput('addFavoriteLocation'), us
  */
 router.delete('/favorites/:locationId', authenticate, userController.deleteFavoriteLocation);
 
+/**
+ * @route GET /api/users/referrals
+ * @description Get the user's referral code and the status of their referrals
+ * @access Private
+ */
+router.get('/referrals', authenticate, userController.getReferrals);
+
 /**
  * @route GET /api/users/:userId
  * @description Get user by ID (admin only)
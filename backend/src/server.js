@@ -23,6 +23,8 @@ const paymentRoutes = require('./routes/payment.routes');
 const notificationRoutes = require('./routes/notification.routes');
 const adminRoutes = require('./routes/admin.routes');
 const fraudRoutes = require('./routes/fraud.routes');
+const safetyRoutes = require('./routes/safety.routes');
+const pricingRoutes = require('./routes/pricing.routes');
 
 // Import database connection
 const { sequelize } = require('./config/database');
@@ -30,6 +32,19 @@ const { sequelize } = require('./config/database');
 // Import socket handler
 const setupSocketHandlers = require('./utils/socketHandlers');
 
+// Import scheduled trips runner
+const { startScheduler } = require('./services/scheduling.service');
+const { startSurgeUpdates } = require('./services/surge.service');
+const { startMobileMoneyPolling } = require('./services/mobileMoney.service');
+const { startFareSplitExpiry } = require('./services/fareSplit.service');
+const { seedDefaultRateCards } = require('./services/rateCard.service');
+const { seedDefaultExchangeRates } = require('./services/currency.service');
+const { seedDefaultCommissionPolicy } = require('./services/commission.service');
+
+// Import trip lifecycle side effects
+const { registerTripHooks, startTripPaymentRecovery } = require('./services/tripHooks.service');
+const { resumePendingOffers } = require('./services/dispatch.service');
+
 // Initialize Express app
 const app = express();
 const server = http.createServer(app);
@@ -69,7 +84,14 @@ const swaggerDocs = swaggerJsDoc(swaggerOptions);
 // Middleware
 app.use(cors());
 app.use(helmet());
-app.use(express.json());
+app.use(express.json({
+  // Payment callbacks are signed over the exact bytes sent, so keep them
+  verify: (req, res, buf) => {
+    if (req.originalUrl.includes('/callback')) {
+      req.rawBody = buf.toString('utf8');
+    }
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 app.use(morgan('dev'));
 
@@ -90,6 +112,8 @@ app.use('/api/payments', paymentRoutes);
 app.use('/api/notifications', notificationRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/fraud', fraudRoutes);
+app.use('/api/safety', safetyRoutes);
+app.use('/api/pricing', pricingRoutes);
 
 // Swagger API docs
 app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerDocs));
@@ -115,6 +139,9 @@ app.use((err, req, res, next) => {
 // Setup socket handlers
 setupSocketHandlers(io);
 
+// Attach notifications, payments and socket events to trip status transitions
+registerTripHooks();
+
 // Start server
 const PORT = process.env.PORT || 5000;
 server.listen(PORT, async () => {
@@ -123,6 +150,29 @@ server.listen(PORT, async () => {
   try {
     await sequelize.authenticate();
     console.log('Database connection established successfully.');
+
+    // Make sure trips can be priced, converted and paid on a fresh database
+    await seedDefaultRateCards();
+    await seedDefaultExchangeRates();
+    await seedDefaultCommissionPolicy();
+
+    // Expire or re-arm the trip offers that were pending when the server stopped
+    await resumePendingOffers();
+
+    // Start dispatching scheduled trips once the database is reachable
+    startScheduler();
+
+    // Keep per-cell surge multipliers in line with demand and supply
+    startSurgeUpdates();
+
+    // Settle mobile money payments whose operator callback never arrived
+    startMobileMoneyPolling();
+
+    // Charge owners for fare shares their riders did not pay in time, and settle collected splits
+    startFareSplitExpiry();
+
+    // Record the payment of completed trips whose completion hook failed
+    startTripPaymentRecovery();
   } catch (error) {
     console.error('Unable to connect to the database:', error);
   }
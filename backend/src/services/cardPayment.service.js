@@ -0,0 +1,235 @@
+/**
+ * Card Payment Service for Taxi-Express
+ * Opens card processor (Stripe) payment intents, applies their events to card payments, and refunds them
+ */
+
+const axios = require('axios');
+const { Payment, Driver, Notification } = require('../models');
+const { completeTripPayment, completeWalletDeposit } = require('./payment.service');
+const { formatMoney } = require('../utils/money');
+
+// Card processor API
+const STRIPE_API_URL = process.env.STRIPE_API_URL || 'https://api.stripe.com';
+
+// Payment intent events we act on, and the payment status each one means
+const EVENT_STATUSES = {
+  'payment_intent.succeeded': 'completed',
+  'payment_intent.payment_failed': 'failed',
+  'payment_intent.canceled': 'failed'
+};
+
+/**
+ * Open a payment intent with the card processor for a pending payment
+ * The payment stays 'processing' until the processor's event confirms the charge;
+ * the intent id is kept as its external reference, which the event is matched on
+ * @param {Object} payment - Pending trip payment or wallet deposit, with minor-unit amounts
+ * @returns {Promise<Object>} success, the payment and the client secret the charge is confirmed with, or a message
+ */
+exports.requestCardPayment = async (payment) => {
+  // Guarded on status so the same payment never has two intents open at once
+  const [claimed] = await Payment.update({
+    paymentMethod: 'card',
+    externalReference: null,
+    status: 'processing',
+    notes: null,
+    paymentInitiatedAt: new Date()
+  }, {
+    where: {
+      id: payment.id,
+      status: ['pending', 'failed']
+    }
+  });
+
+  if (!claimed) {
+    return {
+      success: false,
+      payment,
+      message: `Payment is already ${payment.status}`
+    };
+  }
+
+  await payment.reload();
+
+  try {
+    const { data } = await axios.post(`${STRIPE_API_URL}/v1/payment_intents`, new URLSearchParams({
+      amount: String(payment.amountMinor),
+      currency: payment.currency.toLowerCase(),
+      'metadata[paymentId]': payment.id,
+      'automatic_payment_methods[enabled]': 'true'
+    }).toString(), {
+      headers: {
+        Authorization: `Bearer ${process.env.STRIPE_SECRET_KEY}`,
+        'Content-Type': 'application/x-www-form-urlencoded'
+      }
+    });
+
+    await payment.update({ externalReference: data.id });
+    return { success: true, payment, clientSecret: data.client_secret };
+  } catch (error) {
+    const message = error.response && error.response.data && error.response.data.error
+      ? error.response.data.error.message
+      : error.message;
+    console.error('Card payment intent error:', message);
+
+    await failCardPayment(payment, `The card payment could not be started: ${message}`);
+    return {
+      success: false,
+      payment,
+      message: `The card payment could not be started: ${message}`
+    };
+  }
+};
+
+/**
+ * Apply a card processor event, once its signature has been verified
+ * The payment is matched on the payment intent id stored as its external reference;
+ * the amount and currency of the intent must agree with the payment
+ * @param {Object} request - headers and body of the event
+ * @returns {Promise<Object>} success and the payment, or the reason it could not be applied
+ */
+exports.handleCardCallback = async ({ body }) => {
+  const status = EVENT_STATUSES[body.type];
+
+  // Other event types are acknowledged so the processor stops resending them
+  if (!status) {
+    return { success: true, payment: null };
+  }
+
+  const intent = (body.data && body.data.object) || {};
+
+  const payment = intent.id
+    ? await Payment.findOne({
+      where: {
+        paymentMethod: 'card',
+        externalReference: intent.id
+      }
+    })
+    : null;
+
+  if (!payment) {
+    return {
+      success: false,
+      reason: 'unmatched_payment',
+      message: 'No card payment matches this event'
+    };
+  }
+
+  if (Number(intent.amount) !== Number(payment.amountMinor) ||
+    String(intent.currency).toUpperCase() !== payment.currency) {
+    return {
+      success: false,
+      payment,
+      reason: 'reference_mismatch',
+      message: `Event is for ${intent.amount} ${intent.currency} but the payment is ${payment.amountMinor} ${payment.currency}`
+    };
+  }
+
+  if (status === 'completed') {
+    await completeCardPayment(payment);
+  } else {
+    const failure = intent.last_payment_error && intent.last_payment_error.message;
+    await failCardPayment(payment, failure || `Card payment ${body.type.split('.')[1]}`);
+  }
+
+  return { success: true, payment };
+};
+
+/**
+ * Refund all or part of a completed card payment to the card it was paid with
+ * @param {Object} payment - Completed card payment, with the payment intent id as external reference
+ * @param {number} amountMinor - Amount to refund, in minor units of the payment's currency
+ * @returns {Promise<Object>} success, the processor's refund reference and a message
+ */
+exports.refundCardPayment = async (payment, amountMinor) => {
+  try {
+    const { data } = await axios.post(`${STRIPE_API_URL}/v1/refunds`, new URLSearchParams({
+      payment_intent: payment.externalReference,
+      amount: String(amountMinor)
+    }).toString(), {
+      headers: {
+        Authorization: `Bearer ${process.env.STRIPE_SECRET_KEY}`,
+        'Content-Type': 'application/x-www-form-urlencoded'
+      }
+    });
+
+    return {
+      success: ['succeeded', 'pending'].includes(data.status),
+      refundReference: data.id,
+      message: data.failure_reason
+    };
+  } catch (error) {
+    const message = error.response && error.response.data && error.response.data.error
+      ? error.response.data.error.message
+      : error.message;
+    console.error('Card refund error:', message);
+    return {
+      success: false,
+      message
+    };
+  }
+};
+
+/**
+ * Complete a card payment confirmed by the processor: post the trip fare or credit the wallet deposit
+ * @param {Object} payment - Card payment
+ * @returns {Promise<void>}
+ */
+async function completeCardPayment(payment) {
+  let result;
+
+  if (payment.transactionType === 'wallet_deposit') {
+    result = await completeWalletDeposit(payment, 'Wallet deposit by card');
+  } else {
+    const driver = await Driver.findByPk(payment.driverId);
+    result = await completeTripPayment(payment, driver.userId);
+  }
+
+  if (!result.success) {
+    return;
+  }
+
+  await Notification.create({
+    userId: payment.clientId,
+    type: 'payment_received',
+    title: 'Payment Confirmed',
+    message: `Your card payment of ${formatMoney(payment.amountMinor, payment.currency)} has been confirmed.`,
+    data: { tripId: payment.tripId, paymentId: payment.id },
+    channel: 'app',
+    priority: 'medium'
+  });
+}
+
+/**
+ * Mark a card payment the processor declined as failed
+ * @param {Object} payment - Card payment
+ * @param {string} message - Reason given by the processor
+ * @returns {Promise<void>}
+ */
+async function failCardPayment(payment, message) {
+  // Guarded on status so a late failure cannot undo a completed payment
+  const [updated] = await Payment.update({
+    status: 'failed',
+    notes: message
+  }, {
+    where: {
+      id: payment.id,
+      status: ['pending', 'processing']
+    }
+  });
+
+  if (!updated) {
+    return;
+  }
+
+  await payment.reload();
+
+  await Notification.create({
+    userId: payment.clientId,
+    type: 'payment_failed',
+    title: 'Payment Failed',
+    message: `Your card payment of ${formatMoney(payment.amountMinor, payment.currency)} did not go through. ${message}`,
+    data: { tripId: payment.tripId, paymentId: payment.id },
+    channel: 'app',
+    priority: 'high'
+  });
+}
@@ -0,0 +1,251 @@
+/**
+ * Commission Service for Taxi-Express
+ * Resolves the commission policy of a trip and works out the platform fee it sets
+ */
+
+const { CommissionPolicy } = require('../models');
+const { Op } = require('sequelize');
+const { DEFAULT_CITY } = require('./rateCard.service');
+const { BASE_CURRENCY, toMinor, convertMinor, splitMinor } = require('../utils/money');
+
+// Share of the fare kept by the platform under the default policy
+const DEFAULT_COMMISSION_RATE = 0.2;
+
+// Fields that narrow down the trips a policy applies to
+const SCOPE_FIELDS = ['city', 'vehicleType', 'driverTier'];
+
+// Terms of a policy, copied into the snapshot kept with each payment
+const TERM_FIELDS = ['feeType', 'rate', 'fixedFee', 'bookingFee'];
+
+/**
+ * Create the default policy, for every trip no other policy matches, when there is none
+ * @returns {Promise<boolean>} True when it was created
+ */
+exports.seedDefaultCommissionPolicy = async () => {
+  const existing = await CommissionPolicy.count({
+    where: {
+      city: null,
+      vehicleType: null,
+      driverTier: null,
+      validFrom: null,
+      validUntil: null
+    }
+  });
+
+  if (existing) {
+    return false;
+  }
+
+  await CommissionPolicy.create({
+    name: 'Default commission',
+    feeType: 'percentage',
+    rate: DEFAULT_COMMISSION_RATE
+  });
+  return true;
+};
+
+/**
+ * Get the policy that applies to a trip
+ * Among active policies whose scope and period match, the highest priority wins,
+ * then the most specific, then the most recently created
+ * @param {Object} scope - What the trip is
+ * @param {string} [scope.city] - City of the trip; the default city when omitted
+ * @param {string} [scope.vehicleType] - Vehicle class
+ * @param {string} [scope.driverTier] - Tier of the driver
+ * @param {Date} [at=new Date()] - When the trip took place
+ * @returns {Promise<Object|null>} Commission policy, or null when none applies
+ */
+exports.resolveCommissionPolicy = async ({ city, vehicleType, driverTier }, at = new Date()) => {
+  const scope = { city: city || DEFAULT_CITY, vehicleType, driverTier };
+
+  const policies = await CommissionPolicy.findAll({
+    where: {
+      isActive: true,
+      [Op.and]: [
+        ...SCOPE_FIELDS.map(field => ({
+          [Op.or]: [{ [field]: null }, { [field]: scope[field] || null }]
+        })),
+        { [Op.or]: [{ validFrom: null }, { validFrom: { [Op.lte]: at } }] },
+        { [Op.or]: [{ validUntil: null }, { validUntil: { [Op.gt]: at } }] }
+      ]
+    }
+  });
+
+  const ranked = policies.sort((a, b) => {
+    return (b.priority - a.priority) ||
+      (specificity(b) - specificity(a)) ||
+      (new Date(b.createdAt) - new Date(a.createdAt));
+  });
+
+  return ranked[0] || null;
+};
+
+/**
+ * Resolve the policy of a completed trip and take a snapshot of its terms
+ * @param {Object} trip - Completed trip
+ * @param {Object} driver - Driver of the trip
+ * @returns {Promise<Object>} Snapshot of the policy, for buildTripPaymentAmounts and the payment record
+ */
+exports.getTripCommission = async (trip, driver) => {
+  const policy = await exports.resolveCommissionPolicy({
+    city: trip.city,
+    vehicleType: trip.vehicleType || driver.vehicleType,
+    driverTier: driver.tier
+  }, trip.endTime ? new Date(trip.endTime) : new Date());
+
+  return exports.toSnapshot(policy);
+};
+
+/**
+ * Copy a policy's terms as they are now, so later edits leave past payments explained
+ * Without a policy, the default commission rate applies
+ * @param {Object|null} policy - Commission policy
+ * @returns {Object} Snapshot of the policy; amounts are in the base currency
+ */
+exports.toSnapshot = (policy) => {
+  if (!policy) {
+    return {
+      policyId: null,
+      name: 'Built-in default',
+      feeType: 'percentage',
+      rate: DEFAULT_COMMISSION_RATE,
+      fixedFee: 0,
+      bookingFee: 0,
+      currency: BASE_CURRENCY
+    };
+  }
+
+  const snapshot = {
+    policyId: policy.id,
+    name: policy.name,
+    city: policy.city,
+    vehicleType: policy.vehicleType,
+    driverTier: policy.driverTier,
+    validFrom: policy.validFrom,
+    validUntil: policy.validUntil,
+    currency: BASE_CURRENCY
+  };
+
+  TERM_FIELDS.forEach(field => {
+    snapshot[field] = field === 'feeType' ? policy[field] : parseFloat(policy[field]);
+  });
+
+  return snapshot;
+};
+
+/**
+ * Work out the platform fee a policy sets on a fare
+ * Fixed and booking fees are in the base currency and converted at the trip's rate;
+ * the fee never exceeds the fare
+ * @param {Object} commission - Policy snapshot
+ * @param {number} amountMinor - Fare in minor units
+ * @param {string} currency - Currency of the fare
+ * @param {number} [exchangeRate=1] - Units of currency per unit of the base currency
+ * @returns {number} Platform fee in minor units of currency
+ */
+exports.calculatePlatformFeeMinor = (commission, amountMinor, currency, exchangeRate = 1) => {
+  const percentageMinor = commission.feeType === 'percentage'
+    ? splitMinor(amountMinor, commission.rate).share
+    : 0;
+
+  const flatFee = (commission.feeType === 'fixed' ? commission.fixedFee : 0) + commission.bookingFee;
+  const flatMinor = convertMinor(toMinor(flatFee, BASE_CURRENCY), BASE_CURRENCY, currency, exchangeRate);
+
+  return Math.min(amountMinor, percentageMinor + flatMinor);
+};
+
+/**
+ * Get commission policies, most recent first
+ * @param {Object} [filters] - Optional filters
+ * @param {string} [filters.city] - Only policies for this city, or for every city
+ * @param {boolean} [filters.includeInactive=false] - Include deactivated policies
+ * @returns {Promise<Array<Object>>} Commission policies
+ */
+exports.listCommissionPolicies = async ({ city, includeInactive = false } = {}) => {
+  const where = {};
+  if (!includeInactive) {
+    where.isActive = true;
+  }
+  if (city) {
+    where[Op.or] = [{ city: null }, { city }];
+  }
+
+  return CommissionPolicy.findAll({
+    where,
+    order: [['priority', 'DESC'], ['createdAt', 'DESC']]
+  });
+};
+
+/**
+ * Create a commission policy
+ * @param {Object} values - Scope, terms and period of the policy
+ * @param {string} adminId - ID of the admin creating it
+ * @returns {Promise<Object>} success and the policy, or a message
+ */
+exports.createCommissionPolicy = async (values, adminId) => {
+  const problem = checkTerms(values);
+  if (problem) {
+    return { success: false, message: problem };
+  }
+
+  const policy = await CommissionPolicy.create({
+    ...values,
+    createdBy: adminId
+  });
+
+  return { success: true, policy };
+};
+
+/**
+ * Change a commission policy; payments already made keep the snapshot they were made with
+ * @param {string} policyId - ID of the policy
+ * @param {Object} changes - Fields to change
+ * @returns {Promise<Object>} success with the policy and its previous values, or a code and message
+ */
+exports.updateCommissionPolicy = async (policyId, changes) => {
+  const policy = await CommissionPolicy.findByPk(policyId);
+  if (!policy) {
+    return { success: false, code: 'not_found', message: 'Commission policy not found' };
+  }
+
+  const problem = checkTerms({ ...policy.toJSON(), ...changes });
+  if (problem) {
+    return { success: false, code: 'invalid_terms', message: problem };
+  }
+
+  const previous = policy.toJSON();
+  await policy.update(changes);
+
+  return { success: true, policy, previous };
+};
+
+/**
+ * Count the scope fields a policy narrows down, a period counting as one
+ * @param {Object} policy - Commission policy
+ * @returns {number} Specificity, higher for narrower policies
+ */
+function specificity(policy) {
+  const scoped = SCOPE_FIELDS.filter(field => policy[field] !== null).length;
+  return scoped + (policy.validFrom || policy.validUntil ? 1 : 0);
+}
+
+/**
+ * Check that a policy's terms make sense together
+ * @param {Object} terms - feeType, rate, fixedFee, validFrom and validUntil
+ * @returns {string|null} What is wrong, or null
+ */
+function checkTerms({ feeType, rate, fixedFee, validFrom, validUntil }) {
+  if (feeType === 'percentage' && !(parseFloat(rate) >= 0 && parseFloat(rate) <= 1)) {
+    return 'Percentage policies need a rate between 0 and 1';
+  }
+
+  if (feeType === 'fixed' && !(parseFloat(fixedFee) >= 0)) {
+    return 'Fixed policies need a fixed fee';
+  }
+
+  if (validFrom && validUntil && new Date(validUntil) <= new Date(validFrom)) {
+    return 'validUntil must be after validFrom';
+  }
+
+  return null;
+}
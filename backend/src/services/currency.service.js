@@ -0,0 +1,192 @@
+/**
+ * Currency Service for Taxi-Express
+ * Looks up and publishes exchange rates and converts amounts between currencies
+ */
+
+const { ExchangeRate } = require('../models');
+const { Op } = require('sequelize');
+const { BASE_CURRENCY, SUPPORTED_CURRENCIES, toMinor, fromMinor, convertMinor } = require('../utils/money');
+
+// Rates seeded when a currency pair has none yet, as units of the second currency per unit of the first
+const DEFAULT_EXCHANGE_RATES = {
+  'USD:CDF': parseFloat(process.env.DEFAULT_USD_CDF_RATE) || 2800
+};
+
+/**
+ * Create the default rates for any currency pair that has none
+ * @returns {Promise<number>} Number of rates created
+ */
+exports.seedDefaultExchangeRates = async () => {
+  let created = 0;
+
+  for (const pair of Object.keys(DEFAULT_EXCHANGE_RATES)) {
+    const [baseCurrency, quoteCurrency] = pair.split(':');
+
+    const existing = await ExchangeRate.count({
+      where: {
+        [Op.or]: [
+          { baseCurrency, quoteCurrency },
+          { baseCurrency: quoteCurrency, quoteCurrency: baseCurrency }
+        ]
+      }
+    });
+
+    if (!existing) {
+      await ExchangeRate.create({
+        baseCurrency,
+        quoteCurrency,
+        rate: DEFAULT_EXCHANGE_RATES[pair],
+        effectiveFrom: new Date(0),
+        source: 'seed'
+      });
+      created++;
+    }
+  }
+
+  return created;
+};
+
+/**
+ * Get the rate in force to convert from one currency to another
+ * A rate stored for the opposite direction is inverted
+ * @param {string} from - Source currency
+ * @param {string} to - Target currency
+ * @param {Date} [at=new Date()] - Time of the conversion
+ * @returns {Promise<Object>} rate (units of `to` per unit of `from`) and the ExchangeRate id used
+ */
+exports.getExchangeRate = async (from, to, at = new Date()) => {
+  if (from === to) {
+    return { rate: 1, exchangeRateId: null };
+  }
+
+  const exchangeRate = await ExchangeRate.findOne({
+    where: {
+      [Op.or]: [
+        { baseCurrency: from, quoteCurrency: to },
+        { baseCurrency: to, quoteCurrency: from }
+      ],
+      effectiveFrom: { [Op.lte]: at }
+    },
+    order: [['effectiveFrom', 'DESC'], ['createdAt', 'DESC']]
+  });
+
+  if (!exchangeRate) {
+    throw new Error(`No exchange rate from ${from} to ${to}`);
+  }
+
+  const rate = parseFloat(exchangeRate.rate);
+
+  return {
+    rate: exchangeRate.baseCurrency === from ? rate : 1 / rate,
+    exchangeRateId: exchangeRate.id
+  };
+};
+
+/**
+ * Price a base-currency amount in the currency a user pays in
+ * @param {number} baseAmount - Amount in the base currency, in major units
+ * @param {string} [currency=BASE_CURRENCY] - Currency to charge in
+ * @returns {Promise<Object>} Charge with currency, amount, amountMinor and the rate used
+ */
+exports.priceInCurrency = async (baseAmount, currency = BASE_CURRENCY) => {
+  const { rate, exchangeRateId } = await exports.getExchangeRate(BASE_CURRENCY, currency);
+  const amountMinor = convertMinor(toMinor(baseAmount, BASE_CURRENCY), BASE_CURRENCY, currency, rate);
+
+  return {
+    currency,
+    amount: fromMinor(amountMinor, currency),
+    amountMinor,
+    exchangeRate: rate,
+    exchangeRateId
+  };
+};
+
+/**
+ * Convert a minor-unit amount to the base currency at the current rate
+ * @param {number} amountMinor - Amount in minor units
+ * @param {string} currency - Currency of the amount
+ * @returns {Promise<number>} Amount in minor units of the base currency
+ */
+exports.toBaseMinor = async (amountMinor, currency) => {
+  const { rate } = await exports.getExchangeRate(currency, BASE_CURRENCY);
+  return convertMinor(amountMinor, currency, BASE_CURRENCY, rate);
+};
+
+/**
+ * Get the rates currently in force, and those scheduled to take over later
+ * @returns {Promise<Object>} Base currency, supported currencies, current and upcoming rates
+ */
+exports.listExchangeRates = async () => {
+  const now = new Date();
+
+  const exchangeRates = await ExchangeRate.findAll({
+    order: [['baseCurrency', 'ASC'], ['quoteCurrency', 'ASC'], ['effectiveFrom', 'DESC'], ['createdAt', 'DESC']]
+  });
+
+  const current = {};
+  const upcoming = [];
+
+  exchangeRates.forEach(exchangeRate => {
+    if (new Date(exchangeRate.effectiveFrom) > now) {
+      upcoming.push(exchangeRate);
+      return;
+    }
+
+    // Rates are sorted newest first, so the first one seen per pair is in force
+    const key = [exchangeRate.baseCurrency, exchangeRate.quoteCurrency].sort().join(':');
+    if (!current[key]) {
+      current[key] = exchangeRate;
+    }
+  });
+
+  return {
+    baseCurrency: BASE_CURRENCY,
+    currencies: SUPPORTED_CURRENCIES,
+    current: Object.values(current),
+    upcoming
+  };
+};
+
+/**
+ * Publish a new rate for a currency pair
+ * @param {Object} change - New rate
+ * @param {string} change.baseCurrency - Currency being priced
+ * @param {string} change.quoteCurrency - Currency the rate is expressed in
+ * @param {number} change.rate - Units of quoteCurrency per unit of baseCurrency
+ * @param {Date} [change.effectiveFrom=new Date()] - When the rate applies
+ * @param {string} adminId - ID of the admin publishing the rate
+ * @returns {Promise<Object>} Result with the new rate and the rate it replaces
+ */
+exports.publishExchangeRate = async (change, adminId) => {
+  const { baseCurrency, quoteCurrency, rate } = change;
+  const effectiveFrom = change.effectiveFrom ? new Date(change.effectiveFrom) : new Date();
+
+  if (baseCurrency === quoteCurrency) {
+    return {
+      success: false,
+      message: 'An exchange rate needs two different currencies'
+    };
+  }
+
+  let previous = null;
+  try {
+    previous = await exports.getExchangeRate(baseCurrency, quoteCurrency, effectiveFrom);
+  } catch (error) {
+    // First rate for this pair
+  }
+
+  const exchangeRate = await ExchangeRate.create({
+    baseCurrency,
+    quoteCurrency,
+    rate,
+    effectiveFrom,
+    source: 'admin',
+    createdBy: adminId
+  });
+
+  return {
+    success: true,
+    exchangeRate,
+    previousRate: previous ? previous.rate : null
+  };
+};
@@ -0,0 +1,509 @@
+/**
+ * Dispatch Service for Taxi-Express
+ * Offers trips to drivers one at a time, in matching-score order, with a response timeout
+ */
+
+const { Trip, Driver, Notification, TripOffer } = require('../models');
+const { Op } = require('sequelize');
+const { rankDrivers } = require('./matching.service');
+const { transitionTrip } = require('./tripState.service');
+const { reservePool, releasePool } = require('./pooling.service');
+
+// Seconds a driver has to answer an offer before it moves on
+const OFFER_TIMEOUT_SECONDS = parseInt(process.env.DISPATCH_OFFER_TIMEOUT_SECONDS, 10) || 20;
+
+// Maximum number of drivers offered a single trip before giving up
+const MAX_OFFERS_PER_TRIP = parseInt(process.env.DISPATCH_MAX_OFFERS_PER_TRIP, 10) || 5;
+
+// Pending offer timers, keyed by offer ID; lost on restart, when resumePendingOffers re-arms them
+const offerTimers = new Map();
+
+// Ranked candidate lists, keyed by trip ID
+const dispatchQueues = new Map();
+
+/**
+ * Get the socket.io instance lazily to avoid a circular import with server.js
+ * @returns {Object} socket.io server
+ */
+function getIo() {
+  return require('../server').io;
+}
+
+/**
+ * Start dispatching a requested trip to the best-ranked driver
+ * @param {string} tripId - ID of the trip to dispatch
+ * @returns {Promise<Object>} Dispatch result with the first offer, if any
+ */
+exports.startDispatch = async (tripId) => {
+  try {
+    const ranking = await rankDrivers(tripId);
+
+    if (!ranking.success) {
+      await handleNoDriverFound(tripId, ranking.message);
+      return ranking;
+    }
+
+    dispatchQueues.set(tripId, ranking.drivers);
+
+    return await offerToNextDriver(tripId);
+  } catch (error) {
+    console.error('Start dispatch error:', error);
+    return {
+      success: false,
+      message: 'Error starting dispatch',
+      error: error.message
+    };
+  }
+};
+
+/**
+ * Record a driver's answer to a pending offer
+ * @param {string} tripId - ID of the trip
+ * @param {string} driverId - ID of the responding driver
+ * @param {boolean} accepted - Whether the driver accepted the offer
+ * @param {string} [reason] - Optional decline reason
+ * @returns {Promise<Object>} Response result; includes the assigned trip on acceptance
+ */
+exports.respondToOffer = async (tripId, driverId, accepted, reason) => {
+  try {
+    const offer = await TripOffer.findOne({
+      where: { tripId, driverId, status: 'pending' }
+    });
+
+    if (!offer) {
+      return {
+        success: false,
+        message: 'No pending offer for this driver'
+      };
+    }
+
+    if (offer.expiresAt < new Date()) {
+      await expireOffer(offer.id);
+      return {
+        success: false,
+        message: 'Offer has expired'
+      };
+    }
+
+    // Answer the offer only while it is still pending, so a timeout or withdrawal cannot be overwritten
+    const [answered] = await TripOffer.update({
+      status: accepted ? 'accepted' : 'declined',
+      respondedAt: new Date(),
+      declineReason: accepted ? null : (reason || null)
+    }, {
+      where: {
+        id: offer.id,
+        status: 'pending',
+        expiresAt: {
+          [Op.gt]: new Date()
+        }
+      }
+    });
+
+    if (answered === 0) {
+      return {
+        success: false,
+        message: 'No pending offer for this driver'
+      };
+    }
+
+    clearOfferTimer(offer.id);
+
+    if (!accepted) {
+      await exports.updateAcceptanceRate(driverId);
+      await offerToNextDriver(tripId);
+
+      return {
+        success: true,
+        message: 'Offer declined'
+      };
+    }
+
+    const driver = await Driver.findByPk(driverId);
+    const trip = await Trip.findByPk(tripId);
+
+    // A pooled trip brings its whole pool, which may have grown since the driver was ranked
+    if (trip && trip.poolId && !(await reservePool(trip.poolId, driver))) {
+      await TripOffer.update({
+        status: 'canceled',
+        declineReason: 'Not enough seats for the pool'
+      }, {
+        where: { id: offer.id }
+      });
+
+      await offerToNextDriver(tripId);
+
+      return {
+        success: false,
+        message: 'Your vehicle does not have enough seats for this shared ride'
+      };
+    }
+
+    // Only assign if the trip is still waiting for a driver
+    const transition = await transitionTrip(tripId, 'assign', {
+      actorId: driver.userId,
+      actorRole: 'driver',
+      location: driver.currentLocation,
+      changes: {
+        driverId,
+        aiMatchScore: offer.matchScore
+      },
+      metadata: { offerId: offer.id }
+    });
+
+    if (!transition.success) {
+      if (trip && trip.poolId) {
+        await releasePool(trip.poolId, driverId);
+      }
+
+      await TripOffer.update({ status: 'canceled' }, { where: { id: offer.id } });
+      return {
+        success: false,
+        message: 'Trip is no longer available'
+      };
+    }
+
+    dispatchQueues.delete(tripId);
+    await exports.updateAcceptanceRate(driverId);
+
+    return {
+      success: true,
+      message: 'Offer accepted',
+      trip: transition.trip
+    };
+  } catch (error) {
+    console.error('Respond to offer error:', error);
+    return {
+      success: false,
+      message: 'Error responding to offer',
+      error: error.message
+    };
+  }
+};
+
+/**
+ * Stop dispatching a trip and withdraw any pending offer
+ * @param {string} tripId - ID of the trip
+ * @returns {Promise<void>}
+ */
+exports.cancelDispatch = async (tripId) => {
+  try {
+    const pendingOffers = await TripOffer.findAll({
+      where: { tripId, status: 'pending' },
+      include: [{ model: Driver, as: 'driver' }]
+    });
+
+    for (const offer of pendingOffers) {
+      clearOfferTimer(offer.id);
+
+      const [canceled] = await TripOffer.update({ status: 'canceled' }, {
+        where: {
+          id: offer.id,
+          status: 'pending'
+        }
+      });
+
+      if (canceled > 0 && offer.driver) {
+        getIo().to(`driver_${offer.driver.userId}`).emit('trip_offer_withdrawn', {
+          tripId,
+          offerId: offer.id
+        });
+      }
+    }
+
+    dispatchQueues.delete(tripId);
+  } catch (error) {
+    console.error('Cancel dispatch error:', error);
+  }
+};
+
+/**
+ * Recompute a driver's acceptance rate from their answered offers
+ * Withdrawn (canceled) offers are not counted
+ * @param {string} driverId - ID of the driver
+ * @returns {Promise<number|null>} Updated acceptance rate, or null when driver has no answered offers
+ */
+exports.updateAcceptanceRate = async (driverId) => {
+  try {
+    const counted = await TripOffer.count({
+      where: {
+        driverId,
+        status: {
+          [Op.in]: ['accepted', 'declined', 'expired']
+        }
+      }
+    });
+
+    if (counted === 0) {
+      return null;
+    }
+
+    const accepted = await TripOffer.count({
+      where: { driverId, status: 'accepted' }
+    });
+
+    const acceptanceRate = Math.round((accepted / counted) * 10000) / 100;
+
+    await Driver.update({ acceptanceRate }, { where: { id: driverId } });
+
+    return acceptanceRate;
+  } catch (error) {
+    console.error('Acceptance rate update error:', error);
+    return null;
+  }
+};
+
+/**
+ * Pick up offers left pending by a restart: expire those past their deadline and re-arm the timers of the others
+ * @returns {Promise<number>} Number of pending offers found
+ */
+exports.resumePendingOffers = async () => {
+  const pendingOffers = await TripOffer.findAll({
+    where: { status: 'pending' },
+    order: [['expiresAt', 'ASC']]
+  });
+
+  for (const offer of pendingOffers) {
+    const remainingMs = new Date(offer.expiresAt).getTime() - Date.now();
+
+    if (remainingMs <= 0) {
+      try {
+        await expireOffer(offer.id);
+      } catch (error) {
+        console.error(`Offer expiry error (${offer.id}):`, error);
+      }
+    } else {
+      scheduleOfferExpiry(offer.id, remainingMs);
+    }
+  }
+
+  return pendingOffers.length;
+};
+
+/**
+ * Get the offer history for a trip
+ * @param {string} tripId - ID of the trip
+ * @returns {Promise<Array>} Offers in the order they were made
+ */
+exports.getTripOffers = async (tripId) => {
+  return TripOffer.findAll({
+    where: { tripId },
+    order: [['rank', 'ASC']]
+  });
+};
+
+/**
+ * Offer a trip to the next candidate still available in its dispatch queue
+ * @param {string} tripId - ID of the trip
+ * @returns {Promise<Object>} Offer result
+ */
+async function offerToNextDriver(tripId) {
+  const trip = await Trip.findByPk(tripId);
+
+  if (!trip || trip.status !== 'requested' || trip.driverId) {
+    dispatchQueues.delete(tripId);
+    return {
+      success: false,
+      message: 'Trip is no longer waiting for a driver'
+    };
+  }
+
+  const previousOffers = await TripOffer.findAll({ where: { tripId } });
+
+  if (previousOffers.some(offer => offer.status === 'pending')) {
+    return {
+      success: false,
+      message: 'Trip already has a pending offer'
+    };
+  }
+
+  if (previousOffers.length >= MAX_OFFERS_PER_TRIP) {
+    await handleNoDriverFound(tripId, 'No driver accepted the trip');
+    return {
+      success: false,
+      message: 'Maximum number of offers reached'
+    };
+  }
+
+  const offeredDriverIds = previousOffers.map(offer => offer.driverId);
+
+  // Rebuild the queue if it was lost (e.g. after a restart)
+  if (!dispatchQueues.has(tripId)) {
+    const ranking = await rankDrivers(tripId, { excludeDriverIds: offeredDriverIds });
+    dispatchQueues.set(tripId, ranking.success ? ranking.drivers : []);
+  }
+
+  const queue = dispatchQueues.get(tripId);
+  let candidate = null;
+
+  while (queue.length > 0 && !candidate) {
+    const next = queue.shift();
+    if (offeredDriverIds.includes(next.driverId)) {
+      continue;
+    }
+
+    // Skip drivers who went offline since the ranking was made
+    const driver = await Driver.findByPk(next.driverId);
+    if (driver && driver.isAvailable) {
+      candidate = next;
+    }
+  }
+
+  if (!candidate) {
+    await handleNoDriverFound(tripId, 'No driver accepted the trip');
+    return {
+      success: false,
+      message: 'No more drivers to offer the trip to'
+    };
+  }
+
+  const expiresAt = new Date(Date.now() + OFFER_TIMEOUT_SECONDS * 1000);
+
+  const offer = await TripOffer.create({
+    tripId,
+    driverId: candidate.driverId,
+    rank: previousOffers.length + 1,
+    matchScore: candidate.score,
+    distance: candidate.distance,
+    offeredAt: new Date(),
+    expiresAt
+  });
+
+  scheduleOfferExpiry(offer.id, OFFER_TIMEOUT_SECONDS * 1000);
+
+  await Notification.create({
+    userId: candidate.userId,
+    type: 'trip_request',
+    title: 'New Trip Offer',
+    message: `New trip from ${trip.pickupAddress} to ${trip.destinationAddress}. Respond within ${OFFER_TIMEOUT_SECONDS} seconds.`,
+    data: { tripId, offerId: offer.id },
+    channel: 'app',
+    priority: 'urgent',
+    expiresAt
+  });
+
+  getIo().to(`driver_${candidate.userId}`).emit('trip_offer', {
+    offerId: offer.id,
+    tripId,
+    pickupLocation: trip.pickupLocation,
+    pickupAddress: trip.pickupAddress,
+    destinationLocation: trip.destinationLocation,
+    destinationAddress: trip.destinationAddress,
+    estimatedPrice: trip.estimatedPrice,
+    distanceToPickup: candidate.distance,
+    expiresAt,
+    timeoutSeconds: OFFER_TIMEOUT_SECONDS
+  });
+
+  return {
+    success: true,
+    offer
+  };
+}
+
+/**
+ * Mark a pending offer as expired and move on to the next driver
+ * @param {string} offerId - ID of the offer
+ * @returns {Promise<void>}
+ */
+async function expireOffer(offerId) {
+  clearOfferTimer(offerId);
+
+  const offer = await TripOffer.findByPk(offerId, {
+    include: [{ model: Driver, as: 'driver' }]
+  });
+
+  if (!offer) {
+    return;
+  }
+
+  // The driver may have answered in the meantime
+  const [expired] = await TripOffer.update({ status: 'expired' }, {
+    where: {
+      id: offerId,
+      status: 'pending'
+    }
+  });
+
+  if (expired === 0) {
+    return;
+  }
+
+  if (offer.driver) {
+    getIo().to(`driver_${offer.driver.userId}`).emit('trip_offer_expired', {
+      tripId: offer.tripId,
+      offerId: offer.id
+    });
+  }
+
+  await exports.updateAcceptanceRate(offer.driverId);
+  await offerToNextDriver(offer.tripId);
+}
+
+/**
+ * Cancel a trip no driver could be found for and tell the client
+ * @param {string} tripId - ID of the trip
+ * @param {string} reason - Reason shown to the client
+ * @returns {Promise<void>}
+ */
+async function handleNoDriverFound(tripId, reason) {
+  dispatchQueues.delete(tripId);
+
+  const cancellationReason = reason || 'No driver available';
+
+  const transition = await transitionTrip(tripId, 'cancel', {
+    actorRole: 'system',
+    reason: cancellationReason,
+    changes: {
+      canceledBy: 'system',
+      cancellationReason
+    }
+  });
+
+  if (!transition.success) {
+    return;
+  }
+
+  const trip = transition.trip;
+
+  await Notification.create({
+    userId: trip.clientId,
+    type: 'trip_canceled',
+    title: 'No Driver Available',
+    message: 'We could not find a driver for your trip. Please try again in a few minutes.',
+    data: { tripId },
+    channel: 'app',
+    priority: 'high'
+  });
+
+  getIo().to(`client_${trip.clientId}`).emit('no_driver_available', {
+    tripId,
+    reason: trip.cancellationReason
+  });
+
+}
+
+/**
+ * Expire an offer once its response time is up
+ * @param {string} offerId - ID of the offer
+ * @param {number} delayMs - Milliseconds until it expires
+ */
+function scheduleOfferExpiry(offerId, delayMs) {
+  offerTimers.set(offerId, setTimeout(() => {
+    expireOffer(offerId).catch(error => {
+      console.error('Offer expiry error:', error);
+    });
+  }, delayMs));
+}
+
+/**
+ * Clear the expiry timer of an offer
+ * @param {string} offerId - ID of the offer
+ */
+function clearOfferTimer(offerId) {
+  const timer = offerTimers.get(offerId);
+  if (timer) {
+    clearTimeout(timer);
+    offerTimers.delete(offerId);
+  }
+}
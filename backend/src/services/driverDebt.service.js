@@ -0,0 +1,148 @@
+/**
+ * Driver Debt Service for Taxi-Express
+ * Platform fees drivers owe from cash trips: balances, threshold warnings and settlement by mobile money
+ */
+
+const { LedgerAccount, Payment, Notification } = require('../models');
+const { toBaseMinor } = require('./currency.service');
+const { requestMobileMoneyPayment } = require('./mobileMoney.service');
+const { BASE_CURRENCY, toMinor, fromMinor, formatMoney } = require('../utils/money');
+
+// Debt levels, in major units of the base currency, at which drivers are warned
+const DRIVER_DEBT_WARNING_THRESHOLDS = (process.env.DRIVER_DEBT_WARNING_THRESHOLDS || '50000,100000')
+  .split(',')
+  .map(threshold => parseFloat(threshold))
+  .filter(threshold => threshold > 0)
+  .sort((a, b) => a - b);
+
+// Debt, in major units of the base currency, above which a driver cannot go online
+const DRIVER_DEBT_LIMIT = parseFloat(process.env.DRIVER_DEBT_LIMIT) || 150000;
+
+/**
+ * Get what a driver owes the platform, per currency and in total in the base currency
+ * @param {string} userId - User ID of the driver
+ * @returns {Promise<Object>} debts per currency, totals, the limit and whether it is exceeded
+ */
+exports.getDebtStatus = async (userId) => {
+  const accounts = await LedgerAccount.findAll({
+    where: {
+      type: 'driver_commission_receivable',
+      userId
+    },
+    order: [['currency', 'ASC']]
+  });
+
+  const debts = [];
+  let totalBaseMinor = 0;
+
+  for (const account of accounts) {
+    const debtMinor = Number(account.balanceMinor);
+    if (debtMinor <= 0) {
+      continue;
+    }
+
+    debts.push({
+      currency: account.currency,
+      debtMinor,
+      debt: fromMinor(debtMinor, account.currency)
+    });
+    totalBaseMinor += await toBaseMinor(debtMinor, account.currency);
+  }
+
+  const limitMinor = toMinor(DRIVER_DEBT_LIMIT, BASE_CURRENCY);
+
+  return {
+    debts,
+    baseCurrency: BASE_CURRENCY,
+    totalBaseMinor,
+    total: fromMinor(totalBaseMinor, BASE_CURRENCY),
+    limitMinor,
+    limit: DRIVER_DEBT_LIMIT,
+    overLimit: totalBaseMinor > limitMinor
+  };
+};
+
+/**
+ * Warn a driver whose debt has just crossed a warning threshold or the limit
+ * @param {string} userId - User ID of the driver
+ * @param {number} previousBaseMinor - Debt before the latest trip, in minor units of the base currency
+ * @returns {Promise<Object>} The driver's debt status now
+ */
+exports.warnOnDebtThresholds = async (userId, previousBaseMinor) => {
+  const status = await exports.getDebtStatus(userId);
+  const limitCrossed = status.overLimit && previousBaseMinor <= status.limitMinor;
+
+  const crossed = DRIVER_DEBT_WARNING_THRESHOLDS
+    .map(threshold => toMinor(threshold, BASE_CURRENCY))
+    .filter(thresholdMinor => previousBaseMinor < thresholdMinor && status.totalBaseMinor >= thresholdMinor);
+
+  if (!limitCrossed && crossed.length === 0) {
+    return status;
+  }
+
+  const owed = formatMoney(status.totalBaseMinor, BASE_CURRENCY);
+  await Notification.create({
+    userId,
+    type: 'commission_debt',
+    title: limitCrossed ? 'Commission Debt Limit Reached' : 'Commission Debt Warning',
+    message: limitCrossed
+      ? `You owe ${owed} in commission from cash trips, above the limit of ${formatMoney(status.limitMinor, BASE_CURRENCY)}. Settle it to go online again.`
+      : `You owe ${owed} in commission from cash trips. You will not be able to go online above ${formatMoney(status.limitMinor, BASE_CURRENCY)}.`,
+    data: { debt: status.total, limit: status.limit, currency: BASE_CURRENCY },
+    channel: 'app',
+    priority: limitCrossed ? 'high' : 'medium'
+  });
+
+  return status;
+};
+
+/**
+ * Ask a driver's mobile money account for a payment towards their commission debt
+ * The debt is cleared once the operator confirms the payment
+ * @param {Object} driver - Driver settling their debt
+ * @param {Object} request - The settlement
+ * @param {string} request.currency - Currency of the debt being paid
+ * @param {number} [request.amountMinor] - Amount in minor units; defaults to the whole debt in that currency
+ * @param {string} request.provider - orange, airtel, africell or mpesa
+ * @param {string} request.phoneNumber - Mobile money number to charge
+ * @returns {Promise<Object>} success and the payment, or a code and message
+ */
+exports.requestDebtSettlement = async (driver, { currency, amountMinor, provider, phoneNumber }) => {
+  const { debts } = await exports.getDebtStatus(driver.userId);
+  const owed = debts.find(debt => debt.currency === currency);
+
+  if (!owed) {
+    return { success: false, code: 'no_debt', message: `You have no ${currency} commission debt to settle` };
+  }
+
+  const settleMinor = amountMinor === undefined ? owed.debtMinor : amountMinor;
+  if (!Number.isInteger(settleMinor) || settleMinor <= 0 || settleMinor > owed.debtMinor) {
+    return {
+      success: false,
+      code: 'invalid_amount',
+      message: `Amount must be between 1 and ${owed.debtMinor} minor units of ${currency}`
+    };
+  }
+
+  const payment = await Payment.create({
+    clientId: driver.userId,
+    driverId: driver.id,
+    currency,
+    amountMinor: settleMinor,
+    amount: fromMinor(settleMinor, currency),
+    baseCurrency: BASE_CURRENCY,
+    baseAmountMinor: await toBaseMinor(settleMinor, currency),
+    paymentMethod: 'mobile_money',
+    transactionType: 'debt_settlement',
+    status: 'pending',
+    paymentInitiatedAt: new Date()
+  });
+
+  const result = await requestMobileMoneyPayment(payment, { provider, phoneNumber });
+
+  if (!result.success) {
+    return { success: false, code: 'provider_refused', payment, message: result.message };
+  }
+
+  return { success: true, payment };
+};
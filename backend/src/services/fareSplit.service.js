@@ -0,0 +1,848 @@
+/**
+ * Fare Split Service for Taxi-Express
+ * Trip fares shared between riders: invitations, share allocation, collection and the owner's fallback charge
+ */
+
+const { FareSplit, FareShare, Trip, User, Driver, Payment, Notification } = require('../models');
+const { sequelize } = require('../config/database');
+const { Op } = require('sequelize');
+const { completeTripPayment, completeFareSharePayment } = require('./payment.service');
+const { requestMobileMoneyPayment } = require('./mobileMoney.service');
+const { toBaseMinor } = require('./currency.service');
+const { BASE_CURRENCY, fromMinor, formatMoney } = require('../utils/money');
+
+// How long invited riders have to pay their share once the fare is known
+const FARE_SPLIT_DEADLINE_MINUTES = parseInt(process.env.FARE_SPLIT_DEADLINE_MINUTES, 10) || 60;
+
+// Riders a fare can be split with, besides its owner
+const MAX_SPLIT_PARTICIPANTS = 5;
+
+// Trip statuses in which a split can be set up; completed trips also need their fare unpaid
+const SPLITTABLE_STATUSES = ['scheduled', 'requested', 'assigned', 'active', 'completed'];
+
+// How often overdue shares are passed on to owners
+const EXPIRY_INTERVAL_MS = 60 * 1000;
+
+// Most splits looked at per expiry run
+const EXPIRY_BATCH_SIZE = 50;
+
+let expiryInterval = null;
+
+/**
+ * Get the socket.io instance lazily to avoid a circular import with server.js
+ * @returns {Object} socket.io server
+ */
+function getIo() {
+  return require('../server').io;
+}
+
+/**
+ * Split a trip's fare between its rider and registered users invited by phone number
+ * Shares are worked out once the fare is known: at once for completed trips, otherwise when the trip ends
+ * @param {Object} trip - Trip to split
+ * @param {string} ownerId - Rider who booked the trip
+ * @param {Object} split - The split
+ * @param {string} split.splitType - equal, or custom for set amounts with the owner paying the rest
+ * @param {Array<Object>} split.participants - phoneNumber of each rider, with amountMinor for custom splits
+ * @returns {Promise<Object>} success and the split with its shares, or a code and message
+ */
+exports.createFareSplit = async (trip, ownerId, { splitType, participants }) => {
+  const problem = await checkSplittable(trip, ownerId);
+  if (problem) {
+    return { success: false, ...problem };
+  }
+
+  if (participants.length === 0 || participants.length > MAX_SPLIT_PARTICIPANTS) {
+    return {
+      success: false,
+      code: 'invalid_participants',
+      message: `A fare can be split with 1 to ${MAX_SPLIT_PARTICIPANTS} other riders`
+    };
+  }
+
+  const phoneNumbers = participants.map(participant => participant.phoneNumber);
+  const users = await User.findAll({ where: { phoneNumber: { [Op.in]: phoneNumbers } } });
+  const usersByPhone = new Map(users.map(user => [user.phoneNumber, user]));
+
+  const unknown = phoneNumbers.filter(phoneNumber => !usersByPhone.has(phoneNumber));
+  if (unknown.length) {
+    return {
+      success: false,
+      code: 'unknown_participant',
+      message: `No Taxi-Express account uses ${unknown.join(', ')}`
+    };
+  }
+
+  if (users.some(user => user.id === ownerId)) {
+    return { success: false, code: 'invalid_participants', message: 'You are part of the split already; invite other riders only' };
+  }
+
+  if (splitType === 'custom' && participants.some(participant => !(participant.amountMinor > 0))) {
+    return { success: false, code: 'invalid_amount', message: 'Custom splits need an amount for every rider' };
+  }
+
+  // The fare is only known once the trip is over
+  const tripPayment = trip.status === 'completed' ? await findTripPayment(trip.id) : null;
+
+  if (tripPayment && splitType === 'custom') {
+    const requestedMinor = participants.reduce((sum, participant) => sum + participant.amountMinor, 0);
+    if (requestedMinor > Number(tripPayment.amountMinor)) {
+      return {
+        success: false,
+        code: 'invalid_amount',
+        message: `The amounts add up to more than the fare of ${formatMoney(tripPayment.amountMinor, tripPayment.currency)}`
+      };
+    }
+  }
+
+  const split = await sequelize.transaction(async (transaction) => {
+    const created = await FareSplit.create({
+      tripId: trip.id,
+      ownerId,
+      splitType,
+      currency: trip.currency || BASE_CURRENCY
+    }, { transaction });
+
+    await FareShare.create({
+      fareSplitId: created.id,
+      userId: ownerId,
+      isOwner: true
+    }, { transaction });
+
+    for (const participant of participants) {
+      await FareShare.create({
+        fareSplitId: created.id,
+        userId: usersByPhone.get(participant.phoneNumber).id,
+        requestedAmountMinor: splitType === 'custom' ? participant.amountMinor : null
+      }, { transaction });
+    }
+
+    return created;
+  });
+
+  if (tripPayment) {
+    await exports.allocateFareSplit(split, tripPayment);
+  } else {
+    await notifyInvited(split, trip, users);
+  }
+
+  return { success: true, split: await exports.getFareSplit(trip.id) };
+};
+
+/**
+ * Get the split of a trip's fare, with each share and the rider it belongs to
+ * @param {string} tripId - ID of the trip
+ * @returns {Promise<Object|null>} Fare split, or null when the fare is not split
+ */
+exports.getFareSplit = async (tripId) => {
+  return FareSplit.findOne({
+    where: { tripId },
+    include: [{
+      model: FareShare,
+      as: 'shares',
+      include: [{
+        model: User,
+        as: 'user',
+        attributes: ['id', 'firstName', 'lastName', 'phoneNumber']
+      }]
+    }],
+    order: [[{ model: FareShare, as: 'shares' }, 'createdAt', 'ASC']]
+  });
+};
+
+/**
+ * Work out each rider's share of a trip's fare now that it is known, and start collecting them
+ * Equal splits leave the remainder of the division to the owner; custom splits cap each amount
+ * at what is left of the fare, in the order riders were invited, and the owner pays the rest
+ * @param {Object} split - Fare split still waiting for its fare
+ * @param {Object} payment - The trip's payment
+ * @returns {Promise<boolean>} True when the shares were allocated
+ */
+exports.allocateFareSplit = async (split, payment) => {
+  const totalMinor = Number(payment.amountMinor);
+  const { currency } = payment;
+  const deadlineAt = new Date(Date.now() + FARE_SPLIT_DEADLINE_MINUTES * 60 * 1000);
+
+  // Riders who declined before the fare was known take no part in it
+  const shares = await FareShare.findAll({
+    where: {
+      fareSplitId: split.id,
+      fallbackForId: null,
+      status: 'pending'
+    },
+    order: [['createdAt', 'ASC']]
+  });
+
+  const amounts = allocateShares(split.splitType, totalMinor, shares);
+
+  const allocated = await sequelize.transaction(async (transaction) => {
+    // Guarded on status so the shares are never worked out twice
+    const [updated] = await FareSplit.update({
+      currency,
+      totalAmountMinor: totalMinor,
+      status: 'collecting',
+      deadlineAt
+    }, {
+      where: {
+        id: split.id,
+        status: 'awaiting_fare'
+      },
+      transaction
+    });
+
+    if (!updated) {
+      return false;
+    }
+
+    for (const share of shares) {
+      const amountMinor = amounts.get(share.id);
+      await share.update({
+        amountMinor,
+        amount: fromMinor(amountMinor, currency),
+        // Nothing is left to collect from a rider whose share came to zero
+        status: amountMinor > 0 ? 'pending' : 'paid',
+        paidAt: amountMinor > 0 ? null : new Date()
+      }, { transaction });
+    }
+
+    return true;
+  });
+
+  if (!allocated) {
+    return false;
+  }
+
+  await split.reload();
+  await notifySharesDue(split, shares);
+  await exports.settleIfCollected(split);
+  return true;
+};
+
+/**
+ * Pay what a rider owes towards a split fare, from their wallet or by mobile money
+ * For the owner, this includes the shares of riders who let the deadline pass
+ * @param {Object} trip - Trip whose fare is split
+ * @param {string} userId - Rider paying
+ * @param {Object} method - How the share is paid
+ * @param {string} method.paymentMethod - wallet or mobile_money
+ * @param {string} [method.provider] - Operator, for mobile money
+ * @param {string} [method.phoneNumber] - Number to charge, for mobile money
+ * @returns {Promise<Object>} success with the payment and whether the trip is now paid, or a code and message
+ */
+exports.payFareShare = async (trip, userId, method) => {
+  const split = await FareSplit.findOne({ where: { tripId: trip.id } });
+
+  if (!split) {
+    return { success: false, code: 'not_found', message: 'The fare of this trip is not split' };
+  }
+
+  if (split.status === 'awaiting_fare') {
+    return { success: false, code: 'not_due', message: 'Shares can be paid once the trip is over and its fare known' };
+  }
+
+  if (split.status === 'settled') {
+    return { success: false, code: 'already_settled', message: 'The fare of this trip has been paid' };
+  }
+
+  if (userId === split.ownerId) {
+    const overdue = await reassignOverdueShares(split);
+    if (overdue.length) {
+      await notifyOwnerCharged(split, overdue, false);
+    }
+  }
+
+  const { shares, inProgress } = await findPayableShares(split, userId);
+
+  if (shares.length === 0) {
+    return inProgress
+      ? { success: false, code: 'payment_in_progress', message: 'Your share is waiting for your operator\'s confirmation' }
+      : { success: false, code: 'nothing_due', message: 'You have no share left to pay for this trip' };
+  }
+
+  return collectShares(split, trip, userId, shares, method);
+};
+
+/**
+ * Turn down an invitation to split a trip's fare; the owner is charged the share instead
+ * @param {Object} trip - Trip whose fare is split
+ * @param {string} userId - Invited rider
+ * @returns {Promise<Object>} success, or a code and message
+ */
+exports.declineFareShare = async (trip, userId) => {
+  const split = await FareSplit.findOne({ where: { tripId: trip.id } });
+
+  if (!split || split.status === 'settled') {
+    return { success: false, code: 'not_found', message: 'You have no share of this trip to decline' };
+  }
+
+  const { shares, inProgress } = await findPayableShares(split, userId);
+  const share = shares.find(candidate => !candidate.isOwner);
+
+  if (!share) {
+    return inProgress
+      ? { success: false, code: 'payment_in_progress', message: 'Your share is waiting for your operator\'s confirmation' }
+      : { success: false, code: 'not_found', message: 'You have no share of this trip to decline' };
+  }
+
+  // Before the fare is known, the rider is simply left out of the allocation
+  if (split.status === 'awaiting_fare') {
+    await share.update({ status: 'declined' });
+    return { success: true };
+  }
+
+  const fallbacks = await reassignShares(split, [share], 'declined');
+  await chargeOwner(split, trip, fallbacks);
+  return { success: true };
+};
+
+/**
+ * Complete a fare share payment and pay the trip when it was the last share outstanding
+ * @param {Object} payment - Fare share paid from a wallet or by mobile money
+ * @returns {Promise<Object>} success and whether the trip is now paid, or a code and message
+ */
+exports.completeSharePayment = async (payment) => {
+  const result = await completeFareSharePayment(payment);
+  if (!result.success) {
+    return result;
+  }
+
+  const split = await FareSplit.findOne({ where: { tripId: payment.tripId } });
+
+  if (payment.clientId !== split.ownerId) {
+    const payer = await User.findByPk(payment.clientId);
+    await Notification.create({
+      userId: split.ownerId,
+      type: 'fare_split',
+      title: 'Fare Share Paid',
+      message: `${payer.firstName} ${payer.lastName} paid their share of ${formatMoney(payment.amountMinor, payment.currency)}.`,
+      data: { tripId: payment.tripId, paymentId: payment.id },
+      channel: 'app',
+      priority: 'low'
+    });
+  }
+
+  const settled = await exports.settleIfCollected(split);
+  return { success: true, settled };
+};
+
+/**
+ * Pay a trip from the shares collected for it, once none is outstanding
+ * The split is marked settled and the trip paid in one transaction; when the payment cannot be
+ * posted, both are rolled back and the split stays collecting for the expiry job to settle later
+ * @param {Object} split - Fare split
+ * @returns {Promise<boolean>} True when the trip was paid now
+ */
+exports.settleIfCollected = async (split) => {
+  const outstanding = await FareShare.count({
+    where: {
+      fareSplitId: split.id,
+      status: 'pending'
+    }
+  });
+
+  if (outstanding) {
+    return false;
+  }
+
+  let settled;
+  try {
+    settled = await sequelize.transaction(async (transaction) => {
+      // Guarded on status so the trip is never paid twice from the same shares
+      const [updated] = await FareSplit.update({
+        status: 'settled',
+        settledAt: new Date()
+      }, {
+        where: {
+          id: split.id,
+          status: 'collecting'
+        },
+        transaction
+      });
+
+      if (!updated) {
+        return null;
+      }
+
+      const payment = await findTripPayment(split.tripId, transaction);
+      await payment.update({ paymentMethod: 'split' }, { transaction });
+
+      const driver = await Driver.findByPk(payment.driverId, { transaction });
+      const result = await completeTripPayment(payment, driver.userId, transaction);
+
+      if (!result.success) {
+        const error = new Error(result.message);
+        error.code = result.code;
+        throw error;
+      }
+
+      return { payment, driver };
+    });
+  } catch (error) {
+    console.error(`Fare split ${split.id} could not be settled; it will be retried:`, error.message);
+    return false;
+  }
+
+  if (!settled) {
+    return false;
+  }
+
+  await notifySettled(split, settled.payment, settled.driver);
+  return true;
+};
+
+/**
+ * Settle splits whose shares were all collected but whose trip payment did not go through
+ * @returns {Promise<number>} Number of splits settled
+ */
+exports.settleCollectedFareSplits = async () => {
+  const splits = await FareSplit.findAll({
+    where: {
+      status: 'collecting',
+      [Op.and]: [sequelize.literal(
+        'NOT EXISTS (SELECT 1 FROM "FareShares" WHERE "FareShares"."fareSplitId" = "FareSplit"."id" AND "FareShares"."status" = \'pending\')'
+      )]
+    },
+    order: [['updatedAt', 'ASC']],
+    limit: EXPIRY_BATCH_SIZE
+  });
+
+  let settled = 0;
+  for (const split of splits) {
+    if (await exports.settleIfCollected(split)) {
+      settled += 1;
+    }
+  }
+
+  return settled;
+};
+
+/**
+ * Pass the shares of riders who let the deadline pass to their owners, and charge the owners' wallets
+ * @returns {Promise<number>} Number of splits whose shares were passed on
+ */
+exports.expireOverdueFareShares = async () => {
+  const splits = await FareSplit.findAll({
+    where: {
+      status: 'collecting',
+      deadlineAt: { [Op.lte]: new Date() }
+    },
+    include: [{
+      model: FareShare,
+      as: 'shares',
+      where: {
+        isOwner: false,
+        status: 'pending'
+      },
+      attributes: ['id']
+    }],
+    order: [['deadlineAt', 'ASC']],
+    limit: EXPIRY_BATCH_SIZE,
+    subQuery: false
+  });
+
+  let expired = 0;
+  for (const split of splits) {
+    const fallbacks = await reassignOverdueShares(split);
+    if (fallbacks.length === 0) {
+      continue;
+    }
+
+    const trip = await Trip.findByPk(split.tripId);
+    await chargeOwner(split, trip, fallbacks);
+    expired += 1;
+  }
+
+  return expired;
+};
+
+/**
+ * Start passing overdue shares to owners, and settling splits left fully collected, periodically
+ */
+exports.startFareSplitExpiry = () => {
+  if (expiryInterval) {
+    return;
+  }
+
+  expiryInterval = setInterval(() => {
+    exports.expireOverdueFareShares()
+      .then(() => exports.settleCollectedFareSplits())
+      .catch(error => {
+        console.error('Fare split expiry job error:', error);
+      });
+  }, EXPIRY_INTERVAL_MS);
+};
+
+/**
+ * Stop passing overdue shares to owners and settling collected splits
+ */
+exports.stopFareSplitExpiry = () => {
+  if (expiryInterval) {
+    clearInterval(expiryInterval);
+    expiryInterval = null;
+  }
+};
+
+/**
+ * Check that a rider can split a trip's fare now
+ * @param {Object} trip - Trip to split
+ * @param {string} ownerId - Rider splitting it
+ * @returns {Promise<Object|null>} code and message of what stands in the way, or null
+ */
+async function checkSplittable(trip, ownerId) {
+  if (trip.clientId !== ownerId) {
+    return { code: 'forbidden', message: 'Only the rider who booked a trip can split its fare' };
+  }
+
+  if (trip.paymentMethod === 'cash') {
+    return { code: 'not_splittable', message: 'Cash fares are shared in the car; pay by wallet or mobile money to split through the app' };
+  }
+
+  if (!SPLITTABLE_STATUSES.includes(trip.status)) {
+    return { code: 'not_splittable', message: `Cannot split the fare of a ${trip.status} trip` };
+  }
+
+  const existing = await FareSplit.count({ where: { tripId: trip.id } });
+  if (existing) {
+    return { code: 'already_split', message: 'The fare of this trip is already split' };
+  }
+
+  if (trip.status === 'completed') {
+    const payment = await findTripPayment(trip.id);
+    if (!payment || ['processing', 'completed', 'refunded'].includes(payment.status)) {
+      return { code: 'not_splittable', message: 'This trip has already been paid' };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Get the payment of a trip's fare
+ * @param {string} tripId - ID of the trip
+ * @param {Object} [transaction] - Transaction to read it in
+ * @returns {Promise<Object|null>} Trip payment
+ */
+async function findTripPayment(tripId, transaction) {
+  return Payment.findOne({
+    where: {
+      tripId,
+      transactionType: 'trip_payment'
+    },
+    transaction
+  });
+}
+
+/**
+ * Share a fare between the riders of a split
+ * @param {string} splitType - equal or custom
+ * @param {number} totalMinor - Fare in minor units
+ * @param {Array<Object>} shares - Shares taking part, the owner's among them
+ * @returns {Map<string, number>} Amount in minor units per share ID
+ */
+function allocateShares(splitType, totalMinor, shares) {
+  const amounts = new Map();
+  const participants = shares.filter(share => !share.isOwner);
+  const owner = shares.find(share => share.isOwner);
+  let remainingMinor = totalMinor;
+
+  if (splitType === 'equal') {
+    const eachMinor = Math.floor(totalMinor / shares.length);
+    participants.forEach(share => amounts.set(share.id, eachMinor));
+    remainingMinor -= eachMinor * participants.length;
+  } else {
+    participants.forEach(share => {
+      const amountMinor = Math.min(Number(share.requestedAmountMinor), remainingMinor);
+      amounts.set(share.id, amountMinor);
+      remainingMinor -= amountMinor;
+    });
+  }
+
+  amounts.set(owner.id, remainingMinor);
+  return amounts;
+}
+
+/**
+ * Get the shares a rider still has to pay, leaving out those awaiting an operator's confirmation
+ * @param {Object} split - Fare split
+ * @param {string} userId - Rider
+ * @returns {Promise<Object>} shares that can be paid, and whether any is awaiting confirmation
+ */
+async function findPayableShares(split, userId) {
+  const pending = await FareShare.findAll({
+    where: {
+      fareSplitId: split.id,
+      userId,
+      status: 'pending'
+    },
+    include: [{ model: Payment, as: 'payment', attributes: ['id', 'status'] }],
+    order: [['createdAt', 'ASC']]
+  });
+
+  const shares = pending.filter(share => !share.payment || share.payment.status !== 'processing');
+  return { shares, inProgress: shares.length < pending.length };
+}
+
+/**
+ * Take payment for shares in a single fare share payment
+ * @param {Object} split - Fare split
+ * @param {Object} trip - Trip whose fare is split
+ * @param {string} userId - Rider paying
+ * @param {Array<Object>} shares - Shares being paid
+ * @param {Object} method - paymentMethod, and provider and phoneNumber for mobile money
+ * @returns {Promise<Object>} success with the payment and whether the trip is now paid, or a code and message
+ */
+async function collectShares(split, trip, userId, shares, { paymentMethod, provider, phoneNumber }) {
+  const { currency } = split;
+  const amountMinor = shares.reduce((sum, share) => sum + Number(share.amountMinor), 0);
+
+  const payment = await Payment.create({
+    tripId: trip.id,
+    clientId: userId,
+    driverId: trip.driverId,
+    currency,
+    amountMinor,
+    amount: fromMinor(amountMinor, currency),
+    baseCurrency: BASE_CURRENCY,
+    baseAmountMinor: await toBaseMinor(amountMinor, currency),
+    paymentMethod,
+    transactionType: 'fare_share',
+    status: 'pending',
+    paymentInitiatedAt: new Date()
+  });
+
+  await FareShare.update({ paymentId: payment.id }, {
+    where: { id: { [Op.in]: shares.map(share => share.id) } }
+  });
+
+  if (paymentMethod === 'mobile_money') {
+    const request = await requestMobileMoneyPayment(payment, { provider, phoneNumber });
+    if (!request.success) {
+      return { success: false, code: 'provider_refused', payment, message: request.message };
+    }
+    return { success: true, payment, settled: false };
+  }
+
+  const result = await exports.completeSharePayment(payment);
+
+  if (!result.success) {
+    payment.status = 'failed';
+    payment.notes = result.message;
+    await payment.save();
+    return { success: false, code: result.code, payment, message: result.message };
+  }
+
+  return { success: true, payment, settled: result.settled };
+}
+
+/**
+ * Pass the shares of riders who let the deadline pass to the owner
+ * Shares whose payment is awaiting an operator's confirmation are left to it
+ * @param {Object} split - Fare split
+ * @returns {Promise<Array<Object>>} Shares the owner now owes in their place
+ */
+async function reassignOverdueShares(split) {
+  if (split.status !== 'collecting' || new Date(split.deadlineAt) > new Date()) {
+    return [];
+  }
+
+  const pending = await FareShare.findAll({
+    where: {
+      fareSplitId: split.id,
+      isOwner: false,
+      status: 'pending'
+    },
+    include: [{ model: Payment, as: 'payment', attributes: ['id', 'status'] }]
+  });
+
+  const overdue = pending.filter(share => !share.payment || share.payment.status !== 'processing');
+  return reassignShares(split, overdue, 'expired');
+}
+
+/**
+ * Close riders' shares and charge the owner for them instead
+ * @param {Object} split - Fare split
+ * @param {Array<Object>} shares - Pending shares of invited riders
+ * @param {string} status - declined or expired
+ * @returns {Promise<Array<Object>>} Shares the owner now owes in their place
+ */
+async function reassignShares(split, shares, status) {
+  const fallbacks = [];
+
+  for (const share of shares) {
+    const fallback = await sequelize.transaction(async (transaction) => {
+      // Guarded on status so a share paid meanwhile is not charged to the owner as well
+      const [updated] = await FareShare.update({ status }, {
+        where: {
+          id: share.id,
+          status: 'pending'
+        },
+        transaction
+      });
+
+      if (!updated) {
+        return null;
+      }
+
+      return FareShare.create({
+        fareSplitId: split.id,
+        userId: split.ownerId,
+        isOwner: true,
+        amountMinor: share.amountMinor,
+        amount: share.amount,
+        fallbackForId: share.id
+      }, { transaction });
+    });
+
+    if (fallback) {
+      fallbacks.push(fallback);
+    }
+  }
+
+  return fallbacks;
+}
+
+/**
+ * Charge the owner's wallet for shares they took over, or ask them to pay when it cannot cover them
+ * @param {Object} split - Fare split
+ * @param {Object} trip - Trip whose fare is split
+ * @param {Array<Object>} fallbacks - Shares the owner took over
+ * @returns {Promise<void>}
+ */
+async function chargeOwner(split, trip, fallbacks) {
+  if (fallbacks.length === 0) {
+    return;
+  }
+
+  const result = await collectShares(split, trip, split.ownerId, fallbacks, { paymentMethod: 'wallet' });
+  await notifyOwnerCharged(split, fallbacks, result.success);
+}
+
+/**
+ * Tell invited riders that they were asked to share a trip's fare
+ * @param {Object} split - Fare split
+ * @param {Object} trip - Trip whose fare is split
+ * @param {Array<Object>} users - Invited riders
+ * @returns {Promise<void>}
+ */
+async function notifyInvited(split, trip, users) {
+  const owner = await User.findByPk(split.ownerId);
+
+  for (const user of users) {
+    await Notification.create({
+      userId: user.id,
+      type: 'fare_split',
+      title: 'Fare Split Invitation',
+      message: `${owner.firstName} ${owner.lastName} invited you to share the fare of a trip. You'll be asked for your share when the trip ends.`,
+      data: { tripId: trip.id, fareSplitId: split.id },
+      channel: 'app',
+      priority: 'medium'
+    });
+
+    getIo().to(`client_${user.id}`).emit('fare_split_invited', {
+      tripId: trip.id,
+      fareSplitId: split.id,
+      ownerName: `${owner.firstName} ${owner.lastName}`
+    });
+  }
+}
+
+/**
+ * Ask each invited rider for their share once it is known
+ * @param {Object} split - Fare split now collecting
+ * @param {Array<Object>} shares - Allocated shares
+ * @returns {Promise<void>}
+ */
+async function notifySharesDue(split, shares) {
+  for (const share of shares) {
+    if (share.isOwner || share.status !== 'pending') {
+      continue;
+    }
+
+    const amount = formatMoney(share.amountMinor, split.currency);
+    await Notification.create({
+      userId: share.userId,
+      type: 'fare_split',
+      title: 'Fare Share Due',
+      message: `Your share of the trip is ${amount}. Pay it by ${split.deadlineAt.toISOString()}, after which it is charged to the rider who booked.`,
+      data: { tripId: split.tripId, fareSplitId: split.id, amount: share.amount, currency: split.currency },
+      channel: 'app',
+      priority: 'high'
+    });
+
+    getIo().to(`client_${share.userId}`).emit('fare_share_due', {
+      tripId: split.tripId,
+      fareSplitId: split.id,
+      amount: share.amount,
+      currency: split.currency,
+      deadlineAt: split.deadlineAt
+    });
+  }
+}
+
+/**
+ * Tell the owner about shares they were charged for, or still have to pay
+ * @param {Object} split - Fare split
+ * @param {Array<Object>} fallbacks - Shares the owner took over
+ * @param {boolean} paid - Whether they were paid from the owner's wallet
+ * @returns {Promise<void>}
+ */
+async function notifyOwnerCharged(split, fallbacks, paid) {
+  const totalMinor = fallbacks.reduce((sum, share) => sum + Number(share.amountMinor), 0);
+  const amount = formatMoney(totalMinor, split.currency);
+  const riders = fallbacks.length === 1 ? 'a rider' : `${fallbacks.length} riders`;
+
+  await Notification.create({
+    userId: split.ownerId,
+    type: 'fare_split',
+    title: paid ? 'Unpaid Fare Shares Charged' : 'Unpaid Fare Shares Due',
+    message: paid
+      ? `${amount} that ${riders} did not pay has been charged to your wallet.`
+      : `${riders.charAt(0).toUpperCase()}${riders.slice(1)} did not pay ${amount} of the fare. Pay it to complete the trip payment.`,
+    data: { tripId: split.tripId, fareSplitId: split.id, amount: fromMinor(totalMinor, split.currency), currency: split.currency },
+    channel: 'app',
+    priority: 'high'
+  });
+}
+
+/**
+ * Tell the riders and the driver that a split fare has been paid
+ * @param {Object} split - Settled fare split
+ * @param {Object} payment - Completed trip payment
+ * @param {Object} driver - Driver of the trip
+ * @returns {Promise<void>}
+ */
+async function notifySettled(split, payment, driver) {
+  const shares = await FareShare.findAll({
+    where: { fareSplitId: split.id },
+    attributes: ['userId']
+  });
+  const riderIds = [...new Set(shares.map(share => share.userId))];
+
+  for (const userId of riderIds) {
+    getIo().to(`client_${userId}`).emit('payment_processed', {
+      tripId: payment.tripId,
+      paymentId: payment.id,
+      status: payment.status,
+      amount: payment.amount,
+      currency: payment.currency
+    });
+  }
+
+  await Notification.create({
+    userId: driver.userId,
+    type: 'payment_received',
+    title: 'Payment Received',
+    message: `You've received ${formatMoney(payment.driverAmountMinor, payment.currency)} for your trip.`,
+    data: { tripId: payment.tripId, paymentId: payment.id },
+    channel: 'app',
+    priority: 'medium'
+  });
+
+  getIo().to(`driver_${driver.userId}`).emit('payment_received', {
+    tripId: payment.tripId,
+    paymentId: payment.id,
+    status: payment.status,
+    amount: payment.driverAmount,
+    currency: payment.currency
+  });
+}
@@ -60,7 +60,17 @@ exports.checkFraudRisk = async (userId, type, data = {}) => {
         riskScore = calculateRatingRisk(data);
         details = `Possible rating manipulation. Pattern: ${data.pattern}`;
         break;
+
+      case 'fare_discrepancy':
+        riskScore = calculateFareDiscrepancyRisk(data);
+        details = `Driver-reported fare differs from metered values. Trip ID: ${data.tripId}, Largest deviation: ${Math.round(data.maxDeviation * 100)}%`;
+        break;
         
+      case 'route_manipulation':
+        riskScore = calculateFareDiscrepancyRisk({ maxDeviation: data.excess, overcharge: true });
+        details = `GPS track far longer than the quoted route. Trip ID: ${data.tripId}, Tracked: ${data.trackedDistance} km, Quoted: ${data.quotedDistance} km`;
+        break;
+
       default:
         riskScore = 30; // Default moderate risk
         details = `Unknown fraud type: ${type}`;
@@ -321,6 +331,28 @@ function calculateRatingRisk(data) {
   return Math.min(100, riskScore);
 }
 
+/**
+ * Calculate risk score for driver-reported trip values that differ from the metered ones
+ * @param {Object} data - Discrepancy data
+ * @returns {number} Risk score (0-100)
+ */
+function calculateFareDiscrepancyRisk(data) {
+  const { maxDeviation, overcharge } = data;
+
+  let riskScore = 30; // Any flagged discrepancy is worth a review
+
+  // Larger gaps are harder to explain by GPS noise
+  riskScore += Math.min(40, Math.round(maxDeviation * 100));
+
+  // Reporting more than was driven benefits the driver
+  if (overcharge) {
+    riskScore += 20;
+  }
+
+  // Cap at 100
+  return Math.min(100, riskScore);
+}
+
 /**
  * Handle high-risk users automatically
  * @param {Object} user - User object
@@ -0,0 +1,263 @@
+/**
+ * Ledger Service for Taxi-Express
+ * Double-entry bookkeeping behind wallets, payments and payouts
+ */
+
+const { LedgerAccount, JournalEntry, LedgerPosting, User } = require('../models');
+const { sequelize } = require('../config/database');
+const { Op, fn, col, literal } = require('sequelize');
+const { BASE_CURRENCY, toMinor, fromMinor } = require('../utils/money');
+
+// Side on which each type of account grows
+const NORMAL_BALANCES = {
+  client_wallet: 'credit', // owed to riders
+  driver_wallet: 'credit', // owed to drivers
+  driver_commission_receivable: 'debit', // platform fees drivers kept from cash trips and still owe
+  platform_revenue: 'credit',
+  tax_payable: 'credit', // owed to the tax authority
+  payouts_in_transit: 'credit', // withdrawals requested but not yet paid out
+  fare_split_holding: 'credit', // fare shares collected for trips not yet paid
+  external_funds: 'debit', // money held with mobile money operators, card processors and banks
+  promotions_expense: 'debit', // rewards paid for by the platform
+  adjustments: 'debit', // manual corrections by admins
+  opening_balances: 'debit' // balances carried over from before the ledger
+};
+
+// Accounts held for users; their balance never goes below zero
+const WALLET_ACCOUNT_TYPES = ['client_wallet', 'driver_wallet'];
+
+exports.WALLET_ACCOUNT_TYPES = WALLET_ACCOUNT_TYPES;
+
+/**
+ * Get a ledger account, opening it when needed
+ * @param {string} type - Account type
+ * @param {string} currency - Account currency
+ * @param {string|null} [userId=null] - Owner of a wallet account
+ * @param {Object} [transaction] - Transaction to work in
+ * @returns {Promise<Array>} The account, and whether it was just opened
+ */
+exports.openAccount = async (type, currency, userId = null, transaction) => {
+  const code = userId ? `${type}:${userId}:${currency}` : `${type}:${currency}`;
+
+  return LedgerAccount.findOrCreate({
+    where: { code },
+    defaults: {
+      type,
+      userId,
+      currency,
+      normalBalance: NORMAL_BALANCES[type]
+    },
+    transaction
+  });
+};
+
+/**
+ * Get a ledger account, opening it when needed
+ * @param {string} type - Account type
+ * @param {string} currency - Account currency
+ * @param {string|null} [userId=null] - Owner of a wallet account
+ * @param {Object} [transaction] - Transaction to work in
+ * @returns {Promise<Object>} Ledger account
+ */
+exports.getAccount = async (type, currency, userId = null, transaction) => {
+  const [account] = await exports.openAccount(type, currency, userId, transaction);
+  return account;
+};
+
+/**
+ * Post a balanced journal entry and update the cached balances of its accounts
+ * Runs in the given transaction, or in one of its own
+ * @param {Object} entry - Entry to post
+ * @param {string} entry.type - Entry type
+ * @param {string} entry.currency - Currency of every account in the entry
+ * @param {Array<Object>} entry.lines - { account, debit } or { account, credit }, in minor units
+ * @param {string} [entry.description] - What the movement was for
+ * @param {string} [entry.tripId] - Trip the movement belongs to
+ * @param {string} [entry.paymentId] - Payment the movement belongs to
+ * @param {string} [entry.withdrawalId] - Withdrawal the movement belongs to
+ * @param {string} [entry.createdBy] - Admin who posted the entry
+ * @param {Object} [transaction] - Transaction to work in
+ * @returns {Promise<Object>} Journal entry
+ * @throws {Error} With code 'insufficient_funds' when a wallet would go below zero
+ */
+exports.postEntry = async (entry, transaction) => {
+  if (!transaction) {
+    return sequelize.transaction(ownTransaction => exports.postEntry(entry, ownTransaction));
+  }
+
+  const postings = entry.lines
+    .map(line => ({
+      account: line.account,
+      amountMinor: line.debit ? Number(line.debit) : -Number(line.credit || 0)
+    }))
+    .filter(posting => posting.amountMinor !== 0);
+
+  validateEntry(entry, postings);
+
+  const journalEntry = await JournalEntry.create({
+    type: entry.type,
+    currency: entry.currency,
+    description: entry.description,
+    tripId: entry.tripId || null,
+    paymentId: entry.paymentId || null,
+    withdrawalId: entry.withdrawalId || null,
+    createdBy: entry.createdBy || null
+  }, { transaction });
+
+  await LedgerPosting.bulkCreate(postings.map(posting => ({
+    journalEntryId: journalEntry.id,
+    accountId: posting.account.id,
+    amountMinor: posting.amountMinor
+  })), { transaction });
+
+  for (const posting of postings) {
+    await applyPosting(posting.account, posting.amountMinor, transaction);
+  }
+
+  return journalEntry;
+};
+
+/**
+ * Check that the ledger adds up
+ * Every entry must balance, every cached account balance must match its postings,
+ * no wallet may be overdrawn and users' cached wallet balances must match their base-currency wallet
+ * @returns {Promise<Object>} consistent, and the problems found
+ */
+exports.checkConsistency = async () => {
+  const unbalancedEntries = await LedgerPosting.findAll({
+    attributes: ['journalEntryId', [fn('SUM', col('amountMinor')), 'differenceMinor']],
+    group: ['journalEntryId'],
+    having: literal('SUM("amountMinor") <> 0'),
+    raw: true
+  });
+
+  const postedTotals = await LedgerPosting.findAll({
+    attributes: ['accountId', [fn('SUM', col('amountMinor')), 'totalMinor']],
+    group: ['accountId'],
+    raw: true
+  });
+  const totalsByAccount = new Map(postedTotals.map(row => [row.accountId, Number(row.totalMinor)]));
+
+  const accounts = await LedgerAccount.findAll();
+  const accountMismatches = [];
+  const overdrawnWallets = [];
+
+  accounts.forEach(account => {
+    const total = totalsByAccount.get(account.id) || 0;
+    const postedMinor = account.normalBalance === 'debit' ? total : -total;
+    const cachedMinor = Number(account.balanceMinor);
+
+    if (postedMinor !== cachedMinor) {
+      accountMismatches.push({ accountId: account.id, code: account.code, cachedMinor, postedMinor });
+    }
+
+    if (WALLET_ACCOUNT_TYPES.includes(account.type) && postedMinor < 0) {
+      overdrawnWallets.push({ accountId: account.id, code: account.code, balanceMinor: postedMinor });
+    }
+  });
+
+  const baseWallets = accounts.filter(account =>
+    WALLET_ACCOUNT_TYPES.includes(account.type) && account.currency === BASE_CURRENCY
+  );
+  const users = await User.findAll({
+    where: { id: { [Op.in]: baseWallets.map(account => account.userId) } },
+    attributes: ['id', 'walletBalance']
+  });
+  const usersById = new Map(users.map(user => [user.id, user]));
+
+  const walletCacheMismatches = [];
+  baseWallets.forEach(account => {
+    const user = usersById.get(account.userId);
+    const cachedMinor = user ? toMinor(user.walletBalance, BASE_CURRENCY) : null;
+
+    if (cachedMinor !== Number(account.balanceMinor)) {
+      walletCacheMismatches.push({
+        userId: account.userId,
+        walletBalance: user ? parseFloat(user.walletBalance) : null,
+        ledgerBalance: fromMinor(account.balanceMinor, BASE_CURRENCY)
+      });
+    }
+  });
+
+  return {
+    consistent: !unbalancedEntries.length && !accountMismatches.length &&
+      !overdrawnWallets.length && !walletCacheMismatches.length,
+    checkedAt: new Date(),
+    accountsChecked: accounts.length,
+    unbalancedEntries: unbalancedEntries.map(row => ({
+      journalEntryId: row.journalEntryId,
+      differenceMinor: Number(row.differenceMinor)
+    })),
+    accountMismatches,
+    overdrawnWallets,
+    walletCacheMismatches
+  };
+};
+
+/**
+ * Make sure an entry balances before it is written
+ * @param {Object} entry - Entry being posted
+ * @param {Array<Object>} postings - Signed postings of the entry
+ * @returns {void}
+ */
+function validateEntry(entry, postings) {
+  if (postings.length < 2) {
+    throw new Error(`Journal entry ${entry.type} needs at least two postings`);
+  }
+
+  postings.forEach(posting => {
+    if (!Number.isInteger(posting.amountMinor)) {
+      throw new Error(`Journal entry ${entry.type} has an amount that is not in minor units`);
+    }
+    if (posting.account.currency !== entry.currency) {
+      throw new Error(`Journal entry ${entry.type} mixes ${posting.account.currency} into a ${entry.currency} entry`);
+    }
+  });
+
+  const total = postings.reduce((sum, posting) => sum + posting.amountMinor, 0);
+  if (total !== 0) {
+    throw new Error(`Journal entry ${entry.type} is unbalanced by ${total}`);
+  }
+}
+
+/**
+ * Apply a posting to the cached balance of its account
+ * The base-currency wallet balance is mirrored onto the user
+ * @param {Object} account - Ledger account
+ * @param {number} amountMinor - Positive for a debit, negative for a credit
+ * @param {Object} transaction - Transaction to work in
+ * @returns {Promise<void>}
+ */
+async function applyPosting(account, amountMinor, transaction) {
+  const change = account.normalBalance === 'debit' ? amountMinor : -amountMinor;
+  const isWallet = WALLET_ACCOUNT_TYPES.includes(account.type);
+
+  const where = { id: account.id };
+  if (isWallet && change < 0) {
+    // Guarded on the balance so concurrent payments cannot overdraw a wallet
+    where.balanceMinor = { [Op.gte]: -change };
+  }
+
+  const [updated] = await LedgerAccount.update({
+    balanceMinor: literal(`"balanceMinor" + (${change})`)
+  }, { where, transaction });
+
+  if (!updated) {
+    const error = new Error(`Insufficient ${account.currency} wallet balance`);
+    error.code = 'insufficient_funds';
+    throw error;
+  }
+
+  if (isWallet) {
+    await account.reload({ transaction });
+
+    if (account.currency === BASE_CURRENCY) {
+      await User.update({
+        walletBalance: fromMinor(account.balanceMinor, BASE_CURRENCY)
+      }, {
+        where: { id: account.userId },
+        transaction
+      });
+    }
+  }
+}
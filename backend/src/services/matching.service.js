@@ -3,17 +3,48 @@
  * Handles AI-based driver matching for trip requests
  */
 
-const { Driver, User, Trip } = require('../models');
+const { Driver, User, Trip, RidePool } = require('../models');
 const { Op } = require('sequelize');
 const sequelize = require('sequelize');
 
+// Vehicle types that can carry pooled (shared) rides
+exports.POOL_VEHICLE_TYPES = ['taxi', 'minibus'];
+
 /**
  * Find the optimal driver for a trip
  * @param {string} tripId - ID of the trip to match
  * @returns {Promise<Object>} Matching result with driver ID and score
  */
 exports.findOptimalDriver = async (tripId) => {
+  const result = await exports.rankDrivers(tripId);
+
+  if (!result.success) {
+    return result;
+  }
+
+  // Select the best driver
+  const bestMatch = result.drivers[0];
+
+  return {
+    success: true,
+    driverId: bestMatch.driverId,
+    userId: bestMatch.userId,
+    distance: bestMatch.distance,
+    score: bestMatch.score
+  };
+};
+
+/**
+ * Rank available drivers for a trip by matching score
+ * @param {string} tripId - ID of the trip to match
+ * @param {Object} [options] - Ranking options
+ * @param {Array<string>} [options.excludeDriverIds] - Drivers to leave out (e.g. already offered)
+ * @returns {Promise<Object>} Ranking result with drivers sorted by score (best first)
+ */
+exports.rankDrivers = async (tripId, options = {}) => {
   try {
+    const { excludeDriverIds = [] } = options;
+
     // Get trip details
     const trip = await Trip.findByPk(tripId);
     if (!trip) {
@@ -38,16 +69,31 @@ exports.findOptimalDriver = async (tripId) => {
         pickupLocation.coordinates[1]
       ] 
     };
+
+    const where = {
+      isAvailable: true,
+      isVerified: true,
+      currentLocation: {
+        [Op.ne]: null
+      }
+    };
+
+    if (excludeDriverIds.length > 0) {
+      where.id = {
+        [Op.notIn]: excludeDriverIds
+      };
+    }
+
+    // Pooled trips need a shared-ride vehicle
+    if (trip.rideType === 'pooled') {
+      where.vehicleType = {
+        [Op.in]: exports.POOL_VEHICLE_TYPES
+      };
+    }
     
     // Find available drivers within the specified radius
     const availableDrivers = await Driver.findAll({
-      where: {
-        isAvailable: true,
-        isVerified: true,
-        currentLocation: {
-          [Op.ne]: null
-        }
-      },
+      where,
       include: [
         {
           model: User,
@@ -71,7 +117,12 @@ exports.findOptimalDriver = async (tripId) => {
       order: [[sequelize.literal('distance'), 'ASC']]
     });
 
-    if (availableDrivers.length === 0) {
+    // Keep only vehicles with enough passenger seats; a pooled trip brings everyone in its pool
+    const pool = trip.poolId ? await RidePool.findByPk(trip.poolId) : null;
+    const seatsNeeded = pool ? pool.seatsTaken : (trip.seatsRequested || 1);
+    const seatedDrivers = availableDrivers.filter(driver => driver.getSeatCapacity() >= seatsNeeded);
+
+    if (seatedDrivers.length === 0) {
       return {
         success: false,
         message: 'No available drivers found in the area'
@@ -80,7 +131,7 @@ exports.findOptimalDriver = async (tripId) => {
 
     // Calculate matching scores for each driver
     const scoredDrivers = await Promise.all(
-      availableDrivers.map(async (driver) => {
+      seatedDrivers.map(async (driver) => {
         const score = await calculateMatchingScore(driver, client, trip);
         return {
           driverId: driver.id,
@@ -98,15 +149,9 @@ exports.findOptimalDriver = async (tripId) => {
     // Sort by matching score (descending)
     scoredDrivers.sort((a, b) => b.score - a.score);
 
-    // Select the best driver
-    const bestMatch = scoredDrivers[0];
-
     return {
       success: true,
-      driverId: bestMatch.driverId,
-      userId: bestMatch.userId,
-      distance: bestMatch.distance,
-      score: bestMatch.score
+      drivers: scoredDrivers
     };
   } catch (error) {
     console.error('Driver matching error:', error);
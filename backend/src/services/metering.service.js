@@ -0,0 +1,152 @@
+/**
+ * Metering Service for Taxi-Express
+ * Computes the final fare of a trip from its GPS track and timings, and checks driver-reported values
+ */
+
+const { TripStop, Driver } = require('../models');
+const { calculateMeteredFare } = require('./pricing.service');
+const { measureTrack } = require('./tracking.service');
+const { checkFraudRisk } = require('./fraud.service');
+
+// Relative gap between reported and metered values above which the report is flagged
+const FARE_DISCREPANCY_THRESHOLD = parseFloat(process.env.FARE_DISCREPANCY_THRESHOLD) || 0.15;
+
+// Most a GPS-metered distance is billed, as a multiple of the quoted distance; longer tracks are capped and flagged
+const METERED_DISTANCE_CAP_RATIO = parseFloat(process.env.METERED_DISTANCE_CAP_RATIO) || 1.5;
+
+/**
+ * Meter a trip that is about to complete
+ * Distance comes from the GPS track and duration from the start and end times; the estimate is
+ * used for whichever is missing. Pooled trips are billed on their estimate, as the vehicle's path
+ * includes the other riders' detours. A GPS distance far above the quoted one is capped and opens a fraud check.
+ * Trips quoted before rates were recorded keep their estimated price.
+ * @param {Object} trip - Active trip
+ * @param {Date} endTime - Completion time
+ * @returns {Promise<Object>} Metered distance, duration and fare (before waiting charges)
+ */
+exports.meterTrip = async (trip, endTime) => {
+  const isPooled = trip.rideType === 'pooled';
+  const track = isPooled ? null : await measureTrack(trip.id);
+  const distance = track
+    ? await capTrackedDistance(trip, track)
+    : parseFloat(trip.estimatedDistance);
+  const duration = trip.startTime && !isPooled
+    ? Math.max(1, Math.round((endTime - new Date(trip.startTime)) / 60000))
+    : parseInt(trip.estimatedDuration, 10);
+
+  if (!trip.quotedRates) {
+    return {
+      distance,
+      duration,
+      fare: parseFloat(trip.estimatedPrice),
+      distanceSource: distanceSource(track, distance),
+      fareSource: 'estimate'
+    };
+  }
+
+  // Skipped stops are not billed
+  const stopCount = await TripStop.count({
+    where: { tripId: trip.id, status: 'departed' }
+  });
+
+  const metered = calculateMeteredFare(trip.quotedRates, { distance, duration, stopCount });
+  const seats = isPooled ? trip.seatsRequested : 1;
+
+  // The promotion granted at quote time is kept whatever the metered amount; it is per seat, like the fare
+  const fare = Math.max(0, (metered.totalPrice - parseFloat(trip.discountAmount || 0)) * seats);
+
+  return {
+    distance,
+    duration,
+    fare: Math.round(fare * 100) / 100,
+    distanceSource: distanceSource(track, distance),
+    fareSource: 'meter'
+  };
+};
+
+/**
+ * Compare the values a driver reported at completion with the metered ones
+ * and open a fraud check when any of them is off by more than the threshold
+ * @param {Object} trip - Trip being completed
+ * @param {Object} metered - Result of meterTrip
+ * @param {Object} reported - Values sent by the driver: distance, duration, price
+ * @param {string} driverUserId - User ID of the driver who reported them
+ * @returns {Promise<Object>} Deviations per value and whether the report was flagged
+ */
+exports.checkReportedFare = async (trip, metered, reported, driverUserId) => {
+  const computed = {
+    distance: metered.distance,
+    duration: metered.duration,
+    price: metered.fare
+  };
+
+  const deviations = {};
+  Object.keys(computed).forEach(key => {
+    const value = parseFloat(reported[key]);
+    if (!isNaN(value) && computed[key] > 0) {
+      deviations[key] = Math.round(Math.abs(value - computed[key]) / computed[key] * 1000) / 1000;
+    }
+  });
+
+  const maxDeviation = Math.max(0, ...Object.values(deviations));
+  const flagged = maxDeviation > FARE_DISCREPANCY_THRESHOLD;
+
+  if (flagged) {
+    await checkFraudRisk(driverUserId, 'fare_discrepancy', {
+      tripId: trip.id,
+      reported,
+      computed,
+      deviations,
+      maxDeviation,
+      overcharge: Object.keys(deviations).some(key => parseFloat(reported[key]) > computed[key])
+    });
+  }
+
+  return {
+    deviations,
+    flagged
+  };
+};
+
+/**
+ * Cap a GPS-metered distance at a multiple of the quoted distance, and flag the driver when it is exceeded
+ * @param {Object} trip - Trip being metered
+ * @param {Object} track - Result of measureTrack
+ * @returns {Promise<number>} Distance to bill, in kilometers
+ */
+async function capTrackedDistance(trip, track) {
+  const quotedDistance = parseFloat(trip.estimatedDistance);
+  if (!(quotedDistance > 0)) {
+    return track.distance;
+  }
+
+  const capDistance = Math.round(quotedDistance * METERED_DISTANCE_CAP_RATIO * 100) / 100;
+  if (track.distance <= capDistance) {
+    return track.distance;
+  }
+
+  const driver = await Driver.findByPk(trip.driverId);
+  await checkFraudRisk(driver.userId, 'route_manipulation', {
+    tripId: trip.id,
+    trackedDistance: track.distance,
+    quotedDistance,
+    billedDistance: capDistance,
+    droppedPings: track.droppedCount,
+    excess: Math.round((track.distance - quotedDistance) / quotedDistance * 1000) / 1000
+  });
+
+  return capDistance;
+}
+
+/**
+ * Name where a metered distance came from
+ * @param {Object|null} track - Result of measureTrack
+ * @param {number} distance - Distance billed
+ * @returns {string} gps, gps_capped or estimate
+ */
+function distanceSource(track, distance) {
+  if (!track) {
+    return 'estimate';
+  }
+  return distance < track.distance ? 'gps_capped' : 'gps';
+}
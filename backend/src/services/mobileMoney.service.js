@@ -0,0 +1,473 @@
+/**
+ * Mobile Money Service for Taxi-Express
+ * Push-to-pay collections through the operator adapters, confirmed by callback or by polling
+ */
+
+const crypto = require('crypto');
+const { Payment, Driver, Notification, WebhookEvent } = require('../models');
+const { Op } = require('sequelize');
+const { getAdapter } = require('./mobileMoney');
+const { describeError } = require('./mobileMoney/common');
+const { completeTripPayment, completeTipPayment, completeWalletDeposit, completeDebtSettlement } = require('./payment.service');
+const { toMinor, formatMoney } = require('../utils/money');
+
+// Public URL operators notify; the provider name is appended
+const MOBILE_MONEY_CALLBACK_URL = process.env.MOBILE_MONEY_CALLBACK_URL ||
+  'http://localhost:5000/api/payments/mobile-money/callback';
+
+// Payments with no callback after this long are checked with the operator
+const MOBILE_MONEY_POLL_AFTER_SECONDS = parseInt(process.env.MOBILE_MONEY_POLL_AFTER_SECONDS, 10) || 60;
+
+// Payments still unconfirmed after this long are given up as failed
+const MOBILE_MONEY_TIMEOUT_MINUTES = parseInt(process.env.MOBILE_MONEY_TIMEOUT_MINUTES, 10) || 15;
+
+// How often unconfirmed payments are checked
+const POLL_INTERVAL_MS = 30 * 1000;
+
+// Payments checked per sweep, so one sweep cannot flood the operators
+const POLL_BATCH_SIZE = 50;
+
+// What the customer sees on the operator's payment prompt
+const PAYMENT_DESCRIPTIONS = {
+  wallet_deposit: 'Taxi-Express wallet top-up',
+  debt_settlement: 'Taxi-Express commission',
+  tip: 'Taxi-Express driver tip',
+  fare_share: 'Taxi-Express shared trip',
+  trip_payment: 'Taxi-Express trip'
+};
+
+let pollInterval = null;
+
+/**
+ * Get the socket.io instance (required lazily to avoid a circular dependency with server.js)
+ * @returns {Object} socket.io server
+ */
+function getIo() {
+  return require('../server').io;
+}
+
+/**
+ * Send a push-to-pay request for a payment to the customer's phone
+ * The payment stays 'processing' until the operator confirms it by callback or status check
+ * @param {Object} payment - Pending trip payment, tip, wallet deposit or debt settlement, with minor-unit amounts
+ * @param {Object} details - Who pays
+ * @param {string} details.provider - orange, airtel, africell or mpesa
+ * @param {string} details.phoneNumber - Mobile money number to charge
+ * @returns {Promise<Object>} success, the payment, and a message when it could not be requested
+ */
+exports.requestMobileMoneyPayment = async (payment, { provider, phoneNumber }) => {
+  const adapter = getAdapter(provider);
+  const reference = generateReference();
+
+  // Guarded on status so the same payment is never pushed twice at once
+  const [claimed] = await Payment.update({
+    paymentMethod: 'mobile_money',
+    mobileMoneyProvider: provider,
+    mobileMoneyNumber: phoneNumber,
+    transactionReference: reference,
+    externalReference: null,
+    status: 'processing',
+    notes: null,
+    paymentInitiatedAt: new Date()
+  }, {
+    where: {
+      id: payment.id,
+      status: { [Op.in]: ['pending', 'failed'] }
+    }
+  });
+
+  if (!claimed) {
+    return {
+      success: false,
+      payment,
+      message: `Payment is already ${payment.status}`
+    };
+  }
+
+  await payment.reload();
+
+  let result;
+  try {
+    result = await adapter.initiatePayment({
+      reference,
+      amountMinor: Number(payment.amountMinor),
+      currency: payment.currency,
+      phoneNumber,
+      description: PAYMENT_DESCRIPTIONS[payment.transactionType] || 'Taxi-Express trip',
+      callbackUrl: `${MOBILE_MONEY_CALLBACK_URL}/${provider}`
+    });
+  } catch (error) {
+    console.error(`Mobile money initiate error (${provider}):`, describeError(error));
+    result = { status: 'failed', message: describeError(error) };
+  }
+
+  await holdIfUnapplied(payment, result, await applyProviderStatus(payment, result));
+
+  if (payment.status === 'failed') {
+    return {
+      success: false,
+      payment,
+      message: `The ${provider} payment request failed: ${result.message || 'no reason given'}`
+    };
+  }
+
+  return { success: true, payment };
+};
+
+/**
+ * Apply an operator's asynchronous notification, once its signature has been verified
+ * The payment is matched on the operator's reference stored when the request was accepted,
+ * so a notification naming only our reference cannot complete a payment
+ * Notifications reporting another amount or currency than the payment's, and confirmations that
+ * cannot be applied (e.g. the trip was paid another way meanwhile), are held for review
+ * @param {string} provider - Operator that sent it
+ * @param {Object} request - headers and body of the notification
+ * @returns {Promise<Object>} success and the payment, or the reason it could not be applied
+ */
+exports.handleMobileMoneyCallback = async (provider, { headers, body }) => {
+  const result = getAdapter(provider).parseCallback({ headers, body });
+
+  const payment = result.providerReference
+    ? await Payment.findOne({
+      where: {
+        mobileMoneyProvider: provider,
+        externalReference: result.providerReference
+      }
+    })
+    : null;
+
+  if (!payment) {
+    return {
+      success: false,
+      reason: 'unmatched_payment',
+      message: 'No payment matches this notification'
+    };
+  }
+
+  if (result.reference && result.reference !== payment.transactionReference) {
+    return {
+      success: false,
+      payment,
+      reason: 'reference_mismatch',
+      message: `Notification names ${result.reference} but the payment's reference is ${payment.transactionReference}`
+    };
+  }
+
+  if ((result.currency && result.currency !== payment.currency) ||
+    (result.amount !== null && result.amount !== undefined &&
+      toMinor(result.amount, payment.currency) !== Number(payment.amountMinor))) {
+    return {
+      success: false,
+      payment,
+      reason: 'reference_mismatch',
+      message: `Notification is for ${result.amount} ${result.currency || payment.currency} but the payment is ${formatMoney(payment.amountMinor, payment.currency)}`
+    };
+  }
+
+  const outcome = await applyProviderStatus(payment, result);
+
+  if (outcome && !outcome.applied) {
+    return {
+      success: false,
+      payment,
+      reason: 'unapplied_payment',
+      message: outcome.message
+    };
+  }
+
+  return { success: true, payment };
+};
+
+/**
+ * Ask the operator where an unconfirmed payment stands, and give it up once too old
+ * @param {Object} payment - Mobile money payment
+ * @returns {Promise<Object>} The payment, up to date
+ */
+exports.refreshMobileMoneyPayment = async (payment) => {
+  if (payment.status !== 'processing' || !payment.mobileMoneyProvider) {
+    return payment;
+  }
+
+  try {
+    const result = await getAdapter(payment.mobileMoneyProvider).getPaymentStatus({
+      reference: payment.transactionReference,
+      providerReference: payment.externalReference,
+      currency: payment.currency
+    });
+    await holdIfUnapplied(payment, result, await applyProviderStatus(payment, result));
+  } catch (error) {
+    console.error(`Mobile money status error (${payment.mobileMoneyProvider}):`, describeError(error));
+  }
+
+  const timeoutAt = new Date(payment.paymentInitiatedAt).getTime() + MOBILE_MONEY_TIMEOUT_MINUTES * 60 * 1000;
+  if (payment.status === 'processing' && Date.now() >= timeoutAt) {
+    await applyProviderStatus(payment, {
+      status: 'failed',
+      message: `No confirmation from ${payment.mobileMoneyProvider} after ${MOBILE_MONEY_TIMEOUT_MINUTES} minutes`
+    });
+  }
+
+  return payment;
+};
+
+/**
+ * Check every payment still waiting for its operator's confirmation
+ * @returns {Promise<number>} Number of payments checked
+ */
+exports.pollPendingMobileMoneyPayments = async () => {
+  const payments = await Payment.findAll({
+    where: {
+      paymentMethod: 'mobile_money',
+      status: 'processing',
+      paymentInitiatedAt: {
+        [Op.lte]: new Date(Date.now() - MOBILE_MONEY_POLL_AFTER_SECONDS * 1000)
+      }
+    },
+    order: [['paymentInitiatedAt', 'ASC']],
+    limit: POLL_BATCH_SIZE
+  });
+
+  for (const payment of payments) {
+    await exports.refreshMobileMoneyPayment(payment);
+  }
+
+  return payments.length;
+};
+
+/**
+ * Start checking unconfirmed mobile money payments periodically
+ */
+exports.startMobileMoneyPolling = () => {
+  if (pollInterval) {
+    return;
+  }
+
+  pollInterval = setInterval(() => {
+    exports.pollPendingMobileMoneyPayments().catch(error => {
+      console.error('Mobile money polling job error:', error);
+    });
+  }, POLL_INTERVAL_MS);
+};
+
+/**
+ * Stop checking unconfirmed mobile money payments
+ */
+exports.stopMobileMoneyPolling = () => {
+  if (pollInterval) {
+    clearInterval(pollInterval);
+    pollInterval = null;
+  }
+};
+
+/**
+ * Send money back to the number a completed mobile money payment came from
+ * @param {Object} payment - Completed mobile money payment
+ * @param {number} amountMinor - Amount to refund, in minor units of the payment's currency
+ * @returns {Promise<Object>} success, the operator's refund reference and a message
+ */
+exports.refundMobileMoneyPayment = async (payment, amountMinor) => {
+  const adapter = getAdapter(payment.mobileMoneyProvider);
+
+  if (!adapter.supportsPartialRefund && amountMinor !== Number(payment.amountMinor)) {
+    return {
+      success: false,
+      message: `${payment.mobileMoneyProvider} only refunds the full amount paid`
+    };
+  }
+
+  try {
+    return await adapter.refund({
+      reference: payment.transactionReference,
+      providerReference: payment.externalReference,
+      amountMinor,
+      currency: payment.currency,
+      phoneNumber: payment.mobileMoneyNumber
+    });
+  } catch (error) {
+    console.error(`Mobile money refund error (${payment.mobileMoneyProvider}):`, describeError(error));
+    return {
+      success: false,
+      message: describeError(error)
+    };
+  }
+};
+
+/**
+ * Generate our reference for a push-to-pay request
+ * Short and alphanumeric, as some operators limit their reference fields
+ * @returns {string} e.g. "TXM3F9A1C7B2E40"
+ */
+function generateReference() {
+  return `TXM${crypto.randomBytes(6).toString('hex').toUpperCase()}`;
+}
+
+/**
+ * Move a payment on according to what its operator reports
+ * @param {Object} payment - Mobile money payment
+ * @param {Object} result - status, providerReference and message from an adapter
+ * @returns {Promise<Object|null>} For a confirmed payment, whether it was applied and why not; otherwise null
+ */
+async function applyProviderStatus(payment, result) {
+  if (result.providerReference && result.providerReference !== payment.externalReference) {
+    await payment.update({ externalReference: result.providerReference });
+  }
+
+  if (result.status === 'completed') {
+    return completePayment(payment);
+  }
+  if (result.status === 'failed') {
+    await failPayment(payment, result.message);
+  }
+  return null;
+}
+
+/**
+ * Put a payment the operator confirmed but that could not be applied in the admin review queue
+ * Callbacks are queued by the webhook service; this covers confirmations found by polling or on request
+ * @param {Object} payment - Mobile money payment
+ * @param {Object} result - What the operator reported
+ * @param {Object|null} outcome - Result of applyProviderStatus
+ * @returns {Promise<void>}
+ */
+async function holdIfUnapplied(payment, result, outcome) {
+  if (!outcome || outcome.applied) {
+    return;
+  }
+
+  const rawPayload = JSON.stringify(result);
+  await WebhookEvent.create({
+    channel: 'mobile_money',
+    provider: payment.mobileMoneyProvider,
+    rawPayload,
+    payloadHash: crypto.createHash('sha256').update(`${payment.mobileMoneyProvider}:${rawPayload}`).digest('hex'),
+    status: 'needs_review',
+    rejectionReason: 'unapplied_payment',
+    rejectionDetails: outcome.message,
+    paymentId: payment.id
+  });
+}
+
+/**
+ * Complete a confirmed payment: post the trip fare or tip, collect the fare share, credit the wallet deposit or clear commission debt
+ * The operator has taken the money by then, so a payment that cannot be applied is reported back for admin review
+ * @param {Object} payment - Mobile money payment
+ * @returns {Promise<Object>} applied, and a message when it was not
+ */
+async function completePayment(payment) {
+  let driver = null;
+  let result;
+
+  if (payment.transactionType === 'wallet_deposit') {
+    result = await completeWalletDeposit(payment, `Wallet deposit by ${payment.mobileMoneyProvider} mobile money`);
+  } else if (payment.transactionType === 'debt_settlement') {
+    result = await completeDebtSettlement(payment, `Commission debt paid by ${payment.mobileMoneyProvider} mobile money`);
+  } else if (payment.transactionType === 'fare_share') {
+    // Required lazily: the fare split service sends its payment requests through this one
+    result = await require('./fareSplit.service').completeSharePayment(payment);
+  } else if (payment.transactionType === 'tip') {
+    driver = await Driver.findByPk(payment.driverId);
+    result = await completeTipPayment(payment, driver.userId);
+  } else {
+    driver = await Driver.findByPk(payment.driverId);
+    result = await completeTripPayment(payment, driver.userId);
+  }
+
+  if (!result.success) {
+    await payment.reload();
+
+    // A repeated confirmation of a payment this operator already completed is harmless
+    if (result.code === 'already_completed' && payment.status === 'completed' && payment.paymentMethod === 'mobile_money') {
+      return { applied: true };
+    }
+
+    console.error(`Mobile money payment ${payment.id} confirmed but not applied: ${result.message}`);
+    return {
+      applied: false,
+      message: `${payment.mobileMoneyProvider} confirmed the payment but it could not be applied: ${result.message}`
+    };
+  }
+
+  await Notification.create({
+    userId: payment.clientId,
+    type: 'payment_received',
+    title: 'Payment Confirmed',
+    message: `Your ${payment.mobileMoneyProvider} payment of ${formatMoney(payment.amountMinor, payment.currency)} has been confirmed.`,
+    data: { tripId: payment.tripId, paymentId: payment.id },
+    channel: 'app',
+    priority: 'medium'
+  });
+
+  getIo().to(`client_${payment.clientId}`).emit('payment_processed', {
+    tripId: payment.tripId,
+    paymentId: payment.id,
+    status: payment.status,
+    amount: payment.amount,
+    currency: payment.currency
+  });
+
+  if (driver) {
+    await Notification.create({
+      userId: driver.userId,
+      type: 'payment_received',
+      title: 'Payment Received',
+      message: payment.transactionType === 'tip'
+        ? `You've received a tip of ${formatMoney(payment.amountMinor, payment.currency)}.`
+        : `You've received ${formatMoney(payment.driverAmountMinor, payment.currency)} for your trip.`,
+      data: { tripId: payment.tripId, paymentId: payment.id },
+      channel: 'app',
+      priority: 'medium'
+    });
+
+    getIo().to(`driver_${driver.userId}`).emit('payment_received', {
+      tripId: payment.tripId,
+      paymentId: payment.id,
+      status: payment.status,
+      amount: payment.driverAmount,
+      currency: payment.currency
+    });
+  }
+
+  return { applied: true };
+}
+
+/**
+ * Mark a payment the operator refused or never confirmed as failed
+ * @param {Object} payment - Mobile money payment
+ * @param {string} [message] - Reason given by the operator
+ * @returns {Promise<void>}
+ */
+async function failPayment(payment, message) {
+  // Guarded on status so a late failure cannot undo a completed payment
+  const [updated] = await Payment.update({
+    status: 'failed',
+    notes: message || null
+  }, {
+    where: {
+      id: payment.id,
+      status: 'processing'
+    }
+  });
+
+  if (!updated) {
+    return;
+  }
+
+  await payment.reload();
+
+  await Notification.create({
+    userId: payment.clientId,
+    type: 'payment_failed',
+    title: 'Payment Failed',
+    message: `Your ${payment.mobileMoneyProvider} payment of ${formatMoney(payment.amountMinor, payment.currency)} did not go through.${message ? ` ${message}` : ''}`,
+    data: { tripId: payment.tripId, paymentId: payment.id },
+    channel: 'app',
+    priority: 'high'
+  });
+
+  getIo().to(`client_${payment.clientId}`).emit('payment_failed', {
+    tripId: payment.tripId,
+    paymentId: payment.id,
+    status: payment.status,
+    message
+  });
+}
@@ -0,0 +1,84 @@
+/**
+ * Africell Money Adapter for Taxi-Express
+ * Collections through the Afrimoney merchant API (API key)
+ */
+
+const axios = require('axios');
+const { fromMinor } = require('../../utils/money');
+const { toMsisdn } = require('./common');
+
+const API_URL = process.env.AFRICELL_MONEY_API_URL;
+
+exports.supportsPartialRefund = true;
+
+// Afrimoney collection statuses and what they mean for us
+const STATUSES = {
+  PENDING: 'pending',
+  SUCCESSFUL: 'completed',
+  FAILED: 'failed',
+  REJECTED: 'failed'
+};
+
+/**
+ * Headers of an authenticated Afrimoney API call
+ * @returns {Object} Headers
+ */
+function authHeaders() {
+  return {
+    'X-API-Key': process.env.AFRICELL_MONEY_API_KEY,
+    'Content-Type': 'application/json'
+  };
+}
+
+exports.initiatePayment = async ({ reference, amountMinor, currency, phoneNumber, description, callbackUrl }) => {
+  const { data } = await axios.post(`${API_URL}/api/v1/collections`, {
+    externalId: reference,
+    amount: fromMinor(amountMinor, currency),
+    currency,
+    payer: { msisdn: toMsisdn(phoneNumber) },
+    description,
+    callbackUrl
+  }, { headers: authHeaders() });
+
+  return {
+    status: STATUSES[data.status] || 'pending',
+    providerReference: data.transactionId,
+    message: data.reason
+  };
+};
+
+exports.getPaymentStatus = async ({ providerReference }) => {
+  const { data } = await axios.get(`${API_URL}/api/v1/collections/${providerReference}`, {
+    headers: authHeaders()
+  });
+
+  return {
+    status: STATUSES[data.status] || 'pending',
+    providerReference: data.transactionId || providerReference,
+    message: data.reason
+  };
+};
+
+exports.parseCallback = ({ body }) => {
+  return {
+    reference: body.externalId || null,
+    providerReference: body.transactionId,
+    status: STATUSES[body.status] || 'pending',
+    amount: body.amount !== undefined ? body.amount : null,
+    currency: body.currency || null,
+    message: body.reason
+  };
+};
+
+exports.refund = async ({ providerReference, amountMinor, currency }) => {
+  const { data } = await axios.post(`${API_URL}/api/v1/collections/${providerReference}/refund`, {
+    amount: fromMinor(amountMinor, currency),
+    currency
+  }, { headers: authHeaders() });
+
+  return {
+    success: data.status === 'SUCCESSFUL',
+    refundReference: data.refundId,
+    message: data.reason
+  };
+};
@@ -0,0 +1,111 @@
+/**
+ * Airtel Money Adapter for Taxi-Express
+ * Collections through the Airtel Africa Open API (OAuth client credentials)
+ */
+
+const axios = require('axios');
+const { fromMinor } = require('../../utils/money');
+const { toMsisdn, cachedToken } = require('./common');
+
+const API_URL = process.env.AIRTEL_MONEY_API_URL;
+
+// Airtel only refunds whole collections
+exports.supportsPartialRefund = false;
+
+// Airtel transaction status codes and what they mean for us
+const STATUSES = {
+  TIP: 'pending', // transaction in progress
+  TA: 'pending', // transaction ambiguous; resolved by a later status check
+  TS: 'completed',
+  TF: 'failed',
+  TE: 'failed' // transaction expired
+};
+
+const getToken = cachedToken(async () => {
+  const { data } = await axios.post(`${API_URL}/auth/oauth2/token`, {
+    client_id: process.env.AIRTEL_MONEY_CLIENT_ID,
+    client_secret: process.env.AIRTEL_MONEY_CLIENT_SECRET,
+    grant_type: 'client_credentials'
+  });
+
+  return { accessToken: data.access_token, expiresIn: data.expires_in };
+});
+
+/**
+ * Headers of an authenticated Airtel API call
+ * @param {string} currency - Currency of the transaction
+ * @returns {Promise<Object>} Headers
+ */
+async function authHeaders(currency) {
+  return {
+    Authorization: `Bearer ${await getToken()}`,
+    'Content-Type': 'application/json',
+    'X-Country': 'CD',
+    'X-Currency': currency
+  };
+}
+
+exports.initiatePayment = async ({ reference, amountMinor, currency, phoneNumber, description }) => {
+  // Airtel expects the subscriber number without the country code
+  const msisdn = toMsisdn(phoneNumber).slice(3);
+
+  const { data } = await axios.post(`${API_URL}/merchant/v1/payments/`, {
+    reference: description,
+    subscriber: { country: 'CD', currency, msisdn },
+    transaction: {
+      amount: fromMinor(amountMinor, currency),
+      country: 'CD',
+      currency,
+      id: reference
+    }
+  }, { headers: await authHeaders(currency) });
+
+  const accepted = data.status && data.status.success;
+
+  return {
+    status: accepted ? 'pending' : 'failed',
+    providerReference: reference, // Airtel tracks the collection by our transaction id
+    message: data.status && data.status.message
+  };
+};
+
+exports.getPaymentStatus = async ({ reference, currency }) => {
+  const { data } = await axios.get(`${API_URL}/standard/v1/payments/${reference}`, {
+    headers: await authHeaders(currency)
+  });
+
+  const transaction = (data.data && data.data.transaction) || {};
+
+  return {
+    status: STATUSES[transaction.status] || 'pending',
+    providerReference: reference,
+    message: transaction.message
+  };
+};
+
+exports.parseCallback = ({ body }) => {
+  const transaction = body.transaction || {};
+
+  return {
+    reference: transaction.id || null,
+    providerReference: transaction.id,
+    status: STATUSES[transaction.status_code] || 'pending',
+    // Airtel's notification carries no amount; the collection can only be for the amount we pushed
+    amount: null,
+    currency: null,
+    message: transaction.message
+  };
+};
+
+exports.refund = async ({ reference, currency }) => {
+  // Airtel refunds the full collection identified by our transaction id
+  const { data } = await axios.post(`${API_URL}/standard/v1/payments/refund`, {
+    transaction: { airtel_money_id: reference }
+  }, { headers: await authHeaders(currency) });
+
+  return {
+    success: Boolean(data.status && data.status.success),
+    refundReference: data.data && data.data.transaction && data.data.transaction.airtel_money_id,
+    message: data.status && data.status.message
+  };
+};
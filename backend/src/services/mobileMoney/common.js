@@ -0,0 +1,52 @@
+/**
+ * Shared helpers for the mobile money adapters
+ */
+
+/**
+ * Put a DRC phone number in international form without the plus sign
+ * @param {string} phoneNumber - e.g. "+243 81 234 5678" or "0812345678"
+ * @returns {string} e.g. "243812345678"
+ */
+exports.toMsisdn = (phoneNumber) => {
+  const digits = String(phoneNumber).replace(/\D/g, '');
+
+  if (digits.startsWith('243')) {
+    return digits;
+  }
+  return `243${digits.replace(/^0/, '')}`;
+};
+
+/**
+ * Cache an OAuth access token until shortly before it expires
+ * @param {Function} fetchToken - Resolves to { accessToken, expiresIn } with expiresIn in seconds
+ * @returns {Function} Resolves to a valid access token
+ */
+exports.cachedToken = (fetchToken) => {
+  let token = null;
+  let expiresAt = 0;
+
+  return async () => {
+    // Renew a minute early so a token never expires mid-request
+    if (!token || Date.now() >= expiresAt - 60 * 1000) {
+      const { accessToken, expiresIn } = await fetchToken();
+      token = accessToken;
+      expiresAt = Date.now() + (expiresIn || 3600) * 1000;
+    }
+    return token;
+  };
+};
+
+/**
+ * Describe an operator API failure in one line
+ * @param {Error} error - Error thrown by axios
+ * @returns {string} Message
+ */
+exports.describeError = (error) => {
+  if (error.response) {
+    const { status, data } = error.response;
+    const detail = data && (data.message || data.error_description || data.output_ResponseDesc ||
+      (data.status && data.status.message));
+    return `HTTP ${status}${detail ? `: ${detail}` : ''}`;
+  }
+  return error.message;
+};
@@ -0,0 +1,50 @@
+/**
+ * Mobile Money Adapters for Taxi-Express
+ * One adapter per operator behind a common interface
+ *
+ * Every adapter exports:
+ * - initiatePayment({ reference, amountMinor, currency, phoneNumber, description, callbackUrl })
+ *   Sends a push-to-pay request to the customer's phone.
+ *   Resolves to { status, providerReference, message }.
+ * - getPaymentStatus({ reference, providerReference, currency })
+ *   Asks the operator where a payment stands.
+ *   Resolves to { status, providerReference, message }.
+ * - parseCallback({ headers, body })
+ *   Reads the operator's asynchronous notification.
+ *   Returns { reference, providerReference, status, amount, currency, message }; reference may be null when the operator only sends its own,
+ *   amount (in major units) and currency null when the operator does not report them.
+ * - refund({ reference, providerReference, amountMinor, currency, phoneNumber })
+ *   Sends money back for a completed payment.
+ *   Resolves to { success, refundReference, message }.
+ * - supportsPartialRefund
+ *   Whether refund accepts less than the amount paid.
+ *
+ * Statuses are normalised to 'pending', 'completed' or 'failed'.
+ */
+
+const orange = require('./orange.adapter');
+const airtel = require('./airtel.adapter');
+const africell = require('./africell.adapter');
+const mpesa = require('./mpesa.adapter');
+
+const ADAPTERS = {
+  orange,
+  airtel,
+  africell,
+  mpesa
+};
+
+exports.PROVIDERS = Object.keys(ADAPTERS);
+
+/**
+ * Get the adapter of an operator
+ * @param {string} provider - orange, airtel, africell or mpesa
+ * @returns {Object} Adapter
+ */
+exports.getAdapter = (provider) => {
+  const adapter = ADAPTERS[provider];
+  if (!adapter) {
+    throw new Error(`Unsupported mobile money provider: ${provider}`);
+  }
+  return adapter;
+};
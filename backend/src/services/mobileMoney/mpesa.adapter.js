@@ -0,0 +1,107 @@
+/**
+ * M-Pesa Adapter for Taxi-Express
+ * Customer-to-business payments through the Vodacom DRC M-Pesa OpenAPI (API key)
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+const { fromMinor } = require('../../utils/money');
+const { toMsisdn } = require('./common');
+
+const API_URL = process.env.MPESA_API_URL;
+
+exports.supportsPartialRefund = true;
+
+// Response code of an accepted request; anything else is a rejection
+const SUCCESS_CODE = 'INS-0';
+
+// M-Pesa transaction statuses and what they mean for us
+const STATUSES = {
+  Pending: 'pending',
+  Completed: 'completed',
+  Failed: 'failed',
+  Cancelled: 'failed',
+  Expired: 'failed'
+};
+
+/**
+ * Headers of an authenticated M-Pesa API call
+ * @returns {Object} Headers
+ */
+function authHeaders() {
+  return {
+    Authorization: `Bearer ${process.env.MPESA_API_KEY}`,
+    Origin: '*',
+    'Content-Type': 'application/json'
+  };
+}
+
+/**
+ * Fields M-Pesa asks for on every request
+ * @returns {Object} Common request fields
+ */
+function commonFields() {
+  return {
+    input_Country: 'DRC',
+    input_ServiceProviderCode: process.env.MPESA_SERVICE_PROVIDER_CODE,
+    input_ThirdPartyConversationID: crypto.randomBytes(16).toString('hex')
+  };
+}
+
+exports.initiatePayment = async ({ reference, amountMinor, currency, phoneNumber, description }) => {
+  const { data } = await axios.post(`${API_URL}/ipg/v2/vodacomDRC/c2bPayment/singleStage/`, {
+    ...commonFields(),
+    input_Amount: fromMinor(amountMinor, currency).toFixed(2),
+    input_Currency: currency,
+    input_CustomerMSISDN: toMsisdn(phoneNumber),
+    input_TransactionReference: reference,
+    input_PurchasedItemsDesc: description
+  }, { headers: authHeaders() });
+
+  return {
+    status: data.output_ResponseCode === SUCCESS_CODE ? 'pending' : 'failed',
+    providerReference: data.output_TransactionID,
+    message: data.output_ResponseDesc
+  };
+};
+
+exports.getPaymentStatus = async ({ reference }) => {
+  const { data } = await axios.get(`${API_URL}/ipg/v2/vodacomDRC/queryTransactionStatus/`, {
+    params: {
+      ...commonFields(),
+      input_QueryReference: reference
+    },
+    headers: authHeaders()
+  });
+
+  return {
+    status: STATUSES[data.output_ResponseTransactionStatus] || 'pending',
+    providerReference: data.output_TransactionID,
+    message: data.output_ResponseDesc
+  };
+};
+
+exports.parseCallback = ({ body }) => {
+  return {
+    reference: body.input_TransactionReference || null,
+    providerReference: body.input_TransactionID,
+    status: body.input_ResultCode === SUCCESS_CODE ? 'completed' : 'failed',
+    amount: body.input_Amount !== undefined ? body.input_Amount : null,
+    currency: body.input_Currency || null,
+    message: body.input_ResultDesc
+  };
+};
+
+exports.refund = async ({ providerReference, amountMinor, currency }) => {
+  const { data } = await axios.post(`${API_URL}/ipg/v2/vodacomDRC/reversal/`, {
+    ...commonFields(),
+    input_ReversalAmount: fromMinor(amountMinor, currency).toFixed(2),
+    input_TransactionID: providerReference
+  }, { headers: authHeaders() });
+
+  return {
+    success: data.output_ResponseCode === SUCCESS_CODE,
+    refundReference: data.output_TransactionID,
+    message: data.output_ResponseDesc
+  };
+};
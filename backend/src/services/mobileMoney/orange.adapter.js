@@ -0,0 +1,103 @@
+/**
+ * Orange Money Adapter for Taxi-Express
+ * Merchant push-to-pay through the Orange Money API (OAuth client credentials)
+ */
+
+const axios = require('axios');
+const { fromMinor } = require('../../utils/money');
+const { toMsisdn, cachedToken } = require('./common');
+
+const API_URL = process.env.ORANGE_MONEY_API_URL;
+
+exports.supportsPartialRefund = true;
+
+// Orange payment statuses and what they mean for us
+const STATUSES = {
+  INITIATED: 'pending',
+  PENDING: 'pending',
+  SUCCESS: 'completed',
+  FAILED: 'failed',
+  EXPIRED: 'failed'
+};
+
+const getToken = cachedToken(async () => {
+  const credentials = Buffer
+    .from(`${process.env.ORANGE_MONEY_CLIENT_ID}:${process.env.ORANGE_MONEY_CLIENT_SECRET}`)
+    .toString('base64');
+
+  const { data } = await axios.post(`${API_URL}/oauth/v3/token`, 'grant_type=client_credentials', {
+    headers: {
+      Authorization: `Basic ${credentials}`,
+      'Content-Type': 'application/x-www-form-urlencoded'
+    }
+  });
+
+  return { accessToken: data.access_token, expiresIn: data.expires_in };
+});
+
+/**
+ * Headers of an authenticated Orange API call
+ * @returns {Promise<Object>} Headers
+ */
+async function authHeaders() {
+  return {
+    Authorization: `Bearer ${await getToken()}`,
+    'Content-Type': 'application/json'
+  };
+}
+
+exports.initiatePayment = async ({ reference, amountMinor, currency, phoneNumber, description, callbackUrl }) => {
+  const { data } = await axios.post(`${API_URL}/omcd/v1/payments`, {
+    merchant_key: process.env.ORANGE_MONEY_MERCHANT_KEY,
+    order_id: reference,
+    amount: fromMinor(amountMinor, currency),
+    currency,
+    subscriber_msisdn: toMsisdn(phoneNumber),
+    description,
+    notif_url: callbackUrl
+  }, { headers: await authHeaders() });
+
+  return {
+    status: STATUSES[data.status] || 'pending',
+    providerReference: data.pay_token,
+    message: data.message
+  };
+};
+
+exports.getPaymentStatus = async ({ providerReference }) => {
+  const { data } = await axios.get(`${API_URL}/omcd/v1/payments/${providerReference}`, {
+    headers: await authHeaders()
+  });
+
+  return {
+    status: STATUSES[data.status] || 'pending',
+    providerReference: data.pay_token || providerReference,
+    message: data.message
+  };
+};
+
+exports.parseCallback = ({ body }) => {
+  return {
+    reference: body.order_id || null,
+    providerReference: body.pay_token,
+    status: STATUSES[body.status] || 'pending',
+    amount: body.amount !== undefined ? body.amount : null,
+    currency: body.currency || null,
+    message: body.message
+  };
+};
+
+exports.refund = async ({ providerReference, amountMinor, currency }) => {
+  const { data } = await axios.post(`${API_URL}/omcd/v1/refunds`, {
+    merchant_key: process.env.ORANGE_MONEY_MERCHANT_KEY,
+    pay_token: providerReference,
+    amount: fromMinor(amountMinor, currency),
+    currency
+  }, { headers: await authHeaders() });
+
+  return {
+    success: data.status === 'SUCCESS',
+    refundReference: data.refund_id,
+    message: data.message
+  };
+};
@@ -0,0 +1,440 @@
+/**
+ * Payment Service for Taxi-Express
+ * Amounts of trip payments in the rider's currency and in the base currency
+ */
+
+const { Payment, Driver, FareShare } = require('../models');
+const { sequelize } = require('../config/database');
+const { Op } = require('sequelize');
+const { getAccount, postEntry } = require('./ledger.service');
+const { getWallet, deposit } = require('./wallet.service');
+const { getTripCommission, calculatePlatformFeeMinor } = require('./commission.service');
+const { BASE_CURRENCY, toMinor, fromMinor, convertMinor, splitMinor } = require('../utils/money');
+
+// VAT rate the platform fee is quoted inclusive of
+const PLATFORM_FEE_TAX_RATE = parseFloat(process.env.PLATFORM_FEE_TAX_RATE) || 0.16;
+
+exports.PLATFORM_FEE_TAX_RATE = PLATFORM_FEE_TAX_RATE;
+
+/**
+ * Work out the amounts of a completed trip's payment
+ * The fare is priced in the base currency and charged in the trip's currency at the rate locked at booking;
+ * the platform fee is set by the commission policy that applies to the trip
+ * @param {Object} trip - Completed trip with finalPrice
+ * @param {Object} driver - Driver of the trip
+ * @returns {Promise<Object>} Payment fields in minor units, with decimal mirrors, the base-currency equivalents
+ *   and the snapshot of the commission policy
+ */
+exports.buildTripPaymentAmounts = async (trip, driver) => {
+  const currency = trip.currency || BASE_CURRENCY;
+  const exchangeRate = parseFloat(trip.exchangeRate) || 1;
+
+  const baseAmountMinor = toMinor(trip.finalPrice, BASE_CURRENCY);
+  const amountMinor = convertMinor(baseAmountMinor, BASE_CURRENCY, currency, exchangeRate);
+
+  const commission = await getTripCommission(trip, driver);
+  const platformFeeMinor = calculatePlatformFeeMinor(commission, amountMinor, currency, exchangeRate);
+  const driverAmountMinor = amountMinor - platformFeeMinor;
+  const basePlatformFeeMinor = calculatePlatformFeeMinor(commission, baseAmountMinor, BASE_CURRENCY);
+
+  return {
+    currency,
+    amountMinor,
+    platformFeeMinor,
+    driverAmountMinor,
+    amount: fromMinor(amountMinor, currency),
+    platformFee: fromMinor(platformFeeMinor, currency),
+    driverAmount: fromMinor(driverAmountMinor, currency),
+    baseCurrency: BASE_CURRENCY,
+    baseAmountMinor,
+    basePlatformFeeMinor,
+    exchangeRate,
+    exchangeRateId: trip.exchangeRateId || null,
+    commissionPolicyId: commission.policyId,
+    commissionSnapshot: commission
+  };
+};
+
+/**
+ * Mark a trip payment completed and post it to the ledger, in one transaction
+ * Cash changes hands between rider and driver, so for cash trips only the platform fee the driver kept is posted
+ * @param {Object} payment - Trip payment with minor-unit amounts
+ * @param {string} driverUserId - User ID of the trip's driver
+ * @param {Object} [transaction] - Caller's transaction to work in; it must be rolled back when the payment is not completed
+ * @returns {Promise<Object>} success, with code and message when the payment was not completed
+ */
+exports.completeTripPayment = async (payment, driverUserId, transaction) => {
+  try {
+    if (transaction) {
+      await applyTripPayment(payment, driverUserId, transaction);
+    } else {
+      await sequelize.transaction(async (ownTransaction) => {
+        await applyTripPayment(payment, driverUserId, ownTransaction);
+      });
+    }
+  } catch (error) {
+    if (!['already_completed', 'insufficient_funds'].includes(error.code)) {
+      throw error;
+    }
+    return { success: false, code: error.code, message: error.message };
+  }
+
+  await payment.reload({ transaction });
+  return { success: true };
+};
+
+/**
+ * Complete a confirmed wallet deposit and credit the wallet in one transaction
+ * @param {Object} payment - Wallet deposit paid by mobile money or card
+ * @param {string} description - Journal entry description
+ * @returns {Promise<Object>} success, and the code and message when it had already been completed
+ */
+exports.completeWalletDeposit = async (payment, description) => {
+  const credited = await sequelize.transaction(async (transaction) => {
+    // Guarded on status so a repeated notification never credits twice
+    const [updated] = await Payment.update({
+      status: 'completed',
+      paymentCompletedAt: new Date()
+    }, {
+      where: {
+        id: payment.id,
+        status: { [Op.ne]: 'completed' }
+      },
+      transaction
+    });
+
+    if (!updated) {
+      return false;
+    }
+
+    await deposit(payment.clientId, payment.currency, Number(payment.amountMinor), {
+      paymentId: payment.id,
+      description
+    }, transaction);
+    return true;
+  });
+
+  if (!credited) {
+    return { success: false, code: 'already_completed', message: 'Deposit has already been credited' };
+  }
+
+  await payment.reload();
+  return { success: true };
+};
+
+/**
+ * Mark a tip completed and pay all of it to the driver's wallet, in one transaction
+ * Tips carry no commission and are not used to clear commission debt
+ * @param {Object} payment - Tip paid from the rider's wallet or by mobile money
+ * @param {string} driverUserId - User ID of the tipped driver
+ * @returns {Promise<Object>} success, with code and message when the tip was not completed
+ */
+exports.completeTipPayment = async (payment, driverUserId) => {
+  try {
+    await sequelize.transaction(async (transaction) => {
+      // Guarded on status so a tip is never paid out twice
+      const [updated] = await Payment.update({
+        status: 'completed',
+        paymentCompletedAt: new Date()
+      }, {
+        where: {
+          id: payment.id,
+          status: { [Op.ne]: 'completed' }
+        },
+        transaction
+      });
+
+      if (!updated) {
+        throw paymentError('already_completed', 'Tip has already been paid');
+      }
+
+      const { currency } = payment;
+      const source = payment.paymentMethod === 'wallet'
+        ? await getWallet(payment.clientId, currency, transaction)
+        : await getAccount('external_funds', currency, null, transaction);
+
+      await postEntry({
+        type: 'trip_tip',
+        currency,
+        tripId: payment.tripId,
+        paymentId: payment.id,
+        description: `Tip paid by ${payment.paymentMethod}`,
+        lines: [
+          { account: source, debit: Number(payment.amountMinor) },
+          { account: await getWallet(driverUserId, currency, transaction), credit: Number(payment.amountMinor) }
+        ]
+      }, transaction);
+
+      // Lifetime earnings are kept in the base currency
+      await Driver.increment('totalEarnings', {
+        by: fromMinor(Number(payment.baseAmountMinor), BASE_CURRENCY),
+        where: { id: payment.driverId },
+        transaction
+      });
+    });
+  } catch (error) {
+    if (!['already_completed', 'insufficient_funds'].includes(error.code)) {
+      throw error;
+    }
+    return { success: false, code: error.code, message: error.message };
+  }
+
+  await payment.reload();
+  return { success: true };
+};
+
+/**
+ * Mark a fare share payment completed, hold the amount for the trip and mark the shares it pays, in one transaction
+ * The trip itself is paid from what was held once every share is collected
+ * @param {Object} payment - Fare share paid from the rider's wallet or by mobile money
+ * @returns {Promise<Object>} success, with code and message when the payment was not completed
+ */
+exports.completeFareSharePayment = async (payment) => {
+  try {
+    await sequelize.transaction(async (transaction) => {
+      // Guarded on status so a share is never collected twice
+      const [updated] = await Payment.update({
+        status: 'completed',
+        paymentCompletedAt: new Date()
+      }, {
+        where: {
+          id: payment.id,
+          status: { [Op.ne]: 'completed' }
+        },
+        transaction
+      });
+
+      if (!updated) {
+        throw paymentError('already_completed', 'Fare share has already been paid');
+      }
+
+      const { currency } = payment;
+      const source = payment.paymentMethod === 'wallet'
+        ? await getWallet(payment.clientId, currency, transaction)
+        : await getAccount('external_funds', currency, null, transaction);
+
+      await postEntry({
+        type: 'fare_share',
+        currency,
+        tripId: payment.tripId,
+        paymentId: payment.id,
+        description: `Fare share paid by ${payment.paymentMethod}`,
+        lines: [
+          { account: source, debit: Number(payment.amountMinor) },
+          { account: await getAccount('fare_split_holding', currency, null, transaction), credit: Number(payment.amountMinor) }
+        ]
+      }, transaction);
+
+      await FareShare.update({
+        status: 'paid',
+        paidAt: new Date()
+      }, {
+        where: {
+          paymentId: payment.id,
+          status: 'pending'
+        },
+        transaction
+      });
+    });
+  } catch (error) {
+    if (!['already_completed', 'insufficient_funds'].includes(error.code)) {
+      throw error;
+    }
+    return { success: false, code: error.code, message: error.message };
+  }
+
+  await payment.reload();
+  return { success: true };
+};
+
+/**
+ * Complete a confirmed payment of commission debt and clear the debt with it in one transaction
+ * Anything paid beyond the debt goes to the driver's wallet
+ * @param {Object} payment - Debt settlement paid by the driver
+ * @param {string} description - Journal entry description
+ * @returns {Promise<Object>} success, and the code and message when it had already been completed
+ */
+exports.completeDebtSettlement = async (payment, description) => {
+  const settled = await sequelize.transaction(async (transaction) => {
+    // Guarded on status so a repeated notification never clears debt twice
+    const [updated] = await Payment.update({
+      status: 'completed',
+      paymentCompletedAt: new Date()
+    }, {
+      where: {
+        id: payment.id,
+        status: { [Op.ne]: 'completed' }
+      },
+      transaction
+    });
+
+    if (!updated) {
+      return false;
+    }
+
+    const { currency } = payment;
+    const amountMinor = Number(payment.amountMinor);
+    const receivable = await lockedAccount('driver_commission_receivable', currency, payment.clientId, transaction);
+    const clearedMinor = Math.min(Number(receivable.balanceMinor), amountMinor);
+
+    await postEntry({
+      type: 'commission_debt_payment',
+      currency,
+      paymentId: payment.id,
+      description,
+      lines: [
+        { account: await getAccount('external_funds', currency, null, transaction), debit: amountMinor },
+        { account: receivable, credit: clearedMinor },
+        { account: await getWallet(payment.clientId, currency, transaction), credit: amountMinor - clearedMinor }
+      ]
+    }, transaction);
+    return true;
+  });
+
+  if (!settled) {
+    return { success: false, code: 'already_completed', message: 'Debt payment has already been applied' };
+  }
+
+  await payment.reload();
+  return { success: true };
+};
+
+/**
+ * Post the journal entry of a trip payment
+ * The fare comes out of the rider's wallet, the fare shares collected for the trip or funds received by the platform,
+ * and is shared between the driver's wallet, platform revenue and the tax included in the fee.
+ * Commission the driver owes from cash trips is cleared from their share before it reaches the wallet.
+ * @param {Object} payment - Trip payment with minor-unit amounts
+ * @param {string} driverUserId - User ID of the trip's driver
+ * @param {Object} transaction - Transaction to work in
+ * @returns {Promise<Object>} Journal entry
+ */
+async function postTripPayment(payment, driverUserId, transaction) {
+  const { currency } = payment;
+  const { share: taxMinor, remainder: revenueMinor } = splitMinor(
+    payment.platformFeeMinor,
+    PLATFORM_FEE_TAX_RATE / (1 + PLATFORM_FEE_TAX_RATE)
+  );
+
+  let source;
+  if (payment.paymentMethod === 'wallet') {
+    source = await getWallet(payment.clientId, currency, transaction);
+  } else if (payment.paymentMethod === 'split') {
+    source = await getAccount('fare_split_holding', currency, null, transaction);
+  } else {
+    source = await getAccount('external_funds', currency, null, transaction);
+  }
+
+  // Commission the driver still owes from cash trips is taken out of their share first
+  const receivable = await lockedAccount('driver_commission_receivable', currency, driverUserId, transaction);
+  const driverAmountMinor = Number(payment.driverAmountMinor);
+  const offsetMinor = Math.min(Number(receivable.balanceMinor), driverAmountMinor);
+
+  return postEntry({
+    type: 'trip_payment',
+    currency,
+    tripId: payment.tripId,
+    paymentId: payment.id,
+    description: `Trip fare paid by ${payment.paymentMethod}`,
+    lines: [
+      { account: source, debit: Number(payment.amountMinor) },
+      { account: await getWallet(driverUserId, currency, transaction), credit: driverAmountMinor - offsetMinor },
+      { account: receivable, credit: offsetMinor },
+      { account: await getAccount('platform_revenue', currency, null, transaction), credit: revenueMinor },
+      { account: await getAccount('tax_payable', currency, null, transaction), credit: taxMinor }
+    ]
+  }, transaction);
+}
+
+/**
+ * Mark a trip payment completed and post it, within a transaction
+ * @param {Object} payment - Trip payment with minor-unit amounts
+ * @param {string} driverUserId - User ID of the trip's driver
+ * @param {Object} transaction - Transaction to work in
+ * @returns {Promise<void>}
+ * @throws {Error} With code 'already_completed' or 'insufficient_funds'
+ */
+async function applyTripPayment(payment, driverUserId, transaction) {
+  // Guarded on status so a payment is never posted twice
+  const [updated] = await Payment.update({
+    status: 'completed',
+    paymentCompletedAt: new Date()
+  }, {
+    where: {
+      id: payment.id,
+      status: { [Op.ne]: 'completed' }
+    },
+    transaction
+  });
+
+  if (!updated) {
+    throw paymentError('already_completed', 'Payment has already been processed for this trip');
+  }
+
+  if (payment.paymentMethod === 'cash') {
+    await postCashTripCommission(payment, driverUserId, transaction);
+  } else {
+    await postTripPayment(payment, driverUserId, transaction);
+  }
+}
+
+/**
+ * Post the platform fee a driver kept on a cash trip
+ * The fee comes out of the driver's wallet as far as it covers it; the rest becomes commission debt
+ * @param {Object} payment - Cash trip payment with minor-unit amounts
+ * @param {string} driverUserId - User ID of the trip's driver
+ * @param {Object} transaction - Transaction to work in
+ * @returns {Promise<Object>} Journal entry
+ */
+async function postCashTripCommission(payment, driverUserId, transaction) {
+  const { currency } = payment;
+  const feeMinor = Number(payment.platformFeeMinor);
+  const { share: taxMinor, remainder: revenueMinor } = splitMinor(
+    feeMinor,
+    PLATFORM_FEE_TAX_RATE / (1 + PLATFORM_FEE_TAX_RATE)
+  );
+
+  const wallet = await getWallet(driverUserId, currency, transaction);
+  await wallet.reload({ transaction, lock: transaction.LOCK.UPDATE });
+
+  const fromWalletMinor = Math.min(Number(wallet.balanceMinor), feeMinor);
+
+  return postEntry({
+    type: 'cash_trip_commission',
+    currency,
+    tripId: payment.tripId,
+    paymentId: payment.id,
+    description: 'Platform fee kept by the driver on a cash trip',
+    lines: [
+      { account: wallet, debit: fromWalletMinor },
+      { account: await getAccount('driver_commission_receivable', currency, driverUserId, transaction), debit: feeMinor - fromWalletMinor },
+      { account: await getAccount('platform_revenue', currency, null, transaction), credit: revenueMinor },
+      { account: await getAccount('tax_payable', currency, null, transaction), credit: taxMinor }
+    ]
+  }, transaction);
+}
+
+/**
+ * Get a ledger account and lock it for the rest of the transaction, so its balance can be relied on
+ * @param {string} type - Account type
+ * @param {string} currency - Account currency
+ * @param {string} userId - Owner of the account
+ * @param {Object} transaction - Transaction to work in
+ * @returns {Promise<Object>} Ledger account with its current balance
+ */
+async function lockedAccount(type, currency, userId, transaction) {
+  const account = await getAccount(type, currency, userId, transaction);
+  return account.reload({ transaction, lock: transaction.LOCK.UPDATE });
+}
+
+/**
+ * Build an error carrying a code callers can act on
+ * @param {string} code - Error code
+ * @param {string} message - Error message
+ * @returns {Error} Error with the code
+ */
+function paymentError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
@@ -0,0 +1,522 @@
+/**
+ * Payout Service for Taxi-Express
+ * Driver withdrawals from request to settlement, paid out in batches through disbursement files
+ */
+
+const crypto = require('crypto');
+const { Withdrawal, PayoutBatch, Notification } = require('../models');
+const { sequelize } = require('../config/database');
+const { Op } = require('sequelize');
+const { holdPayout, settlePayout } = require('./wallet.service');
+const { sendSms } = require('./sms.service');
+const { fromMinor, formatAmount, formatMoney } = require('../utils/money');
+
+// Columns of the disbursement file for each payout method, and how each is filled from a withdrawal
+const EXPORT_COLUMNS = {
+  bank: {
+    reference: withdrawal => withdrawal.reference,
+    beneficiary_name: withdrawal => withdrawal.accountName,
+    bank_name: withdrawal => withdrawal.bankName,
+    account_number: withdrawal => withdrawal.bankAccount,
+    amount: withdrawal => formatAmount(withdrawal.amountMinor, withdrawal.currency),
+    currency: withdrawal => withdrawal.currency,
+    narrative: withdrawal => `Taxi-Express payout ${withdrawal.reference}`
+  },
+  mobile_money: {
+    reference: withdrawal => withdrawal.reference,
+    provider: withdrawal => withdrawal.mobileMoneyProvider,
+    msisdn: withdrawal => withdrawal.mobileMoneyNumber,
+    beneficiary_name: withdrawal => withdrawal.accountName,
+    amount: withdrawal => formatAmount(withdrawal.amountMinor, withdrawal.currency),
+    currency: withdrawal => withdrawal.currency,
+    narrative: withdrawal => `Taxi-Express payout ${withdrawal.reference}`
+  }
+};
+
+// Statuses banks and operators use in settlement files, and what each means for a withdrawal
+const SETTLEMENT_STATUSES = {
+  settled: 'settled',
+  success: 'settled',
+  successful: 'settled',
+  paid: 'settled',
+  completed: 'settled',
+  failed: 'failed',
+  failure: 'failed',
+  rejected: 'failed',
+  returned: 'failed',
+  error: 'failed'
+};
+
+/**
+ * Record a driver's withdrawal request and hold the amount out of their wallet in escrow
+ * @param {Object} driver - Driver asking to be paid
+ * @param {Object} request - The withdrawal
+ * @param {number} request.amountMinor - Amount in minor units
+ * @param {string} request.currency - Wallet currency
+ * @param {string} request.method - bank or mobile_money
+ * @param {string} request.accountName - Beneficiary name
+ * @param {string} [request.bankName] - Bank, for bank payouts
+ * @param {string} [request.bankAccount] - Account number, for bank payouts
+ * @param {string} [request.mobileMoneyProvider] - Operator, for mobile money payouts
+ * @param {string} [request.mobileMoneyNumber] - Number, for mobile money payouts
+ * @returns {Promise<Object>} The withdrawal, and the wallet balance left in minor units
+ * @throws {Error} With code 'insufficient_funds' when the wallet does not cover the amount
+ */
+exports.requestWithdrawal = async (driver, request) => {
+  return sequelize.transaction(async (transaction) => {
+    const withdrawal = await Withdrawal.create({
+      reference: generateReference(),
+      driverId: driver.id,
+      userId: driver.userId,
+      currency: request.currency,
+      amountMinor: request.amountMinor,
+      amount: fromMinor(request.amountMinor, request.currency),
+      method: request.method,
+      accountName: request.accountName,
+      bankName: request.method === 'bank' ? request.bankName : null,
+      bankAccount: request.method === 'bank' ? request.bankAccount : null,
+      mobileMoneyProvider: request.method === 'mobile_money' ? request.mobileMoneyProvider : null,
+      mobileMoneyNumber: request.method === 'mobile_money' ? request.mobileMoneyNumber : null,
+      status: 'requested'
+    }, { transaction });
+
+    const balanceMinor = await holdPayout(driver.userId, request.currency, request.amountMinor, {
+      withdrawalId: withdrawal.id,
+      description: `Withdrawal ${withdrawal.reference} requested`
+    }, transaction);
+
+    return { withdrawal, balanceMinor };
+  });
+};
+
+/**
+ * Approve a requested withdrawal for the next payout batch, or reject it and release the escrow
+ * @param {string} withdrawalId - ID of the withdrawal
+ * @param {Object} decision - The review
+ * @param {string} decision.status - approved or rejected
+ * @param {string} [decision.notes] - Admin notes
+ * @param {string} [decision.rejectionReason] - Why it was rejected
+ * @param {string} decision.adminId - Reviewing admin
+ * @returns {Promise<Object>} success and the withdrawal, or a code and message
+ */
+exports.reviewWithdrawal = async (withdrawalId, { status, notes, rejectionReason, adminId }) => {
+  const withdrawal = await Withdrawal.findByPk(withdrawalId);
+
+  if (!withdrawal) {
+    return { success: false, code: 'not_found', message: 'Withdrawal not found' };
+  }
+
+  const reviewed = await sequelize.transaction(async (transaction) => {
+    // Guarded on status so a withdrawal is reviewed, and its escrow released, only once
+    const [updated] = await Withdrawal.update({
+      status,
+      notes: notes || null,
+      failureReason: status === 'rejected' ? rejectionReason : null,
+      reviewedBy: adminId,
+      reviewedAt: new Date()
+    }, {
+      where: { id: withdrawal.id, status: 'requested' },
+      transaction
+    });
+
+    if (!updated) {
+      return false;
+    }
+
+    if (status === 'rejected') {
+      await settlePayout(withdrawal.userId, withdrawal.currency, Number(withdrawal.amountMinor), false, {
+        withdrawalId: withdrawal.id,
+        createdBy: adminId,
+        description: `Withdrawal ${withdrawal.reference} rejected: ${rejectionReason}`
+      }, transaction);
+    }
+    return true;
+  });
+
+  if (!reviewed) {
+    return { success: false, code: 'already_reviewed', message: `Withdrawal has already been ${withdrawal.status}` };
+  }
+
+  await withdrawal.reload();
+
+  if (status === 'rejected') {
+    await notifyDriver(withdrawal, 'rejected');
+  }
+
+  return { success: true, withdrawal };
+};
+
+/**
+ * Gather approved withdrawals for one payout method and currency into a batch
+ * @param {Object} options - What goes into the batch
+ * @param {string} options.method - bank or mobile_money
+ * @param {string} options.currency - Currency of the batch
+ * @param {Date} [options.cutoffAt] - Take withdrawals approved before this; defaults to the start of this week,
+ *   so a weekly run pays everything approved up to the end of last week
+ * @param {string} options.adminId - Admin building the batch
+ * @returns {Promise<Object>} success and the batch, or a code and message
+ */
+exports.createPayoutBatch = async ({ method, currency, cutoffAt, adminId }) => {
+  const cutoff = cutoffAt ? new Date(cutoffAt) : startOfWeek(new Date());
+
+  const batch = await sequelize.transaction(async (transaction) => {
+    const withdrawals = await Withdrawal.findAll({
+      where: {
+        method,
+        currency,
+        status: 'approved',
+        payoutBatchId: null,
+        reviewedAt: { [Op.lt]: cutoff }
+      },
+      lock: transaction.LOCK.UPDATE,
+      transaction
+    });
+
+    if (!withdrawals.length) {
+      return null;
+    }
+
+    const created = await PayoutBatch.create({
+      reference: batchReference(method, currency, cutoff),
+      method,
+      currency,
+      cutoffAt: cutoff,
+      status: 'open',
+      withdrawalCount: withdrawals.length,
+      totalAmountMinor: withdrawals.reduce((sum, withdrawal) => sum + Number(withdrawal.amountMinor), 0),
+      createdBy: adminId
+    }, { transaction });
+
+    await Withdrawal.update({ payoutBatchId: created.id }, {
+      where: { id: { [Op.in]: withdrawals.map(withdrawal => withdrawal.id) } },
+      transaction
+    });
+
+    return created;
+  });
+
+  if (!batch) {
+    return {
+      success: false,
+      code: 'nothing_to_pay',
+      message: `No approved ${method} withdrawals in ${currency} before ${cutoff.toISOString()}`
+    };
+  }
+
+  return { success: true, batch };
+};
+
+/**
+ * Build the disbursement file of a batch for the bank or operator
+ * The first export marks the batch exported and its withdrawals sent; later exports return the same file
+ * @param {string} batchId - ID of the batch
+ * @returns {Promise<Object|null>} The batch, filename and CSV content, or null when the batch does not exist
+ */
+exports.exportPayoutBatch = async (batchId) => {
+  const batch = await PayoutBatch.findByPk(batchId);
+
+  if (!batch) {
+    return null;
+  }
+
+  if (batch.status === 'open') {
+    await sequelize.transaction(async (transaction) => {
+      // Guarded on status so only the first export sends the withdrawals
+      const [updated] = await PayoutBatch.update({
+        status: 'exported',
+        exportedAt: new Date()
+      }, {
+        where: { id: batch.id, status: 'open' },
+        transaction
+      });
+
+      if (updated) {
+        await Withdrawal.update({ status: 'sent', sentAt: new Date() }, {
+          where: { payoutBatchId: batch.id, status: 'approved' },
+          transaction
+        });
+      }
+    });
+    await batch.reload();
+  }
+
+  const withdrawals = await Withdrawal.findAll({
+    where: { payoutBatchId: batch.id },
+    order: [['reference', 'ASC']]
+  });
+
+  const columns = EXPORT_COLUMNS[batch.method];
+  const lines = [
+    Object.keys(columns).join(','),
+    ...withdrawals.map(withdrawal =>
+      Object.values(columns).map(column => csvField(column(withdrawal))).join(',')
+    )
+  ];
+
+  return {
+    batch,
+    filename: `${batch.reference}.csv`,
+    content: `${lines.join('\r\n')}\r\n`
+  };
+};
+
+/**
+ * Apply the settlement results of an exported batch
+ * Settled withdrawals leave the platform; failed ones go back to the driver's wallet.
+ * The batch closes once every withdrawal in it has a result.
+ * @param {string} batchId - ID of the batch
+ * @param {Array<Object>} results - reference, status, and optionally settlementReference and reason, per withdrawal
+ * @param {string} adminId - Admin importing the results
+ * @returns {Promise<Object|null>} Counts of settled and failed withdrawals, the rows skipped and why, and the batch;
+ *   null when the batch does not exist
+ */
+exports.importSettlements = async (batchId, results, adminId) => {
+  const batch = await PayoutBatch.findByPk(batchId);
+
+  if (!batch) {
+    return null;
+  }
+
+  const summary = { settled: 0, failed: 0, skipped: [] };
+
+  for (const result of results) {
+    const outcome = SETTLEMENT_STATUSES[String(result.status || '').trim().toLowerCase()];
+    if (!outcome) {
+      summary.skipped.push({ reference: result.reference, reason: `Unknown status: ${result.status}` });
+      continue;
+    }
+
+    const withdrawal = await Withdrawal.findOne({
+      where: { payoutBatchId: batch.id, reference: String(result.reference || '').trim() }
+    });
+
+    if (!withdrawal) {
+      summary.skipped.push({ reference: result.reference, reason: 'Not in this batch' });
+      continue;
+    }
+
+    const applied = await settleWithdrawal(withdrawal, outcome, result, adminId);
+    if (!applied) {
+      summary.skipped.push({ reference: result.reference, reason: `Withdrawal is ${withdrawal.status}` });
+      continue;
+    }
+
+    summary[outcome] += 1;
+    await withdrawal.reload();
+    await notifyDriver(withdrawal, outcome);
+  }
+
+  const outstanding = await Withdrawal.count({
+    where: { payoutBatchId: batch.id, status: { [Op.in]: ['approved', 'sent'] } }
+  });
+
+  if (!outstanding && batch.status !== 'closed') {
+    await batch.update({ status: 'closed', closedAt: new Date() });
+  }
+
+  return { ...summary, batch };
+};
+
+/**
+ * Read a settlement file returned by the bank or operator
+ * Expects a header row naming at least reference and status; settlement_reference and reason are optional
+ * @param {string} content - CSV content
+ * @returns {Array<Object>} reference, status, settlementReference and reason per row
+ */
+exports.parseSettlementFile = (content) => {
+  const [header, ...rows] = parseCsv(content);
+  if (!header) {
+    return [];
+  }
+
+  const columns = header.map(name => name.trim().toLowerCase());
+  return rows
+    .filter(row => row.some(value => value.trim() !== ''))
+    .map(row => {
+      const value = name => {
+        const index = columns.indexOf(name);
+        return index === -1 ? undefined : row[index];
+      };
+      return {
+        reference: value('reference'),
+        status: value('status'),
+        settlementReference: value('settlement_reference'),
+        reason: value('reason')
+      };
+    });
+};
+
+/**
+ * Settle or fail a sent withdrawal and move its escrow accordingly
+ * @param {Object} withdrawal - Withdrawal in an exported batch
+ * @param {string} outcome - settled or failed
+ * @param {Object} result - settlementReference and reason from the settlement file
+ * @param {string} adminId - Admin importing the result
+ * @returns {Promise<boolean>} False when the withdrawal was not waiting for a result
+ */
+async function settleWithdrawal(withdrawal, outcome, result, adminId) {
+  return sequelize.transaction(async (transaction) => {
+    // Guarded on status so an imported file applied twice moves the escrow once
+    const [updated] = await Withdrawal.update({
+      status: outcome,
+      settlementReference: result.settlementReference || null,
+      failureReason: outcome === 'failed' ? (result.reason || 'Not specified') : null,
+      settledAt: new Date()
+    }, {
+      where: { id: withdrawal.id, status: 'sent' },
+      transaction
+    });
+
+    if (!updated) {
+      return false;
+    }
+
+    await settlePayout(withdrawal.userId, withdrawal.currency, Number(withdrawal.amountMinor), outcome === 'settled', {
+      withdrawalId: withdrawal.id,
+      createdBy: adminId,
+      description: outcome === 'settled'
+        ? `Withdrawal ${withdrawal.reference} paid out`
+        : `Withdrawal ${withdrawal.reference} failed: ${result.reason || 'not specified'}`
+    }, transaction);
+    return true;
+  });
+}
+
+/**
+ * Tell a driver how their withdrawal ended, in the app and by SMS
+ * @param {Object} withdrawal - Withdrawal
+ * @param {string} outcome - settled, failed or rejected
+ * @returns {Promise<void>}
+ */
+async function notifyDriver(withdrawal, outcome) {
+  const amount = formatMoney(withdrawal.amountMinor, withdrawal.currency);
+  const paid = outcome === 'settled';
+
+  await Notification.create({
+    userId: withdrawal.userId,
+    type: 'account_update',
+    title: paid ? 'Withdrawal Paid' : (outcome === 'rejected' ? 'Withdrawal Rejected' : 'Withdrawal Failed'),
+    message: paid
+      ? `Your withdrawal of ${amount} has been paid out.`
+      : `Your withdrawal of ${amount} was not paid. Reason: ${withdrawal.failureReason}. The amount is back in your wallet.`,
+    data: { withdrawalId: withdrawal.id, reference: withdrawal.reference },
+    channel: 'app',
+    priority: 'high'
+  });
+
+  try {
+    await sendSms(withdrawal.userId, paid ? 'withdrawal_processed' : 'withdrawal_rejected', {
+      amount: formatAmount(withdrawal.amountMinor, withdrawal.currency),
+      currency: withdrawal.currency,
+      reason: withdrawal.failureReason
+    });
+  } catch (error) {
+    console.error('Withdrawal SMS error:', error);
+  }
+}
+
+/**
+ * Generate a withdrawal reference
+ * Short and alphanumeric, as banks and operators limit their reference fields
+ * @returns {string} e.g. "WD3F9A1C7B2E40"
+ */
+function generateReference() {
+  return `WD${crypto.randomBytes(6).toString('hex').toUpperCase()}`;
+}
+
+/**
+ * Build a batch reference from its method, currency and ISO week
+ * @param {string} method - bank or mobile_money
+ * @param {string} currency - Currency of the batch
+ * @param {Date} cutoff - Cutoff of the batch
+ * @returns {string} e.g. "PB-2026W42-CDF-BANK-3F9A"
+ */
+function batchReference(method, currency, cutoff) {
+  // ISO week of the day before the cutoff, i.e. the last week the batch covers
+  const day = new Date(Date.UTC(cutoff.getUTCFullYear(), cutoff.getUTCMonth(), cutoff.getUTCDate() - 1));
+  day.setUTCDate(day.getUTCDate() + 4 - (day.getUTCDay() || 7));
+  const yearStart = new Date(Date.UTC(day.getUTCFullYear(), 0, 1));
+  const week = Math.ceil(((day - yearStart) / 86400000 + 1) / 7);
+
+  return [
+    'PB',
+    `${day.getUTCFullYear()}W${String(week).padStart(2, '0')}`,
+    currency,
+    method.toUpperCase(),
+    crypto.randomBytes(2).toString('hex').toUpperCase()
+  ].join('-');
+}
+
+/**
+ * Monday 00:00 UTC of the week a date falls in
+ * @param {Date} date - Any date
+ * @returns {Date} Start of its week
+ */
+function startOfWeek(date) {
+  const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+  return start;
+}
+
+/**
+ * Quote a value for a CSV file when it needs it
+ * Values starting with a formula character are prefixed so spreadsheets do not run them
+ * @param {*} value - Field value
+ * @returns {string} CSV field
+ */
+function csvField(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (/^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Split CSV content into rows of fields, honouring quoted fields
+ * @param {string} content - CSV content
+ * @returns {Array<Array<string>>} Rows
+ */
+function parseCsv(content) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < content.length; i += 1) {
+    const char = content[i];
+
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') {
+        i += 1;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+}
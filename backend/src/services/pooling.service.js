@@ -0,0 +1,408 @@
+/**
+ * Pooling Service for Taxi-Express
+ * Groups compatible pooled trip requests into shared rides on one vehicle
+ */
+
+const { Trip, Driver, User, Notification, RidePool } = require('../models');
+const { Op, literal } = require('sequelize');
+const { haversineDistance, pathDistance } = require('../utils/geo');
+const { transitionTrip } = require('./tripState.service');
+
+// Largest extra distance a rider accepts because of pooling, in km and as a share of the direct trip
+const MAX_DETOUR_KM = parseFloat(process.env.POOL_MAX_DETOUR_KM) || 3;
+const MAX_DETOUR_RATIO = parseFloat(process.env.POOL_MAX_DETOUR_RATIO) || 0.4;
+
+// Minutes a new pool stays open to further riders
+const MATCH_WINDOW_MINUTES = parseInt(process.env.POOL_MATCH_WINDOW_MINUTES, 10) || 10;
+
+// Seats assumed until a driver, and so a vehicle, is attached to the pool
+const INITIAL_SEAT_CAPACITY = 4;
+
+// Trip statuses that still occupy a seat in a pool
+const SEATED_STATUSES = ['requested', 'assigned', 'active'];
+
+/**
+ * Get the socket.io instance lazily to avoid a circular import with server.js
+ * @returns {Object} socket.io server
+ */
+function getIo() {
+  return require('../server').io;
+}
+
+/**
+ * Add a pooled trip to a compatible open pool, or open a new pool for it
+ * @param {Object} trip - Pooled trip in requested status
+ * @returns {Promise<Object>} The pool and whether it was newly created (and so needs dispatch)
+ */
+exports.joinOrCreatePool = async (trip) => {
+  const seats = trip.seatsRequested || 1;
+
+  const openPools = await RidePool.findAll({
+    where: {
+      status: {
+        [Op.in]: ['forming', 'assigned']
+      },
+      closesAt: {
+        [Op.gt]: new Date()
+      }
+    },
+    include: [{
+      model: Trip,
+      as: 'trips',
+      where: {
+        status: {
+          [Op.in]: SEATED_STATUSES
+        }
+      }
+    }],
+    order: [['createdAt', 'ASC']]
+  });
+
+  for (const pool of openPools) {
+    if (pool.seatCapacity - pool.seatsTaken < seats) {
+      continue;
+    }
+
+    // Every rider already in the pool must stay within their detour budget on the shared route
+    const riders = [...pool.trips].sort((a, b) => a.createdAt - b.createdAt);
+    if (!fitsRoute(riders, trip)) {
+      continue;
+    }
+
+    // Reserve the seats only if nobody took them, or a smaller vehicle took the pool, in the meantime
+    const [updatedCount] = await RidePool.update({
+      seatsTaken: literal(`"seatsTaken" + ${seats}`)
+    }, {
+      where: {
+        id: pool.id,
+        status: {
+          [Op.in]: ['forming', 'assigned']
+        },
+        [Op.and]: [literal(`"seatsTaken" + ${seats} <= "seatCapacity"`)]
+      }
+    });
+
+    if (updatedCount === 0) {
+      continue;
+    }
+
+    trip.poolId = pool.id;
+    await trip.save();
+
+    // A driver may have taken the pool since it was read
+    await pool.reload();
+    if (pool.driverId) {
+      await assignToPoolDriver(trip, pool.driverId);
+    }
+
+    return {
+      pool,
+      created: false
+    };
+  }
+
+  const pool = await RidePool.create({
+    seatCapacity: INITIAL_SEAT_CAPACITY,
+    seatsTaken: seats,
+    closesAt: new Date(Date.now() + MATCH_WINDOW_MINUTES * 60 * 1000)
+  });
+
+  trip.poolId = pool.id;
+  await trip.save();
+
+  return {
+    pool,
+    created: true
+  };
+};
+
+/**
+ * Hand a pool to a driver about to accept one of its trips, if their vehicle seats everyone in it
+ * The pool then only takes riders the vehicle has room for
+ * @param {string} poolId - ID of the pool
+ * @param {Object} driver - Driver accepting the offer
+ * @returns {Promise<boolean>} True if the pool is now reserved for the driver
+ */
+exports.reservePool = async (poolId, driver) => {
+  const seatCapacity = driver.getSeatCapacity();
+
+  const [updatedCount] = await RidePool.update({
+    driverId: driver.id,
+    seatCapacity
+  }, {
+    where: {
+      id: poolId,
+      driverId: null,
+      status: 'forming',
+      seatsTaken: {
+        [Op.lte]: seatCapacity
+      }
+    }
+  });
+
+  return updatedCount > 0;
+};
+
+/**
+ * Give back a pool reserved for a driver whose acceptance did not go through
+ * @param {string} poolId - ID of the pool
+ * @param {string} driverId - ID of the driver it was reserved for
+ * @returns {Promise<void>}
+ */
+exports.releasePool = async (poolId, driverId) => {
+  await RidePool.update({
+    driverId: null,
+    seatCapacity: INITIAL_SEAT_CAPACITY
+  }, {
+    where: {
+      id: poolId,
+      driverId,
+      status: 'forming'
+    }
+  });
+};
+
+/**
+ * Attach the driver who accepted a pooled trip to its pool and assign the other waiting riders
+ * The pool was reserved for the driver, and sized to their vehicle, before they were assigned
+ * @param {string} poolId - ID of the pool
+ * @param {Object} driver - Driver who accepted
+ * @returns {Promise<Array>} Other trips assigned to the driver
+ */
+exports.attachDriverToPool = async (poolId, driver) => {
+  const pool = await RidePool.findByPk(poolId);
+  if (!pool) {
+    return [];
+  }
+
+  pool.driverId = driver.id;
+  pool.status = 'assigned';
+  await pool.save();
+
+  const waitingTrips = await Trip.findAll({
+    where: {
+      poolId,
+      status: 'requested',
+      driverId: null
+    }
+  });
+
+  for (const trip of waitingTrips) {
+    await assignToPoolDriver(trip, driver.id);
+  }
+
+  return waitingTrips;
+};
+
+/**
+ * Release a canceled trip's seats and work out who should be dispatched next
+ * @param {Object} trip - Trip leaving the pool
+ * @returns {Promise<Object|null>} Next waiting trip to dispatch when the pool has no driver yet
+ */
+exports.leavePool = async (trip) => {
+  if (!trip.poolId) {
+    return null;
+  }
+
+  const pool = await RidePool.findByPk(trip.poolId);
+  if (!pool) {
+    return null;
+  }
+
+  pool.seatsTaken = Math.max(0, pool.seatsTaken - (trip.seatsRequested || 1));
+  await pool.save();
+
+  await exports.refreshPoolStatus(pool.id);
+
+  if (pool.driverId) {
+    return null;
+  }
+
+  // Without a driver, the next waiting rider carries the dispatch
+  return Trip.findOne({
+    where: {
+      poolId: pool.id,
+      status: 'requested',
+      driverId: null
+    },
+    order: [['createdAt', 'ASC']]
+  });
+};
+
+/**
+ * Update a pool's status from the trips it holds
+ * @param {string} poolId - ID of the pool
+ * @returns {Promise<Object|null>} Updated pool
+ */
+exports.refreshPoolStatus = async (poolId) => {
+  const pool = await RidePool.findByPk(poolId, {
+    include: [{ model: Trip, as: 'trips' }]
+  });
+
+  if (!pool) {
+    return null;
+  }
+
+  const statuses = pool.trips.map(trip => trip.status);
+
+  if (statuses.some(status => SEATED_STATUSES.includes(status))) {
+    // Close the pool to new riders once the vehicle is on the road
+    if (statuses.includes('active')) {
+      pool.status = 'active';
+    }
+  } else if (statuses.includes('completed')) {
+    pool.status = 'completed';
+  } else {
+    pool.status = 'canceled';
+  }
+
+  await pool.save();
+  return pool;
+};
+
+/**
+ * Check whether a rider can join a pool with everyone in it staying within their detour budget
+ * Pickups follow the order riders joined, the candidate's last; the existing drop-offs are made
+ * nearest first and the candidate's drop-off is tried at every position among them
+ * @param {Array<Object>} riders - Trips already in the pool, in the order they joined
+ * @param {Object} candidate - Trip asking to join
+ * @returns {boolean} True if at least one route keeps every detour within budget
+ */
+function fitsRoute(riders, candidate) {
+  const pickups = [...riders, candidate];
+  const dropoffs = orderDropoffs(riders, candidate.pickupLocation);
+
+  for (let position = 0; position <= dropoffs.length; position++) {
+    const order = [...dropoffs.slice(0, position), candidate, ...dropoffs.slice(position)];
+    if (withinDetourBudgets(pickups, order)) {
+      return true;
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Order drop-offs by always driving to the nearest one left
+ * @param {Array<Object>} riders - Trips to drop off
+ * @param {Object} start - GeoJSON point the drop-offs start from
+ * @returns {Array<Object>} Trips in drop-off order
+ */
+function orderDropoffs(riders, start) {
+  const remaining = [...riders];
+  const order = [];
+  let position = start;
+
+  while (remaining.length > 0) {
+    let nearest = 0;
+    for (let i = 1; i < remaining.length; i++) {
+      if (haversineDistance(position, remaining[i].destinationLocation) <
+        haversineDistance(position, remaining[nearest].destinationLocation)) {
+        nearest = i;
+      }
+    }
+
+    const [next] = remaining.splice(nearest, 1);
+    order.push(next);
+    position = next.destinationLocation;
+  }
+
+  return order;
+}
+
+/**
+ * Check every rider's ride on a route against their detour budget
+ * @param {Array<Object>} pickups - Trips in pickup order
+ * @param {Array<Object>} dropoffs - The same trips in drop-off order
+ * @returns {boolean} True if no rider's ride exceeds their direct trip by more than their budget
+ */
+function withinDetourBudgets(pickups, dropoffs) {
+  const route = [
+    ...pickups.map(trip => trip.pickupLocation),
+    ...dropoffs.map(trip => trip.destinationLocation)
+  ];
+
+  return pickups.every((trip, pickupIndex) => {
+    const dropoffIndex = pickups.length + dropoffs.indexOf(trip);
+    const ride = pathDistance(route.slice(pickupIndex, dropoffIndex + 1));
+    const direct = haversineDistance(trip.pickupLocation, trip.destinationLocation);
+    return (ride - direct) <= detourBudget(direct);
+  });
+}
+
+/**
+ * Detour budget for a trip of a given direct length
+ * @param {number} directDistance - Direct trip distance in kilometers
+ * @returns {number} Allowed extra distance in kilometers
+ */
+function detourBudget(directDistance) {
+  return Math.min(MAX_DETOUR_KM, directDistance * MAX_DETOUR_RATIO);
+}
+
+/**
+ * Assign a pooled trip to its pool's driver and tell both of them
+ * @param {Object} trip - Trip in the pool
+ * @param {string} driverId - ID of the pool's driver
+ * @returns {Promise<void>}
+ */
+async function assignToPoolDriver(trip, driverId) {
+  const transition = await transitionTrip(trip.id, 'assign', {
+    actorRole: 'system',
+    reason: 'Joined a pool with an assigned driver',
+    changes: { driverId },
+    metadata: { poolId: trip.poolId }
+  });
+
+  if (transition.success) {
+    await notifyRiderAdded(transition.trip, driverId);
+  }
+}
+
+/**
+ * Tell the driver and the rider that a rider has been added to the driver's pool
+ * @param {Object} trip - Trip added to the pool
+ * @param {string} driverId - ID of the pool's driver
+ * @returns {Promise<void>}
+ */
+async function notifyRiderAdded(trip, driverId) {
+  const driver = await Driver.findByPk(driverId, {
+    include: [{ model: User, as: 'user' }]
+  });
+
+  if (!driver) {
+    return;
+  }
+
+  await Notification.create({
+    userId: driver.userId,
+    type: 'trip_assigned',
+    title: 'Rider Added to Your Pool',
+    message: `A shared-ride passenger has been added: ${trip.pickupAddress} to ${trip.destinationAddress}`,
+    data: { tripId: trip.id, poolId: trip.poolId },
+    channel: 'app',
+    priority: 'high'
+  });
+
+  getIo().to(`driver_${driver.userId}`).emit('pool_rider_added', {
+    tripId: trip.id,
+    poolId: trip.poolId,
+    clientId: trip.clientId,
+    seats: trip.seatsRequested,
+    pickupLocation: trip.pickupLocation,
+    pickupAddress: trip.pickupAddress,
+    destinationLocation: trip.destinationLocation,
+    destinationAddress: trip.destinationAddress
+  });
+
+  getIo().to(`client_${trip.clientId}`).emit('driver_assigned', {
+    tripId: trip.id,
+    driverId: driver.id,
+    driverName: `${driver.user.firstName} ${driver.user.lastName}`,
+    driverRating: driver.user.rating,
+    vehicleType: driver.vehicleType,
+    vehicleMake: driver.vehicleMake,
+    vehicleModel: driver.vehicleModel,
+    licensePlate: driver.licensePlate,
+    pooled: true
+  });
+}
@@ -3,9 +3,24 @@
  * Handles trip price calculations, surge pricing, and promotions
  */
 
-const { Trip, Promotion, User, Driver } = require('../models');
+const { Trip, User, Driver, Payment } = require('../models');
 const { Op } = require('sequelize');
 const sequelize = require('sequelize');
+const { getSurgeForLocation } = require('./surge.service');
+const { resolveRateCard, toRates } = require('./rateCard.service');
+const { evaluatePromotion } = require('./promotion.service');
+const { priceInCurrency } = require('./currency.service');
+const { buildTripPaymentAmounts } = require('./payment.service');
+const { BASE_CURRENCY, fromMinor } = require('../utils/money');
+
+// Maximum number of intermediate stops on a single trip
+const MAX_STOPS_PER_TRIP = 5;
+
+// Waiting minutes included for free at each stop
+const FREE_WAITING_MINUTES_PER_STOP = 3;
+
+// Share of the fare taken off for riders who accept a pooled (shared) ride
+const POOL_DISCOUNT_RATE = parseFloat(process.env.POOL_DISCOUNT_RATE) || 0.3;
 
 /**
  * Calculate trip price based on distance, duration, and other factors
@@ -14,10 +29,15 @@ const sequelize = require('sequelize');
  * @param {Object} tripData.dropoffLocation - Dropoff location coordinates
  * @param {number} tripData.estimatedDistance - Estimated distance in kilometers
  * @param {number} tripData.estimatedDuration - Estimated duration in minutes
- * @param {string} [tripData.vehicleType='standard'] - Type of vehicle requested
- * @param {string} tripData.clientId - ID of the client
+ * @param {string} [tripData.vehicleType='car'] - Vehicle class requested
+ * @param {string} [tripData.city] - City whose rate card applies; the default city when omitted
+ * @param {string} [tripData.clientId] - ID of the client; promotions only apply when known
  * @param {string} [tripData.promoCode] - Promotion code if any
- * @returns {Promise<Object>} Price calculation result
+ * @param {Array<Object>} [tripData.stops] - Intermediate stops in order, each with
+ *   legDistance (km) and legDuration (min) from the previous point
+ * @param {string} [tripData.rideType='private'] - 'private' or 'pooled'
+ * @param {string} [tripData.currency] - Currency the rider pays in; the base currency when omitted
+ * @returns {Promise<Object>} Price calculation result, in the base currency with the charge in the rider's currency
  */
 exports.calculateTripPrice = async (tripData) => {
   try {
@@ -26,43 +46,78 @@ exports.calculateTripPrice = async (tripData) => {
       dropoffLocation,
       estimatedDistance,
       estimatedDuration,
-      vehicleType = 'standard',
+      vehicleType = 'car',
+      city,
       clientId,
-      promoCode
+      promoCode,
+      stops = [],
+      rideType = 'private',
+      currency = BASE_CURRENCY
     } = tripData;
 
     // Validate required fields
-    if (!pickupLocation || !dropoffLocation || !estimatedDistance || !estimatedDuration || !clientId) {
+    if (!pickupLocation || !dropoffLocation || !estimatedDistance || !estimatedDuration) {
       throw new Error('Missing required fields for price calculation');
     }
 
-    // Get base rates for the vehicle type
-    const baseRates = getBaseRates(vehicleType);
+    if (stops.length > MAX_STOPS_PER_TRIP) {
+      throw new Error(`A trip can have at most ${MAX_STOPS_PER_TRIP} intermediate stops`);
+    }
+
+    // Get the rate card in force for the city and vehicle class
+    const rateCard = await resolveRateCard(city, vehicleType);
+    if (!rateCard) {
+      throw new Error(`No rate card for ${vehicleType} in ${city || 'the default city'}`);
+    }
+    const baseRates = toRates(rateCard);
+
+    // Each intermediate stop carries a flat fee
+    const stopFees = stops.length * baseRates.perStop;
 
-    // Calculate base price
-    let basePrice = (baseRates.baseFare + 
+    // Calculate base price, never below the card's minimum fare
+    const meteredPrice = (baseRates.baseFare + 
                     (estimatedDistance * baseRates.perKilometer) + 
-                    (estimatedDuration * baseRates.perMinute));
+                    (estimatedDuration * baseRates.perMinute) +
+                    stopFees);
+    const basePrice = Math.max(baseRates.minimumFare, meteredPrice);
 
     // Apply surge pricing if applicable
-    const surgeFactor = await calculateSurgeFactor(pickupLocation);
+    const surge = await calculateSurgeFactor(pickupLocation);
+    const surgeFactor = surge.factor;
     const surgePrice = basePrice * surgeFactor;
 
+    // Split the itinerary into priced legs
+    const legs = buildItineraryLegs(stops, estimatedDistance, estimatedDuration, baseRates, surgeFactor);
+
+    // Pooled riders share the vehicle and pay a reduced fare
+    const poolDiscountRate = rideType === 'pooled' ? POOL_DISCOUNT_RATE : 0;
+    const poolDiscount = surgePrice * poolDiscountRate;
+
+    // The booking fee is neither surged nor discounted
+    const ridePrice = surgePrice - poolDiscount + baseRates.bookingFee;
+
     // Apply taxes
     const taxRate = 0.15; // 15% tax
-    const taxAmount = surgePrice * taxRate;
+    const taxAmount = ridePrice * taxRate;
 
     // Calculate subtotal before promotions
-    const subtotal = surgePrice + taxAmount;
+    const subtotal = ridePrice + taxAmount;
 
     // Apply promotion if valid
     let discountAmount = 0;
     let appliedPromotion = null;
+    let promotionMessage = null;
 
-    if (promoCode) {
-      const promotionResult = await applyPromotion(promoCode, clientId, subtotal);
+    if (promoCode && clientId) {
+      const promotionResult = await applyPromotion(promoCode, {
+        clientId,
+        subtotal,
+        city: city || baseRates.city,
+        vehicleType
+      });
       discountAmount = promotionResult.discountAmount;
       appliedPromotion = promotionResult.promotion;
+      promotionMessage = promotionResult.message;
     }
 
     // Calculate final price
@@ -71,18 +126,36 @@ exports.calculateTripPrice = async (tripData) => {
     // Round to 2 decimal places
     const roundedTotal = Math.round(totalPrice * 100) / 100;
 
+    // Rate cards are in the base currency; the rider is charged in their own
+    const charge = await priceInCurrency(roundedTotal, currency);
+
     return {
       success: true,
       basePrice: Math.round(basePrice * 100) / 100,
       surgeFactor,
+      surgeCell: surge.cell,
       surgePrice: Math.round(surgePrice * 100) / 100,
       taxRate,
       taxAmount: Math.round(taxAmount * 100) / 100,
       subtotal: Math.round(subtotal * 100) / 100,
       discountAmount: Math.round(discountAmount * 100) / 100,
       totalPrice: roundedTotal,
-      currency: 'XOF', // CFA Franc
+      currency: BASE_CURRENCY,
+      charge,
+      rates: {
+        ...baseRates,
+        surgeCell: surge.cell,
+        surgeFactor,
+        poolDiscountRate,
+        taxRate
+      },
       breakdown: {
+        rateCard: {
+          id: baseRates.rateCardId,
+          version: baseRates.rateCardVersion,
+          city: baseRates.city,
+          vehicleType: baseRates.vehicleType
+        },
         baseFare: baseRates.baseFare,
         distance: {
           value: estimatedDistance,
@@ -96,20 +169,39 @@ exports.calculateTripPrice = async (tripData) => {
           rate: baseRates.perMinute,
           total: Math.round(estimatedDuration * baseRates.perMinute * 100) / 100
         },
+        stops: {
+          count: stops.length,
+          rate: baseRates.perStop,
+          total: Math.round(stopFees * 100) / 100
+        },
+        minimumFare: {
+          amount: baseRates.minimumFare,
+          applied: basePrice > meteredPrice
+        },
+        bookingFee: baseRates.bookingFee,
+        legs,
         surge: {
+          cell: surge.cell,
           factor: surgeFactor,
           amount: Math.round((surgePrice - basePrice) * 100) / 100
         },
+        pooling: {
+          rideType,
+          rate: poolDiscountRate,
+          amount: Math.round(poolDiscount * 100) / 100
+        },
         tax: {
           rate: taxRate,
           amount: Math.round(taxAmount * 100) / 100
         },
         discount: {
-          code: promoCode || null,
-          amount: Math.round(discountAmount * 100) / 100
+          code: appliedPromotion ? appliedPromotion.code : null,
+          amount: Math.round(discountAmount * 100) / 100,
+          message: promotionMessage
         }
       },
       appliedPromotion: appliedPromotion ? {
+        id: appliedPromotion.id,
         code: appliedPromotion.code,
         description: appliedPromotion.description
       } : null
@@ -125,174 +217,145 @@ exports.calculateTripPrice = async (tripData) => {
 };
 
 /**
- * Get base rates for a vehicle type
- * @param {string} vehicleType - Type of vehicle
- * @returns {Object} Base rates
+ * Price a trip from the distance and time actually travelled, using the rates it was quoted with
+ * Mirrors calculateTripPrice so that a trip driven as estimated costs what it was quoted
+ * @param {Object} rates - Rates returned with the trip's quote
+ * @param {Object} usage - Metered usage
+ * @param {number} usage.distance - Distance travelled in kilometers
+ * @param {number} usage.duration - Time travelled in minutes
+ * @param {number} [usage.stopCount=0] - Intermediate stops served
+ * @returns {Object} Metered price
  */
-function getBaseRates(vehicleType) {
-  // These rates would typically come from a database
-  // For now, we'll use hardcoded values
-  const rates = {
-    standard: {
-      baseFare: 500, // XOF
-      perKilometer: 200, // XOF per km
-      perMinute: 50 // XOF per minute
-    },
-    premium: {
-      baseFare: 1000,
-      perKilometer: 300,
-      perMinute: 75
-    },
-    suv: {
-      baseFare: 800,
-      perKilometer: 250,
-      perMinute: 60
-    },
-    moto: {
-      baseFare: 300,
-      perKilometer: 150,
-      perMinute: 30
-    }
+exports.calculateMeteredFare = (rates, usage) => {
+  const { distance, duration, stopCount = 0 } = usage;
+
+  const meteredPrice = rates.baseFare +
+    (distance * rates.perKilometer) +
+    (duration * rates.perMinute) +
+    (stopCount * rates.perStop);
+  const basePrice = Math.max(rates.minimumFare || 0, meteredPrice);
+  const surgePrice = basePrice * rates.surgeFactor;
+  const ridePrice = surgePrice * (1 - rates.poolDiscountRate) + (rates.bookingFee || 0);
+  const taxAmount = ridePrice * rates.taxRate;
+
+  return {
+    basePrice: Math.round(basePrice * 100) / 100,
+    surgePrice: Math.round(surgePrice * 100) / 100,
+    taxAmount: Math.round(taxAmount * 100) / 100,
+    totalPrice: Math.round((ridePrice + taxAmount) * 100) / 100
+  };
+};
+
+/**
+ * Get the rates a trip is billed with: those of its quote, or for trips quoted before
+ * rates were recorded, the rate card currently in force
+ * @param {Object} trip - Trip
+ * @returns {Promise<Object>} Rates
+ */
+exports.getTripRates = async (trip) => {
+  if (trip.quotedRates) {
+    return trip.quotedRates;
+  }
+
+  const rateCard = await resolveRateCard(trip.city, trip.vehicleType || 'car');
+  if (!rateCard) {
+    throw new Error(`No rate card for ${trip.vehicleType} in ${trip.city || 'the default city'}`);
+  }
+  return toRates(rateCard);
+};
+
+/**
+ * Calculate the waiting-time charge for a trip's stops
+ * @param {Array<Object>} stops - Stops with a waitingTime in minutes
+ * @param {Object} baseRates - Rates the trip is billed with
+ * @returns {Object} Billable waiting minutes and charge
+ */
+exports.calculateWaitingCharge = (stops, baseRates) => {
+  const billableMinutes = stops.reduce((sum, stop) => {
+    return sum + Math.max(0, (stop.waitingTime || 0) - FREE_WAITING_MINUTES_PER_STOP);
+  }, 0);
+
+  return {
+    billableMinutes,
+    rate: baseRates.waitingPerMinute,
+    amount: Math.round(billableMinutes * baseRates.waitingPerMinute * 100) / 100
   };
+};
+
+/**
+ * Split an itinerary into legs and price each one
+ * The last leg runs from the final stop to the destination and takes whatever
+ * distance and duration the stop legs do not account for
+ * @param {Array<Object>} stops - Intermediate stops with legDistance and legDuration
+ * @param {number} totalDistance - Total itinerary distance in kilometers
+ * @param {number} totalDuration - Total itinerary duration in minutes
+ * @param {Object} baseRates - Rates for the vehicle type
+ * @param {number} surgeFactor - Surge factor applied to the trip
+ * @returns {Array<Object>} Priced legs in order
+ */
+function buildItineraryLegs(stops, totalDistance, totalDuration, baseRates, surgeFactor) {
+  const priceLeg = (distance, duration) => {
+    const price = ((distance * baseRates.perKilometer) + (duration * baseRates.perMinute)) * surgeFactor;
+    return Math.round(price * 100) / 100;
+  };
+
+  let remainingDistance = totalDistance;
+  let remainingDuration = totalDuration;
+
+  const legs = stops.map((stop, index) => {
+    const distance = parseFloat(stop.legDistance) || 0;
+    const duration = parseFloat(stop.legDuration) || 0;
+    remainingDistance -= distance;
+    remainingDuration -= duration;
+
+    return {
+      sequence: index + 1,
+      to: stop.address || null,
+      distance,
+      duration,
+      price: priceLeg(distance, duration)
+    };
+  });
+
+  const finalDistance = Math.max(0, remainingDistance);
+  const finalDuration = Math.max(0, remainingDuration);
+
+  legs.push({
+    sequence: stops.length + 1,
+    to: 'destination',
+    distance: Math.round(finalDistance * 100) / 100,
+    duration: Math.round(finalDuration * 100) / 100,
+    price: priceLeg(finalDistance, finalDuration)
+  });
 
-  return rates[vehicleType] || rates.standard;
+  return legs;
 }
 
 /**
- * Calculate surge factor based on demand in the area
+ * Get the surge factor of the pickup's cell from current demand and supply
  * @param {Object} location - Pickup location
- * @returns {Promise<number>} Surge factor (1.0 = no surge)
+ * @returns {Promise<Object>} Surge cell and factor (1.0 = no surge)
  */
 async function calculateSurgeFactor(location) {
   try {
-    // In a real implementation, this would:
-    // 1. Check the number of active drivers in the area
-    // 2. Check the number of pending trip requests in the area
-    // 3. Consider time of day, weather, special events, etc.
-    
-    // For now, we'll use a simplified approach
-    const now = new Date();
-    const hour = now.getHours();
-    
-    // Rush hours: 7-9 AM and 5-7 PM
-    const isRushHour = (hour >= 7 && hour <= 9) || (hour >= 17 && hour <= 19);
-    
-    // Weekend: Saturday and Sunday
-    const isWeekend = now.getDay() === 0 || now.getDay() === 6;
-    
-    // Base surge factor
-    let surgeFactor = 1.0;
-    
-    // Adjust for rush hour
-    if (isRushHour) {
-      surgeFactor += 0.3;
-    }
-    
-    // Adjust for weekend
-    if (isWeekend) {
-      surgeFactor += 0.1;
-    }
-    
-    // Adjust for late night (10 PM - 5 AM)
-    if (hour >= 22 || hour <= 5) {
-      surgeFactor += 0.2;
-    }
-    
-    // Cap surge factor
-    return Math.min(2.5, surgeFactor);
+    const { cell, multiplier } = await getSurgeForLocation(location);
+    return { cell, factor: multiplier };
   } catch (error) {
     console.error('Surge calculation error:', error);
-    return 1.0; // Default to no surge on error
+    return { cell: null, factor: 1.0 }; // Default to no surge on error
   }
 }
 
 /**
  * Apply a promotion code to a trip
+ * Only checks eligibility; the code is redeemed when the trip is booked
  * @param {string} promoCode - Promotion code
- * @param {string} clientId - ID of the client
- * @param {number} subtotal - Subtotal amount before discount
+ * @param {Object} context - clientId, subtotal, city and vehicleType of the trip
  * @returns {Promise<Object>} Promotion application result
  */
-async function applyPromotion(promoCode, clientId, subtotal) {
+async function applyPromotion(promoCode, context) {
   try {
-    // Find the promotion
-    const promotion = await Promotion.findOne({
-      where: {
-        code: promoCode,
-        isActive: true,
-        startDate: {
-          [Op.lte]: new Date()
-        },
-        endDate: {
-          [Op.gte]: new Date()
-        }
-      }
-    });
-
-    if (!promotion) {
-      return {
-        discountAmount: 0,
-        promotion: null,
-        message: 'Invalid or expired promotion code'
-      };
-    }
-
-    // Check if client has already used this promotion
-    if (promotion.oneTimeUse) {
-      const usedPromotion = await UsedPromotion.findOne({
-        where: {
-          promotionId: promotion.id,
-          clientId
-        }
-      });
-
-      if (usedPromotion) {
-        return {
-          discountAmount: 0,
-          promotion: null,
-          message: 'Promotion code already used'
-        };
-      }
-    }
-
-    // Calculate discount amount
-    let discountAmount = 0;
-    
-    if (promotion.discountType === 'percentage') {
-      discountAmount = subtotal * (promotion.discountValue / 100);
-    } else if (promotion.discountType === 'fixed') {
-      discountAmount = promotion.discountValue;
-    }
-    
-    // Apply maximum discount if specified
-    if (promotion.maxDiscount && discountAmount > promotion.maxDiscount) {
-      discountAmount = promotion.maxDiscount;
-    }
-
-    // Apply minimum subtotal requirement
-    if (promotion.minSubtotal && subtotal < promotion.minSubtotal) {
-      return {
-        discountAmount: 0,
-        promotion: null,
-        message: `Minimum subtotal of ${promotion.minSubtotal} required for this promotion`
-      };
-    }
-
-    // Record promotion usage
-    if (promotion.oneTimeUse) {
-      await UsedPromotion.create({
-        promotionId: promotion.id,
-        clientId,
-        usedAt: new Date(),
-        discountAmount
-      });
-    }
-
-    return {
-      discountAmount,
-      promotion,
-      message: 'Promotion applied successfully'
-    };
+    return await evaluatePromotion(promoCode, context);
   } catch (error) {
     console.error('Promotion application error:', error);
     return {
@@ -325,12 +388,18 @@ exports.calculateDriverEarnings = async (tripId) => {
     // Get base price (before taxes and promotions)
     const basePrice = trip.basePrice;
     
-    // Calculate platform fee (percentage)
-    const platformFeePercentage = driver.platformFeePercentage || 15; // Default 15%
-    const platformFee = basePrice * (platformFeePercentage / 100);
+    // The payment records the fee its commission policy set; unpaid trips are worked out the same way
+    const payment = await Payment.findOne({
+      where: { tripId, transactionType: 'trip_payment' }
+    });
+    const amounts = payment && payment.basePlatformFeeMinor !== null
+      ? payment
+      : await buildTripPaymentAmounts(trip, driver);
+    const fare = fromMinor(Number(amounts.baseAmountMinor), BASE_CURRENCY);
+    const platformFee = fromMinor(Number(amounts.basePlatformFeeMinor), BASE_CURRENCY);
     
     // Calculate driver earnings
-    const driverEarnings = basePrice - platformFee;
+    const driverEarnings = fare - platformFee;
     
     // Calculate any bonuses
     let bonusAmount = 0;
@@ -345,20 +414,28 @@ exports.calculateDriverEarnings = async (tripId) => {
       bonusAmount += 100; // Fixed bonus
     }
     
+    // Tips are the driver's in full and reported apart from the fare
+    const tipsMinor = await Payment.sum('baseAmountMinor', {
+      where: { tripId, transactionType: 'tip', status: 'completed' }
+    });
+    const tipAmount = fromMinor(Number(tipsMinor || 0), BASE_CURRENCY);
+    
     // Calculate total earnings
-    const totalEarnings = driverEarnings + bonusAmount;
+    const totalEarnings = driverEarnings + bonusAmount + tipAmount;
 
     return {
       success: true,
       tripId,
       driverId: trip.driverId,
       basePrice,
-      platformFeePercentage,
+      fare,
+      commission: amounts.commissionSnapshot || null,
       platformFee: Math.round(platformFee * 100) / 100,
       driverEarnings: Math.round(driverEarnings * 100) / 100,
       bonusAmount: Math.round(bonusAmount * 100) / 100,
+      tipAmount,
       totalEarnings: Math.round(totalEarnings * 100) / 100,
-      currency: 'XOF'
+      currency: BASE_CURRENCY
     };
   } catch (error) {
     console.error('Driver earnings calculation error:', error);
@@ -417,16 +494,21 @@ exports.getPricingStatistics = async (startDate, endDate) => {
     // Total revenue
     const totalRevenue = trips.reduce((sum, trip) => sum + parseFloat(trip.finalPrice || 0), 0);
     
-    // Total platform fees
-    const totalPlatformFees = trips.reduce((sum, trip) => {
-      const platformFee = parseFloat(trip.basePrice || 0) * 0.15; // Assuming 15% platform fee
-      return sum + platformFee;
-    }, 0);
+    // Total platform fees, as set by each trip's commission policy when it was paid
+    const platformFeesMinor = totalTrips > 0
+      ? await Payment.sum('basePlatformFeeMinor', {
+        where: {
+          tripId: trips.map(trip => trip.id),
+          transactionType: 'trip_payment'
+        }
+      })
+      : 0;
+    const totalPlatformFees = fromMinor(Number(platformFeesMinor || 0), BASE_CURRENCY);
     
     // Revenue by vehicle type
     const revenueByVehicleType = {};
     trips.forEach(trip => {
-      const vehicleType = trip.vehicleType || 'standard';
+      const vehicleType = trip.vehicleType || 'car';
       if (!revenueByVehicleType[vehicleType]) {
         revenueByVehicleType[vehicleType] = 0;
       }
@@ -466,7 +548,7 @@ exports.getPricingStatistics = async (startDate, endDate) => {
         obj[day] = Math.round(amount * 100) / 100;
         return obj;
       }, {}),
-      currency: 'XOF'
+      currency: BASE_CURRENCY
     };
   } catch (error) {
     console.error('Pricing statistics error:', error);
@@ -0,0 +1,313 @@
+/**
+ * Promotion Service for Taxi-Express
+ * Promo code eligibility, discount calculation and atomic redemption
+ */
+
+const { Promotion, UsedPromotion, Trip } = require('../models');
+const { Op, literal, col } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Error code used to roll back a redemption that breaks a promotion rule
+const PROMOTION_UNAVAILABLE = 'promotion_unavailable';
+
+/**
+ * Normalise a promo code as typed by a user
+ * @param {string} code - Promo code
+ * @returns {string} Upper-case code without surrounding spaces
+ */
+exports.normalizeCode = (code) => {
+  return String(code).trim().toUpperCase();
+};
+
+/**
+ * Check whether a client can use a promo code on a trip and compute the discount
+ * Nothing is reserved; the code is only consumed by redeemPromotion when the trip is booked
+ * @param {string} promoCode - Promo code
+ * @param {Object} context - Trip being priced
+ * @param {string} context.clientId - ID of the client
+ * @param {number} context.subtotal - Price before discount
+ * @param {string} [context.city] - City of the trip
+ * @param {string} [context.vehicleType] - Vehicle class of the trip
+ * @returns {Promise<Object>} Whether it applies, the promotion, discount amount and a message
+ */
+exports.evaluatePromotion = async (promoCode, context) => {
+  const { clientId, subtotal, city, vehicleType } = context;
+  const now = new Date();
+
+  const promotion = await Promotion.findOne({
+    where: {
+      code: exports.normalizeCode(promoCode),
+      isActive: true,
+      startDate: { [Op.lte]: now },
+      endDate: { [Op.gte]: now }
+    }
+  });
+
+  if (!promotion) {
+    return rejected('Invalid or expired promotion code');
+  }
+
+  if (promotion.usageLimit !== null && promotion.usageCount >= promotion.usageLimit) {
+    return rejected('Promotion code has been fully redeemed');
+  }
+
+  if (promotion.cities && promotion.cities.length && !promotion.cities.includes(city)) {
+    return rejected('Promotion code is not valid in this city');
+  }
+
+  if (promotion.vehicleTypes && promotion.vehicleTypes.length && !promotion.vehicleTypes.includes(vehicleType)) {
+    return rejected('Promotion code is not valid for this vehicle type');
+  }
+
+  if (promotion.minSubtotal && subtotal < parseFloat(promotion.minSubtotal)) {
+    return rejected(`Minimum subtotal of ${promotion.minSubtotal} required for this promotion`);
+  }
+
+  const ruleError = await checkClientRules(promotion, clientId);
+  if (ruleError) {
+    return rejected(ruleError);
+  }
+
+  return {
+    eligible: true,
+    promotion,
+    discountAmount: computeDiscount(promotion, subtotal),
+    message: 'Promotion applied successfully'
+  };
+};
+
+/**
+ * Consume a promo code for a booked trip
+ * The usage counter is incremented with a guarded update, which also locks the promotion row,
+ * so concurrent bookings cannot exceed the global or per-client caps
+ * @param {Object} redemption - Redemption to record
+ * @param {string} redemption.code - Promo code
+ * @param {string} redemption.clientId - ID of the client
+ * @param {string} redemption.tripId - ID of the booked trip
+ * @param {number} redemption.discountAmount - Discount granted on the trip
+ * @returns {Promise<Object>} Result with the redemption
+ */
+exports.redeemPromotion = async ({ code, clientId, tripId, discountAmount }) => {
+  try {
+    const usedPromotion = await sequelize.transaction(async (transaction) => {
+      const now = new Date();
+      const normalizedCode = exports.normalizeCode(code);
+
+      const [updated] = await Promotion.update({
+        usageCount: literal('"usageCount" + 1')
+      }, {
+        where: {
+          code: normalizedCode,
+          isActive: true,
+          startDate: { [Op.lte]: now },
+          endDate: { [Op.gte]: now },
+          [Op.or]: [
+            { usageLimit: null },
+            { usageCount: { [Op.lt]: col('usageLimit') } }
+          ]
+        },
+        transaction
+      });
+
+      if (!updated) {
+        throw unavailable('Promotion code is no longer available');
+      }
+
+      const promotion = await Promotion.findOne({
+        where: { code: normalizedCode },
+        transaction
+      });
+
+      const ruleError = await checkClientRules(promotion, clientId, transaction);
+      if (ruleError) {
+        throw unavailable(ruleError);
+      }
+
+      return UsedPromotion.create({
+        promotionId: promotion.id,
+        clientId,
+        tripId,
+        discountAmount,
+        usedAt: now
+      }, { transaction });
+    });
+
+    return {
+      success: true,
+      usedPromotion
+    };
+  } catch (error) {
+    if (error.code === PROMOTION_UNAVAILABLE) {
+      return {
+        success: false,
+        message: error.message
+      };
+    }
+
+    console.error('Redeem promotion error:', error);
+    return {
+      success: false,
+      message: 'Error redeeming promotion',
+      error: error.message
+    };
+  }
+};
+
+/**
+ * Give back the promo code used on a canceled trip
+ * @param {string} tripId - ID of the trip
+ * @returns {Promise<boolean>} True when a redemption was released
+ */
+exports.releasePromotion = async (tripId) => {
+  const usedPromotion = await UsedPromotion.findOne({
+    where: { tripId, status: 'redeemed' }
+  });
+
+  if (!usedPromotion) {
+    return false;
+  }
+
+  return sequelize.transaction(async (transaction) => {
+    const [released] = await UsedPromotion.update(
+      { status: 'released', releasedAt: new Date() },
+      { where: { id: usedPromotion.id, status: 'redeemed' }, transaction }
+    );
+
+    if (!released) {
+      return false;
+    }
+
+    await Promotion.update(
+      { usageCount: literal('GREATEST("usageCount" - 1, 0)') },
+      { where: { id: usedPromotion.promotionId }, transaction }
+    );
+
+    return true;
+  });
+};
+
+/**
+ * List the promotions a client can currently use
+ * @param {string} clientId - ID of the client
+ * @param {Object} [filters] - Optional city and vehicleType of the intended trip
+ * @returns {Promise<Array<Object>>} Usable promotions
+ */
+exports.getAvailablePromotions = async (clientId, filters = {}) => {
+  const { city, vehicleType } = filters;
+  const now = new Date();
+
+  const promotions = await Promotion.findAll({
+    where: {
+      isActive: true,
+      startDate: { [Op.lte]: now },
+      endDate: { [Op.gte]: now },
+      [Op.or]: [
+        { usageLimit: null },
+        { usageCount: { [Op.lt]: col('usageLimit') } }
+      ]
+    },
+    order: [['endDate', 'ASC']]
+  });
+
+  const available = [];
+
+  for (const promotion of promotions) {
+    if (city && promotion.cities && promotion.cities.length && !promotion.cities.includes(city)) {
+      continue;
+    }
+    if (vehicleType && promotion.vehicleTypes && promotion.vehicleTypes.length &&
+        !promotion.vehicleTypes.includes(vehicleType)) {
+      continue;
+    }
+    if (await checkClientRules(promotion, clientId)) {
+      continue;
+    }
+    available.push(promotion);
+  }
+
+  return available;
+};
+
+/**
+ * Check the rules that depend on the client: per-client cap and first-ride-only codes
+ * @param {Object} promotion - Promotion
+ * @param {string} clientId - ID of the client
+ * @param {Object} [transaction] - Transaction to read in
+ * @returns {Promise<string|null>} Reason the client cannot use the code, or null
+ */
+async function checkClientRules(promotion, clientId, transaction) {
+  if (promotion.perUserLimit !== null) {
+    const uses = await UsedPromotion.count({
+      where: {
+        promotionId: promotion.id,
+        clientId,
+        status: 'redeemed'
+      },
+      transaction
+    });
+
+    if (uses >= promotion.perUserLimit) {
+      return 'Promotion code already used';
+    }
+  }
+
+  if (promotion.userType !== 'all') {
+    const completedTrips = await Trip.count({
+      where: { clientId, status: 'completed' },
+      transaction
+    });
+
+    if (promotion.userType === 'new' && completedTrips > 0) {
+      return 'Promotion code is only valid on your first ride';
+    }
+
+    if (promotion.userType === 'existing' && completedTrips === 0) {
+      return 'Promotion code is only valid for returning riders';
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Compute the discount a promotion gives on a subtotal
+ * @param {Object} promotion - Promotion
+ * @param {number} subtotal - Price before discount
+ * @returns {number} Discount amount, never more than the subtotal
+ */
+function computeDiscount(promotion, subtotal) {
+  let discountAmount = promotion.discountType === 'percentage'
+    ? subtotal * (parseFloat(promotion.discountValue) / 100)
+    : parseFloat(promotion.discountValue);
+
+  if (promotion.maxDiscount && discountAmount > parseFloat(promotion.maxDiscount)) {
+    discountAmount = parseFloat(promotion.maxDiscount);
+  }
+
+  return Math.round(Math.min(discountAmount, subtotal) * 100) / 100;
+}
+
+/**
+ * Result for a promo code that does not apply
+ * @param {string} message - Reason
+ * @returns {Object} Ineligible result
+ */
+function rejected(message) {
+  return {
+    eligible: false,
+    promotion: null,
+    discountAmount: 0,
+    message
+  };
+}
+
+/**
+ * Error that rolls back a redemption breaking a promotion rule
+ * @param {string} message - Reason
+ * @returns {Error} Error tagged as a rule rejection
+ */
+function unavailable(message) {
+  const error = new Error(message);
+  error.code = PROMOTION_UNAVAILABLE;
+  return error;
+}
@@ -0,0 +1,168 @@
+/**
+ * Quote Service for Taxi-Express
+ * Signed, expiring fare quotes that lock the estimated price until the trip is requested
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { haversineDistance } = require('../utils/geo');
+
+// How long a client may take to book a quoted fare
+const QUOTE_TTL_MINUTES = parseInt(process.env.QUOTE_TTL_MINUTES, 10) || 5;
+
+// Pickup and drop-off may drift this far from the quoted points (GPS refresh, pin adjustment)
+const QUOTE_LOCATION_TOLERANCE_KM = parseFloat(process.env.QUOTE_LOCATION_TOLERANCE_KM) || 0.2;
+
+// Audience claim keeping quote tokens and authentication tokens apart
+const QUOTE_AUDIENCE = 'fare_quote';
+
+/**
+ * Get the secret quote tokens are signed with
+ * @returns {string} Signing secret
+ */
+function getQuoteSecret() {
+  return process.env.QUOTE_SECRET || process.env.JWT_SECRET;
+}
+
+/**
+ * Sign a price quote so it can be honoured when the trip is requested
+ * @param {Object} itinerary - What was quoted
+ * @param {Object} itinerary.pickupLocation - GeoJSON point
+ * @param {Object} itinerary.dropoffLocation - GeoJSON point
+ * @param {number} itinerary.estimatedDistance - Estimated distance in kilometers
+ * @param {number} itinerary.estimatedDuration - Estimated duration in minutes
+ * @param {string} itinerary.vehicleType - Vehicle class
+ * @param {string} [itinerary.city] - City whose rate card priced the quote
+ * @param {string} itinerary.rideType - 'private' or 'pooled'
+ * @param {string} itinerary.currency - Currency the rider pays in
+ * @param {Array<Object>} itinerary.stops - Intermediate stops
+ * @param {string} [itinerary.promoCode] - Promotion code applied to the quote
+ * @param {Object} priceQuote - Successful result of calculateTripPrice
+ * @param {string} [clientId] - Client the quote is reserved for, when known
+ * @returns {Object} Quote ID, token and expiry
+ */
+exports.issueQuote = (itinerary, priceQuote, clientId) => {
+  const quoteId = crypto.randomUUID();
+
+  const token = jwt.sign({
+    clientId: clientId || null,
+    itinerary: {
+      pickupLocation: itinerary.pickupLocation,
+      dropoffLocation: itinerary.dropoffLocation,
+      estimatedDistance: itinerary.estimatedDistance,
+      estimatedDuration: itinerary.estimatedDuration,
+      vehicleType: itinerary.vehicleType,
+      city: itinerary.city || null,
+      rideType: itinerary.rideType,
+      currency: priceQuote.charge.currency,
+      stops: itinerary.stops || []
+    },
+    price: {
+      totalPrice: priceQuote.totalPrice,
+      surgeFactor: priceQuote.surgeFactor,
+      surgeCell: priceQuote.surgeCell,
+      discountAmount: priceQuote.discountAmount,
+      promoCode: priceQuote.appliedPromotion ? priceQuote.appliedPromotion.code : null,
+      currency: priceQuote.currency,
+      charge: priceQuote.charge,
+      rates: priceQuote.rates,
+      breakdown: priceQuote.breakdown
+    }
+  }, getQuoteSecret(), {
+    audience: QUOTE_AUDIENCE,
+    jwtid: quoteId,
+    expiresIn: `${QUOTE_TTL_MINUTES}m`
+  });
+
+  return {
+    quoteId,
+    token,
+    expiresAt: new Date(Date.now() + QUOTE_TTL_MINUTES * 60000)
+  };
+};
+
+/**
+ * Check a quote token and that it covers the trip being requested
+ * @param {string} token - Quote token returned by the estimate endpoint
+ * @param {Object} request - Trip being requested
+ * @param {string} request.clientId - ID of the requesting client
+ * @param {Object} request.pickupLocation - GeoJSON point
+ * @param {Object} request.dropoffLocation - GeoJSON point
+ * @param {string} request.vehicleType - Vehicle class
+ * @param {string} [request.city] - City of the trip
+ * @param {string} request.rideType - 'private' or 'pooled'
+ * @param {string} request.currency - Currency the rider pays in
+ * @param {Array<Object>} request.stops - Intermediate stops
+ * @returns {Object} Result with the locked quote, or a code of 'expired', 'invalid' or 'mismatch'
+ */
+exports.verifyQuote = (token, request) => {
+  let payload;
+
+  try {
+    payload = jwt.verify(token, getQuoteSecret(), { audience: QUOTE_AUDIENCE });
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      return {
+        success: false,
+        code: 'expired',
+        message: 'Price quote has expired, please request a new estimate'
+      };
+    }
+
+    return {
+      success: false,
+      code: 'invalid',
+      message: 'Invalid price quote'
+    };
+  }
+
+  const { itinerary } = payload;
+
+  if (payload.clientId && payload.clientId !== request.clientId) {
+    return {
+      success: false,
+      code: 'mismatch',
+      message: 'Price quote was issued to another account'
+    };
+  }
+
+  const requestedStops = request.stops || [];
+  const sameItinerary = itinerary.rideType === request.rideType &&
+    itinerary.vehicleType === request.vehicleType &&
+    (itinerary.city || null) === (request.city || null) &&
+    itinerary.currency === request.currency &&
+    isNear(itinerary.pickupLocation, request.pickupLocation) &&
+    isNear(itinerary.dropoffLocation, request.dropoffLocation) &&
+    itinerary.stops.length === requestedStops.length &&
+    itinerary.stops.every((stop, index) => isNear(stop.location, requestedStops[index].location));
+
+  if (!sameItinerary) {
+    return {
+      success: false,
+      code: 'mismatch',
+      message: 'Price quote does not match the requested trip'
+    };
+  }
+
+  return {
+    success: true,
+    quote: {
+      quoteId: payload.jti,
+      itinerary,
+      ...payload.price
+    }
+  };
+};
+
+/**
+ * Whether two GeoJSON points are within the quote tolerance of each other
+ * @param {Object} quoted - Quoted point
+ * @param {Object} requested - Requested point
+ * @returns {boolean} True when close enough
+ */
+function isNear(quoted, requested) {
+  if (!quoted || !requested || !requested.coordinates) {
+    return false;
+  }
+  return haversineDistance(quoted, requested) <= QUOTE_LOCATION_TOLERANCE_KM;
+}
@@ -0,0 +1,254 @@
+/**
+ * Rate Card Service for Taxi-Express
+ * Looks up and publishes versioned fare rates per city and vehicle class
+ */
+
+const { RateCard } = require('../models');
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { BASE_CURRENCY } = require('../utils/money');
+
+// City whose rate cards apply when a trip's city has none of its own
+const DEFAULT_CITY = process.env.DEFAULT_CITY || 'Kinshasa';
+
+// Rates seeded for the default city when it has no rate card yet
+const DEFAULT_RATES = {
+  car: {
+    baseFare: 500,
+    perKilometer: 200,
+    perMinute: 50,
+    perStop: 200,
+    waitingPerMinute: 25,
+    minimumFare: 500,
+    bookingFee: 0
+  },
+  taxi: {
+    baseFare: 500,
+    perKilometer: 200,
+    perMinute: 50,
+    perStop: 200,
+    waitingPerMinute: 25,
+    minimumFare: 500,
+    bookingFee: 0
+  },
+  minibus: {
+    baseFare: 800,
+    perKilometer: 250,
+    perMinute: 60,
+    perStop: 300,
+    waitingPerMinute: 30,
+    minimumFare: 800,
+    bookingFee: 0
+  },
+  motorcycle: {
+    baseFare: 300,
+    perKilometer: 150,
+    perMinute: 30,
+    perStop: 100,
+    waitingPerMinute: 15,
+    minimumFare: 300,
+    bookingFee: 0
+  }
+};
+
+// Amounts held by a rate card
+const RATE_FIELDS = [
+  'baseFare', 'perKilometer', 'perMinute', 'perStop', 'waitingPerMinute', 'minimumFare', 'bookingFee'
+];
+
+exports.DEFAULT_CITY = DEFAULT_CITY;
+
+/**
+ * Create version 1 of the default city's rate cards for any vehicle class that has none
+ * @returns {Promise<number>} Number of rate cards created
+ */
+exports.seedDefaultRateCards = async () => {
+  let created = 0;
+
+  for (const vehicleType of Object.keys(DEFAULT_RATES)) {
+    const existing = await RateCard.count({
+      where: { city: DEFAULT_CITY, vehicleType }
+    });
+
+    if (!existing) {
+      await RateCard.create({
+        city: DEFAULT_CITY,
+        vehicleType,
+        version: 1,
+        effectiveFrom: new Date(0),
+        ...DEFAULT_RATES[vehicleType]
+      });
+      created++;
+    }
+  }
+
+  return created;
+};
+
+/**
+ * Get the rate card in force for a city and vehicle class at a given time
+ * Falls back to the default city when the city has no rate card for the vehicle class
+ * @param {string} [city] - City of the trip
+ * @param {string} vehicleType - Vehicle class
+ * @param {Date} [at=new Date()] - Time the trip is priced at
+ * @returns {Promise<Object|null>} Rate card, or null when none applies
+ */
+exports.resolveRateCard = async (city, vehicleType, at = new Date()) => {
+  const cities = city && city !== DEFAULT_CITY ? [city, DEFAULT_CITY] : [DEFAULT_CITY];
+
+  for (const candidate of cities) {
+    const rateCard = await RateCard.findOne({
+      where: {
+        city: candidate,
+        vehicleType,
+        effectiveFrom: { [Op.lte]: at }
+      },
+      order: [['effectiveFrom', 'DESC'], ['version', 'DESC']]
+    });
+
+    if (rateCard) {
+      return rateCard;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Convert a rate card into the plain rates used by price calculations
+ * Rate card amounts are in the base currency
+ * @param {Object} rateCard - Rate card
+ * @returns {Object} Rates with the card's identity
+ */
+exports.toRates = (rateCard) => {
+  const rates = {
+    rateCardId: rateCard.id,
+    rateCardVersion: rateCard.version,
+    city: rateCard.city,
+    vehicleType: rateCard.vehicleType,
+    currency: BASE_CURRENCY
+  };
+
+  RATE_FIELDS.forEach(field => {
+    rates[field] = parseFloat(rateCard[field]);
+  });
+
+  return rates;
+};
+
+/**
+ * Get the rate cards currently in force, and those scheduled to take over later
+ * @param {string} [city] - Limit to one city
+ * @returns {Promise<Object>} Current and upcoming rate cards
+ */
+exports.listRateCards = async (city) => {
+  const now = new Date();
+  const where = city ? { city } : {};
+
+  const rateCards = await RateCard.findAll({
+    where,
+    order: [['city', 'ASC'], ['vehicleType', 'ASC'], ['effectiveFrom', 'DESC'], ['version', 'DESC']]
+  });
+
+  const current = {};
+  const upcoming = [];
+
+  rateCards.forEach(rateCard => {
+    if (new Date(rateCard.effectiveFrom) > now) {
+      upcoming.push(rateCard);
+      return;
+    }
+
+    // Cards are sorted newest first, so the first one seen per key is in force
+    const key = `${rateCard.city}:${rateCard.vehicleType}`;
+    if (!current[key]) {
+      current[key] = rateCard;
+    }
+  });
+
+  return {
+    current: Object.values(current),
+    upcoming
+  };
+};
+
+/**
+ * Get every published version of the rate cards, newest first
+ * @param {Object} [filters] - Optional filters
+ * @param {string} [filters.city] - Limit to one city
+ * @param {string} [filters.vehicleType] - Limit to one vehicle class
+ * @returns {Promise<Array<Object>>} Rate card versions
+ */
+exports.listRateCardHistory = async ({ city, vehicleType } = {}) => {
+  const where = {};
+  if (city) {
+    where.city = city;
+  }
+  if (vehicleType) {
+    where.vehicleType = vehicleType;
+  }
+
+  return RateCard.findAll({
+    where,
+    order: [['effectiveFrom', 'DESC'], ['version', 'DESC']]
+  });
+};
+
+/**
+ * Publish a new version of a city's rate card for a vehicle class
+ * Amounts not given are carried over from the card in force at the effective date
+ * @param {Object} change - New rate card
+ * @param {string} change.city - City
+ * @param {string} change.vehicleType - Vehicle class
+ * @param {Date} [change.effectiveFrom=new Date()] - When the new rates apply
+ * @param {string} adminId - ID of the admin publishing the change
+ * @returns {Promise<Object>} Result with the new and previous rate cards
+ */
+exports.publishRateCard = async (change, adminId) => {
+  const { city, vehicleType } = change;
+  const effectiveFrom = change.effectiveFrom ? new Date(change.effectiveFrom) : new Date();
+
+  const previous = await RateCard.findOne({
+    where: {
+      city,
+      vehicleType,
+      effectiveFrom: { [Op.lte]: effectiveFrom }
+    },
+    order: [['effectiveFrom', 'DESC'], ['version', 'DESC']]
+  });
+
+  const missing = RATE_FIELDS.filter(field => change[field] === undefined);
+  if (!previous && missing.length > 0) {
+    return {
+      success: false,
+      message: `A first rate card for ${vehicleType} in ${city} needs: ${missing.join(', ')}`
+    };
+  }
+
+  const rateCard = await sequelize.transaction(async (transaction) => {
+    const latestVersion = await RateCard.max('version', {
+      where: { city, vehicleType },
+      transaction
+    });
+
+    const values = {};
+    RATE_FIELDS.forEach(field => {
+      values[field] = change[field] !== undefined ? change[field] : previous[field];
+    });
+
+    return RateCard.create({
+      city,
+      vehicleType,
+      version: (latestVersion || 0) + 1,
+      effectiveFrom,
+      ...values,
+      createdBy: adminId
+    }, { transaction });
+  });
+
+  return {
+    success: true,
+    rateCard,
+    previous
+  };
+};
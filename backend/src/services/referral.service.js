@@ -0,0 +1,396 @@
+/**
+ * Referral Service for Taxi-Express
+ * Records referrals at sign-up and rewards both parties once the referee completes a first trip
+ */
+
+const { Referral, User, Driver, Notification } = require('../models');
+const { Op, fn, col, literal } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { checkFraudRisk } = require('./fraud.service');
+const { reward } = require('./wallet.service');
+const { BASE_CURRENCY, toMinor } = require('../utils/money');
+
+// Wallet credit for the user who shared their code, in the base currency
+const REFERRAL_REFERRER_REWARD = parseFloat(process.env.REFERRAL_REFERRER_REWARD) || 1000;
+
+// Wallet credit for the new rider
+const REFERRAL_REFEREE_REWARD = parseFloat(process.env.REFERRAL_REFEREE_REWARD) || 1000;
+
+// A first trip cheaper than this does not qualify, so a token ride cannot farm rewards
+const REFERRAL_MIN_TRIP_FARE = parseFloat(process.env.REFERRAL_MIN_TRIP_FARE) || 1000;
+
+// Rewards a single referrer can earn per calendar month
+const REFERRAL_MAX_REWARDS_PER_MONTH = parseInt(process.env.REFERRAL_MAX_REWARDS_PER_MONTH, 10) || 10;
+
+// National significant number length; the same line written with or without the country code matches
+const PHONE_FINGERPRINT_DIGITS = 9;
+
+/**
+ * Find the active user a referral code belongs to
+ * @param {string} code - Referral code entered at sign-up
+ * @returns {Promise<Object|null>} Referrer, or null when the code is unknown
+ */
+exports.resolveReferrer = async (code) => {
+  return User.findOne({
+    where: {
+      referralCode: String(code).trim().toUpperCase(),
+      isActive: true
+    }
+  });
+};
+
+/**
+ * Record that a new user signed up with someone's referral code
+ * Sign-ups sharing a phone number or device with an existing account are recorded as rejected
+ * @param {Object} referrer - User who owns the code
+ * @param {Object} referee - Newly registered user
+ * @param {Object} [signup] - Sign-up context
+ * @param {string} [signup.deviceId] - Device identifier sent by the app
+ * @param {string} [signup.ipAddress] - IP address of the sign-up request
+ * @returns {Promise<Object>} Created referral
+ */
+exports.recordReferral = async (referrer, referee, signup = {}) => {
+  const { deviceId, ipAddress } = signup;
+
+  await referee.update({ referredBy: referrer.id });
+
+  const rejectionReason = await findSignupAbuse(referee, deviceId);
+
+  const referral = await Referral.create({
+    referrerId: referrer.id,
+    refereeId: referee.id,
+    referralCode: referrer.referralCode,
+    status: rejectionReason ? 'rejected' : 'pending',
+    rejectionReason,
+    rejectedAt: rejectionReason ? new Date() : null,
+    refereeDeviceId: deviceId || null,
+    refereeIpAddress: ipAddress || null
+  });
+
+  if (rejectionReason) {
+    await checkFraudRisk(referrer.id, 'multiple_accounts', {
+      matchingDetails: [rejectionReason === 'shared_phone' ? 'phone' : 'device'],
+      accountCount: 2,
+      referralId: referral.id
+    });
+  }
+
+  return referral;
+};
+
+/**
+ * Reward a pending referral when the referee completes a qualifying trip
+ * Called after every completed trip; only the first qualifying one pays out
+ * @param {Object} trip - Completed trip
+ * @returns {Promise<Object|null>} Updated referral, or null when nothing was due
+ */
+exports.rewardReferral = async (trip) => {
+  const referral = await Referral.findOne({
+    where: { refereeId: trip.clientId, status: 'pending' }
+  });
+
+  if (!referral || parseFloat(trip.finalPrice) < REFERRAL_MIN_TRIP_FARE) {
+    return null;
+  }
+
+  // A referrer driving their own referees around is a way to mint rewards
+  const driver = await Driver.findByPk(trip.driverId);
+  if (driver && driver.userId === referral.referrerId) {
+    await rejectReferral(referral, 'referrer_drove_trip', trip.id);
+    await checkFraudRisk(referral.referrerId, 'multiple_accounts', {
+      matchingDetails: ['driver'],
+      accountCount: 2,
+      referralId: referral.id,
+      tripId: trip.id
+    });
+    return referral;
+  }
+
+  const monthStart = new Date();
+  monthStart.setDate(1);
+  monthStart.setHours(0, 0, 0, 0);
+
+  const outcome = await sequelize.transaction(async (transaction) => {
+    // One referrer's rewards are granted one at a time so concurrent trips cannot overshoot the monthly cap
+    await User.findByPk(referral.referrerId, { transaction, lock: transaction.LOCK.UPDATE });
+
+    const rewardsThisMonth = await Referral.count({
+      where: {
+        referrerId: referral.referrerId,
+        status: 'rewarded',
+        rewardedAt: { [Op.gte]: monthStart }
+      },
+      transaction
+    });
+
+    if (rewardsThisMonth >= REFERRAL_MAX_REWARDS_PER_MONTH) {
+      await Referral.update({
+        status: 'rejected',
+        rejectionReason: 'monthly_cap',
+        rejectedAt: new Date(),
+        qualifyingTripId: trip.id
+      }, {
+        where: { id: referral.id, status: 'pending' },
+        transaction
+      });
+      return 'capped';
+    }
+
+    // Guarded on status so a referral is never paid twice
+    const [updated] = await Referral.update({
+      status: 'rewarded',
+      qualifyingTripId: trip.id,
+      referrerReward: REFERRAL_REFERRER_REWARD,
+      refereeReward: REFERRAL_REFEREE_REWARD,
+      rewardedAt: new Date()
+    }, {
+      where: { id: referral.id, status: 'pending' },
+      transaction
+    });
+
+    if (!updated) {
+      return null;
+    }
+
+    await reward(referral.referrerId, BASE_CURRENCY, toMinor(REFERRAL_REFERRER_REWARD, BASE_CURRENCY), {
+      tripId: trip.id,
+      description: 'Referral reward for the referrer'
+    }, transaction);
+    await reward(referral.refereeId, BASE_CURRENCY, toMinor(REFERRAL_REFEREE_REWARD, BASE_CURRENCY), {
+      tripId: trip.id,
+      description: 'Referral reward for the new rider'
+    }, transaction);
+
+    return 'rewarded';
+  });
+
+  if (outcome === 'capped') {
+    return referral.reload();
+  }
+
+  if (!outcome) {
+    return null;
+  }
+
+  await Notification.bulkCreate([
+    {
+      userId: referral.referrerId,
+      type: 'promotion',
+      title: 'Referral Reward',
+      message: `Your friend completed their first trip. ${REFERRAL_REFERRER_REWARD} ${BASE_CURRENCY} has been added to your wallet.`,
+      data: { referralId: referral.id },
+      channel: 'app',
+      priority: 'medium'
+    },
+    {
+      userId: referral.refereeId,
+      type: 'promotion',
+      title: 'Welcome Reward',
+      message: `Thanks for riding with Taxi-Express! ${REFERRAL_REFEREE_REWARD} ${BASE_CURRENCY} has been added to your wallet.`,
+      data: { referralId: referral.id },
+      channel: 'app',
+      priority: 'medium'
+    }
+  ]);
+
+  return referral.reload();
+};
+
+/**
+ * Get a user's referral code and the state of the referrals they made
+ * Accounts created before referral codes existed are given one
+ * @param {Object} user - User
+ * @returns {Promise<Object>} Code, reward amounts and referrals
+ */
+exports.getReferralSummary = async (user) => {
+  if (!user.referralCode) {
+    await user.update({ referralCode: User.generateReferralCode() });
+  }
+
+  const referrals = await Referral.findAll({
+    where: { referrerId: user.id },
+    include: [
+      {
+        model: User,
+        as: 'referee',
+        attributes: ['id', 'firstName']
+      }
+    ],
+    order: [['createdAt', 'DESC']]
+  });
+
+  return {
+    referralCode: user.referralCode,
+    currency: BASE_CURRENCY,
+    referrerReward: REFERRAL_REFERRER_REWARD,
+    refereeReward: REFERRAL_REFEREE_REWARD,
+    minimumTripFare: REFERRAL_MIN_TRIP_FARE,
+    totalEarned: referrals.reduce((sum, referral) => sum + parseFloat(referral.referrerReward || 0), 0),
+    referrals: referrals.map(referral => ({
+      id: referral.id,
+      refereeName: referral.referee ? referral.referee.firstName : null,
+      status: referral.status,
+      reward: referral.referrerReward,
+      createdAt: referral.createdAt,
+      rewardedAt: referral.rewardedAt
+    }))
+  };
+};
+
+/**
+ * Summarise referral sign-ups and conversions over a period
+ * @param {Object} [period] - Optional startDate and endDate on the sign-up date
+ * @returns {Promise<Object>} Counts per status and rejection reason, rewards paid and top referrers
+ */
+exports.getReferralReport = async (period = {}) => {
+  const { startDate, endDate } = period;
+  const where = {};
+
+  if (startDate || endDate) {
+    where.createdAt = {};
+    if (startDate) where.createdAt[Op.gte] = new Date(startDate);
+    if (endDate) where.createdAt[Op.lte] = new Date(endDate);
+  }
+
+  const [byStatus, byReason, totals, topReferrers] = await Promise.all([
+    Referral.findAll({
+      where,
+      attributes: ['status', [fn('COUNT', col('id')), 'count']],
+      group: ['status'],
+      raw: true
+    }),
+    Referral.findAll({
+      where: { ...where, status: 'rejected' },
+      attributes: ['rejectionReason', [fn('COUNT', col('id')), 'count']],
+      group: ['rejectionReason'],
+      raw: true
+    }),
+    Referral.findOne({
+      where: { ...where, status: 'rewarded' },
+      attributes: [
+        [fn('SUM', col('referrerReward')), 'referrerRewards'],
+        [fn('SUM', col('refereeReward')), 'refereeRewards'],
+        [fn('AVG', literal('EXTRACT(EPOCH FROM ("rewardedAt" - "createdAt")) / 86400')), 'averageDaysToConvert']
+      ],
+      raw: true
+    }),
+    Referral.findAll({
+      where,
+      attributes: [
+        'referrerId',
+        [fn('COUNT', col('id')), 'signups'],
+        [literal('COUNT(*) FILTER (WHERE "status" = \'rewarded\')'), 'conversions']
+      ],
+      group: ['referrerId'],
+      order: [[literal('conversions'), 'DESC'], [literal('signups'), 'DESC']],
+      limit: 10,
+      raw: true
+    })
+  ]);
+
+  const statusCounts = { pending: 0, rewarded: 0, rejected: 0 };
+  byStatus.forEach(row => {
+    statusCounts[row.status] = parseInt(row.count, 10);
+  });
+
+  const rejectionReasons = {};
+  byReason.forEach(row => {
+    rejectionReasons[row.rejectionReason] = parseInt(row.count, 10);
+  });
+
+  const signups = statusCounts.pending + statusCounts.rewarded + statusCounts.rejected;
+
+  const referrers = await User.findAll({
+    where: { id: topReferrers.map(row => row.referrerId) },
+    attributes: ['id', 'firstName', 'lastName', 'phoneNumber', 'role']
+  });
+  const referrersById = {};
+  referrers.forEach(referrer => {
+    referrersById[referrer.id] = referrer;
+  });
+
+  return {
+    period: {
+      startDate: startDate || null,
+      endDate: endDate || null
+    },
+    signups,
+    ...statusCounts,
+    conversionRate: signups ? Math.round((statusCounts.rewarded / signups) * 1000) / 10 : 0,
+    rejectionReasons,
+    rewardsPaid: {
+      referrers: parseFloat(totals.referrerRewards) || 0,
+      referees: parseFloat(totals.refereeRewards) || 0
+    },
+    averageDaysToConvert: totals.averageDaysToConvert
+      ? Math.round(parseFloat(totals.averageDaysToConvert) * 10) / 10
+      : null,
+    topReferrers: topReferrers.map(row => ({
+      referrer: referrersById[row.referrerId] || { id: row.referrerId },
+      signups: parseInt(row.signups, 10),
+      conversions: parseInt(row.conversions, 10)
+    }))
+  };
+};
+
+/**
+ * Check a referred sign-up against existing accounts, the referrer's included
+ * @param {Object} referee - Newly registered user
+ * @param {string} [deviceId] - Device the referee signed up from
+ * @returns {Promise<string|null>} Rejection reason, or null when the sign-up looks genuine
+ */
+async function findSignupAbuse(referee, deviceId) {
+  const fingerprint = phoneFingerprint(referee.phoneNumber);
+
+  // The same line registered again in another format, e.g. +243 8... and 08...
+  const samePhone = await User.count({
+    where: {
+      id: { [Op.ne]: referee.id },
+      phoneNumber: { [Op.like]: `%${fingerprint}` }
+    }
+  });
+
+  if (samePhone > 0) {
+    return 'shared_phone';
+  }
+
+  if (deviceId) {
+    const sameDevice = await User.count({
+      where: {
+        id: { [Op.ne]: referee.id },
+        registrationDeviceId: deviceId
+      }
+    });
+
+    if (sameDevice > 0) {
+      return 'shared_device';
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Close a pending referral without paying it
+ * @param {Object} referral - Referral
+ * @param {string} reason - Rejection reason
+ * @param {string} tripId - Trip that would have qualified
+ * @returns {Promise<void>}
+ */
+async function rejectReferral(referral, reason, tripId) {
+  await referral.update({
+    status: 'rejected',
+    rejectionReason: reason,
+    rejectedAt: new Date(),
+    qualifyingTripId: tripId
+  });
+}
+
+/**
+ * Reduce a phone number to its last national digits so formatting differences do not hide a match
+ * @param {string} phoneNumber - Phone number as registered
+ * @returns {string} Trailing digits
+ */
+function phoneFingerprint(phoneNumber) {
+  return String(phoneNumber).replace(/\D/g, '').slice(-PHONE_FINGERPRINT_DIGITS);
+}
@@ -0,0 +1,305 @@
+/**
+ * Refund Service for Taxi-Express
+ * Full and partial refunds of trip payments, reversing the driver's share and the platform fee in the ledger
+ */
+
+const { Payment, Refund, Driver, Notification, LedgerPosting, LedgerAccount } = require('../models');
+const { sequelize } = require('../config/database');
+const { getAccount, postEntry } = require('./ledger.service');
+const { getWallet } = require('./wallet.service');
+const { PLATFORM_FEE_TAX_RATE } = require('./payment.service');
+const { refundMobileMoneyPayment } = require('./mobileMoney.service');
+const { refundCardPayment } = require('./cardPayment.service');
+const { fromMinor, formatMoney, splitMinor } = require('../utils/money');
+
+/**
+ * Refund all or part of a completed trip payment
+ * The driver's share and the platform fee (with its tax) are taken back in proportion to the amount refunded.
+ * Wallet payments, and refunds the admin sends to the wallet, credit the rider's wallet at once.
+ * Refunds to the original method are recorded as pending with their ledger entry first, then sent to the
+ * operator or card processor outside the transaction; they are completed when it accepts and reversed
+ * when it refuses, so money a provider sent always has a refund on record.
+ * @param {string} paymentId - ID of the payment
+ * @param {Object} request - The refund
+ * @param {number} [request.amountMinor] - Amount to refund in minor units; defaults to everything not yet refunded
+ * @param {string} request.destination - original_method or wallet
+ * @param {string} request.reason - Why the rider is refunded
+ * @param {string} request.adminId - Admin issuing the refund
+ * @returns {Promise<Object>} success with the refund and payment, or a code and message
+ */
+exports.refundPayment = async (paymentId, { amountMinor, destination, reason, adminId }) => {
+  let refund;
+  let payment;
+
+  try {
+    ({ refund, payment } = await sequelize.transaction(async (transaction) => {
+      // Locked so two refunds of the same payment cannot both pass the refundable check
+      const locked = await Payment.findByPk(paymentId, { transaction, lock: transaction.LOCK.UPDATE });
+      const { refundMinor, method } = checkRefundable(locked, amountMinor, destination);
+
+      const refundedBefore = Number(locked.refundedAmountMinor || 0);
+      const shares = reversalShares(locked, refundedBefore, refundMinor);
+      const driver = await Driver.findByPk(locked.driverId, { transaction });
+
+      const journalEntry = await postEntry({
+        type: 'trip_refund',
+        currency: locked.currency,
+        tripId: locked.tripId,
+        paymentId: locked.id,
+        createdBy: adminId,
+        description: `Trip fare refunded to ${method}: ${reason}`,
+        lines: [
+          { account: await getWallet(driver.userId, locked.currency, transaction), debit: shares.driverMinor },
+          { account: await getAccount('platform_revenue', locked.currency, null, transaction), debit: shares.revenueMinor },
+          { account: await getAccount('tax_payable', locked.currency, null, transaction), debit: shares.taxMinor },
+          {
+            account: method === 'wallet'
+              ? await getWallet(locked.clientId, locked.currency, transaction)
+              : await getAccount('external_funds', locked.currency, null, transaction),
+            credit: refundMinor
+          }
+        ]
+      }, transaction);
+
+      const refundedMinor = refundedBefore + refundMinor;
+      await locked.update({
+        refundedAmountMinor: refundedMinor,
+        refundedAmount: fromMinor(refundedMinor, locked.currency),
+        refundedAt: new Date(),
+        refundReason: reason,
+        status: refundedMinor === Number(locked.amountMinor) ? 'refunded' : locked.status
+      }, { transaction });
+
+      const created = await Refund.create({
+        paymentId: locked.id,
+        currency: locked.currency,
+        amountMinor: refundMinor,
+        amount: fromMinor(refundMinor, locked.currency),
+        driverAmountMinor: shares.driverMinor,
+        platformFeeMinor: shares.revenueMinor + shares.taxMinor,
+        destination,
+        method,
+        status: method === 'wallet' ? 'completed' : 'pending',
+        reason,
+        journalEntryId: journalEntry.id,
+        createdBy: adminId
+      }, { transaction });
+
+      return { refund: created, payment: locked };
+    }));
+  } catch (error) {
+    if (error.code === 'insufficient_funds') {
+      return {
+        success: false,
+        code: error.code,
+        message: 'The driver\'s wallet does not cover their share of this refund'
+      };
+    }
+    if (!['not_found', 'not_refundable', 'invalid_amount', 'invalid_destination'].includes(error.code)) {
+      throw error;
+    }
+    return { success: false, code: error.code, message: error.message };
+  }
+
+  if (refund.status === 'pending') {
+    const result = refund.method === 'mobile_money'
+      ? await refundMobileMoneyPayment(payment, Number(refund.amountMinor))
+      : await refundCardPayment(payment, Number(refund.amountMinor));
+
+    if (!result.success) {
+      const message = `The refund was refused: ${result.message || 'no reason given'}`;
+      await reverseRefund(refund, message);
+      return { success: false, code: 'provider_refused', message };
+    }
+
+    await refund.update({
+      status: 'completed',
+      providerReference: result.refundReference || null
+    });
+  }
+
+  await notifyRefund(payment, refund);
+  return { success: true, refund, payment };
+};
+
+/**
+ * Undo a pending refund the operator or card processor refused
+ * Its ledger entry is posted in reverse and the amount counts as refundable again
+ * @param {Object} refund - Pending refund
+ * @param {string} failureReason - What the provider said
+ * @returns {Promise<void>}
+ */
+async function reverseRefund(refund, failureReason) {
+  await sequelize.transaction(async (transaction) => {
+    const payment = await Payment.findByPk(refund.paymentId, { transaction, lock: transaction.LOCK.UPDATE });
+
+    // Guarded on status so a refund is never reversed twice
+    const [updated] = await Refund.update({
+      status: 'failed',
+      failureReason
+    }, {
+      where: { id: refund.id, status: 'pending' },
+      transaction
+    });
+
+    if (!updated) {
+      return;
+    }
+
+    const postings = await LedgerPosting.findAll({
+      where: { journalEntryId: refund.journalEntryId },
+      include: [{ model: LedgerAccount, as: 'account' }],
+      transaction
+    });
+
+    const reversal = await postEntry({
+      type: 'trip_refund_reversal',
+      currency: refund.currency,
+      tripId: payment.tripId,
+      paymentId: payment.id,
+      createdBy: refund.createdBy,
+      description: `Trip refund to ${refund.method} reversed: ${failureReason}`,
+      lines: postings.map(posting => Number(posting.amountMinor) > 0
+        ? { account: posting.account, credit: Number(posting.amountMinor) }
+        : { account: posting.account, debit: -Number(posting.amountMinor) })
+    }, transaction);
+
+    const refundedMinor = Number(payment.refundedAmountMinor || 0) - Number(refund.amountMinor);
+    await payment.update({
+      refundedAmountMinor: refundedMinor,
+      refundedAmount: fromMinor(refundedMinor, payment.currency),
+      status: payment.status === 'refunded' ? 'completed' : payment.status
+    }, { transaction });
+
+    await Refund.update({ reversalEntryId: reversal.id }, { where: { id: refund.id }, transaction });
+  });
+
+  await refund.reload();
+}
+
+/**
+ * Make sure a payment can be refunded as asked
+ * @param {Object|null} payment - Payment being refunded
+ * @param {number} [amountMinor] - Amount asked for, in minor units
+ * @param {string} destination - original_method or wallet
+ * @returns {Object} refundMinor to refund, and the method it goes back by
+ * @throws {Error} With code not_found, not_refundable, invalid_amount or invalid_destination
+ */
+function checkRefundable(payment, amountMinor, destination) {
+  if (!payment) {
+    throw refundError('not_found', 'Payment not found');
+  }
+
+  if (payment.transactionType !== 'trip_payment' || !['completed', 'refunded'].includes(payment.status)) {
+    throw refundError('not_refundable', 'Only completed trip payments can be refunded');
+  }
+
+  // Cash went from rider to driver directly; only the platform fee on it is in the ledger
+  if (payment.paymentMethod === 'cash') {
+    throw refundError('not_refundable', 'Cash payments cannot be refunded through the app');
+  }
+
+  // The fare was collected from several riders; a refund to the owner alone would hand them the others' shares
+  if (payment.paymentMethod === 'split') {
+    throw refundError('not_refundable', 'Split fares cannot be refunded until refunds can go back to each rider who paid a share');
+  }
+
+  const remainingMinor = Number(payment.amountMinor) - Number(payment.refundedAmountMinor || 0);
+  if (remainingMinor <= 0) {
+    throw refundError('not_refundable', 'Payment has already been refunded in full');
+  }
+
+  const refundMinor = amountMinor === undefined ? remainingMinor : amountMinor;
+  if (!Number.isInteger(refundMinor) || refundMinor <= 0 || refundMinor > remainingMinor) {
+    throw refundError('invalid_amount', `Refund must be between 1 and ${remainingMinor} minor units of ${payment.currency}`);
+  }
+
+  const method = destination === 'wallet' ? 'wallet' : payment.paymentMethod;
+  if (method !== 'wallet' && !payment.externalReference) {
+    throw refundError('invalid_destination', `This ${method} payment has no provider reference; refund it to the wallet instead`);
+  }
+
+  return { refundMinor, method };
+}
+
+/**
+ * Split a refund into the driver's share, platform revenue and tax it takes back
+ * Worked out on the running total refunded, so the shares of several partial refunds
+ * add up to exactly what the trip payment posted
+ * @param {Object} payment - Payment being refunded
+ * @param {number} refundedBeforeMinor - Already refunded, in minor units
+ * @param {number} refundMinor - This refund, in minor units
+ * @returns {Object} driverMinor, revenueMinor and taxMinor
+ */
+function reversalShares(payment, refundedBeforeMinor, refundMinor) {
+  const before = cumulativeShares(payment, refundedBeforeMinor);
+  const after = cumulativeShares(payment, refundedBeforeMinor + refundMinor);
+
+  return {
+    driverMinor: after.driverMinor - before.driverMinor,
+    revenueMinor: after.revenueMinor - before.revenueMinor,
+    taxMinor: after.taxMinor - before.taxMinor
+  };
+}
+
+/**
+ * Shares taken back once a given total has been refunded
+ * @param {Object} payment - Payment being refunded
+ * @param {number} refundedMinor - Total refunded, in minor units
+ * @returns {Object} driverMinor, revenueMinor and taxMinor
+ */
+function cumulativeShares(payment, refundedMinor) {
+  const amountMinor = Number(payment.amountMinor);
+  const driverMinor = Math.round(Number(payment.driverAmountMinor) * refundedMinor / amountMinor);
+  const feeMinor = refundedMinor - driverMinor;
+  const { share: taxMinor, remainder: revenueMinor } = splitMinor(
+    feeMinor,
+    PLATFORM_FEE_TAX_RATE / (1 + PLATFORM_FEE_TAX_RATE)
+  );
+
+  return { driverMinor, revenueMinor, taxMinor };
+}
+
+/**
+ * Tell the rider and the driver about a refund
+ * @param {Object} payment - Refunded payment
+ * @param {Object} refund - The refund
+ * @returns {Promise<void>}
+ */
+async function notifyRefund(payment, refund) {
+  const driver = await Driver.findByPk(payment.driverId);
+
+  await Notification.create({
+    userId: payment.clientId,
+    type: 'payment_refunded',
+    title: 'Payment Refunded',
+    message: `${formatMoney(refund.amountMinor, refund.currency)} of your trip payment has been refunded to your ${refund.method === 'mobile_money' ? 'mobile money account' : refund.method}.`,
+    data: { tripId: payment.tripId, paymentId: payment.id, refundId: refund.id },
+    channel: 'app',
+    priority: 'medium'
+  });
+
+  if (driver && Number(refund.driverAmountMinor) > 0) {
+    await Notification.create({
+      userId: driver.userId,
+      type: 'payment_refunded',
+      title: 'Trip Payment Refunded',
+      message: `The rider was refunded for a trip; ${formatMoney(refund.driverAmountMinor, refund.currency)} of your earnings has been taken back from your wallet.`,
+      data: { tripId: payment.tripId, paymentId: payment.id, refundId: refund.id },
+      channel: 'app',
+      priority: 'medium'
+    });
+  }
+}
+
+/**
+ * Build an error carrying a machine-readable code
+ * @param {string} code - Error code
+ * @param {string} message - Human-readable message
+ * @returns {Error} Error with code
+ */
+function refundError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
@@ -0,0 +1,298 @@
+/**
+ * Safety Service for Taxi-Express
+ * SOS workflow: safety cases, admin alerts, emergency contact SMS and live location sharing
+ */
+
+const crypto = require('crypto');
+const { User, Driver, Notification, EmergencyContact, SafetyCase } = require('../models');
+const { Op } = require('sequelize');
+const { sendSmsToNumber } = require('./sms.service');
+
+// Socket room joined by admins on duty for high-priority safety alerts
+const SAFETY_ADMIN_ROOM = 'admin_safety';
+
+// Trip statuses during which an SOS can be raised
+const SOS_TRIP_STATUSES = ['assigned', 'active', 'incident'];
+
+// Base URL of the public live location page sent to emergency contacts
+const TRACKING_BASE_URL = process.env.SAFETY_TRACKING_URL ||
+  `${process.env.FRONTEND_URL || 'http://localhost:3000'}/safety`;
+
+exports.SAFETY_ADMIN_ROOM = SAFETY_ADMIN_ROOM;
+
+/**
+ * Get the socket.io instance lazily to avoid a circular import with server.js
+ * @returns {Object} socket.io server
+ */
+function getIo() {
+  return require('../server').io;
+}
+
+/**
+ * Raise an SOS on a trip, or re-alert on the trip's open safety case
+ * @param {Object} trip - Trip the SOS is raised on
+ * @param {Object} reporter - User raising the SOS
+ * @param {string} reporterRole - 'client' or 'driver'
+ * @param {Object} [location] - GeoJSON point reported by the device
+ * @returns {Promise<Object>} Result with the safety case
+ */
+exports.triggerSOS = async (trip, reporter, reporterRole, location) => {
+  try {
+    if (!SOS_TRIP_STATUSES.includes(trip.status)) {
+      return {
+        success: false,
+        message: `SOS cannot be raised on a ${trip.status} trip`
+      };
+    }
+
+    // Fall back to the trip's last tracked position when the device sent none
+    const liveLocation = location || trip.currentLocation || trip.pickupLocation;
+    const now = new Date();
+
+    let safetyCase = await findOpenCase(trip.id);
+    let isNewCase = false;
+
+    if (!safetyCase) {
+      try {
+        safetyCase = await SafetyCase.create({
+          tripId: trip.id,
+          reportedBy: reporter.id,
+          reporterRole,
+          triggerLocation: liveLocation,
+          lastKnownLocation: liveLocation,
+          lastLocationAt: now,
+          trackingToken: crypto.randomBytes(24).toString('hex')
+        });
+        isNewCase = true;
+      } catch (error) {
+        // A trip has one open case; a simultaneous press (e.g. rider and driver) opened it first
+        if (error.name !== 'SequelizeUniqueConstraintError') {
+          throw error;
+        }
+        safetyCase = await findOpenCase(trip.id);
+        if (!safetyCase) {
+          throw error;
+        }
+      }
+    }
+
+    if (!isNewCase) {
+      safetyCase.alertCount += 1;
+      safetyCase.lastKnownLocation = liveLocation;
+      safetyCase.lastLocationAt = now;
+      await safetyCase.save();
+    }
+
+    await alertAdmins(safetyCase, trip, reporter, isNewCase);
+
+    // Contacts are told once per case; later presses only re-alert operations
+    if (isNewCase) {
+      safetyCase.contactsNotified = await notifyEmergencyContacts(safetyCase, reporter);
+      await safetyCase.save();
+    }
+
+    return {
+      success: true,
+      message: isNewCase ? 'SOS raised' : 'SOS repeated on open safety case',
+      safetyCase,
+      trackingUrl: exports.getTrackingUrl(safetyCase)
+    };
+  } catch (error) {
+    console.error('Trigger SOS error:', error);
+    return {
+      success: false,
+      message: 'Error raising SOS',
+      error: error.message
+    };
+  }
+};
+
+/**
+ * Push a new position to the trip's open safety case, if any
+ * @param {string} tripId - ID of the trip
+ * @param {Object} location - GeoJSON point
+ * @returns {Promise<Object|null>} Updated safety case, or null when none is open
+ */
+exports.updateCaseLocation = async (tripId, location) => {
+  try {
+    const safetyCase = await findOpenCase(tripId);
+
+    if (!safetyCase) {
+      return null;
+    }
+
+    safetyCase.lastKnownLocation = location;
+    safetyCase.lastLocationAt = new Date();
+    await safetyCase.save();
+
+    const payload = {
+      caseId: safetyCase.id,
+      tripId,
+      location,
+      at: safetyCase.lastLocationAt
+    };
+
+    getIo().to(SAFETY_ADMIN_ROOM).emit('sos_location', payload);
+    getIo().to(`safety_${safetyCase.trackingToken}`).emit('sos_location', payload);
+
+    return safetyCase;
+  } catch (error) {
+    console.error('Safety case location error:', error);
+    return null;
+  }
+};
+
+/**
+ * Build the public live location link of a safety case
+ * @param {Object} safetyCase - Safety case
+ * @returns {string} Tracking URL
+ */
+exports.getTrackingUrl = (safetyCase) => {
+  return `${TRACKING_BASE_URL}/${safetyCase.trackingToken}`;
+};
+
+/**
+ * Mark a safety case as being handled by an admin
+ * @param {Object} safetyCase - Safety case
+ * @param {string} adminId - ID of the admin
+ * @returns {Promise<Object>} Updated safety case
+ */
+exports.acknowledgeCase = async (safetyCase, adminId) => {
+  safetyCase.status = 'acknowledged';
+  safetyCase.acknowledgedBy = adminId;
+  safetyCase.acknowledgedAt = new Date();
+  await safetyCase.save();
+
+  getIo().to(SAFETY_ADMIN_ROOM).emit('sos_acknowledged', {
+    caseId: safetyCase.id,
+    tripId: safetyCase.tripId,
+    acknowledgedBy: adminId
+  });
+
+  await Notification.create({
+    userId: safetyCase.reportedBy,
+    type: 'system_alert',
+    title: 'Help Is On The Way',
+    message: 'Our safety team has received your SOS and is handling it.',
+    data: { tripId: safetyCase.tripId, caseId: safetyCase.id },
+    channel: 'app',
+    priority: 'urgent'
+  });
+
+  return safetyCase;
+};
+
+/**
+ * Close a safety case; the live location link stops sharing the position
+ * @param {Object} safetyCase - Safety case
+ * @param {string} adminId - ID of the admin
+ * @param {string} resolutionNotes - What happened and how it was handled
+ * @returns {Promise<Object>} Updated safety case
+ */
+exports.resolveCase = async (safetyCase, adminId, resolutionNotes) => {
+  safetyCase.status = 'resolved';
+  safetyCase.resolvedBy = adminId;
+  safetyCase.resolvedAt = new Date();
+  safetyCase.resolutionNotes = resolutionNotes;
+  await safetyCase.save();
+
+  const payload = {
+    caseId: safetyCase.id,
+    tripId: safetyCase.tripId
+  };
+
+  getIo().to(SAFETY_ADMIN_ROOM).emit('sos_resolved', payload);
+  getIo().to(`safety_${safetyCase.trackingToken}`).emit('sos_resolved', payload);
+
+  return safetyCase;
+};
+
+/**
+ * Alert every active admin through the safety socket room and an urgent notification
+ * @param {Object} safetyCase - Safety case
+ * @param {Object} trip - Trip the SOS was raised on
+ * @param {Object} reporter - User who raised the SOS
+ * @param {boolean} isNewCase - Whether this press opened the case
+ * @returns {Promise<void>}
+ */
+async function alertAdmins(safetyCase, trip, reporter, isNewCase) {
+  const driver = trip.driverId ? await Driver.findByPk(trip.driverId) : null;
+  const reporterName = `${reporter.firstName} ${reporter.lastName}`;
+
+  getIo().to(SAFETY_ADMIN_ROOM).emit('sos_alert', {
+    caseId: safetyCase.id,
+    tripId: trip.id,
+    repeated: !isNewCase,
+    alertCount: safetyCase.alertCount,
+    reporterId: reporter.id,
+    reporterName,
+    reporterRole: safetyCase.reporterRole,
+    reporterPhone: reporter.phoneNumber,
+    clientId: trip.clientId,
+    driverId: trip.driverId,
+    licensePlate: driver ? driver.licensePlate : null,
+    tripStatus: trip.status,
+    location: safetyCase.lastKnownLocation,
+    at: safetyCase.lastLocationAt
+  });
+
+  const admins = await User.findAll({
+    where: { role: 'admin', isActive: true }
+  });
+
+  for (const admin of admins) {
+    await Notification.create({
+      userId: admin.id,
+      type: 'system_alert',
+      title: isNewCase ? 'SOS Alert' : 'Repeated SOS Alert',
+      message: `${reporterName} (${safetyCase.reporterRole}) raised an SOS on trip ${trip.id}.`,
+      data: { tripId: trip.id, caseId: safetyCase.id },
+      channel: 'app',
+      priority: 'urgent'
+    });
+  }
+}
+
+/**
+ * Send the live location link to the reporter's emergency contacts
+ * @param {Object} safetyCase - Safety case
+ * @param {Object} reporter - User who raised the SOS
+ * @returns {Promise<number>} Number of contacts successfully notified
+ */
+async function notifyEmergencyContacts(safetyCase, reporter) {
+  const contacts = await EmergencyContact.findAll({
+    where: { userId: reporter.id }
+  });
+
+  let notified = 0;
+
+  for (const contact of contacts) {
+    const result = await sendSmsToNumber(contact.phoneNumber, 'sos_alert', {
+      contactName: contact.name,
+      reporterName: `${reporter.firstName} ${reporter.lastName}`,
+      trackingUrl: exports.getTrackingUrl(safetyCase)
+    }, contact.preferredLanguage);
+
+    if (result.success) {
+      notified++;
+    }
+  }
+
+  return notified;
+}
+
+/**
+ * Find the safety case still open on a trip
+ * @param {string} tripId - ID of the trip
+ * @returns {Promise<Object|null>} Open or acknowledged safety case
+ */
+async function findOpenCase(tripId) {
+  return SafetyCase.findOne({
+    where: {
+      tripId,
+      status: {
+        [Op.in]: ['open', 'acknowledged']
+      }
+    }
+  });
+}
@@ -0,0 +1,208 @@
+/**
+ * Scheduling Service for Taxi-Express
+ * Handles advance-booking trips: pickup time rules, reminders, and timed dispatch
+ */
+
+const { Trip, Notification } = require('../models');
+const { Op } = require('sequelize');
+const { startDispatch } = require('./dispatch.service');
+const { transitionTrip } = require('./tripState.service');
+const { sendSms } = require('./sms.service');
+
+// Minutes before pickup at which dispatch to drivers begins
+const DISPATCH_LEAD_MINUTES = parseInt(process.env.SCHEDULED_DISPATCH_LEAD_MINUTES, 10) || 15;
+
+// Minutes before pickup at which the client is reminded
+const REMINDER_LEAD_MINUTES = parseInt(process.env.SCHEDULED_REMINDER_LEAD_MINUTES, 10) || 60;
+
+// Booking window limits
+const MIN_ADVANCE_MINUTES = parseInt(process.env.SCHEDULED_MIN_ADVANCE_MINUTES, 10) || 30;
+const MAX_ADVANCE_DAYS = parseInt(process.env.SCHEDULED_MAX_ADVANCE_DAYS, 10) || 30;
+
+// How often due reminders and dispatches are checked
+const SCAN_INTERVAL_MS = 60 * 1000;
+
+let schedulerInterval = null;
+
+/**
+ * Get the socket.io instance lazily to avoid a circular import with server.js
+ * @returns {Object} socket.io server
+ */
+function getIo() {
+  return require('../server').io;
+}
+
+/**
+ * Check that a requested pickup time falls inside the booking window
+ * @param {Date|string} pickupTime - Requested pickup time
+ * @returns {string|null} Error message, or null if the time is valid
+ */
+exports.validatePickupTime = (pickupTime) => {
+  const time = new Date(pickupTime);
+
+  if (isNaN(time.getTime())) {
+    return 'Invalid pickup time';
+  }
+
+  const earliest = Date.now() + MIN_ADVANCE_MINUTES * 60 * 1000;
+  const latest = Date.now() + MAX_ADVANCE_DAYS * 24 * 60 * 60 * 1000;
+
+  if (time.getTime() < earliest) {
+    return `Scheduled trips must be booked at least ${MIN_ADVANCE_MINUTES} minutes in advance`;
+  }
+
+  if (time.getTime() > latest) {
+    return `Scheduled trips cannot be booked more than ${MAX_ADVANCE_DAYS} days in advance`;
+  }
+
+  return null;
+};
+
+/**
+ * Whether a scheduled trip can still be modified or is about to be dispatched
+ * @param {Object} trip - Trip object
+ * @returns {boolean} True if dispatch has not started and is not imminent
+ */
+exports.isModifiable = (trip) => {
+  if (trip.status !== 'scheduled') {
+    return false;
+  }
+
+  const dispatchTime = new Date(trip.scheduledPickupTime).getTime() - DISPATCH_LEAD_MINUTES * 60 * 1000;
+  return dispatchTime > Date.now();
+};
+
+/**
+ * Start the periodic scan for due reminders and dispatches
+ */
+exports.startScheduler = () => {
+  if (schedulerInterval) {
+    return;
+  }
+
+  schedulerInterval = setInterval(() => {
+    exports.runScheduledJobs().catch(error => {
+      console.error('Scheduled trips job error:', error);
+    });
+  }, SCAN_INTERVAL_MS);
+};
+
+/**
+ * Stop the periodic scan
+ */
+exports.stopScheduler = () => {
+  if (schedulerInterval) {
+    clearInterval(schedulerInterval);
+    schedulerInterval = null;
+  }
+};
+
+/**
+ * Send due reminders and dispatch trips whose lead time has been reached
+ * @returns {Promise<Object>} Counts of reminders sent and trips dispatched
+ */
+exports.runScheduledJobs = async () => {
+  const remindersSent = await sendDueReminders();
+  const tripsDispatched = await dispatchDueTrips();
+
+  return {
+    remindersSent,
+    tripsDispatched
+  };
+};
+
+/**
+ * Remind clients of upcoming scheduled pickups
+ * @returns {Promise<number>} Number of reminders sent
+ */
+async function sendDueReminders() {
+  const trips = await Trip.findAll({
+    where: {
+      status: 'scheduled',
+      reminderSentAt: null,
+      scheduledPickupTime: {
+        [Op.lte]: new Date(Date.now() + REMINDER_LEAD_MINUTES * 60 * 1000)
+      }
+    }
+  });
+
+  let sent = 0;
+
+  for (const trip of trips) {
+    // Claim the reminder first so a concurrent scan cannot send it twice
+    const [updatedCount] = await Trip.update(
+      { reminderSentAt: new Date() },
+      { where: { id: trip.id, reminderSentAt: null } }
+    );
+
+    if (updatedCount === 0) {
+      continue;
+    }
+
+    const pickupTime = new Date(trip.scheduledPickupTime);
+
+    await Notification.create({
+      userId: trip.clientId,
+      type: 'trip_reminder',
+      title: 'Upcoming Trip',
+      message: `Reminder: your pickup at ${trip.pickupAddress} is scheduled for ${pickupTime.toISOString()}.`,
+      data: { tripId: trip.id, scheduledPickupTime: pickupTime },
+      channel: 'app',
+      priority: 'medium'
+    });
+
+    await sendSms(trip.clientId, 'trip_reminder', {
+      pickupAddress: trip.pickupAddress,
+      pickupTime: pickupTime.toISOString()
+    });
+
+    getIo().to(`client_${trip.clientId}`).emit('trip_reminder', {
+      tripId: trip.id,
+      scheduledPickupTime: pickupTime
+    });
+
+    sent++;
+  }
+
+  return sent;
+}
+
+/**
+ * Move scheduled trips into dispatch once their lead time is reached
+ * @returns {Promise<number>} Number of trips dispatched
+ */
+async function dispatchDueTrips() {
+  const trips = await Trip.findAll({
+    where: {
+      status: 'scheduled',
+      scheduledPickupTime: {
+        [Op.lte]: new Date(Date.now() + DISPATCH_LEAD_MINUTES * 60 * 1000)
+      }
+    }
+  });
+
+  let dispatched = 0;
+
+  for (const trip of trips) {
+    // Only the scan that wins the transition dispatches the trip
+    const transition = await transitionTrip(trip.id, 'dispatch', {
+      actorRole: 'system',
+      reason: 'Scheduled pickup lead time reached',
+      changes: { dispatchedAt: new Date() }
+    });
+
+    if (!transition.success) {
+      continue;
+    }
+
+    getIo().to(`client_${trip.clientId}`).emit('scheduled_trip_dispatching', {
+      tripId: trip.id,
+      scheduledPickupTime: trip.scheduledPickupTime
+    });
+
+    await startDispatch(trip.id);
+    dispatched++;
+  }
+
+  return dispatched;
+}
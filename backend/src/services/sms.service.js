@@ -187,6 +187,46 @@ exports.sendBulkSms = async (userIds, messageType, messageData = {}) => {
   }
 };
 
+/**
+ * Send an SMS to a phone number that does not belong to a user (e.g. an emergency contact)
+ * @param {string} phoneNumber - Phone number to send SMS to
+ * @param {string} messageType - Type of message
+ * @param {Object} messageData - Data to include in the message
+ * @param {string} [language='fr'] - Language code
+ * @returns {Promise<Object>} SMS sending result
+ */
+exports.sendSmsToNumber = async (phoneNumber, messageType, messageData = {}, language = 'fr') => {
+  try {
+    const messageTemplate = getMessageTemplate(messageType, language);
+    const messageText = formatMessage(messageTemplate, messageData);
+
+    const result = await sendSmsViaProvider(phoneNumber, messageText);
+
+    await SmsLog.create({
+      userId: null,
+      phoneNumber,
+      messageType,
+      messageText,
+      status: result.success ? 'sent' : 'failed',
+      providerResponse: JSON.stringify(result),
+      sentAt: new Date()
+    });
+
+    return {
+      success: result.success,
+      message: result.message,
+      smsId: result.smsId
+    };
+  } catch (error) {
+    console.error('SMS to number error:', error);
+    return {
+      success: false,
+      message: 'Error sending SMS',
+      error: error.message
+    };
+  }
+};
+
 /**
  * Send SMS via external provider
  * @param {string} phoneNumber - Phone number to send SMS to
@@ -248,6 +288,10 @@ function getMessageTemplate(messageType, language) {
       en: 'Hello {{firstName}}, your taxi has been requested. We are finding a driver for you.',
       fr: 'Bonjour {{firstName}}, votre taxi a été demandé. Nous recherchons un chauffeur pour vous.'
     },
+    trip_reminder: {
+      en: 'Hello {{firstName}}, reminder: your Taxi-Express pickup at {{pickupAddress}} is scheduled for {{pickupTime}}.',
+      fr: 'Bonjour {{firstName}}, rappel: votre prise en charge Taxi-Express à {{pickupAddress}} est prévue pour {{pickupTime}}.'
+    },
     trip_driver_assigned: {
       en: 'Hello {{firstName}}, your driver {{driverName}} ({{driverPhone}}) has been assigned to your trip. Vehicle: {{vehicleModel}} ({{vehiclePlate}})',
       fr: 'Bonjour {{firstName}}, votre chauffeur {{driverName}} ({{driverPhone}}) a été assigné à votre trajet. Véhicule: {{vehicleModel}} ({{vehiclePlate}})'
@@ -268,6 +312,10 @@ function getMessageTemplate(messageType, language) {
       en: 'Hello {{firstName}}, your trip has been cancelled. Reason: {{reason}}',
       fr: 'Bonjour {{firstName}}, votre trajet a été annulé. Raison: {{reason}}'
     },
+    sos_alert: {
+      en: 'Hello {{contactName}}, {{reporterName}} has triggered an emergency alert during a Taxi-Express trip. Follow their live location: {{trackingUrl}}',
+      fr: 'Bonjour {{contactName}}, {{reporterName}} a déclenché une alerte d\'urgence pendant un trajet Taxi-Express. Suivez sa position en direct: {{trackingUrl}}'
+    },
     
     // Driver related messages
     driver_new_request: {
@@ -0,0 +1,231 @@
+/**
+ * Surge Service for Taxi-Express
+ * Demand/supply surge multipliers per geohash cell, refreshed over a sliding window
+ */
+
+const { Trip, Driver, SurgeCell } = require('../models');
+const { Op } = require('sequelize');
+const { encode, decode } = require('../utils/geohash');
+
+// Geohash length of a surge cell; 6 is about 1.2 km x 0.6 km
+const SURGE_CELL_PRECISION = parseInt(process.env.SURGE_CELL_PRECISION, 10) || 6;
+
+// Requests and driver positions older than this do not count towards a cell
+const SURGE_WINDOW_MINUTES = parseInt(process.env.SURGE_WINDOW_MINUTES, 10) || 10;
+
+// Weight of the latest demand/supply ratio in the smoothed multiplier (0-1)
+const SURGE_SMOOTHING = parseFloat(process.env.SURGE_SMOOTHING) || 0.3;
+
+// Multiplier added for each request in excess of one per available driver
+const SURGE_SENSITIVITY = parseFloat(process.env.SURGE_SENSITIVITY) || 0.5;
+
+// Highest multiplier a cell can reach
+const SURGE_MAX_MULTIPLIER = parseFloat(process.env.SURGE_MAX_MULTIPLIER) || 2.5;
+
+// How often cells are recomputed
+const REFRESH_INTERVAL_MS = 60 * 1000;
+
+// Cells not recomputed for this long are ignored, so a stopped job cannot freeze a surge in place
+const STALE_AFTER_MS = 5 * REFRESH_INTERVAL_MS;
+
+let surgeInterval = null;
+
+/**
+ * Get the surge cell a point falls in
+ * @param {Object} location - GeoJSON point
+ * @returns {string} Geohash of the cell
+ */
+exports.getCell = (location) => {
+  return encode(location, SURGE_CELL_PRECISION);
+};
+
+/**
+ * Start the periodic surge refresh
+ */
+exports.startSurgeUpdates = () => {
+  if (surgeInterval) {
+    return;
+  }
+
+  surgeInterval = setInterval(() => {
+    exports.refreshSurge().catch(error => {
+      console.error('Surge refresh job error:', error);
+    });
+  }, REFRESH_INTERVAL_MS);
+};
+
+/**
+ * Stop the periodic surge refresh
+ */
+exports.stopSurgeUpdates = () => {
+  if (surgeInterval) {
+    clearInterval(surgeInterval);
+    surgeInterval = null;
+  }
+};
+
+/**
+ * Recount open requests and available drivers per cell and update the smoothed multipliers
+ * Cells back at no surge with no activity are removed
+ * @returns {Promise<Object>} Number of active cells and computation time
+ */
+exports.refreshSurge = async () => {
+  const computedAt = new Date();
+  const since = new Date(computedAt.getTime() - SURGE_WINDOW_MINUTES * 60000);
+
+  const [openTrips, availableDrivers, existingCells] = await Promise.all([
+    Trip.findAll({
+      where: {
+        status: 'requested',
+        createdAt: { [Op.gte]: since }
+      },
+      attributes: ['id', 'pickupLocation']
+    }),
+    Driver.findAll({
+      where: {
+        isAvailable: true,
+        currentLocation: { [Op.ne]: null },
+        lastLocationUpdate: { [Op.gte]: since }
+      },
+      attributes: ['id', 'currentLocation']
+    }),
+    SurgeCell.findAll()
+  ]);
+
+  const counts = {};
+  const countIn = (location, key) => {
+    const cell = exports.getCell(location);
+    counts[cell] = counts[cell] || { demand: 0, supply: 0 };
+    counts[cell][key]++;
+  };
+
+  openTrips.forEach(trip => countIn(trip.pickupLocation, 'demand'));
+  availableDrivers.forEach(driver => countIn(driver.currentLocation, 'supply'));
+
+  const previous = {};
+  existingCells.forEach(row => {
+    previous[row.cell] = row;
+  });
+
+  const cells = new Set([...Object.keys(counts), ...Object.keys(previous)]);
+  let activeCells = 0;
+
+  for (const cell of cells) {
+    const { demand, supply } = counts[cell] || { demand: 0, supply: 0 };
+    const rawMultiplier = computeRawMultiplier(demand, supply);
+
+    // Exponential smoothing keeps prices from jumping with every request
+    const lastMultiplier = previous[cell] ? parseFloat(previous[cell].multiplier) : 1;
+    const multiplier = Math.round((lastMultiplier + SURGE_SMOOTHING * (rawMultiplier - lastMultiplier)) * 100) / 100;
+
+    if (demand === 0 && supply === 0 && multiplier <= 1.01) {
+      if (previous[cell]) {
+        await previous[cell].destroy();
+      }
+      continue;
+    }
+
+    await SurgeCell.upsert({
+      cell,
+      demand,
+      supply,
+      rawMultiplier,
+      multiplier: Math.max(1, multiplier),
+      computedAt
+    });
+    activeCells++;
+  }
+
+  return {
+    cells: activeCells,
+    computedAt
+  };
+};
+
+/**
+ * Get the surge multiplier that applies at a point
+ * @param {Object} location - GeoJSON point
+ * @returns {Promise<Object>} Cell and multiplier (1 when the cell has no current surge)
+ */
+exports.getSurgeForLocation = async (location) => {
+  const cell = exports.getCell(location);
+  const row = await SurgeCell.findByPk(cell);
+
+  if (!row || isStale(row)) {
+    return { cell, multiplier: 1 };
+  }
+
+  return {
+    cell,
+    multiplier: parseFloat(row.multiplier)
+  };
+};
+
+/**
+ * List current surge cells, optionally limited to a bounding box
+ * @param {Object} [bounds] - minLng, minLat, maxLng, maxLat
+ * @returns {Promise<Object>} Cells with their geometry, demand, supply and multiplier
+ */
+exports.getSurgeHeatmap = async (bounds) => {
+  const rows = await SurgeCell.findAll({
+    where: {
+      computedAt: { [Op.gte]: new Date(Date.now() - STALE_AFTER_MS) }
+    },
+    order: [['multiplier', 'DESC']]
+  });
+
+  const cells = rows
+    .map(row => ({
+      cell: row.cell,
+      ...decode(row.cell),
+      demand: row.demand,
+      supply: row.supply,
+      multiplier: parseFloat(row.multiplier),
+      computedAt: row.computedAt
+    }))
+    .filter(cell => !bounds || overlaps(cell.bounds, bounds));
+
+  return {
+    precision: SURGE_CELL_PRECISION,
+    windowMinutes: SURGE_WINDOW_MINUTES,
+    maxMultiplier: SURGE_MAX_MULTIPLIER,
+    cells
+  };
+};
+
+/**
+ * Multiplier from a cell's demand/supply ratio alone
+ * @param {number} demand - Open requests in the cell
+ * @param {number} supply - Available drivers in the cell
+ * @returns {number} Multiplier between 1 and the configured maximum
+ */
+function computeRawMultiplier(demand, supply) {
+  const ratio = demand / Math.max(supply, 1);
+
+  if (ratio <= 1) {
+    return 1;
+  }
+
+  const multiplier = 1 + SURGE_SENSITIVITY * (ratio - 1);
+  return Math.round(Math.min(SURGE_MAX_MULTIPLIER, multiplier) * 100) / 100;
+}
+
+/**
+ * Whether a cell has not been recomputed recently
+ * @param {Object} row - Surge cell
+ * @returns {boolean} True when stale
+ */
+function isStale(row) {
+  return Date.now() - new Date(row.computedAt).getTime() > STALE_AFTER_MS;
+}
+
+/**
+ * Whether two bounding boxes overlap
+ * @param {Object} a - minLng, minLat, maxLng, maxLat
+ * @param {Object} b - minLng, minLat, maxLng, maxLat
+ * @returns {boolean} True when they overlap
+ */
+function overlaps(a, b) {
+  return a.minLng <= b.maxLng && a.maxLng >= b.minLng &&
+    a.minLat <= b.maxLat && a.maxLat >= b.minLat;
+}
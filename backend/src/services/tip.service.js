@@ -0,0 +1,184 @@
+/**
+ * Tip Service for Taxi-Express
+ * Tips riders give drivers after a trip, paid in full to the driver outside the commission
+ */
+
+const { Payment, Driver, Notification } = require('../models');
+const { Op } = require('sequelize');
+const { completeTipPayment } = require('./payment.service');
+const { requestMobileMoneyPayment } = require('./mobileMoney.service');
+const { toBaseMinor } = require('./currency.service');
+const { BASE_CURRENCY, toMinor, fromMinor, formatMoney } = require('../utils/money');
+
+// How long after a trip ends its rider can still tip
+const TIP_WINDOW_HOURS = parseInt(process.env.TIP_WINDOW_HOURS, 10) || 48;
+
+// Largest tip, in major units of the base currency
+const TIP_MAX_AMOUNT = parseFloat(process.env.TIP_MAX_AMOUNT) || 50000;
+
+/**
+ * Get the socket.io instance lazily to avoid a circular import with server.js
+ * @returns {Object} socket.io server
+ */
+function getIo() {
+  return require('../server').io;
+}
+
+/**
+ * Tip the driver of a completed trip, from the rider's wallet or by mobile money
+ * A trip takes one tip; one that failed can be tried again
+ * @param {Object} trip - Completed trip
+ * @param {string} clientId - Rider giving the tip
+ * @param {Object} tip - The tip
+ * @param {number} tip.amountMinor - Amount in minor units of the trip's currency
+ * @param {string} tip.paymentMethod - wallet or mobile_money
+ * @param {string} [tip.provider] - Operator, for mobile money
+ * @param {string} [tip.phoneNumber] - Number to charge, for mobile money
+ * @returns {Promise<Object>} success and the tip payment, or a code and message
+ */
+exports.tipDriver = async (trip, clientId, { amountMinor, paymentMethod, provider, phoneNumber }) => {
+  const currency = trip.currency || BASE_CURRENCY;
+
+  const problem = await checkTippable(trip, clientId);
+  if (problem) {
+    return { success: false, ...problem };
+  }
+
+  const baseAmountMinor = await toBaseMinor(amountMinor, currency);
+  const maxMinor = toMinor(TIP_MAX_AMOUNT, BASE_CURRENCY);
+  if (!Number.isInteger(amountMinor) || amountMinor <= 0 || baseAmountMinor > maxMinor) {
+    return {
+      success: false,
+      code: 'invalid_amount',
+      message: `Tips can be up to ${formatMoney(maxMinor, BASE_CURRENCY)}`
+    };
+  }
+
+  // Tips carry no commission: the whole amount is the driver's
+  let payment;
+  try {
+    payment = await Payment.create({
+      tripId: trip.id,
+      clientId,
+      driverId: trip.driverId,
+      currency,
+      amountMinor,
+      amount: fromMinor(amountMinor, currency),
+      platformFeeMinor: 0,
+      platformFee: 0,
+      driverAmountMinor: amountMinor,
+      driverAmount: fromMinor(amountMinor, currency),
+      baseCurrency: BASE_CURRENCY,
+      baseAmountMinor,
+      basePlatformFeeMinor: 0,
+      paymentMethod,
+      transactionType: 'tip',
+      status: 'pending',
+      paymentInitiatedAt: new Date()
+    });
+  } catch (error) {
+    // Another request tipped the trip since the check
+    if (error.name === 'SequelizeUniqueConstraintError') {
+      return { success: false, code: 'already_tipped', message: 'You have already tipped this trip' };
+    }
+    throw error;
+  }
+
+  if (paymentMethod === 'mobile_money') {
+    const request = await requestMobileMoneyPayment(payment, { provider, phoneNumber });
+    if (!request.success) {
+      return { success: false, code: 'provider_refused', payment, message: request.message };
+    }
+    return { success: true, payment };
+  }
+
+  const driver = await Driver.findByPk(trip.driverId);
+  const result = await completeTipPayment(payment, driver.userId);
+
+  if (!result.success) {
+    payment.status = 'failed';
+    payment.notes = result.message;
+    await payment.save();
+    return { success: false, code: result.code, payment, message: result.message };
+  }
+
+  await notifyDriver(payment, driver);
+  return { success: true, payment };
+};
+
+/**
+ * Get the tips given for a trip, oldest first
+ * @param {string} tripId - ID of the trip
+ * @returns {Promise<Array<Object>>} Tip payments that are completed or awaiting confirmation
+ */
+exports.getTripTips = async (tripId) => {
+  return Payment.findAll({
+    where: {
+      tripId,
+      transactionType: 'tip',
+      status: { [Op.in]: ['processing', 'completed'] }
+    },
+    order: [['createdAt', 'ASC']]
+  });
+};
+
+/**
+ * Check that a rider can tip a trip now
+ * @param {Object} trip - Trip to tip
+ * @param {string} clientId - Rider giving the tip
+ * @returns {Promise<Object|null>} code and message of what stands in the way, or null
+ */
+async function checkTippable(trip, clientId) {
+  if (trip.clientId !== clientId) {
+    return { code: 'forbidden', message: 'Only the rider of a trip can tip its driver' };
+  }
+
+  if (trip.status !== 'completed' || !trip.driverId) {
+    return { code: 'not_tippable', message: 'Only completed trips can be tipped' };
+  }
+
+  const closesAt = new Date(trip.endTime || trip.updatedAt).getTime() + TIP_WINDOW_HOURS * 60 * 60 * 1000;
+  if (Date.now() > closesAt) {
+    return { code: 'not_tippable', message: `Tips can only be given within ${TIP_WINDOW_HOURS} hours of the end of the trip` };
+  }
+
+  const existing = await Payment.count({
+    where: {
+      tripId: trip.id,
+      transactionType: 'tip',
+      status: { [Op.ne]: 'failed' }
+    }
+  });
+
+  if (existing) {
+    return { code: 'already_tipped', message: 'You have already tipped this trip' };
+  }
+
+  return null;
+}
+
+/**
+ * Tell the driver about a tip paid from the rider's wallet
+ * @param {Object} payment - Completed tip
+ * @param {Object} driver - Tipped driver
+ * @returns {Promise<void>}
+ */
+async function notifyDriver(payment, driver) {
+  await Notification.create({
+    userId: driver.userId,
+    type: 'payment_received',
+    title: 'Tip Received',
+    message: `You've received a tip of ${formatMoney(payment.amountMinor, payment.currency)}.`,
+    data: { tripId: payment.tripId, paymentId: payment.id },
+    channel: 'app',
+    priority: 'medium'
+  });
+
+  getIo().to(`driver_${driver.userId}`).emit('payment_received', {
+    tripId: payment.tripId,
+    paymentId: payment.id,
+    status: payment.status,
+    amount: payment.driverAmount,
+    currency: payment.currency
+  });
+}
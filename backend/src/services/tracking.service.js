@@ -0,0 +1,260 @@
+/**
+ * Tracking Service for Taxi-Express
+ * GPS breadcrumbs, live trip tracking with a rolling ETA, and the recorded route of completed trips
+ */
+
+const { Trip, TripStop, TripLocation } = require('../models');
+const { Op } = require('sequelize');
+const { pathDistance } = require('../utils/geo');
+
+// Speed assumed when there are not enough recent breadcrumbs to measure one
+const DEFAULT_SPEED_KMH = parseFloat(process.env.TRACKING_DEFAULT_SPEED_KMH) || 25;
+
+// Recent breadcrumbs used to measure the driver's current speed
+const SPEED_WINDOW_MINUTES = parseInt(process.env.TRACKING_SPEED_WINDOW_MINUTES, 10) || 5;
+
+// Ratio between road distance and straight-line distance in the city
+const ROAD_FACTOR = parseFloat(process.env.TRACKING_ROAD_FACTOR) || 1.3;
+
+// Pings reported less accurate than this, in meters, are left out of the metered distance
+const TRACKING_MAX_ACCURACY_METERS = parseFloat(process.env.TRACKING_MAX_ACCURACY_METERS) || 50;
+
+// Pings that would mean driving faster than this from the previous one are left out of the metered distance
+const TRACKING_MAX_SPEED_KMH = parseFloat(process.env.TRACKING_MAX_SPEED_KMH) || 130;
+
+// Below this the driver is considered stopped (traffic light, jam) and the default speed is used
+const MIN_MEASURED_SPEED_KMH = 5;
+
+/**
+ * Get the socket.io instance lazily to avoid a circular import with server.js
+ * @returns {Object} socket.io server
+ */
+function getIo() {
+  return require('../server').io;
+}
+
+/**
+ * Store a location ping of an assigned or active trip and push it to the client
+ * @param {Object} trip - Trip being served
+ * @param {Object} driver - Driver who sent the ping
+ * @param {Object} location - GeoJSON point
+ * @param {number} [accuracy] - Accuracy in meters reported by the device
+ * @returns {Promise<Object|null>} Stored breadcrumb, or null when the trip is not tracked
+ */
+exports.recordBreadcrumb = async (trip, driver, location, accuracy) => {
+  try {
+    if (!['assigned', 'active'].includes(trip.status)) {
+      return null;
+    }
+
+    const breadcrumb = await TripLocation.create({
+      tripId: trip.id,
+      driverId: driver.id,
+      location,
+      tripStatus: trip.status,
+      accuracy: accuracy !== undefined ? accuracy : null,
+      recordedAt: new Date()
+    });
+
+    trip.currentLocation = location;
+    await trip.save();
+
+    getIo().to(`client_${trip.clientId}`).emit('trip_location', {
+      tripId: trip.id,
+      location,
+      recordedAt: breadcrumb.recordedAt
+    });
+
+    return breadcrumb;
+  } catch (error) {
+    console.error('Record breadcrumb error:', error);
+    return null;
+  }
+};
+
+/**
+ * Build the live tracking view of a trip
+ * The ETA targets the pickup while the driver is on the way, then the next stop and destination
+ * @param {Object} trip - Trip with its driver loaded
+ * @returns {Promise<Object>} Polyline so far, driver position and ETA
+ */
+exports.getTripTracking = async (trip) => {
+  const breadcrumbs = await TripLocation.findAll({
+    where: { tripId: trip.id },
+    order: [['recordedAt', 'ASC']]
+  });
+
+  const lastBreadcrumb = breadcrumbs.length ? breadcrumbs[breadcrumbs.length - 1] : null;
+  const driverPosition = lastBreadcrumb
+    ? lastBreadcrumb.location
+    : (trip.driver ? trip.driver.currentLocation : null);
+  const positionAt = lastBreadcrumb
+    ? lastBreadcrumb.recordedAt
+    : (trip.driver ? trip.driver.lastLocationUpdate : null);
+
+  return {
+    tripId: trip.id,
+    status: trip.status,
+    polyline: {
+      type: 'LineString',
+      coordinates: breadcrumbs.map(breadcrumb => breadcrumb.location.coordinates)
+    },
+    breadcrumbCount: breadcrumbs.length,
+    driver: {
+      location: driverPosition,
+      updatedAt: positionAt
+    },
+    eta: driverPosition ? await estimateArrival(trip, driverPosition, breadcrumbs) : null
+  };
+};
+
+/**
+ * Measure the path driven while the trip was active
+ * Pings with a poor reported accuracy, or reached at an impossible speed, are left out
+ * @param {string} tripId - ID of the trip
+ * @returns {Promise<Object|null>} Track points, distance in kilometers and the number of pings left out,
+ *   or null without enough points
+ */
+exports.measureTrack = async (tripId) => {
+  const breadcrumbs = await TripLocation.findAll({
+    where: { tripId, tripStatus: 'active' },
+    order: [['recordedAt', 'ASC']]
+  });
+
+  const kept = filterTrack(breadcrumbs);
+
+  if (kept.length < 2) {
+    return null;
+  }
+
+  const points = kept.map(breadcrumb => breadcrumb.location);
+
+  return {
+    points,
+    distance: Math.round(pathDistance(points) * 100) / 100,
+    droppedCount: breadcrumbs.length - kept.length
+  };
+};
+
+/**
+ * Save the path driven during the trip as its route
+ * @param {string} tripId - ID of the completed trip
+ * @returns {Promise<Object|null>} Route and distance in kilometers, or null without enough points
+ */
+exports.buildTripRoute = async (tripId) => {
+  const track = await exports.measureTrack(tripId);
+
+  if (!track) {
+    return null;
+  }
+
+  const route = {
+    type: 'LineString',
+    coordinates: track.points.map(point => point.coordinates)
+  };
+
+  await Trip.update({ route }, { where: { id: tripId } });
+
+  return {
+    route,
+    distance: track.distance
+  };
+};
+
+/**
+ * Estimate the time of arrival at the driver's next target
+ * @param {Object} trip - Trip being tracked
+ * @param {Object} position - Driver's current GeoJSON point
+ * @param {Array<Object>} breadcrumbs - Breadcrumbs in chronological order
+ * @returns {Promise<Object|null>} ETA details, or null when the trip is not in progress
+ */
+async function estimateArrival(trip, position, breadcrumbs) {
+  let waypoints;
+  let target;
+
+  if (trip.status === 'assigned') {
+    target = 'pickup';
+    waypoints = [trip.pickupLocation];
+  } else if (trip.status === 'active') {
+    target = 'destination';
+    const pendingStops = await TripStop.findAll({
+      where: {
+        tripId: trip.id,
+        status: { [Op.in]: ['pending', 'arrived'] }
+      },
+      order: [['sequence', 'ASC']]
+    });
+    waypoints = [...pendingStops.map(stop => stop.location), trip.destinationLocation];
+  } else {
+    return null;
+  }
+
+  const remainingDistance = pathDistance([position, ...waypoints]) * ROAD_FACTOR;
+  const speed = measureRecentSpeed(breadcrumbs);
+  const minutes = Math.ceil((remainingDistance / speed) * 60);
+
+  return {
+    target,
+    remainingDistance: Math.round(remainingDistance * 100) / 100,
+    speed: Math.round(speed * 10) / 10,
+    minutes,
+    arrivalAt: new Date(Date.now() + minutes * 60000)
+  };
+}
+
+/**
+ * Average speed over the most recent breadcrumbs
+ * @param {Array<Object>} breadcrumbs - Breadcrumbs in chronological order
+ * @returns {number} Speed in km/h
+ */
+function measureRecentSpeed(breadcrumbs) {
+  if (breadcrumbs.length < 2) {
+    return DEFAULT_SPEED_KMH;
+  }
+
+  const last = breadcrumbs[breadcrumbs.length - 1];
+  const windowStart = new Date(last.recordedAt).getTime() - SPEED_WINDOW_MINUTES * 60000;
+  const recent = breadcrumbs.filter(breadcrumb => new Date(breadcrumb.recordedAt).getTime() >= windowStart);
+
+  if (recent.length < 2) {
+    return DEFAULT_SPEED_KMH;
+  }
+
+  const hours = (new Date(last.recordedAt) - new Date(recent[0].recordedAt)) / 3600000;
+  if (hours <= 0) {
+    return DEFAULT_SPEED_KMH;
+  }
+
+  const speed = pathDistance(recent.map(breadcrumb => breadcrumb.location)) / hours;
+  return speed >= MIN_MEASURED_SPEED_KMH ? speed : DEFAULT_SPEED_KMH;
+}
+
+/**
+ * Keep the breadcrumbs of a track that can be trusted for billing
+ * A ping is dropped when its accuracy is worse than the limit, or when reaching it from the last
+ * kept ping would take more than the maximum speed
+ * @param {Array<Object>} breadcrumbs - Breadcrumbs in chronological order
+ * @returns {Array<Object>} Breadcrumbs kept
+ */
+function filterTrack(breadcrumbs) {
+  const kept = [];
+
+  for (const breadcrumb of breadcrumbs) {
+    if (breadcrumb.accuracy !== null && parseFloat(breadcrumb.accuracy) > TRACKING_MAX_ACCURACY_METERS) {
+      continue;
+    }
+
+    const previous = kept[kept.length - 1];
+    if (previous) {
+      const hours = (new Date(breadcrumb.recordedAt) - new Date(previous.recordedAt)) / 3600000;
+      const distance = pathDistance([previous.location, breadcrumb.location]);
+      if (distance > 0 && (hours <= 0 || distance / hours > TRACKING_MAX_SPEED_KMH)) {
+        continue;
+      }
+    }
+
+    kept.push(breadcrumb);
+  }
+
+  return kept;
+}
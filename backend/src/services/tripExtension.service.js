@@ -0,0 +1,355 @@
+/**
+ * Trip Extension Service for Taxi-Express
+ * Destination changes proposed by the client during a ride and confirmed by the driver
+ */
+
+const { Trip, TripStop, TripExtension, Notification } = require('../models');
+const { sequelize } = require('../config/database');
+const { calculateTripPrice } = require('./pricing.service');
+
+/**
+ * Get the socket.io instance lazily to avoid a circular import with server.js
+ * @returns {Object} socket.io server
+ */
+function getIo() {
+  return require('../server').io;
+}
+
+/**
+ * Propose a new destination, or an extra one after the current destination, on an active trip
+ * Any earlier proposal still awaiting the driver is withdrawn
+ * @param {Object} trip - Active trip
+ * @param {string} clientId - ID of the client proposing the change
+ * @param {Object} change - Requested change
+ * @param {string} change.mode - 'replace' swaps the destination, 'append' keeps it as a stop
+ * @param {Object} change.destinationLocation - GeoJSON point of the new destination
+ * @param {string} change.destinationAddress - Address of the new destination
+ * @param {number} change.additionalDistance - Change in total distance (km); for 'append',
+ *   the leg from the current destination to the new one
+ * @param {number} change.additionalDuration - Change in total duration (min), as above
+ * @returns {Promise<Object>} Result with the pending extension and price breakdown
+ */
+exports.proposeExtension = async (trip, clientId, change) => {
+  try {
+    const { mode, destinationLocation, destinationAddress, additionalDistance, additionalDuration } = change;
+
+    if (trip.status !== 'active') {
+      return {
+        success: false,
+        message: `Destination cannot be changed in ${trip.status} status`
+      };
+    }
+
+    // Pooled itineraries are shared with other riders
+    if (trip.rideType === 'pooled') {
+      return {
+        success: false,
+        message: 'Destination cannot be changed on a pooled ride'
+      };
+    }
+
+    const previousDistance = parseFloat(trip.estimatedDistance);
+    const previousDuration = parseInt(trip.estimatedDuration, 10);
+    const newDistance = Math.round((previousDistance + additionalDistance) * 100) / 100;
+    const newDuration = Math.round(previousDuration + additionalDuration);
+
+    if (newDistance <= 0 || newDuration <= 0) {
+      return {
+        success: false,
+        message: 'The new itinerary must have a positive distance and duration'
+      };
+    }
+
+    const stops = await TripStop.findAll({
+      where: { tripId: trip.id },
+      order: [['sequence', 'ASC']]
+    });
+
+    const pricingStops = stops.map(stop => ({
+      location: stop.location,
+      address: stop.address,
+      legDistance: stop.legDistance,
+      legDuration: stop.legDuration
+    }));
+
+    if (mode === 'append') {
+      pricingStops.push(buildAppendedStop(trip, stops));
+    }
+
+    // Reprice the whole itinerary, not just the added part, so surge and stop fees stay consistent
+    const priceQuote = await calculateTripPrice({
+      pickupLocation: trip.pickupLocation,
+      dropoffLocation: destinationLocation,
+      estimatedDistance: newDistance,
+      estimatedDuration: newDuration,
+      clientId,
+      stops: pricingStops,
+      vehicleType: trip.vehicleType,
+      city: trip.city,
+      rideType: trip.rideType
+    });
+
+    if (!priceQuote.success) {
+      return {
+        success: false,
+        message: priceQuote.error || priceQuote.message
+      };
+    }
+
+    const previousPrice = parseFloat(trip.estimatedPrice);
+
+    await TripExtension.update(
+      { status: 'canceled', respondedAt: new Date() },
+      { where: { tripId: trip.id, status: 'pending' } }
+    );
+
+    const extension = await TripExtension.create({
+      tripId: trip.id,
+      requestedBy: clientId,
+      mode,
+      newDestinationLocation: destinationLocation,
+      newDestinationAddress: destinationAddress,
+      previousDestinationLocation: trip.destinationLocation,
+      previousDestinationAddress: trip.destinationAddress,
+      previousEstimatedDistance: previousDistance,
+      previousEstimatedDuration: previousDuration,
+      previousEstimatedPrice: previousPrice,
+      newEstimatedDistance: newDistance,
+      newEstimatedDuration: newDuration,
+      newEstimatedPrice: priceQuote.totalPrice,
+      fareDelta: Math.round((priceQuote.totalPrice - previousPrice) * 100) / 100,
+      priceBreakdown: priceQuote.breakdown
+    });
+
+    await notifyDriver(trip, extension);
+
+    return {
+      success: true,
+      message: 'Destination change sent to the driver',
+      extension,
+      priceBreakdown: priceQuote.breakdown
+    };
+  } catch (error) {
+    console.error('Propose trip extension error:', error);
+    return {
+      success: false,
+      message: 'Error proposing destination change',
+      error: error.message
+    };
+  }
+};
+
+/**
+ * Accept or reject a pending destination change
+ * On acceptance the trip takes the new destination and estimates, and the fare delta
+ * is added to the trip's fare adjustment
+ * @param {Object} extension - Pending trip extension
+ * @param {Object} trip - Trip the extension belongs to
+ * @param {boolean} accept - Whether the driver accepts the change
+ * @param {string} [reason] - Reason given when rejecting
+ * @returns {Promise<Object>} Result with the updated extension and trip
+ */
+exports.respondToExtension = async (extension, trip, accept, reason) => {
+  try {
+    if (extension.status !== 'pending') {
+      return {
+        success: false,
+        message: `Destination change is already ${extension.status}`
+      };
+    }
+
+    if (trip.status !== 'active') {
+      return {
+        success: false,
+        message: `Destination cannot be changed in ${trip.status} status`
+      };
+    }
+
+    const respondedAt = new Date();
+
+    if (!accept) {
+      const [updated] = await TripExtension.update(
+        { status: 'rejected', respondedAt, rejectionReason: reason || null },
+        { where: { id: extension.id, status: 'pending' } }
+      );
+
+      if (!updated) {
+        return {
+          success: false,
+          message: 'Destination change is no longer pending'
+        };
+      }
+
+      await extension.reload();
+      await notifyClient(trip, extension);
+
+      return {
+        success: true,
+        message: 'Destination change rejected',
+        extension,
+        trip
+      };
+    }
+
+    const accepted = await sequelize.transaction(async (transaction) => {
+      // Guard against a response racing a newer proposal from the client
+      const [updated] = await TripExtension.update(
+        { status: 'accepted', respondedAt },
+        { where: { id: extension.id, status: 'pending' }, transaction }
+      );
+
+      if (!updated) {
+        return false;
+      }
+
+      if (extension.mode === 'append') {
+        const stops = await TripStop.findAll({
+          where: { tripId: trip.id },
+          order: [['sequence', 'ASC']],
+          transaction
+        });
+        const appendedStop = buildAppendedStop(trip, stops);
+        const legs = (extension.priceBreakdown && extension.priceBreakdown.legs) || [];
+        const leg = legs[stops.length];
+
+        await TripStop.create({
+          tripId: trip.id,
+          sequence: stops.length ? stops[stops.length - 1].sequence + 1 : 1,
+          location: appendedStop.location,
+          address: appendedStop.address,
+          legDistance: appendedStop.legDistance,
+          legDuration: appendedStop.legDuration,
+          legPrice: leg ? leg.price : null
+        }, { transaction });
+      }
+
+      await Trip.update({
+        destinationLocation: extension.newDestinationLocation,
+        destinationAddress: extension.newDestinationAddress,
+        estimatedDistance: extension.newEstimatedDistance,
+        estimatedDuration: extension.newEstimatedDuration,
+        estimatedPrice: extension.newEstimatedPrice,
+        fareAdjustment: sequelize.literal(`"fareAdjustment" + ${parseFloat(extension.fareDelta)}`)
+      }, {
+        where: { id: trip.id },
+        transaction
+      });
+
+      return true;
+    });
+
+    if (!accepted) {
+      return {
+        success: false,
+        message: 'Destination change is no longer pending'
+      };
+    }
+
+    await extension.reload();
+    await trip.reload();
+    await notifyClient(trip, extension);
+
+    return {
+      success: true,
+      message: 'Destination change accepted',
+      extension,
+      trip
+    };
+  } catch (error) {
+    console.error('Respond to trip extension error:', error);
+    return {
+      success: false,
+      message: 'Error responding to destination change',
+      error: error.message
+    };
+  }
+};
+
+/**
+ * Turn the trip's current destination into the last intermediate stop
+ * Its leg is whatever part of the current estimate is not already covered by earlier stops
+ * @param {Object} trip - Trip being extended
+ * @param {Array<Object>} stops - Existing stops in order
+ * @returns {Object} Stop with location, address, legDistance and legDuration
+ */
+function buildAppendedStop(trip, stops) {
+  const coveredDistance = stops.reduce((sum, stop) => sum + (parseFloat(stop.legDistance) || 0), 0);
+  const coveredDuration = stops.reduce((sum, stop) => sum + (parseInt(stop.legDuration, 10) || 0), 0);
+
+  return {
+    location: trip.destinationLocation,
+    address: trip.destinationAddress,
+    legDistance: Math.max(0, Math.round((parseFloat(trip.estimatedDistance) - coveredDistance) * 100) / 100),
+    legDuration: Math.max(0, parseInt(trip.estimatedDuration, 10) - coveredDuration)
+  };
+}
+
+/**
+ * Ask the assigned driver to confirm a proposed destination change
+ * @param {Object} trip - Trip being extended
+ * @param {Object} extension - Pending trip extension
+ * @returns {Promise<void>}
+ */
+async function notifyDriver(trip, extension) {
+  const driver = await trip.getDriver();
+  if (!driver) {
+    return;
+  }
+
+  await Notification.create({
+    userId: driver.userId,
+    type: 'trip_updated',
+    title: 'Destination Change Requested',
+    message: extension.mode === 'append'
+      ? `Your passenger wants to continue on to ${extension.newDestinationAddress}.`
+      : `Your passenger wants to go to ${extension.newDestinationAddress} instead.`,
+    data: { tripId: trip.id, extensionId: extension.id },
+    channel: 'app',
+    priority: 'high'
+  });
+
+  getIo().to(`driver_${driver.userId}`).emit('trip_extension_requested', {
+    tripId: trip.id,
+    extensionId: extension.id,
+    mode: extension.mode,
+    newDestinationLocation: extension.newDestinationLocation,
+    newDestinationAddress: extension.newDestinationAddress,
+    newEstimatedDistance: extension.newEstimatedDistance,
+    newEstimatedDuration: extension.newEstimatedDuration,
+    newEstimatedPrice: extension.newEstimatedPrice,
+    fareDelta: extension.fareDelta
+  });
+}
+
+/**
+ * Tell the client how the driver answered their destination change
+ * @param {Object} trip - Trip being extended
+ * @param {Object} extension - Answered trip extension
+ * @returns {Promise<void>}
+ */
+async function notifyClient(trip, extension) {
+  const accepted = extension.status === 'accepted';
+
+  await Notification.create({
+    userId: trip.clientId,
+    type: 'trip_updated',
+    title: accepted ? 'Destination Updated' : 'Destination Change Declined',
+    message: accepted
+      ? `Your driver is now heading to ${extension.newDestinationAddress}. New estimated fare: ${extension.newEstimatedPrice}.`
+      : 'Your driver could not take the new destination. Your trip continues as planned.',
+    data: { tripId: trip.id, extensionId: extension.id },
+    channel: 'app',
+    priority: 'high'
+  });
+
+  getIo().to(`client_${trip.clientId}`).emit(accepted ? 'trip_extension_accepted' : 'trip_extension_rejected', {
+    tripId: trip.id,
+    extensionId: extension.id,
+    destinationAddress: trip.destinationAddress,
+    estimatedDistance: trip.estimatedDistance,
+    estimatedDuration: trip.estimatedDuration,
+    estimatedPrice: trip.estimatedPrice,
+    fareDelta: accepted ? extension.fareDelta : 0,
+    rejectionReason: extension.rejectionReason
+  });
+}
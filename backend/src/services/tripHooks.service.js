@@ -0,0 +1,514 @@
+/**
+ * Trip Hooks Service for Taxi-Express
+ * Side effects of trip status transitions: notifications, payments, sockets, dispatch and pooling
+ */
+
+const { Trip, User, Driver, Payment, Notification, FareSplit } = require('../models');
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { TRANSITIONS, onTransition } = require('./tripState.service');
+const { startDispatch, cancelDispatch } = require('./dispatch.service');
+const { attachDriverToPool, leavePool, refreshPoolStatus } = require('./pooling.service');
+const { checkFraudRisk } = require('./fraud.service');
+const { sendSms } = require('./sms.service');
+const { buildTripRoute } = require('./tracking.service');
+const { releasePromotion } = require('./promotion.service');
+const { rewardReferral } = require('./referral.service');
+const { buildTripPaymentAmounts, completeTripPayment } = require('./payment.service');
+const { getDebtStatus, warnOnDebtThresholds } = require('./driverDebt.service');
+const { allocateFareSplit } = require('./fareSplit.service');
+const { fromMinor, formatMoney } = require('../utils/money');
+
+// Completed trips still without a payment this long after they ended are settled again
+const PAYMENT_RECOVERY_DELAY_MINUTES = 5;
+
+// How often completed trips are checked for a missing payment
+const PAYMENT_RECOVERY_INTERVAL_MS = 5 * 60 * 1000;
+
+// Most trips settled per recovery run
+const PAYMENT_RECOVERY_BATCH_SIZE = 50;
+
+let registered = false;
+let recoveryInterval = null;
+
+/**
+ * Get the socket.io instance lazily to avoid a circular import with server.js
+ * @returns {Object} socket.io server
+ */
+function getIo() {
+  return require('../server').io;
+}
+
+/**
+ * Register the default hooks for every trip transition
+ * Safe to call more than once
+ */
+exports.registerTripHooks = () => {
+  if (registered) {
+    return;
+  }
+  registered = true;
+
+  Object.keys(TRANSITIONS).forEach(event => {
+    onTransition(event, broadcastStatusChange);
+  });
+
+  onTransition('assign', notifyDriverAssigned);
+  onTransition('start', notifyTripStarted);
+  onTransition('start', syncPool);
+  onTransition('complete', saveTripRoute);
+  onTransition('complete', settleTripPayment);
+  onTransition('complete', rewardReferral);
+  onTransition('complete', syncPool);
+  onTransition('cancel', releaseDispatch);
+  onTransition('cancel', releaseTripPromotion);
+  onTransition('cancel', checkCancellationAbuse);
+  onTransition('cancel', notifyTripCanceled);
+  onTransition('report_incident', notifyIncident);
+};
+
+/**
+ * Settle completed trips whose completion hook did not record a payment
+ * @returns {Promise<number>} Number of trips settled
+ */
+exports.recoverMissingTripPayments = async () => {
+  const trips = await Trip.findAll({
+    where: {
+      status: 'completed',
+      driverId: { [Op.ne]: null },
+      endTime: { [Op.lte]: new Date(Date.now() - PAYMENT_RECOVERY_DELAY_MINUTES * 60 * 1000) },
+      id: {
+        [Op.notIn]: sequelize.literal(
+          '(SELECT "tripId" FROM "Payments" WHERE "transactionType" = \'trip_payment\' AND "tripId" IS NOT NULL)'
+        )
+      }
+    },
+    order: [['endTime', 'ASC']],
+    limit: PAYMENT_RECOVERY_BATCH_SIZE
+  });
+
+  let settled = 0;
+  for (const trip of trips) {
+    try {
+      await settleTripPayment(trip);
+      settled += 1;
+    } catch (error) {
+      console.error(`Trip payment recovery error (trip ${trip.id}):`, error);
+    }
+  }
+
+  return settled;
+};
+
+/**
+ * Start settling completed trips left without a payment periodically
+ */
+exports.startTripPaymentRecovery = () => {
+  if (recoveryInterval) {
+    return;
+  }
+
+  recoveryInterval = setInterval(() => {
+    exports.recoverMissingTripPayments().catch(error => {
+      console.error('Trip payment recovery job error:', error);
+    });
+  }, PAYMENT_RECOVERY_INTERVAL_MS);
+};
+
+/**
+ * Stop settling completed trips left without a payment
+ */
+exports.stopTripPaymentRecovery = () => {
+  if (recoveryInterval) {
+    clearInterval(recoveryInterval);
+    recoveryInterval = null;
+  }
+};
+
+/**
+ * Tell both parties that the trip changed status
+ * @param {Object} trip - Trip after the transition
+ * @param {Object} tripEvent - History entry
+ * @returns {Promise<void>}
+ */
+async function broadcastStatusChange(trip, tripEvent) {
+  const payload = {
+    tripId: trip.id,
+    event: tripEvent.event,
+    fromStatus: tripEvent.fromStatus,
+    status: tripEvent.toStatus,
+    actorRole: tripEvent.actorRole,
+    occurredAt: tripEvent.occurredAt
+  };
+
+  getIo().to(`client_${trip.clientId}`).emit('trip_status_changed', payload);
+
+  if (trip.driver) {
+    getIo().to(`driver_${trip.driver.userId}`).emit('trip_status_changed', payload);
+  }
+}
+
+/**
+ * Notify the client that a driver accepted the trip, and hand the driver the rest of a pool
+ * Pooled riders assigned by the system are notified by the pooling service
+ * @param {Object} trip - Trip after the transition
+ * @param {Object} tripEvent - History entry
+ * @returns {Promise<void>}
+ */
+async function notifyDriverAssigned(trip, tripEvent) {
+  if (tripEvent.actorRole !== 'driver') {
+    return;
+  }
+
+  const driver = trip.driver;
+  const driverName = `${driver.user.firstName} ${driver.user.lastName}`;
+
+  // The driver takes over the whole pool, including riders who joined while it was forming
+  if (trip.poolId) {
+    await attachDriverToPool(trip.poolId, driver);
+  }
+
+  await Notification.create({
+    userId: trip.clientId,
+    type: 'trip_assigned',
+    title: 'Driver Accepted',
+    message: `Your driver ${driverName} has accepted your trip and is on the way`,
+    data: { tripId: trip.id },
+    channel: 'app',
+    priority: 'high'
+  });
+
+  await sendSms(trip.clientId, 'trip_driver_assigned', {
+    driverName,
+    driverPhone: driver.user.phoneNumber,
+    vehicleModel: `${driver.vehicleMake} ${driver.vehicleModel}`,
+    vehiclePlate: driver.licensePlate
+  });
+
+  getIo().to(`client_${trip.clientId}`).emit('driver_accepted', {
+    tripId: trip.id,
+    driverId: driver.id,
+    driverName,
+    driverRating: driver.user.rating,
+    driverLocation: driver.currentLocation,
+    vehicleType: driver.vehicleType,
+    vehicleMake: driver.vehicleMake,
+    vehicleModel: driver.vehicleModel,
+    licensePlate: driver.licensePlate
+  });
+}
+
+/**
+ * Notify the client that the trip has started
+ * @param {Object} trip - Trip after the transition
+ * @returns {Promise<void>}
+ */
+async function notifyTripStarted(trip) {
+  await Notification.create({
+    userId: trip.clientId,
+    type: 'trip_started',
+    title: 'Trip Started',
+    message: 'Your trip has started. You can track your journey in real-time.',
+    data: { tripId: trip.id },
+    channel: 'app',
+    priority: 'medium'
+  });
+
+  getIo().to(`client_${trip.clientId}`).emit('trip_started', {
+    tripId: trip.id,
+    startTime: trip.startTime
+  });
+}
+
+/**
+ * Keep the trip's pool status in step with its riders
+ * @param {Object} trip - Trip after the transition
+ * @returns {Promise<void>}
+ */
+async function syncPool(trip) {
+  if (trip.poolId) {
+    await refreshPoolStatus(trip.poolId);
+  }
+}
+
+/**
+ * Keep the path driven during a completed trip as its route
+ * @param {Object} trip - Trip after the transition
+ * @returns {Promise<void>}
+ */
+async function saveTripRoute(trip) {
+  const result = await buildTripRoute(trip.id);
+  if (result) {
+    trip.route = result.route;
+  }
+}
+
+/**
+ * Record the payment of a completed trip, settle wallet and cash payments, start collecting split fares
+ * and update driver stats
+ * The payment and driver stats are recorded together; trips left without them are picked up by recoverMissingTripPayments
+ * @param {Object} trip - Trip after the transition
+ * @returns {Promise<void>}
+ */
+async function settleTripPayment(trip) {
+  const driver = await Driver.findByPk(trip.driverId);
+  const amounts = await buildTripPaymentAmounts(trip, driver);
+  const { currency, amountMinor, driverAmountMinor } = amounts;
+
+  const payment = await sequelize.transaction(async (transaction) => {
+    // Locked so the completion hook and the recovery job never both record the payment
+    await Trip.findByPk(trip.id, { transaction, lock: transaction.LOCK.UPDATE });
+
+    const existing = await Payment.count({
+      where: { tripId: trip.id, transactionType: 'trip_payment' },
+      transaction
+    });
+
+    if (existing) {
+      return null;
+    }
+
+    // Update driver stats; lifetime earnings are kept in the base currency
+    await driver.reload({ transaction, lock: transaction.LOCK.UPDATE });
+    driver.totalTrips += 1;
+    driver.totalEarnings = parseFloat(driver.totalEarnings) +
+      fromMinor(amounts.baseAmountMinor - amounts.basePlatformFeeMinor, amounts.baseCurrency);
+    driver.completionRate = ((driver.completionRate * (driver.totalTrips - 1)) + 100) / driver.totalTrips;
+    await driver.save({ transaction });
+
+    return Payment.create({
+      tripId: trip.id,
+      clientId: trip.clientId,
+      driverId: trip.driverId,
+      ...amounts,
+      paymentMethod: trip.paymentMethod,
+      status: 'pending',
+      paymentInitiatedAt: new Date()
+    }, { transaction });
+  });
+
+  if (!payment) {
+    return;
+  }
+
+  // The driver kept the whole cash fare, so the platform fee is charged to their wallet or owed as debt
+  if (trip.paymentMethod === 'cash') {
+    const { totalBaseMinor } = await getDebtStatus(driver.userId);
+    await completeTripPayment(payment, driver.userId);
+    await warnOnDebtThresholds(driver.userId, totalBaseMinor);
+  }
+
+  // A split fare is paid from the shares collected from its riders
+  const split = await FareSplit.findOne({ where: { tripId: trip.id } });
+  if (split) {
+    await allocateFareSplit(split, payment);
+  }
+
+  // Handle wallet payment in the currency the trip was booked in
+  if (trip.paymentMethod === 'wallet' && !split) {
+    const result = await completeTripPayment(payment, driver.userId);
+
+    if (!result.success) {
+      payment.notes = `Insufficient ${currency} wallet balance at trip completion`;
+      await payment.save();
+    }
+  }
+
+  await Notification.create({
+    userId: trip.clientId,
+    type: 'trip_completed',
+    title: 'Trip Completed',
+    message: `Your trip has been completed. Total fare: ${formatMoney(amountMinor, currency)}`,
+    data: { tripId: trip.id, paymentId: payment.id },
+    channel: 'app',
+    priority: 'medium'
+  });
+
+  await Notification.create({
+    userId: driver.userId,
+    type: 'payment_received',
+    title: 'Payment Received',
+    message: `You've received ${formatMoney(driverAmountMinor, currency)} for your trip. Thank you for driving with Taxi-Express!`,
+    data: { tripId: trip.id, paymentId: payment.id },
+    channel: 'app',
+    priority: 'medium'
+  });
+
+  getIo().to(`client_${trip.clientId}`).emit('trip_completed', {
+    tripId: trip.id,
+    endTime: trip.endTime,
+    finalPrice: trip.finalPrice,
+    amount: payment.amount,
+    currency,
+    paymentStatus: payment.status
+  });
+
+  getIo().to(`driver_${driver.userId}`).emit('trip_completed', {
+    tripId: trip.id,
+    endTime: trip.endTime,
+    earnings: payment.driverAmount,
+    currency,
+    paymentStatus: payment.status
+  });
+}
+
+/**
+ * Withdraw pending offers and free the rider's pool seats
+ * A pool still without a driver is dispatched for its next rider
+ * @param {Object} trip - Trip after the transition
+ * @returns {Promise<void>}
+ */
+async function releaseDispatch(trip) {
+  await cancelDispatch(trip.id);
+
+  if (trip.poolId) {
+    const nextPoolTrip = await leavePool(trip);
+    if (nextPoolTrip) {
+      startDispatch(nextPoolTrip.id)
+        .catch(error => {
+          console.error('Trip dispatch error:', error);
+        });
+    }
+  }
+}
+
+/**
+ * Give the promo code back to the client when their trip is canceled
+ * @param {Object} trip - Trip after the transition
+ * @returns {Promise<void>}
+ */
+async function releaseTripPromotion(trip) {
+  if (trip.promoCode) {
+    await releasePromotion(trip.id);
+  }
+}
+
+/**
+ * Flag users who cancel too often
+ * @param {Object} trip - Trip after the transition
+ * @param {Object} tripEvent - History entry
+ * @returns {Promise<void>}
+ */
+async function checkCancellationAbuse(trip, tripEvent) {
+  const canceledBy = tripEvent.actorRole;
+  if (canceledBy !== 'client' && canceledBy !== 'driver') {
+    return;
+  }
+
+  const recentCancellations = await Trip.count({
+    where: {
+      [canceledBy === 'client' ? 'clientId' : 'driverId']: canceledBy === 'client' ? trip.clientId : trip.driverId,
+      status: 'canceled',
+      canceledBy,
+      updatedAt: {
+        [Op.gte]: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000) // Last 7 days
+      }
+    }
+  });
+
+  if (recentCancellations >= 3) {
+    await checkFraudRisk(canceledBy === 'client' ? trip.clientId : trip.driver.userId, 'excessive_cancellations', {
+      tripId: trip.id,
+      recentCancellations,
+      reason: tripEvent.reason
+    });
+  }
+}
+
+/**
+ * Tell the other party about a cancellation
+ * System cancellations (e.g. no driver found) are announced by the service that makes them
+ * @param {Object} trip - Trip after the transition
+ * @param {Object} tripEvent - History entry
+ * @returns {Promise<void>}
+ */
+async function notifyTripCanceled(trip, tripEvent) {
+  const canceledBy = tripEvent.actorRole;
+
+  if (canceledBy !== 'system' && canceledBy !== 'client') {
+    await Notification.create({
+      userId: trip.clientId,
+      type: 'trip_canceled',
+      title: 'Trip Canceled',
+      message: `Your trip has been canceled. Reason: ${trip.cancellationReason}`,
+      data: { tripId: trip.id },
+      channel: 'app',
+      priority: 'high'
+    });
+  }
+
+  if (trip.driver && canceledBy !== 'driver') {
+    await Notification.create({
+      userId: trip.driver.userId,
+      type: 'trip_canceled',
+      title: 'Trip Canceled',
+      message: `The trip has been canceled. Reason: ${trip.cancellationReason}`,
+      data: { tripId: trip.id },
+      channel: 'app',
+      priority: 'high'
+    });
+  }
+
+  const payload = {
+    tripId: trip.id,
+    reason: trip.cancellationReason,
+    canceledBy
+  };
+
+  getIo().to(`client_${trip.clientId}`).emit('trip_canceled', payload);
+
+  if (trip.driver) {
+    getIo().to(`driver_${trip.driver.userId}`).emit('trip_canceled', payload);
+  }
+}
+
+/**
+ * Notify the other party and every active admin about a reported incident
+ * @param {Object} trip - Trip after the transition
+ * @param {Object} tripEvent - History entry
+ * @returns {Promise<void>}
+ */
+async function notifyIncident(trip, tripEvent) {
+  const incidentDetails = trip.incidentDetails || '';
+  const partyMessage = 'An incident has been reported for your trip. Our support team will contact you shortly.';
+
+  if (tripEvent.actorId !== trip.clientId) {
+    await Notification.create({
+      userId: trip.clientId,
+      type: 'system_alert',
+      title: 'Trip Incident Reported',
+      message: partyMessage,
+      data: { tripId: trip.id },
+      channel: 'app',
+      priority: 'high'
+    });
+  }
+
+  if (trip.driver && tripEvent.actorId !== trip.driver.userId) {
+    await Notification.create({
+      userId: trip.driver.userId,
+      type: 'system_alert',
+      title: 'Trip Incident Reported',
+      message: partyMessage,
+      data: { tripId: trip.id },
+      channel: 'app',
+      priority: 'high'
+    });
+  }
+
+  const admins = await User.findAll({
+    where: { role: 'admin', isActive: true }
+  });
+
+  for (const admin of admins) {
+    await Notification.create({
+      userId: admin.id,
+      type: 'system_alert',
+      title: 'Trip Incident Reported',
+      message: `Incident reported for Trip ${trip.id}. Details: ${incidentDetails.substring(0, 100)}${incidentDetails.length > 100 ? '...' : ''}`,
+      data: { tripId: trip.id },
+      channel: 'app',
+      priority: 'high'
+    });
+  }
+}
@@ -0,0 +1,251 @@
+/**
+ * Trip State Service for Taxi-Express
+ * Single source of truth for the trip status lifecycle: allowed transitions,
+ * who may trigger them, the event history, and post-transition hooks
+ */
+
+const { Trip, User, Driver, TripEvent } = require('../models');
+const { sequelize } = require('../config/database');
+
+// Allowed transitions, keyed by event name
+const TRANSITIONS = {
+  dispatch: {
+    from: ['scheduled'],
+    to: 'requested',
+    roles: ['system']
+  },
+  assign: {
+    from: ['requested'],
+    to: 'assigned',
+    roles: ['driver', 'system']
+  },
+  start: {
+    from: ['assigned'],
+    to: 'active',
+    roles: ['driver']
+  },
+  complete: {
+    from: ['active'],
+    to: 'completed',
+    roles: ['driver', 'admin']
+  },
+  cancel: {
+    from: ['scheduled', 'requested', 'assigned'],
+    to: 'canceled',
+    roles: ['client', 'driver', 'admin', 'system']
+  },
+  report_incident: {
+    from: ['assigned', 'active', 'completed'],
+    to: 'incident',
+    roles: ['client', 'driver', 'admin']
+  }
+};
+
+// Side-effect hooks, keyed by event name
+const hooks = new Map();
+
+exports.TRANSITIONS = TRANSITIONS;
+
+/**
+ * Register a hook run after a transition has been committed
+ * Hooks run in registration order; a failing hook is logged and does not undo the transition
+ * @param {string} event - Event name from TRANSITIONS
+ * @param {Function} hook - async (trip, tripEvent, context) => void
+ */
+exports.onTransition = (event, hook) => {
+  if (!TRANSITIONS[event]) {
+    throw new Error(`Unknown trip event: ${event}`);
+  }
+
+  if (!hooks.has(event)) {
+    hooks.set(event, []);
+  }
+
+  hooks.get(event).push(hook);
+};
+
+/**
+ * Work out the role a user plays on a trip
+ * @param {Object} trip - Trip object
+ * @param {Object} user - Authenticated user (req.user)
+ * @returns {Promise<string|null>} 'admin', 'client' or 'driver', or null if the user has no part in the trip
+ */
+exports.resolveActorRole = async (trip, user) => {
+  if (user.role === 'admin') {
+    return 'admin';
+  }
+
+  if (user.id === trip.clientId) {
+    return 'client';
+  }
+
+  if (trip.driverId) {
+    const driver = await Driver.findOne({ where: { userId: user.id } });
+    if (driver && driver.id === trip.driverId) {
+      return 'driver';
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Move a trip through one lifecycle transition and record it in the history
+ * @param {string} tripId - ID of the trip
+ * @param {string} event - Event name from TRANSITIONS
+ * @param {Object} context - Who triggered the transition and why
+ * @param {string} [context.actorId] - ID of the acting user; omitted for system transitions
+ * @param {string} context.actorRole - 'client', 'driver', 'admin' or 'system'
+ * @param {Object} [context.location] - GeoJSON point of the actor
+ * @param {string} [context.reason] - Free-text reason
+ * @param {Object} [context.changes] - Other trip fields written together with the status
+ * @param {Object} [context.metadata] - Extra details kept on the history entry
+ * @returns {Promise<Object>} Transition result with the updated trip and its history entry
+ */
+exports.transitionTrip = async (tripId, event, context) => {
+  const definition = TRANSITIONS[event];
+  if (!definition) {
+    throw new Error(`Unknown trip event: ${event}`);
+  }
+
+  const {
+    actorId = null,
+    actorRole,
+    location = null,
+    reason = null,
+    changes = {},
+    metadata = {}
+  } = context;
+
+  if (!definition.roles.includes(actorRole)) {
+    return {
+      success: false,
+      code: 'forbidden',
+      message: `A ${actorRole} cannot ${event.replace('_', ' ')} a trip`
+    };
+  }
+
+  const trip = await Trip.findByPk(tripId);
+  if (!trip) {
+    return {
+      success: false,
+      code: 'not_found',
+      message: 'Trip not found'
+    };
+  }
+
+  const fromStatus = trip.status;
+
+  if (!definition.from.includes(fromStatus)) {
+    return {
+      success: false,
+      code: 'invalid_transition',
+      message: `Trip cannot ${event.replace('_', ' ')} in ${fromStatus} status`
+    };
+  }
+
+  const tripEvent = await sequelize.transaction(async (transaction) => {
+    // Only the caller that still sees the old status wins the transition
+    const [updatedCount] = await Trip.update({
+      ...changes,
+      status: definition.to
+    }, {
+      where: { id: tripId, status: fromStatus },
+      transaction
+    });
+
+    if (updatedCount === 0) {
+      return null;
+    }
+
+    return TripEvent.create({
+      tripId,
+      event,
+      fromStatus,
+      toStatus: definition.to,
+      actorId,
+      actorRole,
+      location,
+      reason,
+      metadata
+    }, { transaction });
+  });
+
+  if (!tripEvent) {
+    return {
+      success: false,
+      code: 'conflict',
+      message: 'Trip status changed before this action could be applied'
+    };
+  }
+
+  // Hooks get both parties loaded
+  const updatedTrip = await Trip.findByPk(tripId, {
+    include: [
+      { model: User, as: 'client' },
+      {
+        model: Driver,
+        as: 'driver',
+        include: [{ model: User, as: 'user' }]
+      }
+    ]
+  });
+
+  await runHooks(event, updatedTrip, tripEvent, context);
+
+  return {
+    success: true,
+    trip: updatedTrip,
+    event: tripEvent
+  };
+};
+
+/**
+ * Record the creation of a trip as the first entry of its history
+ * @param {Object} trip - Newly created trip
+ * @param {Object} context - Creator details (actorId, actorRole, location, metadata)
+ * @returns {Promise<Object>} History entry
+ */
+exports.recordTripCreated = async (trip, context) => {
+  return TripEvent.create({
+    tripId: trip.id,
+    event: 'create',
+    fromStatus: null,
+    toStatus: trip.status,
+    actorId: context.actorId || null,
+    actorRole: context.actorRole,
+    location: context.location || null,
+    reason: context.reason || null,
+    metadata: context.metadata || {}
+  });
+};
+
+/**
+ * Get the full status history of a trip
+ * @param {string} tripId - ID of the trip
+ * @returns {Promise<Array>} History entries, oldest first
+ */
+exports.getTripHistory = async (tripId) => {
+  return TripEvent.findAll({
+    where: { tripId },
+    order: [['occurredAt', 'ASC']]
+  });
+};
+
+/**
+ * Run the hooks registered for an event
+ * @param {string} event - Event name
+ * @param {Object} trip - Trip after the transition
+ * @param {Object} tripEvent - History entry of the transition
+ * @param {Object} context - Transition context
+ * @returns {Promise<void>}
+ */
+async function runHooks(event, trip, tripEvent, context) {
+  for (const hook of hooks.get(event) || []) {
+    try {
+      await hook(trip, tripEvent, context);
+    } catch (error) {
+      console.error(`Trip ${event} hook error:`, error);
+    }
+  }
+}
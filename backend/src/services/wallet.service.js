@@ -0,0 +1,231 @@
+/**
+ * Wallet Service for Taxi-Express
+ * Per-currency wallet balances held in integer minor units, moved through the ledger
+ */
+
+const { LedgerAccount, User } = require('../models');
+const { sequelize } = require('../config/database');
+const { Op } = require('sequelize');
+const { openAccount, getAccount, postEntry, WALLET_ACCOUNT_TYPES } = require('./ledger.service');
+const { BASE_CURRENCY, toMinor, fromMinor } = require('../utils/money');
+
+/**
+ * Get a user's wallet account in a currency, opening it when needed
+ * The base-currency wallet opens with the user's balance from before the ledger
+ * @param {string} userId - ID of the user
+ * @param {string} currency - Wallet currency
+ * @param {Object} [transaction] - Transaction to work in
+ * @returns {Promise<Object>} Wallet ledger account
+ */
+exports.getWallet = async (userId, currency, transaction) => {
+  const existing = await LedgerAccount.findOne({
+    where: {
+      userId,
+      currency,
+      type: { [Op.in]: WALLET_ACCOUNT_TYPES }
+    },
+    transaction
+  });
+
+  if (existing) {
+    return existing;
+  }
+
+  // Opening the wallet and carrying the old balance in must happen together
+  if (!transaction) {
+    return sequelize.transaction(ownTransaction => exports.getWallet(userId, currency, ownTransaction));
+  }
+
+  const user = await User.findByPk(userId, { attributes: ['id', 'role', 'walletBalance'], transaction });
+  if (!user) {
+    throw new Error(`User ${userId} not found`);
+  }
+
+  const type = user.role === 'driver' ? 'driver_wallet' : 'client_wallet';
+  const [wallet, opened] = await openAccount(type, currency, userId, transaction);
+
+  const openingBalanceMinor = toMinor(user.walletBalance, BASE_CURRENCY);
+  if (opened && currency === BASE_CURRENCY && openingBalanceMinor > 0) {
+    await postEntry({
+      type: 'opening_balance',
+      currency,
+      description: 'Wallet balance carried over from before the ledger',
+      lines: [
+        { account: await getAccount('opening_balances', currency, null, transaction), debit: openingBalanceMinor },
+        { account: wallet, credit: openingBalanceMinor }
+      ]
+    }, transaction);
+  }
+
+  return wallet;
+};
+
+/**
+ * Add money paid in from outside (mobile money, card) to a wallet
+ * @param {string} userId - ID of the user
+ * @param {string} currency - Wallet currency
+ * @param {number} amountMinor - Amount in minor units
+ * @param {Object} details - paymentId and description of the deposit
+ * @param {Object} [transaction] - Transaction to work in
+ * @returns {Promise<number>} New balance in minor units
+ */
+exports.deposit = async (userId, currency, amountMinor, details, transaction) => {
+  return moveFunds('wallet_deposit', userId, currency, amountMinor, {
+    ...details,
+    from: 'external_funds'
+  }, transaction);
+};
+
+/**
+ * Pay a reward funded by the platform into a wallet
+ * @param {string} userId - ID of the user
+ * @param {string} currency - Wallet currency
+ * @param {number} amountMinor - Amount in minor units
+ * @param {Object} details - tripId and description of the reward
+ * @param {Object} [transaction] - Transaction to work in
+ * @returns {Promise<number>} New balance in minor units
+ */
+exports.reward = async (userId, currency, amountMinor, details, transaction) => {
+  return moveFunds('referral_reward', userId, currency, amountMinor, {
+    ...details,
+    from: 'promotions_expense'
+  }, transaction);
+};
+
+/**
+ * Correct a wallet balance by hand (admin)
+ * @param {string} userId - ID of the user
+ * @param {string} currency - Wallet currency
+ * @param {number} amountMinor - Amount in minor units; negative to take money out
+ * @param {Object} details - createdBy and description of the correction
+ * @param {Object} [transaction] - Transaction to work in
+ * @returns {Promise<number>} New balance in minor units
+ * @throws {Error} With code 'insufficient_funds' when the wallet does not cover a negative correction
+ */
+exports.adjust = async (userId, currency, amountMinor, details, transaction) => {
+  if (amountMinor < 0) {
+    return moveFunds('wallet_adjustment', userId, currency, -amountMinor, {
+      ...details,
+      to: 'adjustments'
+    }, transaction);
+  }
+
+  return moveFunds('wallet_adjustment', userId, currency, amountMinor, {
+    ...details,
+    from: 'adjustments'
+  }, transaction);
+};
+
+/**
+ * Take a withdrawal out of a wallet until it is paid out or rejected
+ * @param {string} userId - ID of the user
+ * @param {string} currency - Wallet currency
+ * @param {number} amountMinor - Amount in minor units
+ * @param {Object} details - withdrawalId and description of the withdrawal
+ * @param {Object} [transaction] - Transaction to work in
+ * @returns {Promise<number>} New balance in minor units
+ * @throws {Error} With code 'insufficient_funds' when the wallet does not cover the withdrawal
+ */
+exports.holdPayout = async (userId, currency, amountMinor, details, transaction) => {
+  return moveFunds('withdrawal_request', userId, currency, amountMinor, {
+    ...details,
+    to: 'payouts_in_transit'
+  }, transaction);
+};
+
+/**
+ * Settle a withdrawal held by holdPayout
+ * A paid withdrawal leaves the platform; a rejected one goes back to the wallet
+ * @param {string} userId - ID of the user
+ * @param {string} currency - Wallet currency
+ * @param {number} amountMinor - Amount in minor units
+ * @param {boolean} paid - Whether the money was paid out
+ * @param {Object} details - withdrawalId, createdBy and description of the settlement
+ * @param {Object} [transaction] - Transaction to work in
+ * @returns {Promise<Object>} Journal entry
+ */
+exports.settlePayout = async (userId, currency, amountMinor, paid, details, transaction) => {
+  const inTransit = await getAccount('payouts_in_transit', currency, null, transaction);
+  const destination = paid
+    ? await getAccount('external_funds', currency, null, transaction)
+    : await exports.getWallet(userId, currency, transaction);
+
+  return postEntry({
+    ...details,
+    type: paid ? 'withdrawal_paid' : 'withdrawal_rejected',
+    currency,
+    lines: [
+      { account: inTransit, debit: amountMinor },
+      { account: destination, credit: amountMinor }
+    ]
+  }, transaction);
+};
+
+/**
+ * Whether a user's wallet covers an amount
+ * @param {string} userId - ID of the user
+ * @param {string} currency - Wallet currency
+ * @param {number} amountMinor - Amount in minor units
+ * @returns {Promise<boolean>} True when the balance is enough
+ */
+exports.hasFunds = async (userId, currency, amountMinor) => {
+  const wallet = await exports.getWallet(userId, currency);
+  return Number(wallet.balanceMinor) >= amountMinor;
+};
+
+/**
+ * Get all of a user's wallet balances
+ * @param {string} userId - ID of the user
+ * @returns {Promise<Array<Object>>} currency, balanceMinor and balance per wallet
+ */
+exports.getBalances = async (userId) => {
+  // Make sure the base-currency wallet exists, so balances from before the ledger show up
+  await exports.getWallet(userId, BASE_CURRENCY);
+
+  const wallets = await LedgerAccount.findAll({
+    where: {
+      userId,
+      type: { [Op.in]: WALLET_ACCOUNT_TYPES }
+    },
+    order: [['currency', 'ASC']]
+  });
+
+  return wallets.map(wallet => ({
+    currency: wallet.currency,
+    balanceMinor: Number(wallet.balanceMinor),
+    balance: fromMinor(wallet.balanceMinor, wallet.currency)
+  }));
+};
+
+/**
+ * Move money between a user's wallet and a platform account
+ * @param {string} type - Journal entry type
+ * @param {string} userId - ID of the user
+ * @param {string} currency - Wallet currency
+ * @param {number} amountMinor - Amount in minor units
+ * @param {Object} details - Entry details, with the platform account type in `from` (into the wallet) or `to` (out of it)
+ * @param {Object} [transaction] - Transaction to work in
+ * @returns {Promise<number>} New wallet balance in minor units
+ */
+async function moveFunds(type, userId, currency, amountMinor, details, transaction) {
+  if (!transaction) {
+    return sequelize.transaction(ownTransaction =>
+      moveFunds(type, userId, currency, amountMinor, details, ownTransaction)
+    );
+  }
+
+  const { from, to, ...entryDetails } = details;
+  const wallet = await exports.getWallet(userId, currency, transaction);
+  const platformAccount = await getAccount(from || to, currency, null, transaction);
+
+  await postEntry({
+    ...entryDetails,
+    type,
+    currency,
+    lines: from
+      ? [{ account: platformAccount, debit: amountMinor }, { account: wallet, credit: amountMinor }]
+      : [{ account: wallet, debit: amountMinor }, { account: platformAccount, credit: amountMinor }]
+  }, transaction);
+
+  return Number(wallet.balanceMinor);
+}
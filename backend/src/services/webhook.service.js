@@ -0,0 +1,244 @@
+/**
+ * Webhook Service for Taxi-Express
+ * Verifies, records and applies payment callbacks from mobile money operators and the card processor
+ */
+
+const crypto = require('crypto');
+const { WebhookEvent } = require('../models');
+const { handleMobileMoneyCallback } = require('./mobileMoney.service');
+const { handleCardCallback } = require('./cardPayment.service');
+
+// How far a signed timestamp may be from our clock before the callback counts as a replay
+const WEBHOOK_TOLERANCE_SECONDS = parseInt(process.env.WEBHOOK_TOLERANCE_SECONDS, 10) || 300;
+
+// How each provider signs its callbacks, and where its shared secret is configured
+// hmac: hex HMAC-SHA256 of "<timestamp>.<raw body>", timestamp in seconds in its own header
+// token: the shared secret itself in a header, for operators that cannot sign, and the send time in seconds in another;
+// the time is not signed, so repeats of a processed body are also caught by its hash
+// stripe: Stripe-Signature header, "t=<timestamp>,v1=<hex HMAC-SHA256 of '<t>.<raw body>'>"
+const SIGNING_SCHEMES = {
+  mobile_money: {
+    orange: { type: 'hmac', secret: 'ORANGE_MONEY_WEBHOOK_SECRET', signatureHeader: 'x-orange-signature', timestampHeader: 'x-orange-timestamp' },
+    airtel: { type: 'hmac', secret: 'AIRTEL_MONEY_WEBHOOK_SECRET', signatureHeader: 'x-airtel-signature', timestampHeader: 'x-airtel-timestamp' },
+    africell: { type: 'hmac', secret: 'AFRICELL_MONEY_WEBHOOK_SECRET', signatureHeader: 'x-africell-signature', timestampHeader: 'x-africell-timestamp' },
+    mpesa: { type: 'token', secret: 'MPESA_WEBHOOK_SECRET', signatureHeader: 'x-mpesa-token', timestampHeader: 'x-mpesa-timestamp' }
+  },
+  card: {
+    stripe: { type: 'stripe', secret: 'STRIPE_WEBHOOK_SECRET', signatureHeader: 'stripe-signature' }
+  }
+};
+
+// Applies a verified callback; resolves to success and the payment, or the reason it could not be applied
+const HANDLERS = {
+  mobile_money: (provider, request) => handleMobileMoneyCallback(provider, request),
+  card: (provider, request) => handleCardCallback(request)
+};
+
+// Headers not worth keeping with a stored callback
+const DROPPED_HEADERS = ['authorization', 'cookie'];
+
+// Review reasons an admin may replay once the cause is fixed; the others can only be resolved or dismissed
+const REPLAYABLE_REASONS = ['unmatched_payment', 'processing_error'];
+
+exports.REPLAYABLE_REASONS = REPLAYABLE_REASONS;
+
+/**
+ * Verify, record and apply a payment callback
+ * Every callback is stored with its raw payload; those that fail verification or match no payment
+ * are left for admin review and never touch a payment
+ * @param {string} channel - mobile_money or card
+ * @param {string} provider - Provider that claims to have sent it
+ * @param {Object} request - The callback
+ * @param {Object} request.headers - Request headers
+ * @param {string} request.rawBody - Body exactly as received
+ * @param {Object} request.body - Parsed body
+ * @param {string} [request.ipAddress] - Caller's address
+ * @returns {Promise<Object>} httpStatus and message to answer with, and the stored event
+ */
+exports.receiveWebhook = async (channel, provider, { headers, rawBody, body, ipAddress }) => {
+  const rawPayload = rawBody !== undefined ? rawBody : JSON.stringify(body || {});
+
+  const event = WebhookEvent.build({
+    channel,
+    provider,
+    rawPayload,
+    payloadHash: crypto.createHash('sha256').update(`${provider}:${rawPayload}`).digest('hex'),
+    headers: Object.fromEntries(Object.entries(headers).filter(([name]) => !DROPPED_HEADERS.includes(name))),
+    ipAddress
+  });
+
+  const verification = verifySignature(channel, provider, headers, rawPayload);
+  event.signedAt = verification.signedAt || null;
+
+  if (!verification.valid) {
+    await queueForReview(event, verification.reason, verification.message);
+    return {
+      httpStatus: verification.reason === 'stale_timestamp' ? 400 : (verification.reason === 'unknown_provider' ? 404 : 401),
+      message: verification.message,
+      event
+    };
+  }
+
+  const alreadyApplied = await WebhookEvent.findOne({
+    where: {
+      provider,
+      payloadHash: event.payloadHash,
+      status: 'processed'
+    }
+  });
+
+  if (alreadyApplied) {
+    event.status = 'duplicate';
+    event.paymentId = alreadyApplied.paymentId;
+    await event.save();
+    return { httpStatus: 200, message: 'Callback already processed', event };
+  }
+
+  return applyEvent(event, body);
+};
+
+/**
+ * Run a callback held for review through its handler again, e.g. once its payment exists
+ * @param {Object} event - Webhook event awaiting review
+ * @returns {Promise<Object>} httpStatus and message, and the event with its new status
+ */
+exports.replayWebhook = async (event) => {
+  return applyEvent(event, JSON.parse(event.rawPayload));
+};
+
+/**
+ * Verify a callback's signature or token and that it was sent recently
+ * @param {string} channel - mobile_money or card
+ * @param {string} provider - Provider that claims to have sent it
+ * @param {Object} headers - Request headers, lower-cased
+ * @param {string} rawPayload - Body exactly as received
+ * @returns {Object} valid, signedAt, and the reason and message when invalid
+ */
+function verifySignature(channel, provider, headers, rawPayload) {
+  const scheme = SIGNING_SCHEMES[channel] && SIGNING_SCHEMES[channel][provider];
+  if (!scheme) {
+    return { valid: false, reason: 'unknown_provider', message: `Unknown ${channel} provider: ${provider}` };
+  }
+
+  const secret = process.env[scheme.secret];
+  if (!secret) {
+    console.error(`Webhook secret ${scheme.secret} is not configured; rejecting ${provider} callback`);
+    return { valid: false, reason: 'invalid_signature', message: 'Callback signature could not be verified' };
+  }
+
+  const header = headers[scheme.signatureHeader];
+  if (!header) {
+    return { valid: false, reason: 'missing_signature', message: `Missing ${scheme.signatureHeader} header` };
+  }
+
+  if (scheme.type === 'token') {
+    if (!safeEqual(header, secret)) {
+      return { valid: false, reason: 'invalid_signature', message: 'Invalid callback token' };
+    }
+
+    const sentSeconds = parseInt(headers[scheme.timestampHeader], 10);
+    if (!sentSeconds) {
+      return { valid: false, reason: 'missing_signature', message: 'Missing callback timestamp' };
+    }
+    return checkFreshness(new Date(sentSeconds * 1000));
+  }
+
+  let timestamp;
+  let signatures;
+  if (scheme.type === 'stripe') {
+    const parts = header.split(',').map(part => part.trim().split('='));
+    timestamp = (parts.find(([key]) => key === 't') || [])[1];
+    signatures = parts.filter(([key]) => key === 'v1').map(([, value]) => value);
+  } else {
+    timestamp = headers[scheme.timestampHeader];
+    signatures = [header];
+  }
+
+  const signedSeconds = parseInt(timestamp, 10);
+  if (!signedSeconds) {
+    return { valid: false, reason: 'missing_signature', message: 'Missing callback timestamp' };
+  }
+
+  const expected = crypto.createHmac('sha256', secret).update(`${timestamp}.${rawPayload}`).digest('hex');
+  if (!signatures.some(signature => safeEqual(signature, expected))) {
+    return { valid: false, reason: 'invalid_signature', message: 'Invalid callback signature' };
+  }
+
+  return checkFreshness(new Date(signedSeconds * 1000));
+}
+
+/**
+ * Check that a callback was sent within the replay window
+ * @param {Date} signedAt - When the provider says it sent the callback
+ * @returns {Object} valid and signedAt, and the reason and message when stale
+ */
+function checkFreshness(signedAt) {
+  if (Math.abs(Date.now() - signedAt.getTime()) > WEBHOOK_TOLERANCE_SECONDS * 1000) {
+    return {
+      valid: false,
+      signedAt,
+      reason: 'stale_timestamp',
+      message: `Callback timestamp is more than ${WEBHOOK_TOLERANCE_SECONDS} seconds from the current time`
+    };
+  }
+
+  return { valid: true, signedAt };
+}
+
+/**
+ * Compare two strings in constant time
+ * @param {string} received - Value sent by the caller
+ * @param {string} expected - Value it should be
+ * @returns {boolean} True when they are equal
+ */
+function safeEqual(received, expected) {
+  const a = Buffer.from(String(received));
+  const b = Buffer.from(String(expected));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Pass a verified callback to its handler and record the outcome
+ * @param {Object} event - Webhook event, saved or not
+ * @param {Object} body - Parsed payload
+ * @returns {Promise<Object>} httpStatus and message, and the event
+ */
+async function applyEvent(event, body) {
+  let result;
+  try {
+    result = await HANDLERS[event.channel](event.provider, { headers: event.headers || {}, body });
+  } catch (error) {
+    console.error(`Webhook processing error (${event.provider}):`, error);
+    await queueForReview(event, 'processing_error', error.message);
+    return { httpStatus: 500, message: 'Error processing callback', event };
+  }
+
+  if (!result.success) {
+    event.paymentId = result.payment ? result.payment.id : null;
+    await queueForReview(event, result.reason, result.message);
+    // Accepted so the provider stops retrying; an admin takes it from here
+    return { httpStatus: 202, message: 'Callback queued for review', event };
+  }
+
+  event.status = 'processed';
+  event.paymentId = result.payment ? result.payment.id : null;
+  event.rejectionReason = null;
+  event.rejectionDetails = null;
+  await event.save();
+
+  return { httpStatus: 200, message: 'Callback processed', event };
+}
+
+/**
+ * Hold a callback for admin review
+ * @param {Object} event - Webhook event
+ * @param {string} reason - Why it was not applied
+ * @param {string} [details] - Human-readable explanation
+ * @returns {Promise<Object>} The saved event
+ */
+async function queueForReview(event, reason, details) {
+  event.status = 'needs_review';
+  event.rejectionReason = reason;
+  event.rejectionDetails = details || null;
+  return event.save();
+}
@@ -0,0 +1,48 @@
+/**
+ * Geo utilities for Taxi-Express
+ * Distance helpers for GeoJSON points ([longitude, latitude])
+ */
+
+const EARTH_RADIUS_KM = 6371;
+
+/**
+ * Convert degrees to radians
+ * @param {number} degrees - Angle in degrees
+ * @returns {number} Angle in radians
+ */
+function toRadians(degrees) {
+  return degrees * Math.PI / 180;
+}
+
+/**
+ * Great-circle distance between two GeoJSON points
+ * @param {Object} from - GeoJSON point
+ * @param {Object} to - GeoJSON point
+ * @returns {number} Distance in kilometers
+ */
+exports.haversineDistance = (from, to) => {
+  const [fromLng, fromLat] = from.coordinates;
+  const [toLng, toLat] = to.coordinates;
+
+  const dLat = toRadians(toLat - fromLat);
+  const dLng = toRadians(toLng - fromLng);
+
+  const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(toRadians(fromLat)) * Math.cos(toRadians(toLat)) *
+    Math.sin(dLng / 2) * Math.sin(dLng / 2);
+
+  return EARTH_RADIUS_KM * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+/**
+ * Total length of a path of GeoJSON points
+ * @param {Array<Object>} points - GeoJSON points in travel order
+ * @returns {number} Distance in kilometers
+ */
+exports.pathDistance = (points) => {
+  let distance = 0;
+  for (let i = 1; i < points.length; i++) {
+    distance += exports.haversineDistance(points[i - 1], points[i]);
+  }
+  return distance;
+};
@@ -0,0 +1,92 @@
+/**
+ * Geohash utilities for Taxi-Express
+ * Buckets GeoJSON points ([longitude, latitude]) into fixed grid cells
+ */
+
+const BASE32 = '0123456789bcdefghjkmnpqrstuvwxyz';
+
+/**
+ * Encode a GeoJSON point as a geohash
+ * @param {Object} point - GeoJSON point
+ * @param {number} precision - Number of characters; 6 gives cells of about 1.2 km x 0.6 km
+ * @returns {string} Geohash of the cell containing the point
+ */
+exports.encode = (point, precision) => {
+  const [lng, lat] = point.coordinates;
+  let latRange = [-90, 90];
+  let lngRange = [-180, 180];
+  let hash = '';
+  let bits = 0;
+  let bitCount = 0;
+  let evenBit = true;
+
+  while (hash.length < precision) {
+    // Bits alternate between longitude and latitude, longitude first
+    const range = evenBit ? lngRange : latRange;
+    const value = evenBit ? lng : lat;
+    const mid = (range[0] + range[1]) / 2;
+
+    bits <<= 1;
+    if (value >= mid) {
+      bits |= 1;
+      range[0] = mid;
+    } else {
+      range[1] = mid;
+    }
+
+    evenBit = !evenBit;
+    bitCount++;
+
+    if (bitCount === 5) {
+      hash += BASE32[bits];
+      bits = 0;
+      bitCount = 0;
+    }
+  }
+
+  return hash;
+};
+
+/**
+ * Get the bounds and center of a geohash cell
+ * @param {string} hash - Geohash
+ * @returns {Object} Bounds as minLng, minLat, maxLng, maxLat and a GeoJSON center point
+ */
+exports.decode = (hash) => {
+  const latRange = [-90, 90];
+  const lngRange = [-180, 180];
+  let evenBit = true;
+
+  for (const char of hash) {
+    const bits = BASE32.indexOf(char);
+    if (bits === -1) {
+      throw new Error(`Invalid geohash: ${hash}`);
+    }
+
+    for (let shift = 4; shift >= 0; shift--) {
+      const range = evenBit ? lngRange : latRange;
+      const mid = (range[0] + range[1]) / 2;
+
+      if ((bits >> shift) & 1) {
+        range[0] = mid;
+      } else {
+        range[1] = mid;
+      }
+
+      evenBit = !evenBit;
+    }
+  }
+
+  return {
+    bounds: {
+      minLng: lngRange[0],
+      minLat: latRange[0],
+      maxLng: lngRange[1],
+      maxLat: latRange[1]
+    },
+    center: {
+      type: 'Point',
+      coordinates: [(lngRange[0] + lngRange[1]) / 2, (latRange[0] + latRange[1]) / 2]
+    }
+  };
+};
@@ -0,0 +1,108 @@
+/**
+ * Money utilities for Taxi-Express
+ * Currencies, integer minor-unit amounts and conversions
+ */
+
+// Digits after the decimal point for each supported currency (ISO 4217)
+const MINOR_UNIT_DIGITS = {
+  CDF: 2,
+  USD: 2
+};
+
+const SUPPORTED_CURRENCIES = Object.keys(MINOR_UNIT_DIGITS);
+
+// Currency rate cards are priced in and reports are normalised to
+const BASE_CURRENCY = SUPPORTED_CURRENCIES.includes(process.env.BASE_CURRENCY)
+  ? process.env.BASE_CURRENCY
+  : 'CDF';
+
+exports.SUPPORTED_CURRENCIES = SUPPORTED_CURRENCIES;
+exports.BASE_CURRENCY = BASE_CURRENCY;
+
+/**
+ * Whether a currency is supported
+ * @param {string} currency - ISO 4217 code
+ * @returns {boolean} True when supported
+ */
+exports.isSupportedCurrency = (currency) => {
+  return SUPPORTED_CURRENCIES.includes(currency);
+};
+
+/**
+ * Convert a decimal amount to integer minor units
+ * @param {number|string} amount - Amount in major units, e.g. 12.5
+ * @param {string} currency - ISO 4217 code
+ * @returns {number} Amount in minor units, e.g. 1250
+ */
+exports.toMinor = (amount, currency) => {
+  return Math.round(parseFloat(amount || 0) * Math.pow(10, minorDigits(currency)));
+};
+
+/**
+ * Convert integer minor units to a decimal amount
+ * @param {number|string} amountMinor - Amount in minor units; BIGINT columns arrive as strings
+ * @param {string} currency - ISO 4217 code
+ * @returns {number} Amount in major units
+ */
+exports.fromMinor = (amountMinor, currency) => {
+  return Number(amountMinor || 0) / Math.pow(10, minorDigits(currency));
+};
+
+/**
+ * Convert a minor-unit amount between currencies at a given rate
+ * @param {number} amountMinor - Amount in minor units of the source currency
+ * @param {string} from - Source currency
+ * @param {string} to - Target currency
+ * @param {number} rate - Units of the target currency per unit of the source currency
+ * @returns {number} Amount in minor units of the target currency
+ */
+exports.convertMinor = (amountMinor, from, to, rate) => {
+  const scale = Math.pow(10, minorDigits(to) - minorDigits(from));
+  return Math.round(Number(amountMinor) * parseFloat(rate) * scale);
+};
+
+/**
+ * Split a minor-unit amount by a rate, keeping the parts summing to the whole
+ * @param {number} amountMinor - Amount in minor units
+ * @param {number} rate - Share taken off, between 0 and 1
+ * @returns {Object} share and remainder in minor units
+ */
+exports.splitMinor = (amountMinor, rate) => {
+  const share = Math.round(Number(amountMinor) * rate);
+  return {
+    share,
+    remainder: Number(amountMinor) - share
+  };
+};
+
+/**
+ * Format a minor-unit amount as a plain decimal, e.g. for disbursement files
+ * @param {number} amountMinor - Amount in minor units
+ * @param {string} currency - ISO 4217 code
+ * @returns {string} e.g. "1500.00"
+ */
+exports.formatAmount = (amountMinor, currency) => {
+  return exports.fromMinor(amountMinor, currency).toFixed(minorDigits(currency));
+};
+
+/**
+ * Format a minor-unit amount for messages
+ * @param {number} amountMinor - Amount in minor units
+ * @param {string} currency - ISO 4217 code
+ * @returns {string} e.g. "1500.00 CDF"
+ */
+exports.formatMoney = (amountMinor, currency) => {
+  return `${exports.formatAmount(amountMinor, currency)} ${currency}`;
+};
+
+/**
+ * Minor-unit digits of a currency
+ * @param {string} currency - ISO 4217 code
+ * @returns {number} Digits after the decimal point
+ */
+function minorDigits(currency) {
+  if (!(currency in MINOR_UNIT_DIGITS)) {
+    throw new Error(`Unsupported currency: ${currency}`);
+  }
+  return MINOR_UNIT_DIGITS[currency];
+}
@@ -0,0 +1,138 @@
+/**
+ * Socket Handlers for Taxi-Express
+ * Authenticates socket connections and puts them in the rooms the services emit to
+ */
+
+const jwt = require('jsonwebtoken');
+const { Op } = require('sequelize');
+const { User, SafetyCase } = require('../models');
+const { SAFETY_ADMIN_ROOM } = require('../services/safety.service');
+
+// Roles with a personal room of their own, named "<role>_<user id>"; services emit trip and payment events to these
+const ROLE_ROOMS = ['client', 'driver'];
+
+/**
+ * Attach authentication and room handlers to the socket.io server
+ * Sockets without a token are accepted so contacts can follow a safety case from its tracking link
+ * @param {Object} io - socket.io server
+ */
+module.exports = (io) => {
+  io.use(async (socket, next) => {
+    try {
+      socket.user = await authenticateSocket(socket);
+      next();
+    } catch (error) {
+      next(new Error(error.message));
+    }
+  });
+
+  io.on('connection', (socket) => {
+    const { user } = socket;
+
+    if (user) {
+      socket.join(`user_${user.id}`);
+      if (ROLE_ROOMS.includes(user.role)) {
+        socket.join(`${user.role}_${user.id}`);
+      }
+    }
+
+    // Admins on duty receive SOS alerts and live positions of every open safety case
+    socket.on('join_safety_admin', (payload, ack) => {
+      const reply = typeof payload === 'function' ? payload : ack;
+
+      if (!user || user.role !== 'admin') {
+        return respond(reply, { success: false, message: 'Only admins can receive safety alerts' });
+      }
+
+      socket.join(SAFETY_ADMIN_ROOM);
+      respond(reply, { success: true });
+    });
+
+    socket.on('leave_safety_admin', (payload, ack) => {
+      socket.leave(SAFETY_ADMIN_ROOM);
+      respond(typeof payload === 'function' ? payload : ack, { success: true });
+    });
+
+    // Anyone holding a case's tracking token may follow it until the case is resolved
+    socket.on('track_safety_case', async (payload, ack) => {
+      try {
+        const token = payload && payload.token;
+        const safetyCase = token
+          ? await SafetyCase.findOne({
+            where: {
+              trackingToken: String(token),
+              status: {
+                [Op.in]: ['open', 'acknowledged']
+              }
+            }
+          })
+          : null;
+
+        if (!safetyCase) {
+          return respond(ack, { success: false, message: 'Tracking link not found or no longer active' });
+        }
+
+        socket.join(`safety_${safetyCase.trackingToken}`);
+        respond(ack, {
+          success: true,
+          location: safetyCase.lastKnownLocation,
+          at: safetyCase.lastLocationAt
+        });
+      } catch (error) {
+        console.error('Safety tracking join error:', error);
+        respond(ack, { success: false, message: 'Error joining safety tracking' });
+      }
+    });
+
+    socket.on('untrack_safety_case', (payload, ack) => {
+      if (payload && payload.token) {
+        socket.leave(`safety_${payload.token}`);
+      }
+      respond(ack, { success: true });
+    });
+  });
+};
+
+/**
+ * Resolve the user of a socket from the JWT in its handshake, if any
+ * @param {Object} socket - Connecting socket
+ * @returns {Promise<Object|null>} Active user, or null for an anonymous socket
+ */
+async function authenticateSocket(socket) {
+  const { auth = {}, headers = {} } = socket.handshake;
+  const token = auth.token || (headers.authorization || '').replace('Bearer ', '');
+
+  if (!token) {
+    return null;
+  }
+
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    throw new Error(error.name === 'TokenExpiredError' ? 'Authentication token expired' : 'Invalid authentication token');
+  }
+
+  const user = await User.findByPk(decoded.id);
+
+  if (!user || !user.isActive) {
+    throw new Error('User not found or deactivated');
+  }
+
+  if (decoded.iat < new Date(user.passwordChangedAt || 0) / 1000) {
+    throw new Error('Password has been changed. Please login again');
+  }
+
+  return user;
+}
+
+/**
+ * Answer a socket event if the client asked for an acknowledgement
+ * @param {Function} [ack] - Acknowledgement callback
+ * @param {Object} payload - Reply
+ */
+function respond(ack, payload) {
+  if (typeof ack === 'function') {
+    ack(payload);
+  }
+}